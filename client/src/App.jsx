@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import './App.css';
 import Sidebar from './components/Sidebar';
 import Header from './components/Header';
@@ -8,15 +8,35 @@ import JobModal from './components/JobModal';
 import ResearchLibrary from './components/ResearchLibrary';
 import Settings from './components/Settings';
 import TokenDashboard from './components/TokenDashboard';
+import Analytics from './components/Analytics';
+import Trash from './components/Trash';
+import ImportExport from './components/ImportExport';
 import TaskQueue from './components/TaskQueue';
 import { NotificationProvider, ToastContainer, useNotifications } from './components/Notifications';
-import { useTaskPolling } from './hooks/useTaskPolling';
+import { useLiveUpdates } from './hooks/useLiveUpdates';
+import { useFollowupReminders } from './hooks/useFollowupReminders';
+import { apiClient } from './api';
 
-const API_URL = 'http://localhost:3001/api';
+// Relative, so requests go through the dev server's proxy (vite.config.js)
+const API_URL = '/api';
+const api = apiClient(API_URL);
+
+// Jobs loaded per page; JobTable loads more as it scrolls
+const PAGE_SIZE = 50;
+
+// Sort menu choices as API sort parameters
+const SORT_PARAMS = {
+  newest: { sort: 'created_at', order: 'desc' },
+  priority: { sort: 'priority', order: 'asc' },
+  company: { sort: 'company', order: 'asc' }
+};
 
 function AppContent() {
   const { addNotification } = useNotifications();
   const [jobs, setJobs] = useState([]);
+  const [jobsPage, setJobsPage] = useState({ total: 0, nextCursor: null });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const jobsRequestRef = useRef(0);
   const [stats, setStats] = useState({});
   const [filter, setFilter] = useState(() => {
     const saved = localStorage.getItem('job_tracker_filter');
@@ -35,6 +55,7 @@ function AppContent() {
   const [searching, setSearching] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
 
   // Apply theme to document
   useEffect(() => {
@@ -46,19 +67,55 @@ function AppContent() {
     setTheme(prev => prev === 'dark' ? 'light' : 'dark');
   };
 
-  // Task polling - check for completed research/materials tasks
-  useTaskPolling(API_URL, (task) => {
-    const companyName = task.companySlug.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
-    
-    if (task.type === 'research') {
-      addNotification(`Research completed for ${companyName}`, 'success', { companySlug: task.companySlug });
-      fetchJobs(); // Refresh to show updated research
-    } else if (task.type === 'materials') {
-      addNotification(`Application materials generated for ${companyName}`, 'success', { companySlug: task.companySlug });
-      fetchJobs(); // Refresh to show updated materials
+  // Live updates - refresh as jobs change and report finished work
+  const refreshTimerRef = useRef(null);
+  useLiveUpdates(API_URL, {
+    // (Re)connected: catch up on anything missed
+    open: () => {
+      fetchJobs();
+      fetchStats();
+    },
+    // A job changed anywhere (dashboard, scanner or agent); one refresh
+    // covers a burst of changes
+    activity: () => {
+      clearTimeout(refreshTimerRef.current);
+      refreshTimerRef.current = setTimeout(() => {
+        fetchJobs();
+        fetchStats();
+      }, 300);
+    },
+    'task.finished': (task) => {
+      const companyName = task.company || task.companySlug.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+
+      if (task.type === 'research') {
+        addNotification(`Research completed for ${companyName}`, 'success', { companySlug: task.companySlug });
+      } else if (task.type === 'materials') {
+        addNotification(`Application materials generated for ${companyName}`, 'success', { companySlug: task.companySlug });
+      }
+      fetchJobs(); // Refresh to show updated research or materials
+    },
+    scan: (scan) => {
+      if (scan.state === 'started') {
+        setSearching(true);
+        return;
+      }
+      setSearching(false);
+      fetchJobs();
+      fetchStats();
+      if (scan.state === 'finished') {
+        addNotification(`Job search complete! ${scan.added} new job${scan.added === 1 ? '' : 's'}.`, 'success');
+      } else {
+        addNotification('Job search failed. Check the server console for details.', 'error');
+      }
     }
   });
 
+  // Follow-up reminders - remind when a follow-up date arrives
+  useFollowupReminders(API_URL, (reminder) => {
+    const when = reminder.days_overdue > 0 ? ` (${reminder.days_overdue}d overdue)` : '';
+    addNotification(`Time to follow up with ${reminder.company} — ${reminder.role}${when}`, 'info', { jobId: reminder.job_id });
+  });
+
   useEffect(() => {
     localStorage.setItem('job_tracker_filter', JSON.stringify(filter));
     localStorage.setItem('job_tracker_sort', sortBy);
@@ -66,7 +123,13 @@ function AppContent() {
     
     fetchJobs();
     fetchStats();
-  }, [filter, sortBy, activeView]);
+  }, [filter, sortBy, activeView, debouncedQuery]);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), 250);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
 
   // Handle Sidebar View Changes
   // View changes are now handled by handleViewChange to avoid filter overwrites on mount
@@ -92,36 +155,56 @@ function AppContent() {
     setFilter(prev => ({ ...prev, ...newFilter }));
   };
 
+  // Filters, search and sort as /api/jobs parameters. A search is ranked
+  // by relevance, so the sort menu applies only without one.
+  const jobsQuery = () => ({
+    status: filter.status,
+    priority: filter.priority,
+    source: filter.source,
+    only_new: filter.onlyNew || null,
+    ...(debouncedQuery ? { q: debouncedQuery } : SORT_PARAMS[sortBy])
+  });
+
+  // Load the first page again, keeping as many jobs as were already
+  // loaded so a refresh does not lose the scroll position
   const fetchJobs = async () => {
-    const params = new URLSearchParams();
-    if (filter.status) params.append('status', filter.status);
-    if (filter.priority) params.append('priority', filter.priority);
-    if (filter.source) params.append('source', filter.source);
+    const query = { ...jobsQuery(), limit: Math.min(Math.max(jobs.length, PAGE_SIZE), 200) };
+    const request = ++jobsRequestRef.current;
     
     try {
-      const res = await fetch(`${API_URL}/jobs?${params}`);
-      let data = await res.json();
-      
-      // Filter for new jobs if enabled (from latest search batch)
-      if (filter.onlyNew) {
-        data = data.filter(job => job.isNewFromSearch === true);
-      }
+      const data = await api.listJobs(query);
+      if (request !== jobsRequestRef.current) return;
+      if (data.status === 401) addNotification('The API server needs a token. Add one in Settings.', 'error');
+      if (data.error) throw new Error(data.error);
       
-      // Sort jobs
-      if (sortBy === 'newest') {
-        data.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-      } else if (sortBy === 'priority') {
-        const priorityOrder = { '🔴 High': 1, '🟡 Medium': 2, '🟢 Lower': 3 };
-        data.sort((a, b) => (priorityOrder[a.priority] || 99) - (priorityOrder[b.priority] || 99));
-      } else if (sortBy === 'company') {
-        data.sort((a, b) => a.company.localeCompare(b.company));
-      }
-      
-      setJobs(data);
+      setJobs(data.jobs);
+      setJobsPage({ total: data.total, nextCursor: data.next_cursor });
     } catch (err) {
       console.error("Failed to fetch jobs", err);
     }
   };
+
+  // Append the next page
+  const loadMoreJobs = async () => {
+    if (!jobsPage.nextCursor || loadingMore) return;
+    const query = { ...jobsQuery(), limit: PAGE_SIZE, cursor: jobsPage.nextCursor };
+    const request = jobsRequestRef.current;
+    setLoadingMore(true);
+    
+    try {
+      const data = await api.listJobs(query);
+      // The list was reloaded meanwhile; this page belongs to the old one
+      if (request !== jobsRequestRef.current) return;
+      if (data.error) throw new Error(data.error);
+      
+      setJobs(prev => [...prev, ...data.jobs]);
+      setJobsPage({ total: data.total, nextCursor: data.next_cursor });
+    } catch (err) {
+      console.error("Failed to load more jobs", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
   
   // Check if job is from the latest search batch (true diff)
   const isNewJob = (job) => {
@@ -144,8 +227,8 @@ function AppContent() {
 
   const fetchStats = async () => {
     try {
-      const res = await fetch(`${API_URL}/stats`);
-      const data = await res.json();
+      const data = await api.getStats();
+      if (data.error) throw new Error(data.error);
       setStats(data);
     } catch (err) {
       console.error("Failed to fetch stats", err);
@@ -153,13 +236,9 @@ function AppContent() {
   };
 
   const updateStatus = async (id, newStatus) => {
-    await fetch(`${API_URL}/jobs/${id}`, {
-      method: 'PATCH',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        status: newStatus,
-        applied_date: newStatus === 'Applied' || newStatus === 'Done' ? new Date().toISOString().split('T')[0] : null
-      })
+    await api.updateJob(id, {
+      status: newStatus,
+      applied_date: newStatus === 'Applied' || newStatus === 'Done' ? new Date().toISOString().split('T')[0] : null
     });
     fetchJobs();
     fetchStats();
@@ -167,11 +246,11 @@ function AppContent() {
 
   const deleteJob = async (id) => {
     // TODO: Replace with custom modal confirm
-    if (!window.confirm('Are you sure you want to delete this job? This will move it to the rejected companies list.')) return;
+    if (!window.confirm('Move this job to the trash? You can restore it from the Trash view.')) return;
     
     try {
-      await fetch(`${API_URL}/jobs/${id}`, { method: 'DELETE' });
-      addNotification('Job deleted and added to rejected list', 'success');
+      await api.deleteJob(id);
+      addNotification('Job moved to trash', 'success');
       fetchJobs();
       fetchStats();
     } catch (e) {
@@ -179,6 +258,21 @@ function AppContent() {
     }
   };
 
+  const rejectCompany = async (job) => {
+    // TODO: Replace with custom modal confirm
+    if (!window.confirm(`Reject ${job.company}? The job moves to the trash and automated searches will never add this company again.`)) return;
+    
+    try {
+      await api.rejectJobCompany(job.id);
+      addNotification(`${job.company} added to rejected companies`, 'success');
+      fetchJobs();
+      fetchStats();
+    } catch (e) {
+      console.error('Failed to reject company:', e);
+      addNotification('Failed to reject company', 'error');
+    }
+  };
+
   const openApplyModal = async (jobOrId) => {
     // Handle both job object and job ID
     let job = jobOrId;
@@ -186,7 +280,8 @@ function AppContent() {
     // If it's just an ID, fetch the full job
     if (typeof jobOrId === 'number') {
       try {
-        job = await fetch(`${API_URL}/jobs/${jobOrId}`).then(r => r.json());
+        job = await api.getJob(jobOrId);
+        if (job.error) throw new Error(job.error);
       } catch (e) {
         console.error('Failed to fetch job:', e);
         return;
@@ -195,8 +290,8 @@ function AppContent() {
     
     // Fetch materials from file system
     try {
-        const materials = await fetch(`${API_URL}/jobs/${job.id}/materials`).then(r => r.json()).catch(() => ({}));
-        setApplyModal({ job, ...materials });
+        const materials = await api.getJobMaterials(job.id);
+        setApplyModal(materials.error ? { job } : { job, ...materials });
     } catch (e) {
         setApplyModal({ job });
     }
@@ -218,20 +313,11 @@ function AppContent() {
       setSearching(true);
       addNotification('Starting job board scan...', 'loading');
       
-      const res = await fetch(`${API_URL}/search`, { method: 'POST' });
-      if (res.ok) {
-        const data = await res.json();
-        
-        // Wait a moment for the search to complete and database to reload
-        setTimeout(async () => {
-          await fetchJobs();
-          await fetchStats();
-          setSearching(false);
-          addNotification('Job search complete! Check for new opportunities.', 'success');
-        }, 3000); // Give the search script time to run
-      } else {
+      const data = await api.startSearch();
+      // The live update stream reports when the scan finishes
+      if (!data.success) {
         setSearching(false);
-        addNotification('Failed to start job search', 'error');
+        addNotification(data.message || 'Failed to start job search', 'error');
       }
     } catch (e) {
       setSearching(false);
@@ -239,24 +325,6 @@ function AppContent() {
     }
   };
 
-  // Calculate new jobs count for dashboard
-  const newCount = jobs.filter(j => isNewJob(j)).length;
-
-  // Filter jobs based on search query
-  const filteredJobs = searchQuery 
-    ? jobs.filter(job => {
-        const query = searchQuery.toLowerCase();
-        return (
-          job.company.toLowerCase().includes(query) ||
-          job.role.toLowerCase().includes(query) ||
-          (job.type && job.type.toLowerCase().includes(query)) ||
-          (job.source && job.source.toLowerCase().includes(query)) ||
-          (job.location && job.location.toLowerCase().includes(query)) ||
-          (job.notes && job.notes.toLowerCase().includes(query))
-        );
-      })
-    : jobs;
-
   return (
     <div className="app-container">
       <Sidebar 
@@ -279,7 +347,7 @@ function AppContent() {
         
         <div className="content-scrollable">
           {activeView === 'dashboard' && (
-             <StatsCards stats={stats} newCount={searchQuery ? filteredJobs.filter(j => isNewJob(j)).length : newCount} />
+             <StatsCards stats={stats} newCount={stats.newJobs || 0} />
           )}
 
           {activeView === 'research' ? (
@@ -287,15 +355,36 @@ function AppContent() {
               apiUrl={API_URL}
               onSelectJob={openApplyModal}
             />
+          ) : activeView === 'analytics' ? (
+            <Analytics 
+              apiUrl={API_URL}
+            />
           ) : activeView === 'tokens' ? (
             <TokenDashboard 
               apiUrl={API_URL}
             />
+          ) : activeView === 'trash' ? (
+            <Trash 
+              apiUrl={API_URL}
+              addNotification={addNotification}
+              onChange={fetchStats}
+            />
+          ) : activeView === 'data' ? (
+            <ImportExport 
+              apiUrl={API_URL}
+              addNotification={addNotification}
+              onChange={() => { fetchJobs(); fetchStats(); }}
+            />
           ) : (
             <JobTable 
-              jobs={filteredJobs}
+              jobs={jobs}
+              total={jobsPage.total}
+              hasMore={Boolean(jobsPage.nextCursor)}
+              loadingMore={loadingMore}
+              onLoadMore={loadMoreJobs}
               updateStatus={updateStatus}
               deleteJob={deleteJob}
+              rejectCompany={rejectCompany}
               openApplyModal={openApplyModal}
               filter={filter}
               setFilter={setFilter}
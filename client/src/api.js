@@ -0,0 +1,40 @@
+import { createApiClient } from '../../shared/api-client.js';
+
+// Where this browser keeps the API token, for servers that ask for one
+// (PROWLA_AUTH; see docs/CONFIGURATION.md)
+const TOKEN_KEY = 'job_tracker_api_token';
+
+// One client per API address, shared by every component (see
+// shared/api-client.js, generated from the server's OpenAPI document)
+const clients = new Map();
+
+export function getApiToken() {
+  return localStorage.getItem(TOKEN_KEY) || '';
+}
+
+// Clients made before this keep the old token, so reload the page after
+export function setApiToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+  clients.clear();
+}
+
+export function apiClient(apiUrl) {
+  let client = clients.get(apiUrl);
+  if (!client) {
+    client = createApiClient({ baseUrl: apiUrl, token: getApiToken() || null });
+    clients.set(apiUrl, client);
+  }
+  return client;
+}
+
+// Add the token to an address the browser loads itself (EventSource,
+// links, downloads), which can't send an Authorization header
+export function withToken(url) {
+  const token = getApiToken();
+  if (!token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+}
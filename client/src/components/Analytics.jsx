@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Briefcase, Send, MessageSquare, TrendingUp } from 'lucide-react';
+import { apiClient } from '../api';
+
+const GROUPS = [
+  { id: 'source', label: 'Source' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'type', label: 'Work Type' }
+];
+
+export default function Analytics({ apiUrl }) {
+  const api = apiClient(apiUrl);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [dateRange, setDateRange] = useState('all');
+  const [groupBy, setGroupBy] = useState('source');
+
+  const fetchAnalytics = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      // Funnel and time in stage cover jobs added in the range
+      let since = null;
+      if (dateRange !== 'all') {
+        since = new Date();
+        since.setDate(since.getDate() - Number(dateRange));
+      }
+
+      const data = await api.getAnalytics({ since: since && since.toISOString().split('T')[0] });
+      setAnalytics(data.error ? null : data);
+    } catch (error) {
+      console.error('Failed to fetch analytics:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, dateRange]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  if (loading) {
+    return (
+      <div className="token-dashboard">
+        <h2>Pipeline Analytics</h2>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!analytics) {
+    return (
+      <div className="token-dashboard">
+        <h2>Pipeline Analytics</h2>
+        <p>No data available</p>
+      </div>
+    );
+  }
+
+  const { total, funnel, time_in_stage: timeInStage, throughput } = analytics;
+
+  // Format a 0-1 rate as a percentage
+  const pct = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+  // Format days
+  const days = (value) => (value === null ? '—' : `${value}d`);
+
+  const busiestWeek = Math.max(1, ...throughput.weeks.map(week => week.applied));
+
+  return (
+    <div className="token-dashboard">
+      <div className="dashboard-header">
+        <div>
+          <h2>Pipeline Analytics</h2>
+          <p className="dashboard-subtitle">Where interviews come from and how long jobs sit in each stage</p>
+        </div>
+
+        <select
+          value={dateRange}
+          onChange={(e) => setDateRange(e.target.value)}
+          className="date-range-select"
+        >
+          <option value="all">All Jobs</option>
+          <option value="30">Added in Last 30 Days</option>
+          <option value="90">Added in Last 90 Days</option>
+          <option value="365">Added in Last Year</option>
+        </select>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-icon">
+            <Briefcase size={24} />
+          </div>
+          <div className="stat-info">
+            <span className="stat-label">Jobs Added</span>
+            <span className="stat-value">{total.jobs}</span>
+          </div>
+        </div>
+
+        <div className="stat-card">
+          <div className="stat-icon">
+            <Send size={24} />
+          </div>
+          <div className="stat-info">
+            <span className="stat-label">Applied</span>
+            <span className="stat-value">{total.applied} · {pct(total.application_rate)}</span>
+          </div>
+        </div>
+
+        <div className="stat-card">
+          <div className="stat-icon">
+            <MessageSquare size={24} />
+          </div>
+          <div className="stat-info">
+            <span className="stat-label">Interview Rate</span>
+            <span className="stat-value">{pct(total.interview_rate)}</span>
+          </div>
+        </div>
+
+        <div className="stat-card">
+          <div className="stat-icon">
+            <TrendingUp size={24} />
+          </div>
+          <div className="stat-info">
+            <span className="stat-label">Applications / Week</span>
+            <span className="stat-value">{throughput.applications_per_week}</span>
+          </div>
+        </div>
+      </div>
+
+      {/* Funnel by Group */}
+      <div className="usage-section">
+        <div className="dashboard-header">
+          <h3>Funnel by {GROUPS.find(group => group.id === groupBy).label}</h3>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="date-range-select"
+          >
+            {GROUPS.map(group => (
+              <option key={group.id} value={group.id}>{group.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="table-container">
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>{GROUPS.find(group => group.id === groupBy).label}</th>
+                  <th>Jobs</th>
+                  <th>Applied</th>
+                  <th>Interviewing</th>
+                  <th>Offer</th>
+                  <th>Applied %</th>
+                  <th>Interview %</th>
+                  <th>Offer %</th>
+                </tr>
+              </thead>
+              <tbody>
+                {funnel[groupBy].map(row => (
+                  <tr key={row.value ?? ''}>
+                    <td>{row.value ?? 'Unknown'}</td>
+                    <td>{row.jobs}</td>
+                    <td>{row.applied}</td>
+                    <td>{row.interviewing}</td>
+                    <td>{row.offer}</td>
+                    <td>{pct(row.application_rate)}</td>
+                    <td>{pct(row.interview_rate)}</td>
+                    <td>{pct(row.offer_rate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Time in Stage */}
+      <div className="usage-section">
+        <h3>Time in Stage</h3>
+        <div className="table-container">
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Status</th>
+                  <th>Median Days</th>
+                  <th>Moved On</th>
+                  <th>There Now</th>
+                  <th>Median Days So Far</th>
+                </tr>
+              </thead>
+              <tbody>
+                {timeInStage.map(stage => (
+                  <tr key={stage.status}>
+                    <td>{stage.status}</td>
+                    <td>{days(stage.median_days)}</td>
+                    <td>{stage.stints}</td>
+                    <td>{stage.in_stage_now}</td>
+                    <td>{days(stage.median_current_days)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Weekly Throughput */}
+      <div className="usage-section">
+        <h3>Weekly Throughput</h3>
+        <div className="usage-bars">
+          {[...throughput.weeks].reverse().map(week => (
+            <div key={week.week_start} className="usage-bar-container">
+              <div className="usage-bar-label">
+                <span className="task-type">
+                  Week of {new Date(`${week.week_start}T00:00:00`).toLocaleDateString(undefined, {
+                    month: 'short',
+                    day: 'numeric'
+                  })}
+                </span>
+                <span className="task-stats">
+                  {week.added} added • {week.applied} applied • {week.interviewing} interviews • {week.offer} offers
+                </span>
+              </div>
+              <div className="usage-bar-track">
+                <div
+                  className="usage-bar-fill"
+                  style={{ width: `${(week.applied / busiestWeek) * 100}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
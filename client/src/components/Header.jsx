@@ -14,7 +14,8 @@ export default function Header({ title, theme, onToggleTheme, onNotificationClic
           <Search size={16} className="search-icon" />
           <input 
             type="text" 
-            placeholder="Search companies, roles..." 
+            placeholder="Search companies, roles, notes..." 
+            title={'Words match by prefix. Also: "exact phrase", -exclude, company:acme, status:Applied, priority:high, source:LinkedIn'}
             className="search-input"
             value={searchQuery || ''}
             onChange={(e) => onSearchChange && onSearchChange(e.target.value)}
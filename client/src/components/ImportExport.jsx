@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { apiClient, withToken } from '../api';
+
+const ACTION_LABELS = {
+  create: 'New job',
+  update: 'Update existing',
+  skip: 'Skip (duplicate)',
+  error: 'Error'
+};
+
+// Export jobs to CSV with a choice of columns, and import a CSV with a
+// header mapping, a preview and duplicate handling
+export default function ImportExport({ apiUrl, addNotification, onChange }) {
+  const api = apiClient(apiUrl);
+  const [options, setOptions] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [includeTrashed, setIncludeTrashed] = useState(false);
+  const [csv, setCsv] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mapping, setMapping] = useState(null);
+  const [onDuplicate, setOnDuplicate] = useState('skip');
+  const [preview, setPreview] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const fetchOptions = useCallback(async () => {
+    try {
+      const data = await api.getExportColumns();
+      setOptions(data);
+      setColumns(data.default_columns);
+    } catch (e) {
+      console.error('Failed to fetch export columns:', e);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchOptions();
+  }, [fetchOptions]);
+
+  const runImport = async ({ text = csv, columnMapping = mapping, duplicates = onDuplicate, dryRun = true } = {}) => {
+    const data = await api.importJobsCsv({ csv: text, mapping: columnMapping, on_duplicate: duplicates, dry_run: dryRun });
+    if (data.error) throw new Error(data.error);
+    return data;
+  };
+
+  // Preview again whenever the file, mapping or duplicate handling changes
+  const updatePreview = async (changes) => {
+    try {
+      const data = await runImport(changes);
+      setPreview(data);
+      setMapping(data.mapping);
+    } catch (e) {
+      addNotification('Failed to read CSV: ' + e.message, 'error');
+    }
+  };
+
+  const toggleColumn = (column) => {
+    setColumns(columns.includes(column) ? columns.filter(c => c !== column) : [...columns, column]);
+  };
+
+  const exportUrl = withToken(`${apiUrl}/export/jobs.csv?columns=${columns.join(',')}${includeTrashed ? '&include_trashed=true' : ''}`);
+
+  const chooseFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const text = await file.text();
+    setFileName(file.name);
+    setCsv(text);
+    updatePreview({ text, columnMapping: null });
+  };
+
+  const changeMapping = (header, field) => {
+    const columnMapping = { ...mapping, [header]: field || null };
+    setMapping(columnMapping);
+    updatePreview({ columnMapping });
+  };
+
+  const changeOnDuplicate = (duplicates) => {
+    setOnDuplicate(duplicates);
+    updatePreview({ duplicates });
+  };
+
+  const saveImport = async () => {
+    setImporting(true);
+    try {
+      const data = await runImport({ dryRun: false });
+      addNotification(`Imported ${data.summary.create} new, updated ${data.summary.update}, skipped ${data.summary.skip}`, 'success');
+      setCsv(null);
+      setFileName('');
+      setMapping(null);
+      setPreview(null);
+      onChange?.();
+    } catch (e) {
+      addNotification('Import failed: ' + e.message, 'error');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (!options) {
+    return <div className="trash-view"><p>Loading...</p></div>;
+  }
+
+  return (
+    <div className="trash-view data-view">
+      <div className="trash-header">
+        <div>
+          <h2>Import / Export</h2>
+          <p className="trash-subtitle">Move jobs in and out of ProwlA as CSV</p>
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h3>Export</h3>
+        <div className="checkbox-group">
+          {Object.entries(options.columns).map(([column, label]) => (
+            <label key={column} className="checkbox-label">
+              <input type="checkbox" checked={columns.includes(column)} onChange={() => toggleColumn(column)} />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+        <div className="data-actions">
+          <label className="checkbox-label">
+            <input type="checkbox" checked={includeTrashed} onChange={() => setIncludeTrashed(!includeTrashed)} />
+            <span>Include jobs in the trash</span>
+          </label>
+          <a className={`btn btn-primary ${columns.length === 0 ? 'disabled' : ''}`} href={columns.length ? exportUrl : undefined}>
+            <Download size={16} />
+            Download CSV
+          </a>
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h3>Import</h3>
+        <div className="data-actions">
+          <label className="btn btn-outline">
+            <Upload size={16} />
+            {fileName || 'Choose CSV file'}
+            <input type="file" accept=".csv,text/csv" onChange={chooseFile} hidden />
+          </label>
+          {preview && (
+            <select className="search-input" value={onDuplicate} onChange={(e) => changeOnDuplicate(e.target.value)}>
+              <option value="skip">Skip duplicates</option>
+              <option value="update">Update duplicates</option>
+              <option value="create">Import duplicates as new jobs</option>
+            </select>
+          )}
+        </div>
+
+        {preview && mapping && (
+          <>
+            <div className="data-mapping">
+              {preview.headers.map(header => (
+                <label key={header} className="data-mapping-row">
+                  <span>{header}</span>
+                  <select
+                    className="search-input"
+                    value={mapping[header] || ''}
+                    onChange={(e) => changeMapping(header, e.target.value)}
+                  >
+                    <option value="">Ignore</option>
+                    {options.import_fields.map(field => (
+                      <option key={field} value={field}>{options.columns[field] || field}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <p className="trash-subtitle">
+              {preview.summary.create} new · {preview.summary.update} updated · {preview.summary.skip} skipped · {preview.summary.error} with errors
+            </p>
+
+            <div className="table-container">
+              <div className="table-wrapper">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Company & Role</th>
+                      <th>Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.map(row => (
+                      <tr key={row.row} className={`job-row data-row-${row.action}`}>
+                        <td className="date-cell">{row.row}</td>
+                        <td className="company-cell">
+                          <div className="company-info">
+                            <span className="company-name">{row.company || '—'}</span>
+                            <span className="job-role">{row.role || '—'}</span>
+                          </div>
+                        </td>
+                        <td>
+                          {ACTION_LABELS[row.action]}
+                          {row.errors && `: ${row.errors.join(', ')}`}
+                          {row.duplicate_of && ` of job #${row.duplicate_of}`}
+                          {row.duplicate_of_row && ` of row ${row.duplicate_of_row}`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="data-actions">
+              <button
+                className="btn btn-primary"
+                onClick={saveImport}
+                disabled={importing || preview.summary.create + preview.summary.update === 0}
+              >
+                {importing ? 'Importing...' : `Import ${preview.summary.create + preview.summary.update} jobs`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
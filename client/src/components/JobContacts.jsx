@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Mail, Linkedin, UserPlus, Link2, Unlink } from 'lucide-react';
+import { apiClient } from '../api';
+
+const RELATIONSHIP_LABELS = {
+  recruiter: 'Recruiter',
+  hiring_manager: 'Hiring manager',
+  referral: 'Referral',
+  employee: 'Employee',
+  founder: 'Founder',
+  other: 'Other'
+};
+
+const QUICK_INTERACTIONS = ['messaged', 'replied', 'met'];
+
+const EMPTY_FORM = { name: '', title: '', email: '', linkedin_url: '', relationship: 'recruiter' };
+
+// Contacts tab of the job modal: people at the job's company and the
+// scoring bonus they earn
+export default function JobContacts({ apiUrl, job, addNotification }) {
+  const api = apiClient(apiUrl);
+  const [contacts, setContacts] = useState(null);
+  const [bonus, setBonus] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const notify = useCallback((message, type) => {
+    if (addNotification) addNotification(message, type);
+  }, [addNotification]);
+
+  const fetchContacts = useCallback(async () => {
+    try {
+      const data = await api.getJobContacts(job.id);
+      setContacts(data.contacts || []);
+      setBonus(data.bonus);
+    } catch (e) {
+      console.error('Failed to fetch contacts:', e);
+      setContacts([]);
+    }
+  }, [api, job.id]);
+
+  useEffect(() => {
+    fetchContacts();
+  }, [fetchContacts]);
+
+  const addContact = async (e) => {
+    e.preventDefault();
+    try {
+      const data = await api.createContact({ ...form, job_id: job.id });
+      if (data.error) throw new Error(data.error);
+      notify(data.created ? `${data.contact.name} added` : `${data.contact.name} linked to this job`, 'success');
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      fetchContacts();
+    } catch (e) {
+      notify('Failed to add contact: ' + e.message, 'error');
+    }
+  };
+
+  const logInteraction = async (contact, type) => {
+    try {
+      const data = await api.logContactInteraction(contact.id, { type, job_id: job.id });
+      if (data.error) throw new Error(data.error);
+      notify(`Logged: ${type} ${contact.name}`, 'success');
+      fetchContacts();
+    } catch (e) {
+      notify('Failed to log interaction: ' + e.message, 'error');
+    }
+  };
+
+  const toggleLink = async (contact) => {
+    try {
+      const data = contact.linked
+        ? await api.unlinkContactFromJob(contact.id, job.id)
+        : await api.linkContactToJob(contact.id, { job_id: job.id });
+      if (data.error) throw new Error(data.error);
+      fetchContacts();
+    } catch (e) {
+      notify('Failed to update contact: ' + e.message, 'error');
+    }
+  };
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  if (contacts === null) {
+    return <div className="empty-msg">Loading contacts...</div>;
+  }
+
+  return (
+    <div className="contacts-pane">
+      <div className="contacts-header">
+        {bonus && bonus.points > 0 ? (
+          <span className="contact-bonus" title={bonus.reasons.join('\n')}>
+            +{bonus.points} scoring bonus
+          </span>
+        ) : (
+          <span className="no-link-msg">No contacts at {job.company} yet</span>
+        )}
+        <button className="btn btn-outline" onClick={() => setShowForm(!showForm)}>
+          <UserPlus size={16} />
+          Add Contact
+        </button>
+      </div>
+
+      {showForm && (
+        <form className="contact-form" onSubmit={addContact}>
+          <input className="search-input" placeholder="Name" value={form.name} onChange={updateField('name')} required />
+          <input className="search-input" placeholder="Title" value={form.title} onChange={updateField('title')} />
+          <input className="search-input" type="email" placeholder="Email" value={form.email} onChange={updateField('email')} />
+          <input className="search-input" placeholder="LinkedIn URL" value={form.linkedin_url} onChange={updateField('linkedin_url')} />
+          <select className="search-input" value={form.relationship} onChange={updateField('relationship')}>
+            {Object.entries(RELATIONSHIP_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-primary">Save</button>
+        </form>
+      )}
+
+      {contacts.length > 0 && (
+        <ul className="contact-list">
+          {contacts.map(contact => (
+            <li key={contact.id} className={`contact-item ${contact.linked ? 'linked' : ''}`}>
+              <div className="contact-info">
+                <span className="contact-name">{contact.name}</span>
+                <span className="contact-meta">
+                  {[contact.title, RELATIONSHIP_LABELS[contact.relationship]].filter(Boolean).join(' · ')}
+                  {contact.last_interaction_at && ` · last contact ${new Date(contact.last_interaction_at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`}
+                </span>
+              </div>
+              <div className="contact-actions">
+                {contact.email && (
+                  <a href={`mailto:${contact.email}`} className="action-btn" title={contact.email}>
+                    <Mail size={16} />
+                  </a>
+                )}
+                {contact.linkedin_url && (
+                  <a href={contact.linkedin_url} target="_blank" rel="noopener noreferrer" className="action-btn" title="LinkedIn">
+                    <Linkedin size={16} />
+                  </a>
+                )}
+                {QUICK_INTERACTIONS.map(type => (
+                  <button key={type} className="contact-log-btn" onClick={() => logInteraction(contact, type)}>
+                    {type}
+                  </button>
+                ))}
+                <button
+                  className="action-btn"
+                  onClick={() => toggleLink(contact)}
+                  title={contact.linked ? 'Unlink from this job' : 'Link to this job'}
+                >
+                  {contact.linked ? <Unlink size={16} /> : <Link2 size={16} />}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarPlus, ExternalLink } from 'lucide-react';
+import { apiClient } from '../api';
+
+const TYPE_LABELS = {
+  screen: 'Screen',
+  technical: 'Technical',
+  panel: 'Panel',
+  behavioral: 'Behavioral',
+  take_home: 'Take-home',
+  onsite: 'Onsite',
+  final: 'Final',
+  other: 'Other'
+};
+
+const OUTCOMES = ['passed', 'failed', 'cancelled'];
+
+const EMPTY_FORM = { type: 'screen', scheduled_at: '', duration_minutes: '', location: '', interviewers: '', prep_notes: '' };
+
+function formatWhen(iso) {
+  if (!iso) return 'Not scheduled';
+  return new Date(iso).toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+// Interviews tab of the job modal: rounds with schedule, prep and outcome
+export default function JobInterviews({ apiUrl, job, addNotification }) {
+  const api = apiClient(apiUrl);
+  const [interviews, setInterviews] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const notify = useCallback((message, type) => {
+    if (addNotification) addNotification(message, type);
+  }, [addNotification]);
+
+  const fetchInterviews = useCallback(async () => {
+    try {
+      const data = await api.listJobInterviews(job.id);
+      setInterviews(data.interviews || []);
+    } catch (e) {
+      console.error('Failed to fetch interviews:', e);
+      setInterviews([]);
+    }
+  }, [api, job.id]);
+
+  useEffect(() => {
+    fetchInterviews();
+  }, [fetchInterviews]);
+
+  const scheduleInterview = async (e) => {
+    e.preventDefault();
+    try {
+      const data = await api.scheduleInterview(job.id, {
+        type: form.type,
+        scheduled_at: form.scheduled_at ? new Date(form.scheduled_at).toISOString() : null,
+        duration_minutes: form.duration_minutes ? Number(form.duration_minutes) : null,
+        location: form.location,
+        interviewers: form.interviewers.split(',').map(name => name.trim()).filter(Boolean),
+        prep_notes: form.prep_notes
+      });
+      if (data.error) throw new Error(data.error);
+      notify(`Round ${data.interview.round} scheduled`, 'success');
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      fetchInterviews();
+    } catch (e) {
+      notify('Failed to schedule interview: ' + e.message, 'error');
+    }
+  };
+
+  const recordOutcome = async (interview, outcome) => {
+    const feedback = window.prompt(`How did round ${interview.round} go? (optional)`, interview.feedback || '');
+    if (feedback === null) return;
+
+    try {
+      const data = await api.recordInterviewOutcome(interview.id, { outcome, feedback: feedback || null });
+      if (data.error) throw new Error(data.error);
+      fetchInterviews();
+    } catch (e) {
+      notify('Failed to record outcome: ' + e.message, 'error');
+    }
+  };
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  if (interviews === null) {
+    return <div className="empty-msg">Loading interviews...</div>;
+  }
+
+  return (
+    <div className="interviews-pane">
+      <div className="contacts-header">
+        <span className="no-link-msg">
+          {interviews.length === 0 ? 'No interviews yet' : `${interviews.length} ${interviews.length === 1 ? 'round' : 'rounds'}`}
+        </span>
+        <button className="btn btn-outline" onClick={() => setShowForm(!showForm)}>
+          <CalendarPlus size={16} />
+          Schedule Round
+        </button>
+      </div>
+
+      {showForm && (
+        <form className="contact-form" onSubmit={scheduleInterview}>
+          <select className="search-input" value={form.type} onChange={updateField('type')}>
+            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input className="search-input" type="datetime-local" value={form.scheduled_at} onChange={updateField('scheduled_at')} />
+          <input className="search-input" type="number" min="5" placeholder="Minutes" value={form.duration_minutes} onChange={updateField('duration_minutes')} />
+          <input className="search-input" placeholder="Meeting link or address" value={form.location} onChange={updateField('location')} />
+          <input className="search-input" placeholder="Interviewers (comma-separated)" value={form.interviewers} onChange={updateField('interviewers')} />
+          <textarea className="search-input" placeholder="Prep notes" value={form.prep_notes} onChange={updateField('prep_notes')} />
+          <button type="submit" className="btn btn-primary">Save</button>
+        </form>
+      )}
+
+      {interviews.length > 0 && (
+        <ul className="interview-list">
+          {interviews.map(interview => (
+            <li key={interview.id} className={`interview-item outcome-${interview.outcome}`}>
+              <div className="interview-heading">
+                <span className="contact-name">
+                  Round {interview.round} · {TYPE_LABELS[interview.type] || interview.type}
+                </span>
+                <span className={`interview-outcome outcome-${interview.outcome}`}>{interview.outcome}</span>
+              </div>
+              <div className="contact-meta">
+                {formatWhen(interview.scheduled_at)}
+                {interview.duration_minutes && ` · ${interview.duration_minutes} min`}
+                {interview.interviewers.length > 0 && ` · with ${interview.interviewers.map(i => i.name).join(', ')}`}
+              </div>
+              {interview.location && (
+                /^https?:\/\//.test(interview.location) ? (
+                  <a href={interview.location} target="_blank" rel="noopener noreferrer" className="interview-location">
+                    <ExternalLink size={12} /> Join
+                  </a>
+                ) : (
+                  <div className="contact-meta">{interview.location}</div>
+                )
+              )}
+              {interview.prep_notes && <p className="interview-notes">{interview.prep_notes}</p>}
+              {interview.feedback && <p className="interview-notes interview-feedback">{interview.feedback}</p>}
+              {interview.outcome === 'pending' && (
+                <div className="contact-actions">
+                  {OUTCOMES.map(outcome => (
+                    <button key={outcome} className="contact-log-btn" onClick={() => recordOutcome(interview, outcome)}>
+                      {outcome}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { X, ExternalLink, Download, Mail, CheckCircle, FileText } from 'lucide-react';
+import JobContacts from './JobContacts';
+import JobInterviews from './JobInterviews';
+import { apiClient, withToken } from '../api';
 
 // Extract a specific section from research notes
 function extractResearchSection(notesText, sectionHeader) {
@@ -276,21 +279,127 @@ function processEmails(text, key) {
   return parts;
 }
 
+// Human-readable labels for job fields in the timeline
+const FIELD_LABELS = {
+  status: 'Status',
+  priority: 'Priority',
+  company: 'Company',
+  role: 'Role',
+  type: 'Work type',
+  hours_week: 'Hours/week',
+  compensation: 'Compensation',
+  location: 'Location',
+  source: 'Source',
+  materials: 'Materials',
+  apply_url: 'Apply URL',
+  applied_date: 'Applied date',
+  follow_up_date: 'Follow-up date'
+};
+
+// "Feb 3, 9:00 AM" in the user's locale
+function formatShortDateTime(iso) {
+  return new Date(iso).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+// Describe a timeline entry in one line
+function describeActivity(entry) {
+  const details = entry.details || {};
+  switch (entry.type) {
+    case 'job.created':
+      return details.imported ? 'Job imported from CSV' : 'Job added';
+    case 'job.deleted':
+      return 'Job deleted';
+    case 'job.trashed':
+      return 'Moved to trash';
+    case 'job.restored':
+      return 'Restored from trash';
+    case 'job.purged':
+      return 'Permanently deleted';
+    case 'company.rejected':
+      if (details.already_rejected) return 'Company already rejected';
+      return details.reason ? `Company rejected: ${details.reason}` : 'Company rejected';
+    case 'field.changed': {
+      const label = FIELD_LABELS[entry.field] || entry.field;
+      if (!entry.old_value) return `${label} set to "${entry.new_value}"`;
+      if (!entry.new_value) return `${label} cleared (was "${entry.old_value}")`;
+      return `${label}: ${entry.old_value} → ${entry.new_value}`;
+    }
+    case 'research.saved':
+      return 'Research notes saved';
+    case 'materials.saved':
+      return details.type === 'email' ? 'Outreach email saved' : 'Cover letter saved';
+    case 'task.created':
+      return `${details.task_type === 'research' ? 'Research' : 'Materials'} task queued`;
+    case 'task.claimed':
+      return 'Task claimed';
+    case 'task.released':
+      return 'Task released';
+    case 'task.completed':
+      return 'Task completed';
+    case 'task.dismissed':
+      return 'Task dismissed';
+    case 'contact.added':
+      return `Contact added: ${details.name}`;
+    case 'contact.interaction': {
+      const summary = {
+        messaged: `Messaged ${details.name}`,
+        replied: `${details.name} replied`,
+        met: `Met ${details.name}`,
+        called: `Called ${details.name}`
+      }[details.interaction] || `Note on ${details.name}`;
+      return details.notes ? `${summary}: ${details.notes}` : summary;
+    }
+    case 'interview.scheduled':
+      return details.scheduled_at
+        ? `Round ${details.round} (${details.type}) scheduled for ${formatShortDateTime(details.scheduled_at)}`
+        : `Round ${details.round} (${details.type}) added`;
+    case 'interview.rescheduled':
+      return details.to
+        ? `Round ${details.round} moved to ${formatShortDateTime(details.to)}`
+        : `Round ${details.round} unscheduled`;
+    case 'interview.outcome':
+      return `Round ${details.round} (${details.type}): ${details.outcome}`;
+    case 'followup.due':
+      return details.suggested
+        ? `Follow-up suggested for ${details.due_date} (no follow-up date set)`
+        : `Follow-up due ${details.due_date}`;
+    default:
+      return entry.type;
+  }
+}
+
 export default function JobModal({ modalData, onClose, onMarkApplied, apiUrl, addNotification }) {
-  const { job, coverLetter, coverLetterPdf, email, notes } = modalData;
+  const { job, coverLetter, coverLetterPdf, email, notes, materialsDir } = modalData;
+  const api = apiClient(apiUrl);
   const [activeTab, setActiveTab] = useState('details');
   const [researchLoading, setResearchLoading] = useState(false);
   const [materialsLoading, setMaterialsLoading] = useState(false);
+  const [timeline, setTimeline] = useState(null);
+
+  // Load the activity timeline when its tab is opened
+  useEffect(() => {
+    if (activeTab !== 'timeline' || !job?.id) return;
+    
+    api.getJobTimeline(job.id)
+      .then(data => setTimeline(data.entries || []))
+      .catch(e => {
+        console.error('Failed to fetch timeline:', e);
+        setTimeline([]);
+      });
+  }, [activeTab, api, job?.id]);
 
   if (!job) return null;
 
   const handleRequestResearch = async () => {
     setResearchLoading(true);
     try {
-      const res = await fetch(`${apiUrl}/jobs/${job.id}/request-research`, {
-        method: 'POST'
-      });
-      if (res.ok) {
+      const data = await api.requestResearch(job.id);
+      if (!data.error) {
         if (addNotification) {
           addNotification(`Research task queued for ${job.company}`, 'success');
         }
@@ -311,10 +420,8 @@ export default function JobModal({ modalData, onClose, onMarkApplied, apiUrl, ad
   const handleRequestMaterials = async () => {
     setMaterialsLoading(true);
     try {
-      const res = await fetch(`${apiUrl}/jobs/${job.id}/request-materials`, {
-        method: 'POST'
-      });
-      if (res.ok) {
+      const data = await api.requestMaterials(job.id);
+      if (!data.error) {
         if (addNotification) {
           addNotification(`Materials generation queued for ${job.company}`, 'success');
         }
@@ -370,6 +477,24 @@ export default function JobModal({ modalData, onClose, onMarkApplied, apiUrl, ad
           >
             Notes
           </button>
+          <button 
+            className={`tab-btn ${activeTab === 'interviews' ? 'active' : ''}`}
+            onClick={() => setActiveTab('interviews')}
+          >
+            Interviews
+          </button>
+          <button 
+            className={`tab-btn ${activeTab === 'contacts' ? 'active' : ''}`}
+            onClick={() => setActiveTab('contacts')}
+          >
+            Contacts
+          </button>
+          <button 
+            className={`tab-btn ${activeTab === 'timeline' ? 'active' : ''}`}
+            onClick={() => setActiveTab('timeline')}
+          >
+            Timeline
+          </button>
         </div>
 
         <div className="modal-content">
@@ -442,7 +567,7 @@ export default function JobModal({ modalData, onClose, onMarkApplied, apiUrl, ad
                 <>
                   {coverLetterPdf && (
                     <a 
-                      href={`${apiUrl.replace('/api', '')}/applications/${job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-')}/cover-letter.pdf`}
+                      href={withToken(`${apiUrl.replace('/api', '')}/${materialsDir}/cover-letter.pdf`)}
                       target="_blank"
                       className="file-card"
                       download
@@ -550,6 +675,40 @@ export default function JobModal({ modalData, onClose, onMarkApplied, apiUrl, ad
               )}
             </div>
           )}
+
+          {activeTab === 'interviews' && (
+            <div className="tab-pane">
+              <JobInterviews apiUrl={apiUrl} job={job} addNotification={addNotification} />
+            </div>
+          )}
+
+          {activeTab === 'contacts' && (
+            <div className="tab-pane">
+              <JobContacts apiUrl={apiUrl} job={job} addNotification={addNotification} />
+            </div>
+          )}
+
+          {activeTab === 'timeline' && (
+            <div className="tab-pane">
+              {timeline === null ? (
+                <div className="empty-msg">Loading timeline...</div>
+              ) : timeline.length === 0 ? (
+                <div className="empty-msg">No activity recorded yet</div>
+              ) : (
+                <ul className="timeline-list">
+                  {timeline.map(entry => (
+                    <li key={entry.id} className={`timeline-item type-${entry.type.replace('.', '-')}`}>
+                      <div className="timeline-summary">{describeActivity(entry)}</div>
+                      <div className="timeline-meta">
+                        <span>{formatShortDateTime(entry.created_at)}</span>
+                        <span className="timeline-actor">{entry.actor}</span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
         </div>
 
         <div className="modal-footer">
@@ -1,10 +1,23 @@
-import React from 'react';
-import { ExternalLink, Trash2, FileText, Filter, ArrowUpDown, Sparkles } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { ExternalLink, Trash2, Ban, FileText, Filter, ArrowUpDown, Sparkles } from 'lucide-react';
+
+// Only rows near the viewport are rendered. Rows are measured as they
+// render; this is the height assumed before that.
+const ESTIMATED_ROW_HEIGHT = 72;
+const OVERSCAN_ROWS = 10;
+
+// Load the next page when this many loaded rows are left below the viewport
+const LOAD_AHEAD_ROWS = 20;
 
 export default function JobTable({ 
   jobs, 
+  total,
+  hasMore,
+  loadingMore,
+  onLoadMore,
   updateStatus, 
   deleteJob, 
+  rejectCompany, 
   openApplyModal, 
   filter, 
   setFilter, 
@@ -15,6 +28,58 @@ export default function JobTable({
 }) {
   const statuses = ['Not Started', 'Applied', 'Done', 'Interviewing', 'Offer', 'Rejected'];
   const priorities = ['High', 'Medium', 'Lower'];
+  const bodyRef = useRef(null);
+  const [range, setRange] = useState({ start: 0, end: 2 * OVERSCAN_ROWS + 20, rowHeight: ESTIMATED_ROW_HEIGHT });
+
+  // Work out which rows are in view of the page's scroll container, and
+  // ask for more jobs when the loaded ones are about to run out
+  const updateRange = useCallback(() => {
+    const body = bodyRef.current;
+    const scroller = body?.closest('.content-scrollable');
+    if (!body || !scroller) return;
+
+    const rows = body.querySelectorAll('tr.job-row');
+    const measured = Array.from(rows).reduce((sum, row) => sum + row.offsetHeight, 0);
+    const rowHeight = rows.length ? measured / rows.length : ESTIMATED_ROW_HEIGHT;
+    const scrolledPast = scroller.getBoundingClientRect().top - body.getBoundingClientRect().top;
+    const start = Math.max(0, Math.floor(scrolledPast / rowHeight) - OVERSCAN_ROWS);
+    const end = Math.min(jobs.length, Math.ceil((scrolledPast + scroller.clientHeight) / rowHeight) + OVERSCAN_ROWS);
+
+    setRange(prev => (prev.start === start && prev.end === end && Math.abs(prev.rowHeight - rowHeight) < 1)
+      ? prev
+      : { start, end, rowHeight });
+
+    if (hasMore && !loadingMore && end >= jobs.length - LOAD_AHEAD_ROWS) {
+      onLoadMore();
+    }
+  }, [jobs.length, hasMore, loadingMore, onLoadMore]);
+
+  useEffect(() => {
+    const scroller = bodyRef.current?.closest('.content-scrollable');
+    const frame = requestAnimationFrame(updateRange);
+    scroller?.addEventListener('scroll', updateRange, { passive: true });
+    window.addEventListener('resize', updateRange);
+    return () => {
+      cancelAnimationFrame(frame);
+      scroller?.removeEventListener('scroll', updateRange);
+      window.removeEventListener('resize', updateRange);
+    };
+  }, [updateRange]);
+
+  const start = Math.min(range.start, jobs.length);
+  const end = Math.min(Math.max(range.end, start), jobs.length);
+
+  // Search snippet with its <mark> highlights as elements; hidden when it
+  // only repeats the company or role
+  const renderSnippet = (job) => {
+    const plain = job._snippet?.replace(/<\/?mark>/g, '');
+    if (!plain || plain === job.company || plain === job.role) return null;
+    return (
+      <span className="job-snippet">
+        {job._snippet.split(/<\/?mark>/).map((part, i) => i % 2 ? <mark key={i}>{part}</mark> : part)}
+      </span>
+    );
+  };
 
   // Helper to get clean priority text
   const getPriorityDisplay = (priority) => {
@@ -83,8 +148,9 @@ export default function JobTable({
               <th>Actions</th>
             </tr>
           </thead>
-          <tbody>
-            {jobs.map(job => (
+          <tbody ref={bodyRef}>
+            {start > 0 && <tr className="virtual-spacer" style={{ height: start * range.rowHeight }} />}
+            {jobs.slice(start, end).map(job => (
               <tr key={job.id} className={`job-row ${isNewJob(job) ? 'is-new' : ''}`}>
                 <td className="status-cell">
                   <select 
@@ -102,6 +168,7 @@ export default function JobTable({
                       {isNewJob(job) && <span className="new-tag">New</span>}
                     </span>
                     <span className="job-role">{job.role}</span>
+                    {renderSnippet(job)}
                   </div>
                 </td>
                 <td className="details-cell">
@@ -131,15 +198,25 @@ export default function JobTable({
                       <ExternalLink size={16} />
                     </a>
                   )}
-                  <button onClick={() => deleteJob(job.id)} className="action-btn delete" title="Delete">
+                  <button onClick={() => rejectCompany(job)} className="action-btn delete" title="Reject Company">
+                    <Ban size={16} />
+                  </button>
+                  <button onClick={() => deleteJob(job.id)} className="action-btn delete" title="Move to Trash">
                     <Trash2 size={16} />
                   </button>
                 </td>
               </tr>
             ))}
+            {end < jobs.length && <tr className="virtual-spacer" style={{ height: (jobs.length - end) * range.rowHeight }} />}
           </tbody>
         </table>
         
+        {jobs.length > 0 && (
+          <div className="table-footer">
+            {loadingMore ? 'Loading more jobs...' : `Showing ${jobs.length} of ${total} jobs`}
+          </div>
+        )}
+        
         {jobs.length === 0 && (
           <div className="empty-state">
             <p>No jobs found matching your filters.</p>
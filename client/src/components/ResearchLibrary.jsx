@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { BookOpen, ExternalLink, Building2 } from 'lucide-react';
+import { apiClient } from '../api';
 
 // Extract brief snippet from research notes
 function extractSnippet(notes) {
@@ -58,8 +59,7 @@ export default function ResearchLibrary({ apiUrl, onSelectJob }) {
 
   const fetchResearch = async () => {
     try {
-      const res = await fetch(`${apiUrl}/research`);
-      const data = await res.json();
+      const data = await apiClient(apiUrl).listResearch();
       setResearch(data);
     } catch (e) {
       console.error('Failed to fetch research:', e);
@@ -132,7 +132,7 @@ export default function ResearchLibrary({ apiUrl, onSelectJob }) {
 
           return (
             <div 
-              key={item.id} 
+              key={item.companyId} 
               className="research-card"
               onClick={() => onSelectJob(item.id)}
               style={{ cursor: 'pointer' }}
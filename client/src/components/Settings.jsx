@@ -1,24 +1,49 @@
 import React, { useState, useEffect } from 'react';
 import { Save, X } from 'lucide-react';
+import { apiClient, getApiToken, setApiToken } from '../api';
+
+// The form edits part of the settings GET /api/settings returns (the
+// server's defaults when there is no config/search.json); the rest is
+// saved back as it was loaded
+
+// Empty number inputs leave the bound unset
+const toNumber = (value) => (value === '' ? undefined : Number(value));
+
+// The token this browser sends, for servers that ask for one. Every
+// client and the live updates pick a new one up on reload.
+function ApiTokenSection() {
+  const [token, setToken] = useState(getApiToken);
+
+  const saveToken = () => {
+    setApiToken(token.trim());
+    window.location.reload();
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>API Token</h3>
+      <p className="settings-help">Needed when the API server asks for tokens (e.g. on the LAN). Kept in this browser only.</p>
+      <div className="settings-token">
+        <input
+          className="search-input"
+          type="password"
+          autoComplete="off"
+          placeholder="Token from npm run tokens -- create"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+        />
+        <button className="btn btn-outline" onClick={saveToken} disabled={token.trim() === getApiToken()}>
+          {token.trim() ? 'Use Token' : 'Remove Token'}
+        </button>
+      </div>
+    </div>
+  );
+}
 
 export default function Settings({ apiUrl, onClose, addNotification }) {
-  const [settings, setSettings] = useState({
-    workTypes: ['Fractional', 'Contract', 'Part-time'],
-    hoursPerWeek: { min: 10, max: 30 },
-    rates: {
-      hourly: { min: 110, max: 170 },
-      fractionalMonthly: { min: 5000, max: 8000 },
-      fullTimeSalary: { min: 140000, max: 180000 }
-    },
-    industries: ['EdTech', 'SaaS', 'AI', 'B2B'],
-    companyStages: ['Pre-seed', 'Seed', 'Series A'],
-    mustBeRemote: true,
-    autoRejectFullTime: true,
-    noAgencies: true,
-    searchFrequency: '8,16', // cron hours
-    autoResearch: false,
-    notifyOnNewJobs: true
-  });
+  const api = apiClient(apiUrl);
+  const [settings, setSettings] = useState(null);
+  const [loadError, setLoadError] = useState(null);
 
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -29,15 +54,12 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
 
   const loadSettings = async () => {
     try {
-      const res = await fetch(`${apiUrl}/settings`);
-      if (res.ok) {
-        const data = await res.json();
-        if (data.settings) {
-          setSettings(data.settings);
-        }
-      }
+      const data = await api.getSettings();
+      if (data.error) throw new Error(data.error);
+      setSettings(data.settings);
     } catch (e) {
       console.error('Failed to load settings:', e);
+      setLoadError(e.message);
     } finally {
       setLoading(false);
     }
@@ -46,20 +68,16 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
   const handleSave = async () => {
     setSaving(true);
     try {
-      const res = await fetch(`${apiUrl}/settings`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(settings)
-      });
-      
-      if (res.ok) {
+      const data = await api.saveSettings(settings);
+
+      if (!data.error) {
         if (addNotification) {
           addNotification('Settings saved successfully', 'success');
         }
         if (onClose) onClose();
       } else {
         if (addNotification) {
-          addNotification('Failed to save settings', 'error');
+          addNotification(`Failed to save settings: ${data.error}`, 'error');
         }
       }
     } catch (e) {
@@ -74,27 +92,32 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
   const toggleWorkType = (type) => {
     setSettings(prev => ({
       ...prev,
-      workTypes: prev.workTypes.includes(type)
+      workTypes: (prev.workTypes || []).includes(type)
         ? prev.workTypes.filter(t => t !== type)
-        : [...prev.workTypes, type]
+        : [...(prev.workTypes || []), type]
     }));
   };
 
-  const toggleIndustry = (industry) => {
-    setSettings(prev => ({
-      ...prev,
-      industries: prev.industries.includes(industry)
-        ? prev.industries.filter(i => i !== industry)
-        : [...prev.industries, industry]
-    }));
+  // key is industries or companyStage
+  const togglePreferred = (key, value) => {
+    setSettings(prev => {
+      const preferred = prev[key]?.preferred || [];
+      return {
+        ...prev,
+        [key]: {
+          ...prev[key],
+          preferred: preferred.includes(value)
+            ? preferred.filter(v => v !== value)
+            : [...preferred, value]
+        }
+      };
+    });
   };
 
-  const toggleCompanyStage = (stage) => {
+  const setPay = (kind, bound, value) => {
     setSettings(prev => ({
       ...prev,
-      companyStages: prev.companyStages.includes(stage)
-        ? prev.companyStages.filter(s => s !== stage)
-        : [...prev.companyStages, stage]
+      compensation: { ...prev.compensation, [kind]: { ...prev.compensation?.[kind], [bound]: toNumber(value) } }
     }));
   };
 
@@ -108,6 +131,25 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
     );
   }
 
+  if (!settings) {
+    return (
+      <div className="settings-overlay" onClick={onClose}>
+        <div className="settings-container" onClick={e => e.stopPropagation()}>
+          <div className="settings-header">
+            <h2>Job Search Settings</h2>
+            <button className="close-btn" onClick={onClose}>
+              <X size={20} />
+            </button>
+          </div>
+          <div className="settings-content">
+            <p className="settings-help">Could not load settings: {loadError}</p>
+            <ApiTokenSection />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="settings-overlay" onClick={onClose}>
       <div className="settings-container" onClick={e => e.stopPropagation()}>
@@ -129,7 +171,7 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
                 <label key={type} className="checkbox-label">
                   <input
                     type="checkbox"
-                    checked={settings.workTypes.includes(type)}
+                    checked={(settings.workTypes || []).includes(type)}
                     onChange={() => toggleWorkType(type)}
                   />
                   <span>{type}</span>
@@ -146,10 +188,10 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
                 <label>Min</label>
                 <input
                   type="number"
-                  value={settings.hoursPerWeek.min}
+                  value={settings.hoursPerWeek?.min ?? ''}
                   onChange={(e) => setSettings(prev => ({
                     ...prev,
-                    hoursPerWeek: { ...prev.hoursPerWeek, min: parseInt(e.target.value) }
+                    hoursPerWeek: { ...prev.hoursPerWeek, min: toNumber(e.target.value) }
                   }))}
                   min="0"
                   max="40"
@@ -160,10 +202,10 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
                 <label>Max</label>
                 <input
                   type="number"
-                  value={settings.hoursPerWeek.max}
+                  value={settings.hoursPerWeek?.max ?? ''}
                   onChange={(e) => setSettings(prev => ({
                     ...prev,
-                    hoursPerWeek: { ...prev.hoursPerWeek, max: parseInt(e.target.value) }
+                    hoursPerWeek: { ...prev.hoursPerWeek, max: toNumber(e.target.value) }
                   }))}
                   min="0"
                   max="40"
@@ -181,21 +223,15 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
               <div className="range-inputs">
                 <input
                   type="number"
-                  value={settings.rates.hourly.min}
-                  onChange={(e) => setSettings(prev => ({
-                    ...prev,
-                    rates: { ...prev.rates, hourly: { ...prev.rates.hourly, min: parseInt(e.target.value) } }
-                  }))}
+                  value={settings.compensation?.hourly?.min ?? ''}
+                  onChange={(e) => setPay('hourly', 'min', e.target.value)}
                   placeholder="Min"
                 />
                 <span>—</span>
                 <input
                   type="number"
-                  value={settings.rates.hourly.max}
-                  onChange={(e) => setSettings(prev => ({
-                    ...prev,
-                    rates: { ...prev.rates, hourly: { ...prev.rates.hourly, max: parseInt(e.target.value) } }
-                  }))}
+                  value={settings.compensation?.hourly?.max ?? ''}
+                  onChange={(e) => setPay('hourly', 'max', e.target.value)}
                   placeholder="Max"
                 />
                 <span>/hr</span>
@@ -207,21 +243,15 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
               <div className="range-inputs">
                 <input
                   type="number"
-                  value={settings.rates.fractionalMonthly.min}
-                  onChange={(e) => setSettings(prev => ({
-                    ...prev,
-                    rates: { ...prev.rates, fractionalMonthly: { ...prev.rates.fractionalMonthly, min: parseInt(e.target.value) } }
-                  }))}
+                  value={settings.compensation?.fractionalMonthly?.min ?? ''}
+                  onChange={(e) => setPay('fractionalMonthly', 'min', e.target.value)}
                   placeholder="Min"
                 />
                 <span>—</span>
                 <input
                   type="number"
-                  value={settings.rates.fractionalMonthly.max}
-                  onChange={(e) => setSettings(prev => ({
-                    ...prev,
-                    rates: { ...prev.rates, fractionalMonthly: { ...prev.rates.fractionalMonthly, max: parseInt(e.target.value) } }
-                  }))}
+                  value={settings.compensation?.fractionalMonthly?.max ?? ''}
+                  onChange={(e) => setPay('fractionalMonthly', 'max', e.target.value)}
                   placeholder="Max"
                 />
                 <span>/mo</span>
@@ -237,8 +267,8 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
                 <label key={industry} className="checkbox-label">
                   <input
                     type="checkbox"
-                    checked={settings.industries.includes(industry)}
-                    onChange={() => toggleIndustry(industry)}
+                    checked={(settings.industries?.preferred || []).includes(industry)}
+                    onChange={() => togglePreferred('industries', industry)}
                   />
                   <span>{industry}</span>
                 </label>
@@ -254,8 +284,8 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
                 <label key={stage} className="checkbox-label">
                   <input
                     type="checkbox"
-                    checked={settings.companyStages.includes(stage)}
-                    onChange={() => toggleCompanyStage(stage)}
+                    checked={(settings.companyStage?.preferred || []).includes(stage)}
+                    onChange={() => togglePreferred('companyStage', stage)}
                   />
                   <span>{stage}</span>
                 </label>
@@ -270,8 +300,8 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
               <label className="toggle-label">
                 <input
                   type="checkbox"
-                  checked={settings.mustBeRemote}
-                  onChange={(e) => setSettings(prev => ({ ...prev, mustBeRemote: e.target.checked }))}
+                  checked={Boolean(settings.remote?.required)}
+                  onChange={(e) => setSettings(prev => ({ ...prev, remote: { ...prev.remote, required: e.target.checked } }))}
                 />
                 <span>Must be Remote</span>
               </label>
@@ -279,7 +309,7 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
               <label className="toggle-label">
                 <input
                   type="checkbox"
-                  checked={settings.autoRejectFullTime}
+                  checked={Boolean(settings.autoRejectFullTime)}
                   onChange={(e) => setSettings(prev => ({ ...prev, autoRejectFullTime: e.target.checked }))}
                 />
                 <span>Auto-reject Full-time roles</span>
@@ -288,7 +318,7 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
               <label className="toggle-label">
                 <input
                   type="checkbox"
-                  checked={settings.noAgencies}
+                  checked={Boolean(settings.noAgencies)}
                   onChange={(e) => setSettings(prev => ({ ...prev, noAgencies: e.target.checked }))}
                 />
                 <span>No agencies/consultancies</span>
@@ -303,8 +333,8 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
             <label className="toggle-label">
               <input
                 type="checkbox"
-                checked={settings.autoResearch}
-                onChange={(e) => setSettings(prev => ({ ...prev, autoResearch: e.target.checked }))}
+                checked={Boolean(settings.autoResearch?.enabled)}
+                onChange={(e) => setSettings(prev => ({ ...prev, autoResearch: { ...prev.autoResearch, enabled: e.target.checked } }))}
               />
               <span>Auto-research new jobs</span>
               <p className="settings-help">Automatically research companies when new jobs are added</p>
@@ -313,13 +343,15 @@ export default function Settings({ apiUrl, onClose, addNotification }) {
             <label className="toggle-label">
               <input
                 type="checkbox"
-                checked={settings.notifyOnNewJobs}
+                checked={Boolean(settings.notifyOnNewJobs)}
                 onChange={(e) => setSettings(prev => ({ ...prev, notifyOnNewJobs: e.target.checked }))}
               />
               <span>Notify on new jobs</span>
             </label>
           </div>
 
+          <ApiTokenSection />
+
         </div>
 
         <div className="settings-footer">
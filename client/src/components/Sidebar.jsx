@@ -1,5 +1,5 @@
 import React from 'react';
-import { LayoutDashboard, Briefcase, Clock, Archive, Search, Zap, BookOpen, Settings, DollarSign } from 'lucide-react';
+import { LayoutDashboard, Briefcase, Clock, Archive, Search, Zap, BookOpen, Settings, DollarSign, Trash2, FileSpreadsheet, BarChart3 } from 'lucide-react';
 
 export default function Sidebar({ activeView, onViewChange, onSearchJobs, searching, onOpenSettings }) {
   const navItems = [
@@ -7,8 +7,11 @@ export default function Sidebar({ activeView, onViewChange, onSearchJobs, search
     { id: 'active', label: 'Active Applications', icon: Briefcase },
     { id: 'interviews', label: 'Interviews', icon: Clock },
     { id: 'research', label: 'Research Library', icon: BookOpen },
+    { id: 'analytics', label: 'Analytics', icon: BarChart3 },
     { id: 'tokens', label: 'Token Usage', icon: DollarSign },
     { id: 'archive', label: 'Archive', icon: Archive },
+    { id: 'trash', label: 'Trash', icon: Trash2 },
+    { id: 'data', label: 'Import / Export', icon: FileSpreadsheet },
   ];
 
   return (
@@ -1,38 +1,22 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Clock, CheckCircle, XCircle, FileText, Search, X } from 'lucide-react';
+import { useLiveUpdates } from '../hooks/useLiveUpdates';
+import { apiClient } from '../api';
 
 export default function TaskQueue({ apiUrl }) {
   const [tasks, setTasks] = useState([]);
   const [expanded, setExpanded] = useState(true); // Start expanded by default
 
-  useEffect(() => {
-    // Poll for tasks every 3 seconds
-    const checkTasks = async () => {
-      try {
-        const res = await fetch(`${apiUrl}/tasks/status`);
-        if (res.ok) {
-          const data = await res.json();
-          console.log('TaskQueue: Fetched tasks', data);
-          setTasks(data.tasks);
-        }
-      } catch (e) {
-        console.error('TaskQueue: Error fetching tasks', e);
-      }
-    };
-
-    checkTasks();
-    const interval = setInterval(checkTasks, 3000);
-
-    return () => clearInterval(interval);
-  }, [apiUrl]);
+  // The server sends the queue on connect and whenever a task file changes
+  useLiveUpdates(apiUrl, {
+    tasks: (data) => setTasks(data.tasks)
+  });
 
   const dismissTask = async (filename, e) => {
     e.stopPropagation(); // Prevent expanding/collapsing
     try {
-      const res = await fetch(`${apiUrl}/tasks/${filename}`, {
-        method: 'DELETE'
-      });
-      if (res.ok) {
+      const data = await apiClient(apiUrl).completeTask(filename);
+      if (!data.error) {
         // Remove from local state immediately
         setTasks(prev => prev.filter(t => t.filename !== filename));
       }
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { DollarSign, TrendingUp, Activity, Calendar } from 'lucide-react';
+import { apiClient } from '../api';
 
 export default function TokenDashboard({ apiUrl }) {
   const [usage, setUsage] = useState(null);
@@ -25,13 +26,10 @@ export default function TokenDashboard({ apiUrl }) {
         startDate.setDate(startDate.getDate() - 30);
       }
       
-      const params = new URLSearchParams({
+      const data = await apiClient(apiUrl).getTokenUsage({
         startDate: startDate.toISOString(),
         endDate
       });
-      
-      const res = await fetch(`${apiUrl}/tokens?${params}`);
-      const data = await res.json();
       setUsage(data);
     } catch (error) {
       console.error('Failed to fetch token usage:', error);
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Trash2, RotateCcw } from 'lucide-react';
+import { apiClient } from '../api';
+
+// Days until a trashed job is permanently deleted
+function daysLeft(purgeAt) {
+  const ms = new Date(purgeAt) - new Date();
+  return Math.max(0, Math.ceil(ms / (1000 * 60 * 60 * 24)));
+}
+
+export default function Trash({ apiUrl, addNotification, onChange }) {
+  const api = apiClient(apiUrl);
+  const [jobs, setJobs] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const data = await api.listTrash();
+      setJobs(data.jobs);
+      setRetentionDays(data.retention_days);
+    } catch (e) {
+      console.error('Failed to fetch trash:', e);
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const restoreJob = async (job) => {
+    try {
+      const data = await api.restoreJob(job.id);
+      if (data.error) throw new Error(data.error);
+      addNotification(`${job.company} restored`, 'success');
+      fetchTrash();
+      onChange?.();
+    } catch (e) {
+      addNotification('Failed to restore job: ' + e.message, 'error');
+    }
+  };
+
+  const purgeJob = async (job) => {
+    if (!window.confirm(`Permanently delete ${job.company}? This cannot be undone.`)) return;
+
+    try {
+      const data = await api.purgeTrashedJob(job.id);
+      if (data.error) throw new Error(data.error);
+      addNotification(`${job.company} permanently deleted`, 'success');
+      fetchTrash();
+    } catch (e) {
+      addNotification('Failed to delete job: ' + e.message, 'error');
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!window.confirm(`Permanently delete all ${jobs.length} jobs in the trash? This cannot be undone.`)) return;
+
+    try {
+      await api.emptyTrash();
+      addNotification('Trash emptied', 'success');
+      fetchTrash();
+    } catch (e) {
+      console.error('Failed to empty trash:', e);
+      addNotification('Failed to empty trash', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="trash-view" style={{ textAlign: 'center', padding: '60px 20px' }}>
+        <p>Loading trash...</p>
+      </div>
+    );
+  }
+
+  if (jobs.length === 0) {
+    return (
+      <div className="trash-view empty-state" style={{ textAlign: 'center', padding: '60px 20px' }}>
+        <Trash2 size={48} style={{ margin: '0 auto 20px', opacity: 0.3 }} />
+        <h3>Trash is Empty</h3>
+        <p style={{ color: 'var(--text-secondary)', marginTop: '12px' }}>
+          Deleted jobs stay here for {retentionDays} days before they are permanently removed.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="trash-view">
+      <div className="trash-header">
+        <div>
+          <h2>Trash</h2>
+          <p className="trash-subtitle">
+            {jobs.length} {jobs.length === 1 ? 'job' : 'jobs'} · permanently deleted after {retentionDays} days
+          </p>
+        </div>
+        <button className="btn btn-outline" onClick={emptyTrash}>
+          <Trash2 size={16} />
+          Empty Trash
+        </button>
+      </div>
+
+      <div className="table-container">
+        <div className="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>Company & Role</th>
+                <th>Status</th>
+                <th>Deleted</th>
+                <th>Days Left</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => (
+                <tr key={job.id} className="job-row">
+                  <td className="company-cell">
+                    <div className="company-info">
+                      <span className="company-name">{job.company}</span>
+                      <span className="job-role">{job.role}</span>
+                    </div>
+                  </td>
+                  <td>{job.status}</td>
+                  <td className="date-cell">
+                    {new Date(job.deleted_at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                  </td>
+                  <td className="date-cell">{daysLeft(job.purge_at)}</td>
+                  <td className="actions-cell">
+                    <button onClick={() => restoreJob(job)} className="action-btn" title="Restore">
+                      <RotateCcw size={16} />
+                    </button>
+                    <button onClick={() => purgeJob(job)} className="action-btn delete" title="Delete Forever">
+                      <Trash2 size={16} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { useRef, useEffect } from 'react';
+import { useLiveUpdates } from './useLiveUpdates';
+import { apiClient } from '../api';
+
+const LAST_SEEN_KEY = 'job_tracker_last_followup';
+
+// Calls onFollowupDue for each follow-up reminder the server records, as
+// it happens and (on connect) for any since the last one this browser saw
+export function useFollowupReminders(apiUrl, onFollowupDue) {
+  const callbackRef = useRef(onFollowupDue);
+
+  useEffect(() => {
+    callbackRef.current = onFollowupDue;
+  }, [onFollowupDue]);
+
+  const remember = (id) => {
+    if (id > Number(localStorage.getItem(LAST_SEEN_KEY) || 0)) {
+      localStorage.setItem(LAST_SEEN_KEY, String(id));
+    }
+  };
+
+  const catchUp = async () => {
+    try {
+      const lastSeen = localStorage.getItem(LAST_SEEN_KEY);
+      const data = await apiClient(apiUrl).listFollowups({ since_id: lastSeen || 0 });
+      if (data.error) return;
+
+      // First run in this browser: start from now instead of replaying
+      // history. Skip any the stream delivered meanwhile.
+      if (lastSeen !== null) {
+        const seen = Number(localStorage.getItem(LAST_SEEN_KEY) || 0);
+        data.reminders.filter(reminder => reminder.id > seen).forEach(reminder => callbackRef.current?.(reminder));
+      }
+      remember(data.last_reminder_id);
+    } catch (error) {
+      console.error('Follow-up reminder error:', error);
+    }
+  };
+
+  useLiveUpdates(apiUrl, {
+    open: catchUp,
+    activity: (entry) => {
+      if (entry.type !== 'followup.due' || entry.id <= Number(localStorage.getItem(LAST_SEEN_KEY) || 0)) return;
+      remember(entry.id);
+      callbackRef.current?.({ ...entry.details, id: entry.id, job_id: entry.job_id, company: entry.company, role: entry.role });
+    }
+  });
+}
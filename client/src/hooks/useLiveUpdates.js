@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'react';
+import { withToken } from '../api';
+
+// One event stream per API, shared by every component that listens
+const connections = new Map();
+
+function connect(apiUrl) {
+  let connection = connections.get(apiUrl);
+  if (!connection) {
+    connection = { source: new EventSource(withToken(`${apiUrl}/live`)), users: 0 };
+    connections.set(apiUrl, connection);
+  }
+  connection.users++;
+  return connection;
+}
+
+function release(apiUrl) {
+  const connection = connections.get(apiUrl);
+  if (connection && --connection.users === 0) {
+    connection.source.close();
+    connections.delete(apiUrl);
+  }
+}
+
+// Subscribes to the server's live updates (GET /api/live). `handlers` maps
+// event types (activity, tasks, task.finished, scan, settings) to callbacks
+// that receive the parsed payload; `open` is called on every (re)connect,
+// and on subscribing to a stream that is already open, when anything
+// missed while disconnected (or not yet mounted) should be fetched again.
+// The set of event types is read once, when the component mounts.
+export function useLiveUpdates(apiUrl, handlers) {
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const { source } = connect(apiUrl);
+    const listeners = Object.keys(handlersRef.current).map(type => {
+      const listener = (event) => {
+        handlersRef.current[type]?.(event.data ? JSON.parse(event.data) : null);
+      };
+      source.addEventListener(type, listener);
+      return [type, listener];
+    });
+    // The stream may have opened before this component subscribed
+    if (source.readyState === EventSource.OPEN) handlersRef.current.open?.();
+
+    return () => {
+      listeners.forEach(([type, listener]) => source.removeEventListener(type, listener));
+      release(apiUrl);
+    };
+  }, [apiUrl]);
+}
@@ -1,14 +1,28 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { loadConfig } from '../shared/config.js'
+
+// Proxy to the API server's address from prowla.config.json and the
+// environment (PROWLA_PORT, PROWLA_API, ...); Vite's own flags are not ours
+const { apiUrl } = loadConfig({ argv: [] })
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
   server: {
     port: 5173,
+    // src/api.js imports the generated API client from ../shared
+    fs: {
+      allow: ['.', '../shared']
+    },
+    // The dashboard calls /api, and links to PDFs under /applications
     proxy: {
       '/api': {
-        target: 'http://localhost:3001',
+        target: new URL(apiUrl).origin,
+        changeOrigin: true
+      },
+      '/applications': {
+        target: new URL(apiUrl).origin,
         changeOrigin: true
       }
     }
@@ -6,11 +6,12 @@
  * An MCP (Model Context Protocol) server that provides AI agents with
  * tools to manage job applications, research, and materials.
  * 
- * This server exposes 28 tools across 8 categories:
+ * This server exposes 71 tools across 14 categories:
  * 
- * 1. Jobs (7 tools): CRUD operations, bulk updates, fuzzy search
+ * 1. Jobs (13 tools): CRUD operations, trash, bulk updates, full-text search, timeline, CSV import
  *    - jobs_list, jobs_get, jobs_create, jobs_update, jobs_delete
- *    - jobs_bulk_update, jobs_search
+ *    - jobs_restore, jobs_list_trash, jobs_purge, jobs_reject_company
+ *    - jobs_bulk_update, jobs_search, jobs_timeline, jobs_import_csv
  * 
  * 2. Research (4 tools): Company research notes
  *    - research_get, research_save, research_save_batch, research_template
@@ -22,11 +23,13 @@
  *    - tasks_list, tasks_get, tasks_claim, tasks_release
  *    - tasks_complete, tasks_create_research, tasks_create_materials
  * 
- * 5. Events (4 tools): Event subscription and polling
- *    - events_subscribe, events_unsubscribe, events_list, events_poll
+ * 5. Events (6 tools): Event subscription, polling and webhook deliveries
+ *    - events_subscribe, events_unsubscribe, events_list, events_poll,
+ *      events_deliveries, events_list_subscriptions
  * 
- * 6. Query (4 tools): Specialized queries
+ * 6. Query (5 tools): Specialized queries
  *    - query_stats, query_by_company, query_needs_research, query_high_priority
+ *    - query_followups_due
  * 
  * 7. Config (3 tools): Settings management
  *    - config_get, config_update, config_get_rejected
@@ -34,9 +37,35 @@
  * 8. Tokens (3 tools): Usage tracking
  *    - tokens_log, tokens_get_usage, tokens_get_cost
  * 
+ * 9. Rejections (5 tools): Company, role and domain rejection rules
+ *    - rejections_list, rejections_add, rejections_update
+ *    - rejections_remove, rejections_check
+ * 
+ * 10. Companies (6 tools): Companies, aliases and merging
+ *    - companies_list, companies_get, companies_update
+ *    - companies_add_alias, companies_remove_alias, companies_merge
+ * 
+ * 11. Contacts (7 tools): People at companies and interactions with them
+ *    - contacts_list, contacts_get, contacts_add, contacts_update
+ *    - contacts_remove, contacts_log_interaction, contacts_link_job
+ * 
+ * 12. Interviews (4 tools): Interview rounds, schedule and outcomes
+ *    - interviews_list, interviews_schedule, interviews_update
+ *    - interviews_record_outcome
+ * 
+ * 13. Analytics (4 tools): Funnel conversion, time in stage and throughput
+ *    - analytics_overview, analytics_funnel, analytics_time_in_stage
+ *    - analytics_throughput
+ * 
+ * 14. Reports (1 tool): Weekly digest in markdown and HTML
+ *    - reports_digest
+ * 
  * Usage:
  *   node index.js              # Start server on stdio
  *   node index.js --help       # Show help
+ *   node index.js --data-dir <dir> [--db <file>]
+ *                              # Use a data directory outside the checkout
+ *                              # (see shared/config.js)
  * 
  * MCP Configuration (add to your MCP settings):
  * {
@@ -69,9 +98,19 @@ import eventsTools from './tools/events.js';
 import queryTools from './tools/query.js';
 import configTools from './tools/config.js';
 import tokensTools from './tools/tokens.js';
+import rejectionsTools from './tools/rejections.js';
+import companiesTools from './tools/companies.js';
+import contactsTools from './tools/contacts.js';
+import interviewsTools from './tools/interviews.js';
+import analyticsTools from './tools/analytics.js';
+import reportsTools from './tools/reports.js';
 
 // Import utilities
 import { closeDb } from './lib/db.js';
+import { startInterviewReminders } from './lib/interview-reminders.js';
+import { startFollowupReminders } from './lib/followup-reminders.js';
+import { startEventDelivery } from './lib/event-emitter.js';
+import { validate, describeErrors } from '../shared/validation.js';
 
 /**
  * Server metadata
@@ -93,9 +132,20 @@ const allToolDefinitions = [
   ...eventsTools.toolDefinitions,
   ...queryTools.toolDefinitions,
   ...configTools.toolDefinitions,
-  ...tokensTools.toolDefinitions
+  ...tokensTools.toolDefinitions,
+  ...rejectionsTools.toolDefinitions,
+  ...companiesTools.toolDefinitions,
+  ...contactsTools.toolDefinitions,
+  ...interviewsTools.toolDefinitions,
+  ...analyticsTools.toolDefinitions,
+  ...reportsTools.toolDefinitions
 ];
 
+/**
+ * Tool definitions by name
+ */
+const toolDefinitionsByName = new Map(allToolDefinitions.map(tool => [tool.name, tool]));
+
 /**
  * Combine all handlers into a single map
  */
@@ -107,7 +157,13 @@ const allHandlers = {
   ...eventsTools.handlers,
   ...queryTools.handlers,
   ...configTools.handlers,
-  ...tokensTools.handlers
+  ...tokensTools.handlers,
+  ...rejectionsTools.handlers,
+  ...companiesTools.handlers,
+  ...contactsTools.handlers,
+  ...interviewsTools.handlers,
+  ...analyticsTools.handlers,
+  ...reportsTools.handlers
 };
 
 /**
@@ -159,6 +215,21 @@ function createServer() {
       };
     }
 
+    // Check the arguments against the tool's input schema (the same
+    // checks the REST API makes; see shared/schemas.js)
+    const errors = validate(toolDefinitionsByName.get(name)?.inputSchema, args || {}, { nullable: true });
+    if (errors.length > 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ error: describeErrors(errors), errors, tool: name })
+          }
+        ],
+        isError: true
+      };
+    }
+
     try {
       // Execute handler
       const result = await handler(args || {});
@@ -204,17 +275,26 @@ USAGE:
   node index.js              Start server (stdio transport)
   node index.js --help       Show this help message
   node index.js --list       List all available tools
+  node index.js --data-dir <dir> [--db <file>]
+                             Use the same data as a server started with them
+                             (or set PROWLA_DATA_DIR / PROWLA_DB_PATH)
 
 AVAILABLE TOOLS (${allToolDefinitions.length} total):
 
-Jobs (7):
+Jobs (13):
   jobs_list                  Get jobs with filtering and pagination
   jobs_get                   Get a single job by ID
   jobs_create                Create a new job
   jobs_update                Update job fields
-  jobs_delete                Delete a job (adds to rejected list)
+  jobs_delete                Move a job to the trash
+  jobs_restore               Restore a job from the trash
+  jobs_list_trash            List jobs in the trash
+  jobs_purge                 Permanently delete a trashed job
+  jobs_reject_company        Add a job's company to the rejected list
   jobs_bulk_update           Update multiple jobs at once
-  jobs_search                Fuzzy search across jobs
+  jobs_search                Full-text search across jobs
+  jobs_timeline              Get a job's activity history
+  jobs_import_csv            Import jobs from CSV (preview first)
 
 Research (4):
   research_get               Get research notes for a job
@@ -236,28 +316,70 @@ Tasks (7):
   tasks_create_research      Queue research for a job
   tasks_create_materials     Queue materials generation
 
-Events (4):
+Events (6):
   events_subscribe           Register for event notifications
   events_unsubscribe         Remove subscription
   events_list                Get recent events
   events_poll                Long-poll for new events
+  events_deliveries          Webhook delivery history and redelivery
+  events_list_subscriptions  List or renew stored subscriptions
 
-Query (4):
+Query (5):
   query_stats                Get dashboard statistics
-  query_by_company           Find job by company name
+  query_by_company           Find a company's jobs by name
   query_needs_research       Get jobs without research
   query_high_priority        Get high priority jobs
+  query_followups_due        Get jobs whose follow-up is due
 
 Config (3):
   config_get                 Get search preferences
   config_update              Update preferences
-  config_get_rejected        Get rejected companies list
+  config_get_rejected        Get rejected company names
 
 Tokens (3):
   tokens_log                 Log token usage
   tokens_get_usage           Get usage statistics
   tokens_get_cost            Get cost estimates
 
+Rejections (5):
+  rejections_list            List rejection rules
+  rejections_add             Reject a company, role pattern or domain
+  rejections_update          Change a rejection's reason, pattern or expiry
+  rejections_remove          Delete a rejection
+  rejections_check           Test whether a job would be rejected
+
+Companies (6):
+  companies_list             List companies with job counts
+  companies_get              Get a company with its aliases and jobs
+  companies_update           Rename a company or edit its details
+  companies_add_alias        Add an alternative company name
+  companies_remove_alias     Remove an alternative name
+  companies_merge            Merge a duplicate company into another
+
+Contacts (7):
+  contacts_list              List contacts at a company or on a job
+  contacts_get               Get a contact with their interactions
+  contacts_add               Add a contact at a company
+  contacts_update            Edit a contact's details
+  contacts_remove            Delete a contact
+  contacts_log_interaction   Record a message, reply or meeting
+  contacts_link_job          Link or unlink a contact and a job
+
+Interviews (4):
+  interviews_list            List a job's rounds or upcoming interviews
+  interviews_schedule        Add an interview round to a job
+  interviews_update          Reschedule or edit a round
+  interviews_record_outcome  Record how a round went
+
+Analytics (4):
+  analytics_overview         Funnel, time in stage and throughput at once
+  analytics_funnel           Conversion by source, priority or work type
+  analytics_time_in_stage    Median days in each status
+  analytics_throughput       Jobs added, applied for and interviewed per week
+
+Reports (1):
+  reports_digest             Weekly digest, written to data/reports/
+
 MCP CONFIGURATION:
   Add to your MCP settings (e.g., ~/.cursor/mcp.json):
   
@@ -270,6 +392,9 @@ MCP CONFIGURATION:
     }
   }
 
+  For a data directory outside the checkout, add "--data-dir", "<dir>"
+  to args (or "env": { "PROWLA_DATA_DIR": "<dir>" }).
+
 DOCUMENTATION:
   See README.md for detailed documentation on each tool.
 `);
@@ -327,6 +452,14 @@ async function main() {
   
   await server.connect(transport);
   
+  // Emit interview.upcoming for interviews in the next 24 hours and
+  // followup.due for follow-ups that have come due
+  startInterviewReminders();
+  startFollowupReminders();
+  
+  // Answer long-polls and deliver webhooks for stored subscriptions
+  startEventDelivery();
+  
   console.error('Server running on stdio');
 }
 
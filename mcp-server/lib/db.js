@@ -2,40 +2,47 @@
  * Database Connection Layer
  * 
  * Provides a shared SQLite database connection for the MCP server.
- * Connects to the same database as the ProwlA Express server.
+ * Connects to the same database as the ProwlA Express server, creating it
+ * and applying pending schema migrations if needed.
+ * 
+ * The database and the data directory follow --data-dir, --db,
+ * PROWLA_DATA_DIR and the rest of shared/config.js, so pass the MCP server
+ * the same settings as the Express server.
  * 
  * @module lib/db
  */
 
 import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { runMigrations } from '../../shared/migrate.js';
+import { importLegacyRejections } from '../../shared/rejections.js';
+import { moveLegacyMaterials } from '../../shared/companies.js';
+import { getConfig } from '../../shared/config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const config = getConfig();
 
-// Project root (two levels up from lib/)
-const PROJECT_ROOT = join(__dirname, '../..');
+// Data directory (the project root unless configured elsewhere)
+const DATA_DIR = config.dataDir;
 
 // Path to the shared SQLite database (same as Express server)
-const DB_PATH = join(PROJECT_ROOT, 'server/jobs.db');
+const DB_PATH = config.dbPath;
 
 // Applications folder for file sync (materials storage)
-const APPLICATIONS_PATH = join(PROJECT_ROOT, 'applications');
+const APPLICATIONS_PATH = config.applicationsDir;
 
 // Tasks folder for task queue
-const TASKS_PATH = join(PROJECT_ROOT, 'tasks');
+const TASKS_PATH = config.tasksDir;
 
 // Config paths
-const CONFIG_PATH = join(PROJECT_ROOT, 'config/search.json');
-const PROFILE_PATH = join(PROJECT_ROOT, 'config/profile.json');
+const CONFIG_PATH = join(config.configDir, 'search.json');
+const PROFILE_PATH = join(config.configDir, 'profile.json');
 
 // Rejected companies path
-const REJECTED_PATH = join(PROJECT_ROOT, 'data/rejected-companies.json');
+const REJECTED_PATH = join(DATA_DIR, 'data/rejected-companies.json');
 
-// Research template path
-const TEMPLATE_PATH = join(PROJECT_ROOT, 'RESEARCH-TEMPLATE.md');
+// Research template path (part of the code, not the data)
+const TEMPLATE_PATH = join(config.rootDir, 'RESEARCH-TEMPLATE.md');
 
 /**
  * Database singleton instance
@@ -49,11 +56,16 @@ let db = null;
  */
 export function getDb() {
   if (!db) {
-    db = new Database(DB_PATH, { 
-      fileMustExist: true  // Database should already exist from Express server
-    });
+    fs.mkdirSync(dirname(DB_PATH), { recursive: true });
+    db = new Database(DB_PATH);
     // Enable WAL mode for better concurrent access
     db.pragma('journal_mode = WAL');
+    // Create or upgrade the schema (shared with the Express server)
+    runMigrations(db);
+    // Move the old rejected-companies.json list into the database (runs once)
+    importLegacyRejections(db, REJECTED_PATH);
+    // Move materials from the old one-folder-per-company layout (idempotent)
+    moveLegacyMaterials(db, DATA_DIR);
   }
   return db;
 }
@@ -77,6 +89,16 @@ export function getApplicationsPath() {
   return APPLICATIONS_PATH;
 }
 
+/**
+ * Resolve a path relative to the data directory
+ * Job file paths (cover_letter, email, notes) are stored this way.
+ * @param {string} relativePath - e.g., "applications/acme/job-12/email.md"
+ * @returns {string} Absolute path
+ */
+export function getProjectPath(relativePath) {
+  return join(DATA_DIR, relativePath);
+}
+
 /**
  * Get the tasks folder path
  * @returns {string} Absolute path to tasks folder
@@ -94,7 +116,8 @@ export function getConfigPath() {
 }
 
 /**
- * Get the rejected companies file path
+ * Get the legacy rejected companies file path
+ * Only read once, to import it into the rejections table.
  * @returns {string} Absolute path to rejected-companies.json
  */
 export function getRejectedPath() {
@@ -244,6 +267,7 @@ export default {
   getDb,
   closeDb,
   getApplicationsPath,
+  getProjectPath,
   getTasksPath,
   getConfigPath,
   getProfilePath,
@@ -1,67 +1,73 @@
 /**
  * Event Emitter System
- * 
+ *
  * Provides an event bus for the MCP server to emit and subscribe to events.
  * Supports both polling and webhook delivery modes.
- * 
- * Event Types:
- * - job.created - New job added to database
- * - job.updated - Job fields updated
- * - job.deleted - Job removed from database
- * - task.created - New task queued
- * - task.claimed - Task locked by an agent
- * - task.completed - Task finished and removed
- * - research.saved - Research notes saved for a job
- * - materials.saved - Cover letter or email saved
- * 
+ *
+ * Events are stored in the shared event log (see shared/events.js), which
+ * the Express server also writes to, so subscribers hear about changes
+ * made in the dashboard as well as by agents. Each event has a sequence
+ * number (`seq`); polls return a `cursor` that can be passed back as
+ * `after` to resume, even after the MCP server restarts.
+ *
+ * Subscriptions are stored in the database too (see
+ * shared/event-subscriptions.js) with their cursor, so they survive
+ * restarts. Webhooks are delivered through a queue (see
+ * shared/webhooks.js) that the Express server also works through, so they
+ * keep arriving while no agent is connected.
+ *
+ * A subscription can filter on the event payload (see
+ * shared/event-filters.js), e.g. only job.created with priority
+ * "🔴 High"; both polling and webhooks skip events that don't match.
+ *
+ * Event Types (see shared/events.js for the full list):
+ * - job.created, job.updated, job.deleted, job.restored, job.purged
+ * - task.created, task.claimed, task.completed
+ * - research.saved, materials.saved
+ * - contact.added, contact.interaction
+ * - interview.scheduled, interview.rescheduled, interview.outcome
+ * - interview.upcoming (see lib/interview-reminders.js)
+ * - followup.due (see lib/followup-reminders.js)
+ * - report.generated (the API server's scheduled digest)
+ *
  * @module lib/event-emitter
  */
 
 import crypto from 'crypto';
+import { getDb } from './db.js';
+import { EVENT_TYPES, recordEvent, latestSequence, listEvents as readEvents, pruneEvents } from '../../shared/events.js';
+import { generateSecret, processWebhooks } from '../../shared/webhooks.js';
+import { normalizeFilters } from '../../shared/event-filters.js';
+import {
+  createSubscription, getSubscription as readSubscription, listSubscriptions as readSubscriptions,
+  deleteSubscription, renewSubscription, advanceCursor, setCursor, pendingEvents, expireSubscriptions
+} from '../../shared/event-subscriptions.js';
 
-/**
- * Valid event types
- * @type {string[]}
- */
-export const EVENT_TYPES = [
-  'job.created',
-  'job.updated',
-  'job.deleted',
-  'task.created',
-  'task.claimed',
-  'task.completed',
-  'research.saved',
-  'materials.saved'
-];
+export { EVENT_TYPES };
 
 /**
- * In-memory event store
- * Stores recent events for polling
- * @type {Event[]}
+ * How often to check the log for events written by the Express server,
+ * and for webhook deliveries that are due
  */
-let eventStore = [];
+const WATCH_INTERVAL_MS = 1000;
 
 /**
- * Maximum events to keep in memory
+ * Pending poll requests (for long-polling)
+ * @type {Map<string, PendingPoll>}
  */
-const MAX_EVENTS = 1000;
+const pendingPolls = new Map();
 
 /**
- * Event retention period (1 hour)
+ * Sequence number of the last event long-polls were checked against
+ * (null until the log is first watched)
+ * @type {number|null}
  */
-const EVENT_RETENTION_MS = 60 * 60 * 1000;
+let dispatchedSeq = null;
 
 /**
- * Subscription store
- * @type {Map<string, Subscription>}
+ * Timer checking the log for new events
  */
-const subscriptions = new Map();
-
-/**
- * Pending poll requests (for long-polling)
- * @type {Map<string, PendingPoll>}
- */
-const pendingPolls = new Map();
+let watchTimer = null;
 
 /**
  * Generate a unique ID
@@ -74,9 +80,11 @@ function generateId() {
 /**
  * Event class
  * @typedef {Object} Event
+ * @property {number} seq - Sequence number in the event log
  * @property {string} id - Unique event ID
  * @property {string} type - Event type
  * @property {string} timestamp - ISO timestamp
+ * @property {string} source - Process that emitted it: mcp or server
  * @property {Object} payload - Event-specific data
  */
 
@@ -85,17 +93,34 @@ function generateId() {
  * @typedef {Object} Subscription
  * @property {string} id - Subscription ID
  * @property {string[]} event_types - Event types to subscribe to
+ * @property {Object[]} filters - Payload conditions events must meet
+ *   (null: none)
  * @property {string} webhook_url - Optional webhook URL
  * @property {string} callback_id - Optional callback identifier
+ * @property {number} cursor - Sequence number of the last event received
+ *   (or queued, for webhooks)
+ * @property {number} ttl_seconds - Expires unless renewed within this
+ *   many seconds (null: never)
+ * @property {string} expires_at - ISO timestamp it expires (null: never)
+ * @property {string} last_seen_at - ISO timestamp it was last polled or
+ *   renewed
  * @property {string} created_at - ISO timestamp
- * @property {string} last_event_id - Last event ID delivered
  */
 
+/**
+ * Hide a subscription's webhook secret
+ * @param {Object} subscription - Subscription from the database
+ * @returns {Subscription} Subscription without its secret
+ */
+function withoutSecret({ secret, ...subscription }) {
+  return subscription;
+}
+
 /**
  * Emit an event
- * 
- * Creates an event, stores it, and notifies subscribers.
- * 
+ *
+ * Appends the event to the log and notifies subscribers.
+ *
  * @param {string} type - Event type
  * @param {Object} payload - Event payload
  * @returns {Event} The emitted event
@@ -105,24 +130,10 @@ export function emit(type, payload = {}) {
     console.warn(`Unknown event type: ${type}`);
   }
 
-  const event = {
-    id: generateId(),
-    type,
-    timestamp: new Date().toISOString(),
-    payload
-  };
-
-  // Store event
-  eventStore.push(event);
+  const event = recordEvent(getDb(), type, payload, 'mcp');
 
-  // Trim old events
-  pruneEvents();
-
-  // Notify polling subscribers
-  notifyPollers(event);
-
-  // Notify webhook subscribers (async)
-  notifyWebhooks(event);
+  // Notify subscribers now rather than on the next check
+  dispatch();
 
   console.log(`[Event] ${type}:`, JSON.stringify(payload));
 
@@ -130,112 +141,144 @@ export function emit(type, payload = {}) {
 }
 
 /**
- * Remove old events from store
+ * Start checking the log for new events, delivering webhooks and
+ * expiring subscriptions (called when the server starts)
  */
-function pruneEvents() {
-  const now = Date.now();
-  const cutoff = now - EVENT_RETENTION_MS;
+export function startEventDelivery() {
+  if (watchTimer) return;
 
-  // Remove events older than retention period
-  eventStore = eventStore.filter(e => {
-    return new Date(e.timestamp).getTime() > cutoff;
-  });
+  const db = getDb();
+  pruneEvents(db);
+  dispatchedSeq = latestSequence(db);
+
+  watchTimer = setInterval(dispatch, WATCH_INTERVAL_MS);
+  // Don't keep the process alive just for this
+  watchTimer.unref();
+}
 
-  // Also enforce max count
-  if (eventStore.length > MAX_EVENTS) {
-    eventStore = eventStore.slice(-MAX_EVENTS);
+/**
+ * Answer long-polls and send webhooks for events added to the log
+ */
+function dispatch() {
+  if (dispatchedSeq === null) return;
+
+  const db = getDb();
+  try {
+    expireSubscriptions(db);
+    const latest = latestSequence(db);
+    if (latest > dispatchedSeq) {
+      dispatchedSeq = latest;
+      notifyPollers();
+    }
+  } catch (e) {
+    console.error('Event dispatch failed:', e.message);
   }
+
+  // Retries come due without new events
+  processWebhooks(db)
+    .then(({ attempted }) => {
+      for (const delivery of attempted.filter(d => d.status !== 'delivered')) {
+        console.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${delivery.attempts}, ${delivery.status}):`, delivery.last_error);
+      }
+    })
+    .catch(e => console.error('Webhook delivery failed:', e.message));
+}
+
+/**
+ * Events for a subscription after its cursor that meet its filters
+ * @param {Subscription} subscription - Subscription
+ * @returns {Object} { events, cursor }
+ */
+function pendingEventsFor(subscription) {
+  const db = getDb();
+  const pending = pendingEvents(db, subscription, 100);
+  // Don't read the events the filters passed over again
+  if (pending.events.length === 0) advanceCursor(db, subscription.id, pending.cursor);
+  return pending;
 }
 
 /**
  * Notify long-polling subscribers
- * @param {Event} event - The emitted event
  */
-function notifyPollers(event) {
+function notifyPollers() {
   for (const [pollId, poll] of pendingPolls) {
-    const subscription = subscriptions.get(poll.subscription_id);
+    const subscription = readSubscription(getDb(), poll.subscription_id);
     if (!subscription) continue;
 
-    // Check if subscription is interested in this event type
-    if (subscription.event_types.includes(event.type)) {
+    const { events, cursor } = pendingEventsFor(subscription);
+    if (events.length > 0) {
       // Resolve the poll
-      poll.resolve([event]);
+      poll.resolve(events, cursor);
       pendingPolls.delete(pollId);
     }
   }
 }
 
-/**
- * Notify webhook subscribers
- * @param {Event} event - The emitted event
- */
-async function notifyWebhooks(event) {
-  for (const [subId, subscription] of subscriptions) {
-    if (!subscription.webhook_url) continue;
-    if (!subscription.event_types.includes(event.type)) continue;
-
-    try {
-      await fetch(subscription.webhook_url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(event)
-      });
-      
-      // Update last event ID
-      subscription.last_event_id = event.id;
-    } catch (e) {
-      console.error(`Webhook delivery failed for ${subscription.webhook_url}:`, e.message);
-    }
-  }
-}
-
 /**
  * Subscribe to events
- * 
+ *
  * @param {Object} options - Subscription options
  * @param {string[]} options.event_types - Event types to subscribe to
+ * @param {Object[]} options.filters - Optional conditions on the payload
+ *   (see shared/event-filters.js)
  * @param {string} options.webhook_url - Optional webhook URL for push delivery
+ * @param {string} options.secret - Secret to sign webhook POSTs with
+ *   (default: a generated one, returned once)
  * @param {string} options.callback_id - Optional identifier for the subscriber
+ * @param {number} options.after - Optional cursor to start after (default:
+ *   only events from now on)
+ * @param {number} options.ttl_seconds - Optional: remove the subscription
+ *   unless it is polled or renewed within this many seconds
  * @returns {Object} Subscription result
  */
-export function subscribe({ event_types, webhook_url = null, callback_id = null }) {
+export function subscribe({ event_types, filters = null, webhook_url = null, secret = null, callback_id = null, after = null, ttl_seconds = null }) {
   // Validate event types
   const validTypes = event_types.filter(t => EVENT_TYPES.includes(t));
   if (validTypes.length === 0) {
     return { success: false, error: 'No valid event types specified' };
   }
 
-  const subscription = {
-    id: generateId(),
-    event_types: validTypes,
-    webhook_url,
-    callback_id,
-    created_at: new Date().toISOString(),
-    last_event_id: null
-  };
+  const normalized = normalizeFilters(filters);
+  if (normalized.error) {
+    return { success: false, error: normalized.error };
+  }
 
-  subscriptions.set(subscription.id, subscription);
+  startEventDelivery();
+
+  const db = getDb();
+  const subscription = createSubscription(db, {
+    eventTypes: validTypes,
+    filters: normalized.filters,
+    webhookUrl: webhook_url,
+    secret: webhook_url ? secret || generateSecret() : null,
+    callbackId: callback_id,
+    cursor: after ?? latestSequence(db),
+    ttlSeconds: ttl_seconds
+  });
 
-  return { 
-    success: true, 
+  return {
+    success: true,
     subscription_id: subscription.id,
-    event_types: validTypes
+    event_types: validTypes,
+    filters: subscription.filters,
+    cursor: subscription.cursor,
+    expires_at: subscription.expires_at,
+    // Only shown here; the receiver needs it to verify signatures
+    ...(webhook_url && { webhook_secret: subscription.secret })
   };
 }
 
 /**
  * Unsubscribe from events
- * 
+ *
  * @param {string} subscriptionId - Subscription ID to remove
  * @returns {Object} Result
  */
 export function unsubscribe(subscriptionId) {
-  if (!subscriptions.has(subscriptionId)) {
+  if (!deleteSubscription(getDb(), subscriptionId)) {
     return { success: false, error: 'Subscription not found' };
   }
 
-  subscriptions.delete(subscriptionId);
-
   // Also cancel any pending polls for this subscription
   for (const [pollId, poll] of pendingPolls) {
     if (poll.subscription_id === subscriptionId) {
@@ -248,67 +291,78 @@ export function unsubscribe(subscriptionId) {
 }
 
 /**
- * List recent events
- * 
+ * Renew a subscription, pushing back its expiry
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Object} { success, subscription_id, expires_at } or { error }
+ */
+export function renew(subscriptionId) {
+  const subscription = renewSubscription(getDb(), subscriptionId);
+  if (!subscription) {
+    return { success: false, error: 'Subscription not found' };
+  }
+  return { success: true, subscription_id: subscriptionId, expires_at: subscription.expires_at };
+}
+
+/**
+ * List events
+ *
+ * With `after`, returns the events that follow that cursor, oldest first.
+ * Otherwise returns the most recent events, newest first.
+ *
  * @param {Object} options - Query options
+ * @param {number} options.after - Return events after this cursor
  * @param {string} options.since - Return events after this timestamp
  * @param {string} options.type - Filter by event type
  * @param {number} options.limit - Max events to return
- * @returns {Event[]} Array of events
+ * @returns {Object} { events, cursor, has_more } or { error }
  */
-export function listEvents({ since = null, type = null, limit = 100 } = {}) {
-  let events = [...eventStore];
-
-  // Filter by timestamp
-  if (since) {
-    const sinceTime = new Date(since).getTime();
-    events = events.filter(e => new Date(e.timestamp).getTime() > sinceTime);
-  }
-
-  // Filter by type
-  if (type) {
-    events = events.filter(e => e.type === type);
-  }
-
-  // Sort by timestamp (newest first)
-  events.sort((a, b) => {
-    return new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime();
-  });
-
-  // Apply limit
-  return events.slice(0, limit);
+export function listEvents({ after = null, since = null, type = null, limit = 100 } = {}) {
+  return readEvents(getDb(), { after, since, types: type ? [type] : null, limit });
 }
 
 /**
  * Long-poll for events
- * 
+ *
  * Waits for new events matching the subscription, or returns after timeout.
- * 
+ * Polling renews the subscription.
+ *
  * @param {string} subscriptionId - Subscription ID
  * @param {number} timeoutMs - Timeout in milliseconds (default 30s)
- * @returns {Promise<Event[]>} Array of events (may be empty on timeout)
+ * @param {number} after - Resume after this cursor instead of the
+ *   subscription's own
+ * @returns {Promise<Object>} { events, cursor } (events may be empty on
+ *   timeout)
  */
-export function poll(subscriptionId, timeoutMs = 30000) {
-  const subscription = subscriptions.get(subscriptionId);
+export function poll(subscriptionId, timeoutMs = 30000, after = null) {
+  const db = getDb();
+  let subscription = renewSubscription(db, subscriptionId);
   if (!subscription) {
     return Promise.resolve({ error: 'Subscription not found', events: [] });
   }
+  if (subscription.webhook_url) {
+    return Promise.resolve({ error: 'Subscription is delivered by webhook; see events_deliveries', events: [] });
+  }
+
+  startEventDelivery();
+
+  if (after !== null) {
+    setCursor(db, subscriptionId, after);
+    subscription = readSubscription(db, subscriptionId);
+  }
+
+  // Advance the subscription past what it receives
+  const deliver = (events, cursor) => {
+    advanceCursor(db, subscriptionId, cursor);
+    return { events, cursor };
+  };
 
   // Check for any events since last poll
-  const lastEventTime = subscription.last_event_id 
-    ? eventStore.find(e => e.id === subscription.last_event_id)?.timestamp
-    : null;
-
-  const pendingEvents = eventStore.filter(e => {
-    if (!subscription.event_types.includes(e.type)) return false;
-    if (lastEventTime && new Date(e.timestamp) <= new Date(lastEventTime)) return false;
-    return true;
-  });
+  const pending = pendingEventsFor(subscription);
 
   // If we have pending events, return them immediately
-  if (pendingEvents.length > 0) {
-    subscription.last_event_id = pendingEvents[pendingEvents.length - 1].id;
-    return Promise.resolve({ events: pendingEvents });
+  if (pending.events.length > 0) {
+    return Promise.resolve(deliver(pending.events, pending.cursor));
   }
 
   // Otherwise, set up long-poll
@@ -316,17 +370,15 @@ export function poll(subscriptionId, timeoutMs = 30000) {
     const pollId = generateId();
     const timeout = setTimeout(() => {
       pendingPolls.delete(pollId);
-      resolve({ events: [] }); // Timeout with no events
+      // Timeout with no events
+      resolve({ events: [], cursor: readSubscription(db, subscriptionId)?.cursor ?? subscription.cursor });
     }, timeoutMs);
 
     pendingPolls.set(pollId, {
       subscription_id: subscriptionId,
-      resolve: (events) => {
+      resolve: (events, cursor = subscription.cursor) => {
         clearTimeout(timeout);
-        if (events.length > 0) {
-          subscription.last_event_id = events[events.length - 1].id;
-        }
-        resolve({ events });
+        resolve(deliver(events, cursor));
       }
     });
   });
@@ -338,23 +390,27 @@ export function poll(subscriptionId, timeoutMs = 30000) {
  * @returns {Subscription|null} Subscription or null
  */
 export function getSubscription(subscriptionId) {
-  return subscriptions.get(subscriptionId) || null;
+  const subscription = readSubscription(getDb(), subscriptionId);
+  return subscription ? withoutSecret(subscription) : null;
 }
 
 /**
- * List all subscriptions
+ * List subscriptions
+ * @param {Object} options - Options
+ * @param {string} options.callback_id - Only this subscriber's
  * @returns {Subscription[]} Array of subscriptions
  */
-export function listSubscriptions() {
-  return Array.from(subscriptions.values());
+export function listSubscriptions({ callback_id = null } = {}) {
+  return readSubscriptions(getDb(), { callbackId: callback_id }).map(withoutSecret);
 }
 
 /**
- * Clear all events and subscriptions (for testing)
+ * Remove all subscriptions and cancel pending polls (for testing). The
+ * event log itself is kept.
  */
 export function reset() {
-  eventStore = [];
-  subscriptions.clear();
+  const db = getDb();
+  readSubscriptions(db).forEach(subscription => deleteSubscription(db, subscription.id));
   for (const [pollId, poll] of pendingPolls) {
     poll.resolve([]);
   }
@@ -364,8 +420,10 @@ export function reset() {
 export default {
   EVENT_TYPES,
   emit,
+  startEventDelivery,
   subscribe,
   unsubscribe,
+  renew,
   listEvents,
   poll,
   getSubscription,
@@ -0,0 +1,75 @@
+/**
+ * Follow-up Reminders
+ *
+ * Periodically records follow-ups that have come due (see
+ * shared/followups.js) and emits a `followup.due` event for each new
+ * reminder, including ones recorded by the Express server while this
+ * server was running.
+ *
+ * @module lib/followup-reminders
+ */
+
+import { getDb, getProjectPath } from './db.js';
+import { emit } from './event-emitter.js';
+import { loadFollowUpDays, recordDueFollowups, listReminders, lastReminderId } from '../../shared/followups.js';
+
+// How often to check for due follow-ups (15 minutes)
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Highest reminder already emitted as an event
+let lastEmittedId = null;
+
+/**
+ * Record due follow-ups and emit followup.due for new reminders
+ * @returns {Object[]} Reminders that were emitted
+ */
+export function checkFollowups() {
+  const db = getDb();
+  if (lastEmittedId === null) {
+    lastEmittedId = lastReminderId(db);
+  }
+
+  recordDueFollowups(db, { afterDays: loadFollowUpDays(getProjectPath('.')) });
+
+  const reminders = listReminders(db, { sinceId: lastEmittedId });
+  for (const reminder of reminders) {
+    emit('followup.due', {
+      job_id: reminder.job_id,
+      company: reminder.company,
+      role: reminder.role,
+      due_date: reminder.due_date,
+      days_overdue: reminder.days_overdue,
+      suggested: reminder.suggested
+    });
+    lastEmittedId = reminder.id;
+  }
+  return reminders;
+}
+
+/**
+ * Check now and then every CHECK_INTERVAL_MS
+ *
+ * The timer doesn't keep the process alive on its own.
+ *
+ * @param {number} intervalMs - Check interval
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startFollowupReminders(intervalMs = CHECK_INTERVAL_MS) {
+  const check = () => {
+    try {
+      checkFollowups();
+    } catch (e) {
+      console.error('Follow-up reminder check failed:', e.message);
+    }
+  };
+
+  check();
+  const timer = setInterval(check, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+export default {
+  checkFollowups,
+  startFollowupReminders
+};
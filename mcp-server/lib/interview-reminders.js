@@ -0,0 +1,73 @@
+/**
+ * Interview Reminders
+ *
+ * Periodically looks for pending interviews starting within the next
+ * REMINDER_WINDOW_HOURS and emits one `interview.upcoming` event for each.
+ * Interviews are marked as reminded in the database, so a restart doesn't
+ * announce them twice; rescheduling an interview re-arms its reminder.
+ *
+ * @module lib/interview-reminders
+ */
+
+import { getDb } from './db.js';
+import { emit } from './event-emitter.js';
+import { dueReminders, markReminded } from '../../shared/interviews.js';
+
+// How often to check for upcoming interviews (5 minutes)
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Emit interview.upcoming for every interview that is due a reminder
+ * @returns {Object[]} Interviews that were announced
+ */
+export function checkUpcomingInterviews() {
+  const db = getDb();
+  const due = dueReminders(db);
+
+  for (const interview of due) {
+    emit('interview.upcoming', {
+      interview_id: interview.id,
+      job_id: interview.job_id,
+      company: interview.company,
+      role: interview.role,
+      round: interview.round,
+      type: interview.type,
+      scheduled_at: interview.scheduled_at,
+      location: interview.location,
+      interviewers: interview.interviewers.map(i => i.name)
+    });
+  }
+
+  if (due.length > 0) {
+    markReminded(db, due.map(i => i.id));
+  }
+  return due;
+}
+
+/**
+ * Check now and then every CHECK_INTERVAL_MS
+ *
+ * The timer doesn't keep the process alive on its own.
+ *
+ * @param {number} intervalMs - Check interval
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startInterviewReminders(intervalMs = CHECK_INTERVAL_MS) {
+  const check = () => {
+    try {
+      checkUpcomingInterviews();
+    } catch (e) {
+      console.error('Interview reminder check failed:', e.message);
+    }
+  };
+
+  check();
+  const timer = setInterval(check, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+export default {
+  checkUpcomingInterviews,
+  startInterviewReminders
+};
@@ -0,0 +1,134 @@
+/**
+ * Analytics Tools
+ *
+ * MCP tools for how the search is going, worked out from each job's
+ * status history: which sources, priorities and work types lead to
+ * interviews, how long jobs sit in each status, and how many
+ * applications go out each week.
+ *
+ * Tools:
+ * - analytics_overview: Funnel, time in stage and throughput at once
+ * - analytics_funnel: Conversion from added to applied, interview and offer
+ * - analytics_time_in_stage: Median days in each status
+ * - analytics_throughput: Jobs added, applied for and interviewed for per week
+ *
+ * @module tools/analytics
+ */
+
+import { getDb } from '../lib/db.js';
+import {
+  FUNNEL_GROUPS,
+  DEFAULT_THROUGHPUT_WEEKS,
+  getFunnel,
+  getTimeInStage,
+  getThroughput,
+  getAnalytics
+} from '../../shared/analytics.js';
+
+/**
+ * Schema for the since option, shared by most tools
+ */
+const SINCE_SCHEMA = {
+  type: 'string',
+  format: 'date',
+  description: 'Only jobs added on or after this date (YYYY-MM-DD)'
+};
+
+/**
+ * Schema for the weeks option
+ */
+const WEEKS_SCHEMA = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 104,
+  description: `Weeks to cover, ending with this one (default: ${DEFAULT_THROUGHPUT_WEEKS})`,
+  default: DEFAULT_THROUGHPUT_WEEKS
+};
+
+/**
+ * Tool definitions for MCP registration
+ */
+export const toolDefinitions = [
+  {
+    name: 'analytics_overview',
+    description: 'Pipeline analytics in one call: the overall funnel, the funnel by source, priority and work type, median days in each status, and weekly throughput.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: SINCE_SCHEMA,
+        weeks: WEEKS_SCHEMA
+      }
+    }
+  },
+  {
+    name: 'analytics_funnel',
+    description: 'Funnel conversion grouped by source, priority or work type: how many jobs were added, applied for, reached interviews and got offers, with application_rate (applied/added), interview_rate (interviewing/applied) and offer_rate (offer/interviewing). A job counts for every stage up to the furthest it reached.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        group_by: {
+          type: 'string',
+          enum: FUNNEL_GROUPS,
+          description: 'Job field to group by ("type" is the work type; default: source)',
+          default: 'source'
+        },
+        since: SINCE_SCHEMA
+      }
+    }
+  },
+  {
+    name: 'analytics_time_in_stage',
+    description: 'Median days jobs spent in each status before moving on, and how many are in each status now and for how long.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: SINCE_SCHEMA
+      }
+    }
+  },
+  {
+    name: 'analytics_throughput',
+    description: 'Jobs added, applied for, moved to interviewing and offered, week by week (weeks start on Monday), with the average applications per week.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        weeks: WEEKS_SCHEMA
+      }
+    }
+  }
+];
+
+/**
+ * Tool handlers
+ */
+export const handlers = {
+  /**
+   * Everything at once
+   */
+  analytics_overview: ({ since = null, weeks = DEFAULT_THROUGHPUT_WEEKS }) => {
+    return getAnalytics(getDb(), { since, weeks });
+  },
+
+  /**
+   * Funnel conversion by group
+   */
+  analytics_funnel: ({ group_by = 'source', since = null }) => {
+    return getFunnel(getDb(), { groupBy: group_by, since });
+  },
+
+  /**
+   * Median days in each status
+   */
+  analytics_time_in_stage: ({ since = null }) => {
+    return getTimeInStage(getDb(), { since });
+  },
+
+  /**
+   * Weekly throughput
+   */
+  analytics_throughput: ({ weeks = DEFAULT_THROUGHPUT_WEEKS }) => {
+    return getThroughput(getDb(), { weeks });
+  }
+};
+
+export default { toolDefinitions, handlers };
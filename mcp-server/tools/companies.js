@@ -0,0 +1,253 @@
+/**
+ * Companies Tools
+ *
+ * MCP tools for managing companies. A company groups every job (role) an
+ * agent tracks there, holds the research those jobs share, and has
+ * aliases so alternative spellings map to the same company.
+ *
+ * Tools:
+ * - companies_list: List companies with job counts
+ * - companies_get: Get a company with its aliases and jobs
+ * - companies_update: Rename a company or change its website and notes
+ * - companies_add_alias: Add an alternative name
+ * - companies_remove_alias: Remove an alternative name
+ * - companies_merge: Merge a duplicate company into another
+ *
+ * @module tools/companies
+ */
+
+import { getDb } from '../lib/db.js';
+import {
+  getCompany,
+  findCompany,
+  listCompanies,
+  getCompanyJobs,
+  updateCompany,
+  addAlias,
+  removeAlias,
+  mergeCompanies
+} from '../../shared/companies.js';
+
+/**
+ * Tool definitions for MCP registration
+ */
+export const toolDefinitions = [
+  {
+    name: 'companies_list',
+    description: 'List companies with the number of open jobs at each, their aliases and whether research exists.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        search: {
+          type: 'string',
+          description: 'Only companies whose name contains this text'
+        },
+        include_empty: {
+          type: 'boolean',
+          description: 'Include companies with no open jobs (default: false)',
+          default: false
+        }
+      }
+    }
+  },
+  {
+    name: 'companies_get',
+    description: 'Get a company by ID or name (aliases work too), including its shared research, aliases and all of its jobs.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        company_id: {
+          type: 'number',
+          description: 'The company ID'
+        },
+        name: {
+          type: 'string',
+          description: 'Company name or alias (alternative to company_id)'
+        }
+      }
+    }
+  },
+  {
+    name: 'companies_update',
+    description: 'Update a company. Renaming keeps the old name as an alias and renames all of its jobs. Use research_save to change research.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        company_id: {
+          type: 'number',
+          description: 'The company ID to update'
+        },
+        name: { type: 'string', description: 'New display name' },
+        website: { type: 'string', description: 'Company website' },
+        notes: { type: 'string', description: 'Free-form notes about the company' }
+      },
+      required: ['company_id']
+    }
+  },
+  {
+    name: 'companies_add_alias',
+    description: 'Add an alternative name for a company (e.g., a former name or a job board\'s spelling) so new jobs under that name are grouped with it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        company_id: {
+          type: 'number',
+          description: 'The company ID'
+        },
+        alias: {
+          type: 'string',
+          description: 'Alternative name'
+        }
+      },
+      required: ['company_id', 'alias']
+    }
+  },
+  {
+    name: 'companies_remove_alias',
+    description: 'Remove an alternative name from a company.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        company_id: {
+          type: 'number',
+          description: 'The company ID'
+        },
+        alias_id: {
+          type: 'number',
+          description: 'The alias ID (from companies_get)'
+        }
+      },
+      required: ['company_id', 'alias_id']
+    }
+  },
+  {
+    name: 'companies_merge',
+    description: 'Merge a duplicate company into another. Its jobs and aliases move to the target, its name becomes an alias, and it is deleted.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        company_id: {
+          type: 'number',
+          description: 'The company to keep'
+        },
+        source_id: {
+          type: 'number',
+          description: 'The duplicate company to merge into it'
+        }
+      },
+      required: ['company_id', 'source_id']
+    }
+  }
+];
+
+/**
+ * Handler implementations
+ */
+export const handlers = {
+  /**
+   * List companies
+   */
+  companies_list: ({ search = null, include_empty = false }) => {
+    const companies = listCompanies(getDb(), { search, includeEmpty: include_empty }).map(
+      ({ research_notes, ...company }) => ({ ...company, has_research: !!research_notes })
+    );
+
+    return {
+      companies,
+      count: companies.length
+    };
+  },
+
+  /**
+   * Get a company with its jobs
+   */
+  companies_get: ({ company_id = null, name = null }) => {
+    const db = getDb();
+    const id = company_id || findCompany(db, name || '')?.id;
+    const company = id ? getCompany(db, id) : null;
+    if (!company) {
+      return { error: 'Company not found', company_id, name };
+    }
+
+    return {
+      company,
+      jobs: getCompanyJobs(db, company.id).map(job => ({
+        id: job.id,
+        role: job.role,
+        status: job.status,
+        priority: job.priority,
+        materials: job.materials,
+        apply_url: job.apply_url
+      }))
+    };
+  },
+
+  /**
+   * Update a company
+   */
+  companies_update: ({ company_id, ...updates }) => {
+    const result = updateCompany(getDb(), company_id, updates);
+    if (result.error) {
+      return { ...result, company_id };
+    }
+
+    return {
+      success: true,
+      company: result.company
+    };
+  },
+
+  /**
+   * Add an alias
+   */
+  companies_add_alias: ({ company_id, alias }) => {
+    const db = getDb();
+    if (!getCompany(db, company_id)) {
+      return { error: 'Company not found', company_id };
+    }
+
+    const result = addAlias(db, company_id, alias);
+    if (result.error) {
+      return { error: result.error, company_id, owner_company_id: result.company_id };
+    }
+
+    return {
+      success: true,
+      created: result.created,
+      alias: result.alias
+    };
+  },
+
+  /**
+   * Remove an alias
+   */
+  companies_remove_alias: ({ company_id, alias_id }) => {
+    const alias = removeAlias(getDb(), company_id, alias_id);
+    if (!alias) {
+      return { error: 'Alias not found', company_id, alias_id };
+    }
+
+    return {
+      success: true,
+      alias
+    };
+  },
+
+  /**
+   * Merge a duplicate company
+   */
+  companies_merge: ({ company_id, source_id }) => {
+    const result = mergeCompanies(getDb(), company_id, source_id);
+    if (result.error) {
+      return { error: result.error, company_id, source_id };
+    }
+
+    return {
+      success: true,
+      company: result.company,
+      moved_jobs: result.moved_jobs
+    };
+  }
+};
+
+export default { toolDefinitions, handlers };
@@ -7,37 +7,25 @@
  * - config_get: Get current search preferences
  * - config_update: Update search preferences
  * - config_get_rejected: Get list of rejected companies
+ *
+ * Rejections are managed with the rejections_* tools; config_get_rejected
+ * is kept for agents that only need the company names.
  * 
  * @module tools/config
  */
 
 import { 
-  getConfigPath, 
-  getRejectedPath, 
-  readJsonFile, 
-  writeJsonFile 
+  getDb,
+  getConfigPath
 } from '../lib/db.js';
+import { listRejections } from '../../shared/rejections.js';
+import { searchSettingsSchema } from '../../shared/schemas.js';
+import { readSearchSettings, saveSearchSettings } from '../../shared/search-settings.js';
 
-/**
- * Default configuration values
- */
-const DEFAULT_CONFIG = {
-  workTypes: ['Fractional', 'Contract', 'Part-time'],
-  hoursPerWeek: { min: 10, max: 30 },
-  rates: {
-    hourly: { min: 110, max: 170 },
-    fractionalMonthly: { min: 5000, max: 8000 },
-    fullTimeSalary: { min: 140000, max: 180000 }
-  },
-  industries: ['EdTech', 'SaaS', 'AI', 'B2B'],
-  companyStages: ['Pre-seed', 'Seed', 'Series A'],
-  mustBeRemote: true,
-  autoRejectFullTime: true,
-  noAgencies: true,
-  searchFrequency: '8,16',
-  autoResearch: false,
-  notifyOnNewJobs: true
-};
+// Every settings field but the version, which is set when saving
+const SETTINGS_FIELDS = Object.fromEntries(
+  Object.entries(searchSettingsSchema.properties).filter(([name]) => name !== 'version')
+);
 
 /**
  * Tool definitions for MCP registration
@@ -45,7 +33,7 @@ const DEFAULT_CONFIG = {
 export const toolDefinitions = [
   {
     name: 'config_get',
-    description: 'Get the current job search configuration/preferences. Includes work types, rates, industries, etc.',
+    description: 'Get the current job search configuration/preferences: target roles, keywords, work types, compensation, industries, company stage, remote and automation settings. Older settings files are returned upgraded to the current layout.',
     inputSchema: {
       type: 'object',
       properties: {}
@@ -53,90 +41,16 @@ export const toolDefinitions = [
   },
   {
     name: 'config_update',
-    description: 'Update job search configuration. Only provided fields are updated.',
+    description: 'Update job search configuration. Only provided fields are updated: objects are merged, lists are replaced. The result is checked against the settings schema before it is saved.',
     inputSchema: {
       type: 'object',
-      properties: {
-        workTypes: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Acceptable work types (e.g., ["Fractional", "Contract", "Part-time"])'
-        },
-        hoursPerWeek: {
-          type: 'object',
-          properties: {
-            min: { type: 'number' },
-            max: { type: 'number' }
-          },
-          description: 'Acceptable hours per week range'
-        },
-        rates: {
-          type: 'object',
-          description: 'Rate expectations',
-          properties: {
-            hourly: {
-              type: 'object',
-              properties: {
-                min: { type: 'number' },
-                max: { type: 'number' }
-              }
-            },
-            fractionalMonthly: {
-              type: 'object',
-              properties: {
-                min: { type: 'number' },
-                max: { type: 'number' }
-              }
-            },
-            fullTimeSalary: {
-              type: 'object',
-              properties: {
-                min: { type: 'number' },
-                max: { type: 'number' }
-              }
-            }
-          }
-        },
-        industries: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Preferred industries'
-        },
-        companyStages: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Preferred company stages'
-        },
-        mustBeRemote: {
-          type: 'boolean',
-          description: 'Only consider remote positions'
-        },
-        autoRejectFullTime: {
-          type: 'boolean',
-          description: 'Automatically reject full-time positions'
-        },
-        noAgencies: {
-          type: 'boolean',
-          description: 'Reject staffing agency listings'
-        },
-        searchFrequency: {
-          type: 'string',
-          description: 'Hours to run search (comma-separated, e.g., "8,16")'
-        },
-        autoResearch: {
-          type: 'boolean',
-          description: 'Automatically research high-priority jobs'
-        },
-        notifyOnNewJobs: {
-          type: 'boolean',
-          description: 'Send notifications for new jobs'
-        }
-      }
+      properties: SETTINGS_FIELDS,
+      additionalProperties: false
     }
   },
   {
     name: 'config_get_rejected',
-    description: 'Get the list of rejected companies. These companies are excluded from future job searches.',
+    description: 'Get the names of companies with an active company-wide rejection. These companies are excluded from future job searches. Use rejections_list for reasons, expiry, and role or domain rejections.',
     inputSchema: {
       type: 'object',
       properties: {}
@@ -153,10 +67,11 @@ export const handlers = {
    */
   config_get: () => {
     const configPath = getConfigPath();
-    const config = readJsonFile(configPath, DEFAULT_CONFIG);
+    const result = readSearchSettings(configPath);
+    if (result.error) return { error: result.error, path: configPath };
     
     return {
-      config,
+      config: result.settings,
       path: configPath
     };
   },
@@ -168,17 +83,16 @@ export const handlers = {
     const configPath = getConfigPath();
     
     // Get current config
-    const currentConfig = readJsonFile(configPath, DEFAULT_CONFIG);
-    
-    // Deep merge updates
-    const newConfig = deepMerge(currentConfig, updates);
+    const current = readSearchSettings(configPath);
+    if (current.error) return { error: current.error, path: configPath };
     
-    // Write updated config
-    writeJsonFile(configPath, newConfig);
+    // Deep merge updates, then check and write the result
+    const result = saveSearchSettings(configPath, deepMerge(current.settings, updates));
+    if (result.error) return { error: result.error, errors: result.errors };
     
     return {
       success: true,
-      config: newConfig
+      config: result.settings
     };
   },
 
@@ -186,13 +100,11 @@ export const handlers = {
    * Get rejected companies list
    */
   config_get_rejected: () => {
-    const rejectedPath = getRejectedPath();
-    const data = readJsonFile(rejectedPath, { rejected: [] });
+    const rejected = listRejections(getDb(), { scope: 'company' }).map(r => r.pattern);
     
     return {
-      rejected: data.rejected || [],
-      count: (data.rejected || []).length,
-      path: rejectedPath
+      rejected,
+      count: rejected.length
     };
   }
 };
@@ -207,7 +119,8 @@ function deepMerge(target, source) {
   const result = { ...target };
   
   for (const key of Object.keys(source)) {
-    if (source[key] === undefined) continue;
+    // Many MCP clients send null for arguments they leave out
+    if (source[key] === undefined || source[key] === null) continue;
     
     if (
       typeof source[key] === 'object' && 
@@ -0,0 +1,359 @@
+/**
+ * Contacts Tools
+ *
+ * MCP tools for the people an agent meets while job hunting: recruiters,
+ * hiring managers, referrals. Contacts belong to a company, can be linked
+ * to its jobs, and keep a log of messages, replies and meetings.
+ *
+ * Tools:
+ * - contacts_list: List contacts at a company, on a job, or by search
+ * - contacts_get: Get a contact with linked jobs and interactions
+ * - contacts_add: Add a contact (or find the existing one)
+ * - contacts_update: Change a contact's details
+ * - contacts_remove: Delete a contact
+ * - contacts_log_interaction: Record a message, reply or meeting
+ * - contacts_link_job: Link or unlink a contact and a job
+ *
+ * @module tools/contacts
+ */
+
+import { getDb, getProjectPath } from '../lib/db.js';
+import { getConfig } from '../../shared/config.js';
+import { emit } from '../lib/event-emitter.js';
+import { agentActor } from '../../shared/activity.js';
+import {
+  RELATIONSHIPS,
+  INTERACTION_TYPES,
+  getContact,
+  listContacts,
+  createContact,
+  updateContact,
+  deleteContact,
+  linkContactToJob,
+  unlinkContactFromJob,
+  logInteraction,
+  getJobContacts,
+  contactBonus,
+  loadScoringBonuses
+} from '../../shared/contacts.js';
+
+/**
+ * Tool definitions for MCP registration
+ */
+export const toolDefinitions = [
+  {
+    name: 'contacts_list',
+    description: 'List contacts. With job_id, returns everyone at the job\'s company (flagged "linked" if linked to the job) and the scoring bonus they earn.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'number',
+          description: 'Contacts relevant to this job'
+        },
+        company_id: {
+          type: 'number',
+          description: 'Only contacts at this company'
+        },
+        search: {
+          type: 'string',
+          description: 'Match name, title or email'
+        }
+      }
+    }
+  },
+  {
+    name: 'contacts_get',
+    description: 'Get a contact with their company, linked job IDs and interaction history.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contact_id: {
+          type: 'number',
+          description: 'The contact ID'
+        }
+      },
+      required: ['contact_id']
+    }
+  },
+  {
+    name: 'contacts_add',
+    description: 'Add a contact at a company. If someone with the same email, LinkedIn URL or name already exists there, that contact is returned instead. Pass job_id to link them to a job (its company is used if none is given).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Full name' },
+        title: { type: 'string', description: 'Their job title' },
+        email: { type: 'string', description: 'Email address' },
+        linkedin_url: { type: 'string', description: 'LinkedIn profile URL' },
+        relationship: {
+          type: 'string',
+          description: 'How you know them (default: other). "referral" earns the referral scoring bonus.',
+          enum: RELATIONSHIPS,
+          default: 'other'
+        },
+        notes: { type: 'string', description: 'Free-form notes' },
+        company: { type: 'string', description: 'Company name (aliases work; created if new)' },
+        company_id: { type: 'number', description: 'Company ID (alternative to company)' },
+        job_id: { type: 'number', description: 'Job to link the contact to' },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the agent, recorded in the job timeline'
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'contacts_update',
+    description: 'Update a contact\'s details or move them to another company.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contact_id: { type: 'number', description: 'The contact ID to update' },
+        name: { type: 'string', description: 'Full name' },
+        title: { type: 'string', description: 'Their job title' },
+        email: { type: 'string', description: 'Email address' },
+        linkedin_url: { type: 'string', description: 'LinkedIn profile URL' },
+        relationship: {
+          type: 'string',
+          description: 'How you know them',
+          enum: RELATIONSHIPS
+        },
+        notes: { type: 'string', description: 'Free-form notes' },
+        company: { type: 'string', description: 'Move to this company (by name)' },
+        company_id: { type: 'number', description: 'Move to this company (by ID)' }
+      },
+      required: ['contact_id']
+    }
+  },
+  {
+    name: 'contacts_remove',
+    description: 'Delete a contact, their job links and their interaction history.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contact_id: {
+          type: 'number',
+          description: 'The contact ID to delete'
+        }
+      },
+      required: ['contact_id']
+    }
+  },
+  {
+    name: 'contacts_log_interaction',
+    description: 'Record an interaction with a contact. The entry appears in the timeline of the given job, or of every job the contact is linked to.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contact_id: {
+          type: 'number',
+          description: 'The contact ID'
+        },
+        type: {
+          type: 'string',
+          description: 'What happened',
+          enum: INTERACTION_TYPES
+        },
+        job_id: {
+          type: 'number',
+          description: 'Job the interaction was about (links the contact to it)'
+        },
+        notes: {
+          type: 'string',
+          description: 'What was said'
+        },
+        occurred_at: {
+          type: 'string',
+          description: 'When it happened (ISO date or timestamp, default: now)'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the agent, recorded in the job timeline'
+        }
+      },
+      required: ['contact_id', 'type']
+    }
+  },
+  {
+    name: 'contacts_link_job',
+    description: 'Link a contact to a job, or unlink them with unlink: true.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contact_id: {
+          type: 'number',
+          description: 'The contact ID'
+        },
+        job_id: {
+          type: 'number',
+          description: 'The job ID'
+        },
+        unlink: {
+          type: 'boolean',
+          description: 'Remove the link instead of adding it (default: false)',
+          default: false
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the agent, recorded in the job timeline'
+        }
+      },
+      required: ['contact_id', 'job_id']
+    }
+  }
+];
+
+/**
+ * Handler implementations
+ */
+export const handlers = {
+  /**
+   * List contacts
+   */
+  contacts_list: ({ job_id = null, company_id = null, search = null }) => {
+    const db = getDb();
+
+    if (job_id) {
+      if (!db.prepare('SELECT id FROM jobs WHERE id = ?').get(job_id)) {
+        return { error: 'Job not found', job_id };
+      }
+      const contacts = getJobContacts(db, job_id);
+      return {
+        job_id,
+        contacts,
+        count: contacts.length,
+        bonus: contactBonus(contacts, loadScoringBonuses(getProjectPath('.'), getConfig().rootDir))
+      };
+    }
+
+    const contacts = listContacts(db, { companyId: company_id, search });
+    return {
+      contacts,
+      count: contacts.length
+    };
+  },
+
+  /**
+   * Get a contact
+   */
+  contacts_get: ({ contact_id }) => {
+    const contact = getContact(getDb(), contact_id);
+    if (!contact) {
+      return { error: 'Contact not found', contact_id };
+    }
+    return { contact };
+  },
+
+  /**
+   * Add a contact
+   */
+  contacts_add: ({ agent_id = null, ...input }) => {
+    const result = createContact(getDb(), input, agentActor(agent_id));
+    if (result.error) {
+      return { error: result.error, job_id: input.job_id };
+    }
+
+    if (result.created || input.job_id) {
+      emit('contact.added', {
+        contact_id: result.contact.id,
+        name: result.contact.name,
+        company: result.contact.company,
+        job_id: input.job_id || null
+      });
+    }
+
+    return {
+      success: true,
+      created: result.created,
+      contact: result.contact
+    };
+  },
+
+  /**
+   * Update a contact
+   */
+  contacts_update: ({ contact_id, ...updates }) => {
+    const result = updateContact(getDb(), contact_id, updates);
+    if (result.error) {
+      return { error: result.error, contact_id };
+    }
+
+    return {
+      success: true,
+      contact: result.contact
+    };
+  },
+
+  /**
+   * Delete a contact
+   */
+  contacts_remove: ({ contact_id }) => {
+    const contact = deleteContact(getDb(), contact_id);
+    if (!contact) {
+      return { error: 'Contact not found', contact_id };
+    }
+
+    return {
+      success: true,
+      contact_id,
+      name: contact.name
+    };
+  },
+
+  /**
+   * Log an interaction
+   */
+  contacts_log_interaction: ({ contact_id, agent_id = null, ...input }) => {
+    const result = logInteraction(getDb(), contact_id, input, agentActor(agent_id));
+    if (result.error) {
+      return { error: result.error, contact_id, job_id: input.job_id };
+    }
+
+    emit('contact.interaction', {
+      contact_id,
+      type: result.interaction.type,
+      job_ids: result.job_ids
+    });
+
+    return {
+      success: true,
+      interaction: result.interaction,
+      job_ids: result.job_ids
+    };
+  },
+
+  /**
+   * Link or unlink a contact and a job
+   */
+  contacts_link_job: ({ contact_id, job_id, unlink = false, agent_id = null }) => {
+    const db = getDb();
+
+    if (unlink) {
+      if (!unlinkContactFromJob(db, contact_id, job_id)) {
+        return { error: 'Contact is not linked to that job', contact_id, job_id };
+      }
+      return { success: true, contact_id, job_id, linked: false };
+    }
+
+    const result = linkContactToJob(db, contact_id, job_id, agentActor(agent_id));
+    if (result.error) {
+      return { error: result.error, contact_id, job_id };
+    }
+
+    if (result.linked) {
+      emit('contact.added', { contact_id, job_id });
+    }
+
+    return {
+      success: true,
+      contact_id,
+      job_id,
+      linked: true,
+      already_linked: !result.linked
+    };
+  }
+};
+
+export default { toolDefinitions, handlers };
@@ -2,23 +2,35 @@
  * Events Tools
  * 
  * MCP tools for subscribing to and receiving events from the ProwlA.
- * Supports both polling and webhook delivery modes.
+ * Supports both polling and webhook delivery modes. Events come from the
+ * shared event log, so they include changes made in the dashboard, and
+ * each read returns a cursor to resume from after a restart.
  * 
  * Event Types:
  * - job.created: New job added
  * - job.updated: Job fields changed
- * - job.deleted: Job removed
+ * - job.deleted: Job moved to the trash
+ * - job.restored: Job restored from the trash
+ * - job.purged: Trashed job permanently deleted
  * - task.created: New task queued
  * - task.claimed: Task locked by agent
  * - task.completed: Task finished
  * - research.saved: Research notes saved
  * - materials.saved: Cover letter or email saved
+ * - contact.added, contact.interaction: Contact activity
+ * - interview.scheduled, interview.rescheduled, interview.outcome,
+ *   interview.upcoming: Interview activity
+ * - followup.due: A follow-up date has arrived
+ * - report.generated: The weekly digest was written
  * 
  * Tools:
- * - events_subscribe: Register for event notifications
+ * - events_subscribe: Register for event notifications, optionally
+ *   filtered on the event payload
  * - events_unsubscribe: Remove subscription
  * - events_list: Get recent events
  * - events_poll: Long-poll for new events
+ * - events_deliveries: Webhook delivery history and redelivery
+ * - events_list_subscriptions: Stored subscriptions, and renewing one
  * 
  * @module tools/events
  */
@@ -29,8 +41,13 @@ import {
   unsubscribe, 
   listEvents, 
   poll,
-  getSubscription 
+  renew,
+  getSubscription,
+  listSubscriptions
 } from '../lib/event-emitter.js';
+import { getDb } from '../lib/db.js';
+import { DELIVERY_STATUSES, WEBHOOK_MAX_ATTEMPTS, listDeliveries, redeliver } from '../../shared/webhooks.js';
+import { FILTER_OPERATORS } from '../../shared/event-filters.js';
 
 /**
  * Tool definitions for MCP registration
@@ -38,7 +55,7 @@ import {
 export const toolDefinitions = [
   {
     name: 'events_subscribe',
-    description: 'Subscribe to events. Returns a subscription ID for polling or use with webhooks.',
+    description: 'Subscribe to events. Returns a subscription ID for polling or use with webhooks. Subscriptions are stored, so they survive server restarts; webhooks keep being delivered while no agent is connected.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -50,13 +67,47 @@ export const toolDefinitions = [
           },
           description: `Event types to subscribe to. Valid types: ${EVENT_TYPES.join(', ')}`
         },
+        filters: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: {
+                type: 'string',
+                description: 'Payload field, with dots for nested ones (e.g. priority, source, changes.status)'
+              },
+              op: {
+                type: 'string',
+                enum: FILTER_OPERATORS,
+                description: 'eq/ne: equal or not; in/not_in: one of a list; contains: text contains (case-insensitive) or list includes; gt/gte/lt/lte: numeric comparison; exists: field present (value true) or absent (false). Default: eq'
+              },
+              value: {
+                description: 'Value to compare with (a list for in/not_in, a number for gt/gte/lt/lte)'
+              }
+            },
+            required: ['field']
+          },
+          description: 'Optional conditions on the event payload, all of which must hold, applied to both polling and webhooks. E.g. [{"field": "priority", "op": "eq", "value": "🔴 High"}, {"field": "source", "op": "contains", "value": "YC"}]'
+        },
         webhook_url: {
           type: 'string',
-          description: 'Optional webhook URL for push delivery. Events will be POSTed to this URL.'
+          description: 'Optional webhook URL for push delivery. Events will be POSTed to this URL, signed with the subscription secret (X-Prowla-Signature), and retried with backoff until it answers 2xx.'
+        },
+        secret: {
+          type: 'string',
+          description: 'Secret for the webhook signatures (default: generated and returned as webhook_secret)'
         },
         callback_id: {
           type: 'string',
           description: 'Optional identifier for the subscriber (e.g., agent name)'
+        },
+        after: {
+          type: 'number',
+          description: 'Cursor from an earlier events_poll or events_list to start after, to catch up on events missed while disconnected (default: only new events)'
+        },
+        ttl_seconds: {
+          type: 'number',
+          description: 'Optional: remove the subscription unless it is polled or renewed (events_list_subscriptions with renew) within this many seconds. Default: kept until unsubscribed.'
         }
       },
       required: ['event_types']
@@ -78,10 +129,14 @@ export const toolDefinitions = [
   },
   {
     name: 'events_list',
-    description: 'Get recent events. Useful for checking what happened while agent was offline.',
+    description: 'Get events. With after, returns the events following that cursor, oldest first, and a cursor to pass next time; otherwise returns the most recent events, newest first. Useful for checking what happened while agent was offline.',
     inputSchema: {
       type: 'object',
       properties: {
+        after: {
+          type: 'number',
+          description: 'Return events after this cursor (from an earlier call), oldest first'
+        },
         since: {
           type: 'string',
           description: 'Return events after this ISO timestamp'
@@ -93,7 +148,7 @@ export const toolDefinitions = [
         },
         limit: {
           type: 'number',
-          description: 'Maximum events to return (default: 100)',
+          description: 'Maximum events to return (default: 100, max: 500)',
           default: 100
         }
       }
@@ -101,7 +156,7 @@ export const toolDefinitions = [
   },
   {
     name: 'events_poll',
-    description: 'Long-poll for new events. Waits until events occur or timeout. Returns events since last poll for this subscription.',
+    description: 'Long-poll for new events. Waits until events occur or timeout. Returns events since last poll for this subscription, and the cursor after them. Polling renews a subscription with a TTL. Webhook subscriptions cannot be polled.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -113,10 +168,63 @@ export const toolDefinitions = [
           type: 'number',
           description: 'How long to wait for events in milliseconds (default: 30000)',
           default: 30000
+        },
+        after: {
+          type: 'number',
+          description: 'Resume after this cursor instead of the last poll'
         }
       },
       required: ['subscription_id']
     }
+  },
+  {
+    name: 'events_deliveries',
+    description: `Webhook delivery history, newest first. A failed delivery is retried with exponential backoff and marked dead after ${WEBHOOK_MAX_ATTEMPTS} attempts. Pass redeliver with a delivery ID to send it again.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        subscription_id: {
+          type: 'string',
+          description: 'Only deliveries for this subscription'
+        },
+        status: {
+          type: 'string',
+          enum: DELIVERY_STATUSES,
+          description: 'Only deliveries with this status'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum deliveries to return (default: 50)',
+          default: 50
+        },
+        offset: {
+          type: 'number',
+          description: 'Deliveries to skip (default: 0)',
+          default: 0
+        },
+        redeliver: {
+          type: 'number',
+          description: 'Delivery ID to send again (queued with a fresh set of attempts)'
+        }
+      }
+    }
+  },
+  {
+    name: 'events_list_subscriptions',
+    description: 'List stored event subscriptions with their cursor and expiry (webhook secrets are not shown). Pass renew with a subscription ID to push back its expiry instead.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        callback_id: {
+          type: 'string',
+          description: 'Only subscriptions made with this callback_id'
+        },
+        renew: {
+          type: 'string',
+          description: 'Subscription ID to renew (for subscriptions with a TTL)'
+        }
+      }
+    }
   }
 ];
 
@@ -127,7 +235,7 @@ export const handlers = {
   /**
    * Subscribe to events
    */
-  events_subscribe: ({ event_types, webhook_url = null, callback_id = null }) => {
+  events_subscribe: ({ event_types, filters = null, webhook_url = null, secret = null, callback_id = null, after = null, ttl_seconds = null }) => {
     // Validate event types
     const invalidTypes = event_types.filter(t => !EVENT_TYPES.includes(t));
     if (invalidTypes.length > 0) {
@@ -138,7 +246,7 @@ export const handlers = {
       };
     }
     
-    return subscribe({ event_types, webhook_url, callback_id });
+    return subscribe({ event_types, filters, webhook_url, secret, callback_id, after, ttl_seconds });
   },
 
   /**
@@ -151,11 +259,15 @@ export const handlers = {
   /**
    * List recent events
    */
-  events_list: ({ since = null, type = null, limit = 100 }) => {
-    const events = listEvents({ since, type, limit });
+  events_list: ({ after = null, since = null, type = null, limit = 100 }) => {
+    const result = listEvents({ after, since, type, limit });
+    if (result.error) {
+      return { error: result.error, since };
+    }
+
     return {
-      events,
-      count: events.length,
+      ...result,
+      count: result.events.length,
       available_types: EVENT_TYPES
     };
   },
@@ -163,7 +275,7 @@ export const handlers = {
   /**
    * Long-poll for events
    */
-  events_poll: async ({ subscription_id, timeout_ms = 30000 }) => {
+  events_poll: async ({ subscription_id, timeout_ms = 30000, after = null }) => {
     // Verify subscription exists
     const subscription = getSubscription(subscription_id);
     if (!subscription) {
@@ -174,7 +286,7 @@ export const handlers = {
     }
     
     // Poll for events
-    const result = await poll(subscription_id, timeout_ms);
+    const result = await poll(subscription_id, timeout_ms, after);
     
     return {
       ...result,
@@ -182,6 +294,50 @@ export const handlers = {
       event_types: subscription.event_types,
       count: result.events?.length || 0
     };
+  },
+
+  /**
+   * List webhook deliveries, or send one again
+   */
+  events_deliveries: ({ subscription_id = null, status = null, limit = 50, offset = 0, redeliver: deliveryId = null }) => {
+    const db = getDb();
+
+    if (deliveryId) {
+      const result = redeliver(db, deliveryId);
+      if (result.error) {
+        return { error: result.error, delivery_id: deliveryId };
+      }
+      return { success: true, delivery: result.delivery };
+    }
+
+    const result = listDeliveries(db, { subscriptionId: subscription_id, status, limit, offset });
+    if (result.error) {
+      return { error: result.error, valid_statuses: DELIVERY_STATUSES };
+    }
+
+    return {
+      ...result,
+      count: result.deliveries.length
+    };
+  },
+
+  /**
+   * List subscriptions, or renew one
+   */
+  events_list_subscriptions: ({ callback_id = null, renew: subscriptionId = null }) => {
+    if (subscriptionId) {
+      const result = renew(subscriptionId);
+      if (result.error) {
+        return { error: result.error, subscription_id: subscriptionId };
+      }
+      return result;
+    }
+
+    const subscriptions = listSubscriptions({ callback_id });
+    return {
+      subscriptions,
+      count: subscriptions.length
+    };
   }
 };
 
@@ -0,0 +1,274 @@
+/**
+ * Interviews Tools
+ *
+ * MCP tools for tracking interview rounds: when they are, who is on the
+ * other side, what to prepare, and how they went. Scheduling a round
+ * moves the job to "Interviewing".
+ *
+ * Tools:
+ * - interviews_list: List a job's rounds, or upcoming interviews
+ * - interviews_schedule: Add an interview round to a job
+ * - interviews_update: Reschedule or edit a round
+ * - interviews_record_outcome: Record how a round went
+ *
+ * @module tools/interviews
+ */
+
+import { getDb } from '../lib/db.js';
+import { emit } from '../lib/event-emitter.js';
+import { agentActor } from '../../shared/activity.js';
+import {
+  INTERVIEW_TYPES,
+  INTERVIEW_OUTCOMES,
+  listInterviews,
+  scheduleInterview,
+  updateInterview,
+  recordOutcome
+} from '../../shared/interviews.js';
+import { INTERVIEW_FIELDS } from '../../shared/schemas.js';
+
+/**
+ * Schema for the interviewers list, shared by schedule and update
+ */
+const INTERVIEWERS_SCHEMA = {
+  ...INTERVIEW_FIELDS.interviewers,
+  description: 'People interviewing. Each is a name, or { name, contact_id } to link a contact (from contacts_list).'
+};
+
+/**
+ * Tool definitions for MCP registration
+ */
+export const toolDefinitions = [
+  {
+    name: 'interviews_list',
+    description: 'List interview rounds for a job (in round order), or every upcoming interview across all jobs (soonest first).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'number',
+          description: 'Only this job\'s rounds'
+        },
+        upcoming: {
+          type: 'boolean',
+          description: 'Only pending interviews scheduled from now on (default: false)',
+          default: false
+        },
+        outcome: {
+          type: 'string',
+          description: 'Only rounds with this outcome',
+          enum: INTERVIEW_OUTCOMES
+        }
+      }
+    }
+  },
+  {
+    name: 'interviews_schedule',
+    description: 'Add an interview round to a job. The round number defaults to the next one, and a job not yet "Interviewing" is moved to that status.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'number',
+          description: 'The job ID'
+        },
+        type: {
+          type: 'string',
+          description: 'Kind of interview (default: screen)',
+          enum: INTERVIEW_TYPES,
+          default: 'screen'
+        },
+        scheduled_at: {
+          type: 'string',
+          description: 'When it takes place (ISO timestamp, include the time zone offset)'
+        },
+        duration_minutes: {
+          type: 'number',
+          description: 'Expected length in minutes'
+        },
+        location: {
+          type: 'string',
+          description: 'Video call link, phone number or address'
+        },
+        interviewers: INTERVIEWERS_SCHEMA,
+        prep_notes: {
+          type: 'string',
+          description: 'What to prepare (markdown)'
+        },
+        round: {
+          type: 'number',
+          description: 'Round number (default: after the last round)'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the agent, recorded in the job timeline'
+        }
+      },
+      required: ['job_id']
+    }
+  },
+  {
+    name: 'interviews_update',
+    description: 'Reschedule an interview or change its type, location, interviewers or prep notes. Use interviews_record_outcome once it has happened.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        interview_id: {
+          type: 'number',
+          description: 'The interview ID'
+        },
+        type: {
+          type: 'string',
+          description: 'Kind of interview',
+          enum: INTERVIEW_TYPES
+        },
+        scheduled_at: {
+          type: 'string',
+          description: 'New time (ISO timestamp)'
+        },
+        duration_minutes: { type: 'number', description: 'Expected length in minutes' },
+        location: { type: 'string', description: 'Video call link, phone number or address' },
+        interviewers: INTERVIEWERS_SCHEMA,
+        prep_notes: { type: 'string', description: 'What to prepare (markdown)' },
+        round: { type: 'number', description: 'Round number' },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the agent, recorded in the job timeline'
+        }
+      },
+      required: ['interview_id']
+    }
+  },
+  {
+    name: 'interviews_record_outcome',
+    description: 'Record how an interview went: passed, failed or cancelled, with our own feedback.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        interview_id: {
+          type: 'number',
+          description: 'The interview ID'
+        },
+        outcome: {
+          type: 'string',
+          description: 'Result of the round',
+          enum: INTERVIEW_OUTCOMES
+        },
+        feedback: {
+          type: 'string',
+          description: 'Our notes on how it went, questions asked, what to improve'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the agent, recorded in the job timeline'
+        }
+      },
+      required: ['interview_id', 'outcome']
+    }
+  }
+];
+
+/**
+ * Handler implementations
+ */
+export const handlers = {
+  /**
+   * List interviews
+   */
+  interviews_list: ({ job_id = null, upcoming = false, outcome = null }) => {
+    const db = getDb();
+    if (job_id && !db.prepare('SELECT id FROM jobs WHERE id = ?').get(job_id)) {
+      return { error: 'Job not found', job_id };
+    }
+
+    const interviews = listInterviews(db, { jobId: job_id, upcoming, outcome });
+    return {
+      interviews,
+      count: interviews.length
+    };
+  },
+
+  /**
+   * Schedule an interview round
+   */
+  interviews_schedule: ({ job_id, agent_id = null, ...input }) => {
+    const result = scheduleInterview(getDb(), job_id, input, agentActor(agent_id));
+    if (result.error) {
+      return { error: result.error, job_id };
+    }
+
+    const { interview } = result;
+    emit('interview.scheduled', {
+      interview_id: interview.id,
+      job_id,
+      company: interview.company,
+      round: interview.round,
+      type: interview.type,
+      scheduled_at: interview.scheduled_at
+    });
+    if (result.status_changed) {
+      emit('job.updated', { job_id, changes: { status: 'Interviewing' }, company: interview.company });
+    }
+
+    return {
+      success: true,
+      interview,
+      status_changed: result.status_changed
+    };
+  },
+
+  /**
+   * Update an interview
+   */
+  interviews_update: ({ interview_id, agent_id = null, ...updates }) => {
+    const db = getDb();
+    const before = db.prepare('SELECT scheduled_at FROM interviews WHERE id = ?').get(interview_id);
+
+    const result = updateInterview(db, interview_id, updates, agentActor(agent_id));
+    if (result.error) {
+      return { error: result.error, interview_id };
+    }
+
+    const { interview } = result;
+    if (before.scheduled_at !== interview.scheduled_at) {
+      emit('interview.rescheduled', {
+        interview_id,
+        job_id: interview.job_id,
+        company: interview.company,
+        from: before.scheduled_at,
+        to: interview.scheduled_at
+      });
+    }
+
+    return {
+      success: true,
+      interview
+    };
+  },
+
+  /**
+   * Record an interview outcome
+   */
+  interviews_record_outcome: ({ interview_id, outcome, feedback, agent_id = null }) => {
+    const result = recordOutcome(getDb(), interview_id, { outcome, feedback }, agentActor(agent_id));
+    if (result.error) {
+      return { error: result.error, interview_id };
+    }
+
+    const { interview } = result;
+    emit('interview.outcome', {
+      interview_id,
+      job_id: interview.job_id,
+      company: interview.company,
+      round: interview.round,
+      outcome
+    });
+
+    return {
+      success: true,
+      interview
+    };
+  }
+};
+
+export default { toolDefinitions, handlers };
@@ -9,17 +9,31 @@
  * - jobs_get: Get a single job by ID
  * - jobs_create: Create a new job
  * - jobs_update: Update job fields
- * - jobs_delete: Delete a job (adds to rejected list)
+ * - jobs_delete: Move a job to the trash
+ * - jobs_restore: Restore a job from the trash
+ * - jobs_list_trash: List jobs in the trash
+ * - jobs_purge: Permanently delete a trashed job
+ * - jobs_reject_company: Add a job's company to the rejected list
  * - jobs_bulk_update: Update multiple jobs at once
- * - jobs_search: Fuzzy search across jobs
+ * - jobs_search: Full-text search across jobs
+ * - jobs_timeline: Get a job's activity history
+ * - jobs_import_csv: Import jobs from a CSV file or text
  * 
  * @module tools/jobs
  */
 
-import { getDb, slugify, getApplicationsPath, ensureDir, getRejectedPath, readJsonFile, writeJsonFile } from '../lib/db.js';
+import { getDb, getApplicationsPath, getProjectPath, ensureDir } from '../lib/db.js';
 import { emit } from '../lib/event-emitter.js';
 import { searchJobs } from '../lib/fuzzy-search.js';
-import { join } from 'path';
+import { agentActor, recordActivity, recordJobChanges, getTimeline } from '../../shared/activity.js';
+import { TRASH_RETENTION_DAYS, trashJob, restoreJob, purgeJob, listTrash, purgeExpiredTrash } from '../../shared/trash.js';
+import { createRejection } from '../../shared/rejections.js';
+import { attachJobToCompany, reassignJobCompany, findDuplicateJob } from '../../shared/companies.js';
+import { IMPORT_FIELDS, DUPLICATE_ACTIONS, importJobsCSV } from '../../shared/job-csv.js';
+import { JOB_STATUSES, JOB_PRIORITIES, MATERIALS_STATUSES, JOB_FIELDS } from '../../shared/schemas.js';
+import { priorityOrder } from '../../shared/search.js';
+import { join, isAbsolute } from 'path';
+import fs from 'fs';
 
 /**
  * Tool definitions for MCP registration
@@ -34,17 +48,17 @@ export const toolDefinitions = [
         status: {
           type: 'string',
           description: 'Filter by status (e.g., "Not Started", "Applied", "Interviewing")',
-          enum: ['Not Started', 'Researching', 'Ready to Apply', 'Applied', 'Interviewing', 'Done']
+          enum: JOB_STATUSES
         },
         priority: {
           type: 'string',
           description: 'Filter by priority',
-          enum: ['🔴 High', '🟡 Medium', '🟢 Lower']
+          enum: JOB_PRIORITIES
         },
         materials_status: {
           type: 'string',
           description: 'Filter by materials status',
-          enum: ['⬜ None', '🔍 Research', '📝 Materials', '✅ Full']
+          enum: MATERIALS_STATUSES
         },
         source: {
           type: 'string',
@@ -83,22 +97,22 @@ export const toolDefinitions = [
   },
   {
     name: 'jobs_create',
-    description: 'Create a new job opportunity in the database. Returns the new job ID.',
+    description: 'Create a new job opportunity in the database. Returns the new job ID. Refused if the same role at the same company (including aliases) or the same apply URL is already tracked; other roles at a tracked company are fine.',
     inputSchema: {
       type: 'object',
       properties: {
         company: {
-          type: 'string',
+          ...JOB_FIELDS.company,
           description: 'Company name (required)'
         },
         role: {
-          type: 'string',
+          ...JOB_FIELDS.role,
           description: 'Job role/title (required)'
         },
         priority: {
           type: 'string',
           description: 'Priority level (default: 🟢 Lower)',
-          enum: ['🔴 High', '🟡 Medium', '🟢 Lower'],
+          enum: JOB_PRIORITIES,
           default: '🟢 Lower'
         },
         type: {
@@ -128,8 +142,18 @@ export const toolDefinitions = [
         status: {
           type: 'string',
           description: 'Initial status (default: Not Started)',
-          enum: ['Not Started', 'Researching', 'Ready to Apply', 'Applied', 'Interviewing', 'Done'],
+          enum: JOB_STATUSES,
           default: 'Not Started'
+        },
+        score: JOB_FIELDS.score,
+        allow_duplicate: {
+          type: 'boolean',
+          description: 'Create the job even if it looks like a duplicate (default: false)',
+          default: false
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['company', 'role']
@@ -148,17 +172,17 @@ export const toolDefinitions = [
         status: {
           type: 'string',
           description: 'New status',
-          enum: ['Not Started', 'Researching', 'Ready to Apply', 'Applied', 'Interviewing', 'Done']
+          enum: JOB_STATUSES
         },
         priority: {
           type: 'string',
           description: 'New priority',
-          enum: ['🔴 High', '🟡 Medium', '🟢 Lower']
+          enum: JOB_PRIORITIES
         },
         materials: {
           type: 'string',
           description: 'Materials status',
-          enum: ['⬜ None', '🔍 Research', '📝 Materials', '✅ Full']
+          enum: MATERIALS_STATUSES
         },
         type: { type: 'string', description: 'Work type' },
         hours_week: { type: 'string', description: 'Hours per week' },
@@ -166,21 +190,104 @@ export const toolDefinitions = [
         location: { type: 'string', description: 'Location' },
         source: { type: 'string', description: 'Source' },
         apply_url: { type: 'string', description: 'Apply URL' },
-        applied_date: { type: 'string', description: 'Date applied (ISO format)' },
-        follow_up_date: { type: 'string', description: 'Follow-up date (ISO format)' }
+        applied_date: { ...JOB_FIELDS.applied_date, description: 'Date applied (YYYY-MM-DD)' },
+        follow_up_date: { ...JOB_FIELDS.follow_up_date, description: 'Follow-up date (YYYY-MM-DD)' },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
+        }
       },
       required: ['job_id']
     }
   },
   {
     name: 'jobs_delete',
-    description: 'Delete a job from the database. The company is added to the rejected list to prevent re-adding.',
+    description: `Move a job to the trash. Trashed jobs are hidden from lists but keep their research and materials, and can be restored with jobs_restore for ${TRASH_RETENTION_DAYS} days. Does not reject the company; use jobs_reject_company for that.`,
     inputSchema: {
       type: 'object',
       properties: {
         job_id: {
           type: 'number',
           description: 'The job ID to delete'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
+        }
+      },
+      required: ['job_id']
+    }
+  },
+  {
+    name: 'jobs_restore',
+    description: 'Restore a job from the trash.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'number',
+          description: 'The trashed job ID to restore'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
+        }
+      },
+      required: ['job_id']
+    }
+  },
+  {
+    name: 'jobs_list_trash',
+    description: 'List jobs in the trash, newest first, with the date each will be permanently deleted.',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'jobs_purge',
+    description: 'Permanently delete a job that is already in the trash. This cannot be undone.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'number',
+          description: 'The trashed job ID to delete permanently'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
+        }
+      },
+      required: ['job_id']
+    }
+  },
+  {
+    name: 'jobs_reject_company',
+    description: 'Reject a job\'s company so automated searches skip it, optionally with a reason and an expiry. Also moves the job to the trash unless trash is false. Use rejections_add for role or domain rejections.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'number',
+          description: 'The job whose company should be rejected'
+        },
+        reason: {
+          type: 'string',
+          description: 'Why the company was rejected'
+        },
+        expires_in_days: {
+          type: 'number',
+          description: 'Let the rejection expire after this many days (e.g., 180). Omit for a permanent rejection.'
+        },
+        trash: {
+          type: 'boolean',
+          description: 'Also move the job to the trash (default: true)',
+          default: true
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['job_id']
@@ -201,10 +308,14 @@ export const toolDefinitions = [
           type: 'object',
           description: 'Fields to update on all jobs',
           properties: {
-            status: { type: 'string' },
-            priority: { type: 'string' },
-            materials: { type: 'string' }
+            status: JOB_FIELDS.status,
+            priority: JOB_FIELDS.priority,
+            materials: JOB_FIELDS.materials
           }
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['job_ids', 'updates']
@@ -212,28 +323,92 @@ export const toolDefinitions = [
   },
   {
     name: 'jobs_search',
-    description: 'Fuzzy search across jobs by company name, role, or research notes. Returns relevance-scored results.',
+    description: 'Full-text search across jobs by company, role, type, location, source, or research notes. Returns results ranked by relevance with a highlighted snippet. Words match by prefix; supports "quoted phrases", -excluded words, field searches (company:acme, role:, notes:) and filters (status:Applied, priority:high, source:LinkedIn).',
     inputSchema: {
       type: 'object',
       properties: {
         query: {
           type: 'string',
-          description: 'Search query (e.g., "AI startup", "series A")'
+          description: 'Search query (e.g., "AI startup", \'status:Applied priority:high "series a" -agency\')'
         },
         fields: {
           type: 'array',
-          items: { type: 'string' },
-          description: 'Fields to search (default: company, role, research_notes, source)',
-          default: ['company', 'role', 'research_notes', 'source']
+          items: { type: 'string', enum: ['company', 'role', 'type', 'location', 'source', 'research_notes'] },
+          description: 'Fields to search (default: all)'
         },
         limit: {
           type: 'number',
           description: 'Maximum results to return (default: 20)',
           default: 20
+        },
+        offset: {
+          type: 'number',
+          description: 'Results to skip, for paging (default: 0)',
+          default: 0
         }
       },
       required: ['query']
     }
+  },
+  {
+    name: 'jobs_timeline',
+    description: 'Get the activity history for a job: status and field changes, research and materials saves, and task events, with who made each change. Newest first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'number',
+          description: 'The job ID to get the timeline for'
+        },
+        type: {
+          type: 'string',
+          description: 'Filter by activity type (e.g., "field.changed", "research.saved")'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum entries to return (default: 100)',
+          default: 100
+        }
+      },
+      required: ['job_id']
+    }
+  },
+  {
+    name: 'jobs_import_csv',
+    description: `Import jobs from CSV (e.g. an old tracking spreadsheet). Previews by default: run once to see the guessed mapping and what each row would do, then again with dry_run: false to save. Rows matching an existing job by company + role or posting URL are skipped, update it, or are created anyway (on_duplicate). Importable fields: ${IMPORT_FIELDS.join(', ')}.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        csv: {
+          type: 'string',
+          description: 'CSV text with a header row'
+        },
+        path: {
+          type: 'string',
+          description: 'CSV file to read instead of csv (absolute, or relative to the project root)'
+        },
+        mapping: {
+          type: 'object',
+          description: 'CSV header to job field, e.g. { "Title": "role", "Notes": null }. Default: guessed from the headers. Headers mapped to null are ignored.',
+          additionalProperties: { type: ['string', 'null'] }
+        },
+        on_duplicate: {
+          type: 'string',
+          description: 'What to do with rows matching an existing job (default: skip)',
+          enum: DUPLICATE_ACTIONS,
+          default: 'skip'
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Only report what would happen (default: true)',
+          default: true
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the agent, recorded in the job timeline'
+        }
+      }
+    }
   }
 ];
 
@@ -247,7 +422,7 @@ export const handlers = {
   jobs_list: ({ status, priority, materials_status, source, only_new, limit = 50, offset = 0 }) => {
     const db = getDb();
     
-    let query = 'SELECT * FROM jobs WHERE 1=1';
+    let query = 'SELECT * FROM jobs WHERE deleted_at IS NULL';
     const params = [];
     
     if (status) {
@@ -286,7 +461,7 @@ export const handlers = {
     
     // Add ordering and pagination
     query += ` ORDER BY 
-      CASE priority WHEN '🔴 High' THEN 1 WHEN '🟡 Medium' THEN 2 WHEN '🟢 Lower' THEN 3 END,
+      ${priorityOrder('priority')},
       created_at DESC
       LIMIT ? OFFSET ?`;
     params.push(limit, offset);
@@ -330,25 +505,29 @@ export const handlers = {
   /**
    * Create a new job
    */
-  jobs_create: ({ company, role, priority = '🟢 Lower', type, hours_week, compensation, location, source, apply_url, status = 'Not Started' }) => {
+  jobs_create: ({ company, role, priority = '🟢 Lower', type, hours_week, compensation, location, source, apply_url, status = 'Not Started', score = null, allow_duplicate = false, agent_id = null }) => {
     const db = getDb();
-    const companySlug = slugify(company);
     
-    // Check if job already exists for this company
-    const existing = db.prepare('SELECT id FROM jobs WHERE LOWER(company) = LOWER(?)').get(company);
-    if (existing) {
+    // Same role at the same company, or the same posting URL
+    const duplicate = allow_duplicate ? null : findDuplicateJob(db, { company, role, apply_url });
+    if (duplicate) {
       return { 
-        error: 'Job already exists for this company',
-        existing_job_id: existing.id,
-        company
+        error: duplicate.in_trash
+          ? 'This job is in the trash. Restore it with jobs_restore.'
+          : 'Job already exists',
+        existing_job_id: duplicate.job.id,
+        match: duplicate.match,
+        in_trash: duplicate.in_trash,
+        company,
+        role
       };
     }
     
     const insert = db.prepare(`
       INSERT INTO jobs (
         status, priority, company, role, type, hours_week, compensation,
-        location, source, materials, cover_letter, email, notes, apply_url
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        location, source, materials, apply_url, score
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     const result = insert.run(
@@ -362,26 +541,37 @@ export const handlers = {
       location || null,
       source || null,
       '⬜ None',
-      `applications/${companySlug}/cover-letter.md`,
-      `applications/${companySlug}/email.md`,
-      `applications/${companySlug}/notes.md`,
-      apply_url || null
+      apply_url || null,
+      score
     );
     
     const jobId = result.lastInsertRowid;
     
+    // Link the job to its company and give it its own materials folder
+    const { company: companyRow, job } = attachJobToCompany(db, jobId);
+    
+    recordActivity(db, {
+      jobId,
+      type: 'job.created',
+      actor: agentActor(agent_id),
+      details: { company: job.company, role, priority, source }
+    });
+    
     // Emit event
     emit('job.created', { 
       job_id: jobId, 
-      company, 
+      company: job.company, 
+      company_id: companyRow.id,
       role,
       priority,
-      source
+      source,
+      score
     });
     
     return { 
       job_id: Number(jobId),
-      company,
+      company: job.company,
+      company_id: companyRow.id,
       role
     };
   },
@@ -389,7 +579,7 @@ export const handlers = {
   /**
    * Update job fields
    */
-  jobs_update: ({ job_id, ...updates }) => {
+  jobs_update: ({ job_id, agent_id = null, ...updates }) => {
     const db = getDb();
     
     // Check job exists
@@ -406,11 +596,13 @@ export const handlers = {
     
     const setters = [];
     const params = [];
+    const applied = {};
     
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key) && value !== undefined) {
         setters.push(`${key} = ?`);
         params.push(value);
+        applied[key] = value;
       }
     }
     
@@ -424,6 +616,14 @@ export const handlers = {
     const query = `UPDATE jobs SET ${setters.join(', ')} WHERE id = ?`;
     db.prepare(query).run(...params);
     
+    // A new company name may belong to a different company
+    if (applied.company !== undefined && applied.company !== existing.company) {
+      reassignJobCompany(db, job_id, applied.company);
+    }
+    
+    // Record what changed in the job's timeline
+    recordJobChanges(db, existing, applied, agentActor(agent_id));
+    
     // Get updated job
     const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(job_id);
     
@@ -441,59 +641,179 @@ export const handlers = {
   },
 
   /**
-   * Delete a job
+   * Move a job to the trash
    */
-  jobs_delete: ({ job_id }) => {
+  jobs_delete: ({ job_id, agent_id = null }) => {
     const db = getDb();
     
-    // Get job details first
-    const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(job_id);
-    if (!job) {
-      return { error: 'Job not found', job_id };
+    const result = trashJob(db, job_id, agentActor(agent_id));
+    if (!result.success) {
+      return { error: result.error, job_id };
     }
     
-    // Delete from database
-    db.prepare('DELETE FROM jobs WHERE id = ?').run(job_id);
+    // Emit event
+    emit('job.deleted', { 
+      job_id, 
+      company: result.job.company,
+      role: result.job.role,
+      trashed: true
+    });
     
-    // Add to rejected list
-    const rejectedPath = getRejectedPath();
-    let rejected = readJsonFile(rejectedPath, { rejected: [] });
+    return { 
+      success: true,
+      company: result.job.company,
+      trashed: true,
+      purge_at: result.purge_at
+    };
+  },
+
+  /**
+   * Restore a job from the trash
+   */
+  jobs_restore: ({ job_id, agent_id = null }) => {
+    const db = getDb();
     
-    if (!rejected.rejected.includes(job.company)) {
-      rejected.rejected.push(job.company);
-      rejected.notes = "Companies in this list won't be added again by automated job search";
-      writeJsonFile(rejectedPath, rejected);
+    const result = restoreJob(db, job_id, agentActor(agent_id));
+    if (!result.success) {
+      return { error: result.error, job_id };
     }
     
-    // Emit event
-    emit('job.deleted', { 
-      job_id, 
+    emit('job.restored', {
+      job_id,
+      company: result.job.company,
+      role: result.job.role
+    });
+    
+    return {
+      success: true,
+      job: result.job
+    };
+  },
+
+  /**
+   * List jobs in the trash
+   */
+  jobs_list_trash: () => {
+    const db = getDb();
+    
+    // Drop anything past the retention period first
+    for (const job of purgeExpiredTrash(db)) {
+      emit('job.purged', { job_id: job.id, company: job.company, role: job.role });
+    }
+    
+    const jobs = listTrash(db).map(job => ({
+      id: job.id,
       company: job.company,
-      role: job.role
+      role: job.role,
+      status: job.status,
+      priority: job.priority,
+      deleted_at: job.deleted_at,
+      purge_at: job.purge_at
+    }));
+    
+    return {
+      jobs,
+      count: jobs.length,
+      retention_days: TRASH_RETENTION_DAYS
+    };
+  },
+
+  /**
+   * Permanently delete a trashed job
+   */
+  jobs_purge: ({ job_id, agent_id = null }) => {
+    const db = getDb();
+    
+    const result = purgeJob(db, job_id, agentActor(agent_id));
+    if (!result.success) {
+      return { error: result.error, job_id };
+    }
+    
+    emit('job.purged', {
+      job_id,
+      company: result.job.company,
+      role: result.job.role
     });
     
-    return { 
+    return {
+      success: true,
+      company: result.job.company
+    };
+  },
+
+  /**
+   * Reject a job's company
+   */
+  jobs_reject_company: ({ job_id, reason, expires_in_days, trash = true, agent_id = null }) => {
+    const db = getDb();
+    
+    const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(job_id);
+    if (!job) {
+      return { error: 'Job not found', job_id };
+    }
+    
+    const actor = agentActor(agent_id);
+    const result = createRejection(db, {
+      scope: 'company',
+      pattern: job.company,
+      reason,
+      expires_in_days,
+      job_id: job.id
+    }, actor);
+    if (result.error) {
+      return { error: result.error, job_id };
+    }
+    
+    recordActivity(db, {
+      jobId: job.id,
+      type: 'company.rejected',
+      actor,
+      details: {
+        company: job.company,
+        rejection_id: result.rejection.id,
+        reason: result.rejection.reason,
+        expires_at: result.rejection.expires_at,
+        already_rejected: !result.created
+      }
+    });
+    
+    const trashed = trash && !job.deleted_at;
+    if (trashed) {
+      trashJob(db, job.id, actor);
+      emit('job.deleted', {
+        job_id,
+        company: job.company,
+        role: job.role,
+        trashed: true
+      });
+    }
+    
+    return {
       success: true,
       company: job.company,
-      added_to_rejected: true
+      rejection: result.rejection,
+      added_to_rejected: result.created,
+      trashed
     };
   },
 
   /**
    * Bulk update multiple jobs
    */
-  jobs_bulk_update: ({ job_ids, updates }) => {
+  jobs_bulk_update: ({ job_ids, updates, agent_id = null }) => {
     const db = getDb();
     
     const allowedFields = ['status', 'priority', 'materials'];
     
     const setters = [];
     const params = [];
+    const applied = {};
     
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key) && value !== undefined) {
         setters.push(`${key} = ?`);
         params.push(value);
+        applied[key] = value;
       }
     }
     
@@ -503,12 +823,20 @@ export const handlers = {
     
     setters.push('updated_at = CURRENT_TIMESTAMP');
     
-    // Update each job
+    // Snapshot jobs before the update for the timeline
     const placeholders = job_ids.map(() => '?').join(',');
+    const before = db.prepare(`SELECT * FROM jobs WHERE id IN (${placeholders})`).all(...job_ids);
+    
+    // Update each job
     const query = `UPDATE jobs SET ${setters.join(', ')} WHERE id IN (${placeholders})`;
     
     const result = db.prepare(query).run(...params, ...job_ids);
     
+    const actor = agentActor(agent_id);
+    for (const job of before) {
+      recordJobChanges(db, job, applied, actor);
+    }
+    
     // Emit events for each job
     for (const job_id of job_ids) {
       emit('job.updated', { job_id, changes: updates });
@@ -521,10 +849,72 @@ export const handlers = {
   },
 
   /**
-   * Fuzzy search jobs
+   * Search jobs
    */
-  jobs_search: ({ query, fields = null, limit = 20 }) => {
-    return searchJobs(query, { fields, limit });
+  jobs_search: ({ query, fields = null, limit = 20, offset = 0 }) => {
+    return searchJobs(query, { fields, limit, offset });
+  },
+
+  /**
+   * Get a job's activity timeline
+   */
+  jobs_timeline: ({ job_id, type = null, limit = 100 }) => {
+    const db = getDb();
+    const job = db.prepare('SELECT id, company, role, status FROM jobs WHERE id = ?').get(job_id);
+    const entries = getTimeline(db, job_id, { type, limit });
+    
+    // Deleted jobs keep their history
+    if (!job && entries.length === 0) {
+      return { error: 'Job not found', job_id };
+    }
+    
+    return {
+      job_id,
+      company: job?.company || null,
+      role: job?.role || null,
+      status: job?.status || null,
+      entries,
+      count: entries.length
+    };
+  },
+
+  /**
+   * Import jobs from CSV
+   */
+  jobs_import_csv: ({ csv, path, mapping = null, on_duplicate = 'skip', dry_run = true, agent_id = null }) => {
+    let text = csv;
+    if (!text && path) {
+      const filePath = isAbsolute(path) ? path : getProjectPath(path);
+      if (!fs.existsSync(filePath)) {
+        return { error: 'File not found', path };
+      }
+      text = fs.readFileSync(filePath, 'utf8');
+    }
+    if (!text) {
+      return { error: 'Provide csv or path' };
+    }
+
+    const result = importJobsCSV(getDb(), text, {
+      mapping,
+      onDuplicate: on_duplicate,
+      dryRun: dry_run,
+      actor: agentActor(agent_id)
+    });
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    if (!dry_run) {
+      for (const row of result.rows) {
+        if (row.action === 'create') {
+          emit('job.created', { job_id: row.job_id, company: row.company, company_id: row.company_id, role: row.role, source: 'csv' });
+        } else if (row.action === 'update' && Object.keys(row.changes).length > 0) {
+          emit('job.updated', { job_id: row.job_id, changes: row.changes, company: row.company });
+        }
+      }
+    }
+
+    return result;
   }
 };
 
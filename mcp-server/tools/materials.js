@@ -2,7 +2,8 @@
  * Materials Tools
  * 
  * MCP tools for managing application materials (cover letters, emails).
- * Handles saving content to database and syncing to markdown files.
+ * Handles saving content to database and syncing to markdown files in
+ * the job's own folder (applications/<company-slug>/job-<id>/).
  * 
  * Tools:
  * - materials_get: Get all materials (research, cover letter, email) for a job
@@ -12,15 +13,16 @@
  * @module tools/materials
  */
 
-import { join } from 'path';
+import { dirname } from 'path';
 import { 
   getDb, 
-  slugify, 
-  getApplicationsPath, 
+  getProjectPath, 
   ensureDir, 
   writeTextFile 
 } from '../lib/db.js';
 import { emit } from '../lib/event-emitter.js';
+import { agentActor, recordActivity } from '../../shared/activity.js';
+import { jobFiles } from '../../shared/companies.js';
 
 /**
  * Tool definitions for MCP registration
@@ -62,6 +64,10 @@ export const toolDefinitions = [
             output: { type: 'number', description: 'Output tokens used' },
             model: { type: 'string', description: 'Model used' }
           }
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['job_id', 'content']
@@ -89,6 +95,10 @@ export const toolDefinitions = [
             output: { type: 'number', description: 'Output tokens used' },
             model: { type: 'string', description: 'Model used' }
           }
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['job_id', 'content']
@@ -97,18 +107,16 @@ export const toolDefinitions = [
 ];
 
 /**
- * Sync content to markdown file
- * @param {string} company - Company name
- * @param {string} filename - File name (e.g., 'cover-letter.md', 'email.md')
+ * Sync content to a markdown file in the job's folder
+ * @param {Object} job - Job object
+ * @param {string} file - Which file ('cover_letter' or 'email')
  * @param {string} content - Content to write
  */
-function syncToFile(company, filename, content) {
-  const applicationsPath = getApplicationsPath();
-  const companySlug = slugify(company);
-  const companyDir = join(applicationsPath, companySlug);
+function syncToFile(job, file, content) {
+  const filePath = getProjectPath(jobFiles(job)[file]);
   
-  ensureDir(companyDir);
-  writeTextFile(join(companyDir, filename), content);
+  ensureDir(dirname(filePath));
+  writeTextFile(filePath, content);
 }
 
 /**
@@ -137,7 +145,8 @@ export const handlers = {
   materials_get: ({ job_id }) => {
     const db = getDb();
     const job = db.prepare(`
-      SELECT id, company, role, research_notes, cover_letter_content, email_content, materials
+      SELECT id, company, company_id, role, research_notes, cover_letter_content, email_content, materials,
+        cover_letter, email, notes
       FROM jobs WHERE id = ?
     `).get(job_id);
     
@@ -148,8 +157,10 @@ export const handlers = {
     return {
       job_id,
       company: job.company,
+      company_id: job.company_id,
       role: job.role,
       materials_status: job.materials,
+      materials_dir: jobFiles(job).dir,
       research_notes: job.research_notes || null,
       cover_letter: job.cover_letter_content || null,
       email: job.email_content || null,
@@ -162,7 +173,7 @@ export const handlers = {
   /**
    * Save a cover letter
    */
-  materials_save_cover_letter: ({ job_id, content, log_tokens = null }) => {
+  materials_save_cover_letter: ({ job_id, content, log_tokens = null, agent_id = null }) => {
     const db = getDb();
     
     // Get existing job
@@ -186,7 +197,14 @@ export const handlers = {
     db.prepare('UPDATE jobs SET materials = ? WHERE id = ?').run(materialsStatus, job_id);
     
     // Sync to file
-    syncToFile(job.company, 'cover-letter.md', content);
+    syncToFile(job, 'cover_letter', content);
+    
+    recordActivity(db, {
+      jobId: job_id,
+      type: 'materials.saved',
+      actor: agentActor(agent_id),
+      details: { type: 'cover_letter', length: content.length, materials_status: materialsStatus }
+    });
     
     // Emit event
     emit('materials.saved', { 
@@ -208,7 +226,7 @@ export const handlers = {
   /**
    * Save an outreach email
    */
-  materials_save_email: ({ job_id, content, log_tokens = null }) => {
+  materials_save_email: ({ job_id, content, log_tokens = null, agent_id = null }) => {
     const db = getDb();
     
     // Get existing job
@@ -232,7 +250,14 @@ export const handlers = {
     db.prepare('UPDATE jobs SET materials = ? WHERE id = ?').run(materialsStatus, job_id);
     
     // Sync to file
-    syncToFile(job.company, 'email.md', content);
+    syncToFile(job, 'email', content);
+    
+    recordActivity(db, {
+      jobId: job_id,
+      type: 'materials.saved',
+      actor: agentActor(agent_id),
+      details: { type: 'email', length: content.length, materials_status: materialsStatus }
+    });
     
     // Emit event
     emit('materials.saved', { 
@@ -6,15 +6,19 @@
  * 
  * Tools:
  * - query_stats: Get dashboard statistics
- * - query_by_company: Find job by company name
+ * - query_by_company: Find a company's jobs by name or alias
  * - query_needs_research: Get jobs without research
  * - query_high_priority: Get high priority jobs
+ * - query_followups_due: Get jobs whose follow-up is due or overdue
  * 
  * @module tools/query
  */
 
-import { getDb } from '../lib/db.js';
+import { getDb, getProjectPath } from '../lib/db.js';
 import { findByCompany, getJobsNeedingResearch, getHighPriorityJobs } from '../lib/fuzzy-search.js';
+import { getCompany, getCompanyJobs } from '../../shared/companies.js';
+import { localDate, loadFollowUpDays, listFollowups } from '../../shared/followups.js';
+import { JOB_STATUSES, JOB_PRIORITIES } from '../../shared/schemas.js';
 
 /**
  * Tool definitions for MCP registration
@@ -22,7 +26,7 @@ import { findByCompany, getJobsNeedingResearch, getHighPriorityJobs } from '../l
 export const toolDefinitions = [
   {
     name: 'query_stats',
-    description: 'Get dashboard statistics: totals by status, priority, materials, and recent activity.',
+    description: 'Get dashboard statistics: totals by status, priority, materials, and recent activity. For conversion rates and time in each status, see the analytics_* tools.',
     inputSchema: {
       type: 'object',
       properties: {}
@@ -30,7 +34,7 @@ export const toolDefinitions = [
   },
   {
     name: 'query_by_company',
-    description: 'Find a job by company name. Supports exact match or fuzzy matching.',
+    description: 'Find a company by name or alias. Returns its newest job plus all of its open jobs, since one company can have several roles. Supports exact match or fuzzy matching.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -40,7 +44,7 @@ export const toolDefinitions = [
         },
         fuzzy: {
           type: 'boolean',
-          description: 'Allow fuzzy matching if exact match not found (default: false)',
+          description: 'Fall back to a prefix search of company names if there is no exact match (default: false)',
           default: false
         }
       },
@@ -61,7 +65,7 @@ export const toolDefinitions = [
         priority: {
           type: 'string',
           description: 'Filter by priority',
-          enum: ['🔴 High', '🟡 Medium', '🟢 Lower']
+          enum: JOB_PRIORITIES
         }
       }
     }
@@ -80,7 +84,21 @@ export const toolDefinitions = [
         status: {
           type: 'string',
           description: 'Filter by status',
-          enum: ['Not Started', 'Researching', 'Ready to Apply', 'Applied', 'Interviewing', 'Done']
+          enum: JOB_STATUSES
+        }
+      }
+    }
+  },
+  {
+    name: 'query_followups_due',
+    description: 'Get jobs whose follow-up is due today or overdue, most overdue first. Jobs applied to without a follow_up_date get a suggested one (followUpAfterDays in search config, default 7 days after applied_date).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ahead_days: {
+          type: 'number',
+          description: 'Also include follow-ups coming up within this many days (default: 0)',
+          default: 0
         }
       }
     }
@@ -101,13 +119,14 @@ export const handlers = {
     const db = getDb();
     
     // Total count
-    const total = db.prepare('SELECT COUNT(*) as count FROM jobs').get().count;
+    const total = db.prepare('SELECT COUNT(*) as count FROM jobs WHERE deleted_at IS NULL').get().count;
     
     // By status
     const byStatus = {};
     const statusRows = db.prepare(`
       SELECT status, COUNT(*) as count 
       FROM jobs 
+      WHERE deleted_at IS NULL
       GROUP BY status
     `).all();
     for (const row of statusRows) {
@@ -119,6 +138,7 @@ export const handlers = {
     const priorityRows = db.prepare(`
       SELECT priority, COUNT(*) as count 
       FROM jobs 
+      WHERE deleted_at IS NULL
       GROUP BY priority
     `).all();
     for (const row of priorityRows) {
@@ -130,6 +150,7 @@ export const handlers = {
     const materialsRows = db.prepare(`
       SELECT materials, COUNT(*) as count 
       FROM jobs 
+      WHERE deleted_at IS NULL
       GROUP BY materials
     `).all();
     for (const row of materialsRows) {
@@ -151,14 +172,14 @@ export const handlers = {
     const addedToday = db.prepare(`
       SELECT COUNT(*) as count 
       FROM jobs 
-      WHERE date(created_at) = date('now')
+      WHERE deleted_at IS NULL AND date(created_at) = date('now')
     `).get().count;
     
     // Added this week
     const addedThisWeek = db.prepare(`
       SELECT COUNT(*) as count 
       FROM jobs 
-      WHERE created_at > datetime('now', '-7 days')
+      WHERE deleted_at IS NULL AND created_at > datetime('now', '-7 days')
     `).get().count;
     
     return {
@@ -186,10 +207,15 @@ export const handlers = {
       };
     }
     
+    // All of the company's jobs, not just the best match
+    const company = getCompany(getDb(), job.company_id);
+    
     return {
       found: true,
       company_name,
+      company: company || null,
       job,
+      jobs: company ? getCompanyJobs(getDb(), company.id) : [job],
       match_type: job._relevance !== undefined ? 'fuzzy' : 'exact',
       relevance: job._relevance
     };
@@ -219,6 +245,22 @@ export const handlers = {
       count: jobs.length,
       filter: { status }
     };
+  },
+
+  /**
+   * Get follow-ups due
+   */
+  query_followups_due: ({ ahead_days = 0 }) => {
+    const afterDays = loadFollowUpDays(getProjectPath('.'));
+    const jobs = listFollowups(getDb(), { afterDays, aheadDays: ahead_days });
+    
+    return {
+      today: localDate(),
+      follow_up_after_days: afterDays,
+      jobs,
+      count: jobs.length,
+      overdue_count: jobs.filter(job => job.state === 'overdue').length
+    };
   }
 };
 
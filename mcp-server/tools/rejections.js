@@ -0,0 +1,221 @@
+/**
+ * Rejections Tools
+ *
+ * MCP tools for managing the rules that keep unwanted jobs out of the
+ * tracker. A rejection covers a whole company, a role pattern (optionally
+ * at one company), or a domain, and can expire.
+ *
+ * Tools:
+ * - rejections_list: List rejections
+ * - rejections_add: Add a rejection
+ * - rejections_update: Change a rejection's reason, pattern or expiry
+ * - rejections_remove: Delete a rejection
+ * - rejections_check: Test whether a job would be rejected
+ *
+ * @module tools/rejections
+ */
+
+import { getDb } from '../lib/db.js';
+import { agentActor } from '../../shared/activity.js';
+import {
+  REJECTION_SCOPES,
+  listRejections,
+  createRejection,
+  updateRejection,
+  deleteRejection,
+  findRejection
+} from '../../shared/rejections.js';
+
+/**
+ * Tool definitions for MCP registration
+ */
+export const toolDefinitions = [
+  {
+    name: 'rejections_list',
+    description: 'List rejection rules. Jobs matching an active rule are skipped by automated job searches.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        scope: {
+          type: 'string',
+          description: 'Only return rejections with this scope',
+          enum: REJECTION_SCOPES
+        },
+        include_expired: {
+          type: 'boolean',
+          description: 'Include rejections that have expired (default: false)',
+          default: false
+        }
+      }
+    }
+  },
+  {
+    name: 'rejections_add',
+    description: 'Add a rejection rule. Scope "company" rejects every job at a company, "role" rejects roles matching a pattern ("*" is a wildcard, otherwise any role containing the text), optionally only at one company, and "domain" rejects jobs whose apply URL is on a domain or its subdomains.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        scope: {
+          type: 'string',
+          description: 'What the pattern matches (default: company)',
+          enum: REJECTION_SCOPES,
+          default: 'company'
+        },
+        pattern: {
+          type: 'string',
+          description: 'Company name, role pattern (e.g., "*intern*") or domain (e.g., "staffing.example.com")'
+        },
+        company: {
+          type: 'string',
+          description: 'For role rejections: only reject the role at this company'
+        },
+        reason: {
+          type: 'string',
+          description: 'Why it was rejected'
+        },
+        expires_in_days: {
+          type: 'number',
+          description: 'Stop applying after this many days (e.g., 180 for six months). Omit for a permanent rejection.'
+        },
+        expires_at: {
+          type: 'string',
+          description: 'Stop applying at this date (ISO format). Alternative to expires_in_days.'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent'
+        }
+      },
+      required: ['pattern']
+    }
+  },
+  {
+    name: 'rejections_update',
+    description: 'Update a rejection rule. Only provided fields are changed. Set expires_at to null to make it permanent.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        rejection_id: {
+          type: 'number',
+          description: 'The rejection ID to update'
+        },
+        scope: {
+          type: 'string',
+          enum: REJECTION_SCOPES
+        },
+        pattern: { type: 'string', description: 'New pattern' },
+        company: { type: 'string', description: 'Company for role rejections' },
+        reason: { type: 'string', description: 'New reason' },
+        expires_in_days: { type: 'number', description: 'Expire this many days from now' },
+        expires_at: {
+          type: ['string', 'null'],
+          description: 'Expiry date (ISO format), or null for never'
+        }
+      },
+      required: ['rejection_id']
+    }
+  },
+  {
+    name: 'rejections_remove',
+    description: 'Delete a rejection rule so matching jobs can be found again.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        rejection_id: {
+          type: 'number',
+          description: 'The rejection ID to delete'
+        }
+      },
+      required: ['rejection_id']
+    }
+  },
+  {
+    name: 'rejections_check',
+    description: 'Check whether a job would be rejected, and by which rule. Use before adding jobs found outside the automated scanner.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        company: { type: 'string', description: 'Company name' },
+        role: { type: 'string', description: 'Role title' },
+        apply_url: { type: 'string', description: 'Apply URL' }
+      }
+    }
+  }
+];
+
+/**
+ * Handler implementations
+ */
+export const handlers = {
+  /**
+   * List rejections
+   */
+  rejections_list: ({ scope = null, include_expired = false }) => {
+    const rejections = listRejections(getDb(), { scope, includeExpired: include_expired });
+
+    return {
+      rejections,
+      count: rejections.length
+    };
+  },
+
+  /**
+   * Add a rejection
+   */
+  rejections_add: ({ agent_id = null, ...input }) => {
+    const result = createRejection(getDb(), input, agentActor(agent_id));
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    return {
+      success: true,
+      created: result.created,
+      rejection: result.rejection
+    };
+  },
+
+  /**
+   * Update a rejection
+   */
+  rejections_update: ({ rejection_id, ...updates }) => {
+    const result = updateRejection(getDb(), rejection_id, updates);
+    if (result.error) {
+      return { error: result.error, rejection_id };
+    }
+
+    return {
+      success: true,
+      rejection: result.rejection
+    };
+  },
+
+  /**
+   * Delete a rejection
+   */
+  rejections_remove: ({ rejection_id }) => {
+    const rejection = deleteRejection(getDb(), rejection_id);
+    if (!rejection) {
+      return { error: 'Rejection not found', rejection_id };
+    }
+
+    return {
+      success: true,
+      rejection
+    };
+  },
+
+  /**
+   * Check a job against the active rejections
+   */
+  rejections_check: ({ company, role, apply_url }) => {
+    const rejection = findRejection(getDb(), { company, role, apply_url });
+
+    return {
+      rejected: !!rejection,
+      rejection
+    };
+  }
+};
+
+export default { toolDefinitions, handlers };
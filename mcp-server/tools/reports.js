@@ -0,0 +1,80 @@
+/**
+ * Reports Tools
+ *
+ * MCP tools for summaries of the job search. The digest covers a date
+ * range, last week by default: new jobs by source, applications sent,
+ * interviews, follow-ups due, research finished and token spend. Its
+ * markdown and HTML reports are written to data/reports/.
+ *
+ * Tools:
+ * - reports_digest: Build the digest for a date range
+ *
+ * @module tools/reports
+ */
+
+import { getDb, getProjectPath } from '../lib/db.js';
+import { getConfig } from '../../shared/config.js';
+import { loadFollowUpDays } from '../../shared/followups.js';
+import { DIGEST_FORMATS, generateDigest } from '../../shared/digest.js';
+
+/**
+ * Tool definitions for MCP registration
+ */
+export const toolDefinitions = [
+  {
+    name: 'reports_digest',
+    description: 'Build the job search digest for a date range (default: last Monday to Sunday): new jobs by source, applications sent, interviews held and coming up, follow-ups due, research completed and token spend. Writes markdown and HTML reports to data/reports/ and returns their paths with the digest.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          type: 'string',
+          format: 'date',
+          description: 'First day (YYYY-MM-DD). With only one of from and to, the digest covers a week.'
+        },
+        to: {
+          type: 'string',
+          format: 'date',
+          description: 'Last day, included (YYYY-MM-DD)'
+        },
+        format: {
+          type: 'string',
+          enum: DIGEST_FORMATS,
+          description: 'Return the digest as structured JSON, or as the markdown or HTML report (default: markdown)',
+          default: 'markdown'
+        }
+      }
+    }
+  }
+];
+
+/**
+ * Tool handlers
+ */
+export const handlers = {
+  /**
+   * Build and write the digest
+   */
+  reports_digest: ({ from = null, to = null, format = 'markdown' }) => {
+    const result = generateDigest(getDb(), {
+      from,
+      to,
+      dataDir: getProjectPath('.'),
+      reportsDir: getConfig().reportsDir,
+      afterDays: loadFollowUpDays(getProjectPath('.'))
+    });
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const { digest, files } = result;
+    return {
+      from: digest.from,
+      to: digest.to,
+      files,
+      ...(format === 'json' ? { digest } : { report: result[format] })
+    };
+  }
+};
+
+export default { toolDefinitions, handlers };
@@ -3,6 +3,8 @@
  * 
  * MCP tools for managing company research notes.
  * Handles saving research to database and syncing to markdown files.
+ * Research belongs to the company, so saving it for one job shares it
+ * with every other job at that company.
  * 
  * Tools:
  * - research_get: Get research notes for a job
@@ -16,13 +18,14 @@
 import { join } from 'path';
 import { 
   getDb, 
-  slugify, 
-  getApplicationsPath, 
+  getProjectPath, 
   ensureDir, 
   writeTextFile,
   readTextFile
 } from '../lib/db.js';
 import { emit } from '../lib/event-emitter.js';
+import { agentActor, recordActivity } from '../../shared/activity.js';
+import { jobFiles, saveCompanyResearch } from '../../shared/companies.js';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
@@ -52,7 +55,7 @@ export const toolDefinitions = [
   },
   {
     name: 'research_save',
-    description: 'Save completed research notes for a job. Updates the database and syncs to markdown file. Optionally logs token usage.',
+    description: 'Save completed research notes for a job\'s company. The research is shared with every job at the same company. Updates the database and syncs to markdown file. Optionally logs token usage.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -72,6 +75,10 @@ export const toolDefinitions = [
             output: { type: 'number', description: 'Output tokens used' },
             model: { type: 'string', description: 'Model used (e.g., "claude-sonnet-4-20250514")' }
           }
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['job_id', 'research_notes']
@@ -103,6 +110,10 @@ export const toolDefinitions = [
             output: { type: 'number' },
             model: { type: 'string' }
           }
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['items']
@@ -119,17 +130,45 @@ export const toolDefinitions = [
 ];
 
 /**
- * Sync research notes to markdown file
- * @param {string} company - Company name
+ * Sync research notes to the company's markdown file
+ * @param {Object} job - Job object
  * @param {string} content - Research notes content
  */
-function syncToFile(company, content) {
-  const applicationsPath = getApplicationsPath();
-  const companySlug = slugify(company);
-  const companyDir = join(applicationsPath, companySlug);
+function syncToFile(job, content) {
+  const notesPath = getProjectPath(jobFiles(job).notes);
   
-  ensureDir(companyDir);
-  writeTextFile(join(companyDir, 'notes.md'), content);
+  ensureDir(dirname(notesPath));
+  writeTextFile(notesPath, content);
+}
+
+/**
+ * Save research for a job's company and refresh materials status
+ * for every job that shares it
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} job - Job the research was saved for
+ * @param {string} researchNotes - Research markdown
+ * @returns {Object} { materialsStatus, sharedWith } - Status of this job and IDs of other jobs at the company
+ */
+function saveResearch(db, job, researchNotes) {
+  const jobIds = job.company_id
+    ? saveCompanyResearch(db, job.company_id, researchNotes)
+    : [job.id];
+  if (!job.company_id) {
+    db.prepare('UPDATE jobs SET research_notes = ? WHERE id = ?').run(researchNotes, job.id);
+  }
+  db.prepare('UPDATE jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(job.id);
+  
+  let materialsStatus = null;
+  for (const id of jobIds) {
+    const updatedJob = db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+    const status = detectMaterialsStatus(updatedJob);
+    db.prepare('UPDATE jobs SET materials = ? WHERE id = ?').run(status, id);
+    if (id === job.id) materialsStatus = status;
+  }
+  
+  syncToFile(job, researchNotes);
+  
+  return { materialsStatus, sharedWith: jobIds.filter(id => id !== job.id) };
 }
 
 /**
@@ -157,7 +196,7 @@ export const handlers = {
    */
   research_get: ({ job_id }) => {
     const db = getDb();
-    const job = db.prepare('SELECT company, research_notes FROM jobs WHERE id = ?').get(job_id);
+    const job = db.prepare('SELECT company, company_id, research_notes FROM jobs WHERE id = ?').get(job_id);
     
     if (!job) {
       return { error: 'Job not found', job_id };
@@ -166,6 +205,7 @@ export const handlers = {
     return {
       job_id,
       company: job.company,
+      company_id: job.company_id,
       research_notes: job.research_notes || null,
       has_research: !!(job.research_notes && job.research_notes.trim().length > 0)
     };
@@ -174,7 +214,7 @@ export const handlers = {
   /**
    * Save research notes for a job
    */
-  research_save: ({ job_id, research_notes, log_tokens = null }) => {
+  research_save: ({ job_id, research_notes, log_tokens = null, agent_id = null }) => {
     const db = getDb();
     
     // Get existing job
@@ -183,22 +223,15 @@ export const handlers = {
       return { error: 'Job not found', job_id };
     }
     
-    // Update database
-    db.prepare(`
-      UPDATE jobs 
-      SET research_notes = ?, updated_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
-    `).run(research_notes, job_id);
-    
-    // Get updated job to detect materials status
-    const updatedJob = db.prepare('SELECT * FROM jobs WHERE id = ?').get(job_id);
-    const materialsStatus = detectMaterialsStatus(updatedJob);
+    // Update database, materials status and the company's notes.md
+    const { materialsStatus, sharedWith } = saveResearch(db, job, research_notes);
     
-    // Update materials status
-    db.prepare('UPDATE jobs SET materials = ? WHERE id = ?').run(materialsStatus, job_id);
-    
-    // Sync to file
-    syncToFile(job.company, research_notes);
+    recordActivity(db, {
+      jobId: job_id,
+      type: 'research.saved',
+      actor: agentActor(agent_id),
+      details: { length: research_notes.length, materials_status: materialsStatus }
+    });
     
     // Log tokens if provided
     if (log_tokens) {
@@ -219,7 +252,9 @@ export const handlers = {
       success: true,
       job_id,
       company: job.company,
+      company_id: job.company_id,
       materials_status: materialsStatus,
+      shared_with_job_ids: sharedWith,
       tokens_logged: !!log_tokens
     };
   },
@@ -227,7 +262,7 @@ export const handlers = {
   /**
    * Save research for multiple jobs
    */
-  research_save_batch: ({ items, log_tokens = null }) => {
+  research_save_batch: ({ items, log_tokens = null, agent_id = null }) => {
     const db = getDb();
     const results = [];
     let savedCount = 0;
@@ -242,22 +277,15 @@ export const handlers = {
         continue;
       }
       
-      // Update database
-      db.prepare(`
-        UPDATE jobs 
-        SET research_notes = ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE id = ?
-      `).run(research_notes, job_id);
-      
-      // Get updated job to detect materials status
-      const updatedJob = db.prepare('SELECT * FROM jobs WHERE id = ?').get(job_id);
-      const materialsStatus = detectMaterialsStatus(updatedJob);
+      // Update database, materials status and the company's notes.md
+      const { materialsStatus, sharedWith } = saveResearch(db, job, research_notes);
       
-      // Update materials status
-      db.prepare('UPDATE jobs SET materials = ? WHERE id = ?').run(materialsStatus, job_id);
-      
-      // Sync to file
-      syncToFile(job.company, research_notes);
+      recordActivity(db, {
+        jobId: job_id,
+        type: 'research.saved',
+        actor: agentActor(agent_id),
+        details: { length: research_notes.length, materials_status: materialsStatus, batch: true }
+      });
       
       // Emit event
       emit('research.saved', { 
@@ -269,7 +297,8 @@ export const handlers = {
         job_id,
         company: job.company,
         success: true,
-        materials_status: materialsStatus
+        materials_status: materialsStatus,
+        shared_with_job_ids: sharedWith
       });
       savedCount++;
     }
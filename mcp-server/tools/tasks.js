@@ -29,6 +29,8 @@ import {
   createTask 
 } from '../lib/task-lock.js';
 import { emit } from '../lib/event-emitter.js';
+import { agentActor, recordActivity } from '../../shared/activity.js';
+import { getCompany, jobFiles } from '../../shared/companies.js';
 
 /**
  * Tool definitions for MCP registration
@@ -99,6 +101,10 @@ export const toolDefinitions = [
         filename: {
           type: 'string',
           description: 'Task filename to release'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['filename']
@@ -122,6 +128,10 @@ export const toolDefinitions = [
             output: { type: 'number' },
             model: { type: 'string' }
           }
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['filename']
@@ -136,6 +146,10 @@ export const toolDefinitions = [
         job_id: {
           type: 'number',
           description: 'The job ID to research'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['job_id']
@@ -150,6 +164,10 @@ export const toolDefinitions = [
         job_id: {
           type: 'number',
           description: 'The job ID to generate materials for'
+        },
+        agent_id: {
+          type: 'string',
+          description: 'Optional identifier for the calling agent (recorded in the job timeline)'
         }
       },
       required: ['job_id']
@@ -157,6 +175,25 @@ export const toolDefinitions = [
   }
 ];
 
+/**
+ * Record a task event in the job's timeline
+ * @param {Object} task - Task object (jobId or job_id)
+ * @param {string} type - Activity type (e.g., "task.claimed")
+ * @param {string} filename - Task filename
+ * @param {string} agentId - Optional agent identifier
+ */
+function recordTaskActivity(task, type, filename, agentId) {
+  const jobId = task?.jobId || task?.job_id;
+  if (!jobId) return;
+  
+  recordActivity(getDb(), {
+    jobId,
+    type,
+    actor: agentActor(agentId),
+    details: { filename, task_type: task.type }
+  });
+}
+
 /**
  * Handler implementations
  */
@@ -198,6 +235,8 @@ export const handlers = {
     const result = claimTask(filename, agent_id);
     
     if (result.success) {
+      recordTaskActivity(result.task, 'task.claimed', filename, agent_id);
+      
       // Emit event
       emit('task.claimed', {
         filename,
@@ -213,20 +252,29 @@ export const handlers = {
   /**
    * Release a task
    */
-  tasks_release: ({ filename }) => {
-    return releaseTask(filename);
+  tasks_release: ({ filename, agent_id = null }) => {
+    const task = getTask(filename);
+    const result = releaseTask(filename);
+    
+    if (result.success) {
+      recordTaskActivity(task, 'task.released', filename, agent_id);
+    }
+    
+    return result;
   },
 
   /**
    * Complete a task
    */
-  tasks_complete: ({ filename, log_tokens = null }) => {
+  tasks_complete: ({ filename, log_tokens = null, agent_id = null }) => {
     // Get task details before completing
     const task = getTask(filename);
     
     const result = completeTask(filename);
     
     if (result.success && task) {
+      recordTaskActivity(task, 'task.completed', filename, agent_id);
+      
       // Emit event
       emit('task.completed', {
         filename,
@@ -243,7 +291,7 @@ export const handlers = {
   /**
    * Create a research task
    */
-  tasks_create_research: ({ job_id }) => {
+  tasks_create_research: ({ job_id, agent_id = null }) => {
     const db = getDb();
     
     // Get job details
@@ -252,7 +300,8 @@ export const handlers = {
       return { error: 'Job not found', job_id };
     }
     
-    const companySlug = slugify(job.company);
+    // Research is per company, so one task covers all of its jobs
+    const companySlug = getCompany(db, job.company_id)?.slug || slugify(job.company);
     const filename = `research-${companySlug}.json`;
     
     const taskData = {
@@ -271,6 +320,8 @@ export const handlers = {
     const result = createTask(taskData, filename);
     
     if (result.success && !result.already_exists) {
+      recordTaskActivity(taskData, 'task.created', filename, agent_id);
+      
       // Emit event
       emit('task.created', {
         filename,
@@ -290,7 +341,7 @@ export const handlers = {
   /**
    * Create a materials task
    */
-  tasks_create_materials: ({ job_id }) => {
+  tasks_create_materials: ({ job_id, agent_id = null }) => {
     const db = getDb();
     
     // Get job details
@@ -299,8 +350,9 @@ export const handlers = {
       return { error: 'Job not found', job_id };
     }
     
-    const companySlug = slugify(job.company);
-    const filename = `generate-materials-${companySlug}.json`;
+    // Materials are per job, so the job ID keeps two roles at one company apart
+    const companySlug = getCompany(db, job.company_id)?.slug || slugify(job.company);
+    const filename = `generate-materials-${companySlug}-job-${job.id}.json`;
     
     const taskData = {
       type: 'materials',
@@ -315,12 +367,15 @@ export const handlers = {
       applyUrl: job.apply_url,
       apply_url: job.apply_url,
       notes: job.notes,
-      companySlug
+      companySlug,
+      materialsDir: jobFiles(job).dir
     };
     
     const result = createTask(taskData, filename);
     
     if (result.success && !result.already_exists) {
+      recordTaskActivity(taskData, 'task.created', filename, agent_id);
+      
       // Emit event
       emit('task.created', {
         filename,
@@ -12,16 +12,12 @@
  * @module tools/tokens
  */
 
-import { join } from 'path';
-import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import fs from 'fs';
+import { getProjectPath, ensureDir } from '../lib/db.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Token usage log file
-const TOKEN_LOG_PATH = join(__dirname, '../../server/token-usage.json');
+// Token usage log file, in the data directory
+const TOKEN_LOG_PATH = getProjectPath('server/token-usage.json');
 
 /**
  * Model pricing (per 1K tokens)
@@ -148,6 +144,7 @@ function saveUsageLog(entries) {
     entries,
     updated_at: new Date().toISOString()
   };
+  ensureDir(dirname(TOKEN_LOG_PATH));
   fs.writeFileSync(TOKEN_LOG_PATH, JSON.stringify(data, null, 2), 'utf8');
 }
 
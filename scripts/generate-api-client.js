@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Generate the API Client
+ *
+ * Writes shared/api-client.js from the OpenAPI document in
+ * shared/openapi.js: one method per operation, named by its operationId,
+ * with JSDoc types from the operation's schemas. The dashboard and the
+ * scanner call the API through it.
+ *
+ * Usage:
+ *   node scripts/generate-api-client.js           Write shared/api-client.js
+ *   node scripts/generate-api-client.js --check   Exit 1 if it is out of date
+ *
+ * Or from the project root: npm run generate:client
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildOpenApiDocument } from '../shared/openapi.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT = path.join(__dirname, '../shared/api-client.js');
+
+// Responses the client can't hand back as JSON or text: the live updates
+// stream (use EventSource) and backup downloads (use a link)
+const STREAMED = ['text/event-stream', 'application/octet-stream'];
+
+/**
+ * JSDoc type for a schema
+ * @param {Object} schema - Schema from the document
+ * @returns {string} Type expression
+ */
+function typeOf(schema) {
+  if (!schema) return '*';
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (schema.anyOf || schema.oneOf) return union((schema.anyOf || schema.oneOf).map(typeOf));
+
+  const types = [].concat(schema.type || []);
+  if (types.length === 0) return '*';
+  return union(types.map(type => {
+    if (type === 'null') return 'null';
+    if (type === 'string' && schema.enum) return union(schema.enum.map(value => JSON.stringify(value)));
+    if (type === 'integer' || type === 'number') return 'number';
+    if (type === 'array') return `Array<${typeOf(schema.items)}>`;
+    if (type === 'object') return objectType(schema);
+    return type;
+  }));
+}
+
+/**
+ * JSDoc type for an object schema
+ * @param {Object} schema - Object schema
+ * @returns {string} Type expression
+ */
+function objectType(schema) {
+  if (schema.properties) {
+    const required = schema.required || [];
+    const fields = Object.entries(schema.properties)
+      .map(([name, property]) => `${name}${required.includes(name) ? '' : '?'}: ${typeOf(property)}`);
+    return `{ ${fields.join(', ')} }`;
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    return `Object<string, ${typeOf(schema.additionalProperties)}>`;
+  }
+  return 'Object';
+}
+
+/**
+ * Join alternative types
+ * @param {string[]} types - Type expressions
+ * @returns {string} Union, in parentheses when there's more than one
+ */
+function union(types) {
+  const unique = [...new Set(types)];
+  return unique.length === 1 ? unique[0] : `(${unique.join('|')})`;
+}
+
+/**
+ * Typedef for a named schema
+ * @param {string} name - Schema name
+ * @param {Object} schema - Schema
+ * @returns {string[]} Comment lines
+ */
+function typedef(name, schema) {
+  const lines = ['/**', ` * ${schema.description || name}`];
+  if (schema.properties) {
+    const required = schema.required || [];
+    lines.push(` * @typedef {Object} ${name}`);
+    for (const [property, propertySchema] of Object.entries(schema.properties)) {
+      const field = required.includes(property) ? property : `[${property}]`;
+      lines.push(` * @property {${typeOf(propertySchema)}} ${field}${propertySchema.description ? ` - ${propertySchema.description}` : ''}`);
+    }
+  } else {
+    lines.push(` * @typedef {${typeOf(schema)}} ${name}`);
+  }
+  lines.push(' */');
+  return lines;
+}
+
+/**
+ * Client method for an operation
+ * @param {string} route - Path in the document, e.g. /api/jobs/{id}
+ * @param {string} method - HTTP method
+ * @param {Object} operation - Operation from the document
+ * @param {Object} schemas - The document's named schemas
+ * @returns {string[]|null} Lines, or null if the client leaves it out
+ */
+function clientMethod(route, method, operation, schemas) {
+  const successes = Object.entries(operation.responses).filter(([status]) => status.startsWith('2'));
+  const mediaTypes = successes.flatMap(([, response]) => Object.keys(response.content || {}));
+  if (mediaTypes.every(mediaType => STREAMED.includes(mediaType))) return null;
+
+  const pathParams = (operation.parameters || []).filter(param => param.in === 'path');
+  const queryParams = (operation.parameters || []).filter(param => param.in === 'query');
+  const body = operation.requestBody?.content['application/json'].schema;
+  const bodySchema = body?.$ref ? schemas[typeOf(body)] : body;
+  const returns = union(successes.flatMap(([, response]) => Object.entries(response.content)
+    .map(([mediaType, { schema }]) => (mediaType === 'application/json' ? typeOf(schema) : 'string'))));
+
+  const doc = ['  /**', `   * ${operation.summary}`, '   *', `   * ${method.toUpperCase()} ${route}`];
+  for (const param of pathParams) {
+    doc.push(`   * @param {${typeOf(param.schema)}} ${param.name}${param.schema.description ? ` - ${param.schema.description}` : ''}`);
+  }
+  if (body) doc.push(`   * @param {${typeOf(body)}} ${bodySchema.required ? 'body' : '[body]'} - Request body`);
+  if (queryParams.length > 0) {
+    doc.push('   * @param {Object} [query] - Query parameters');
+    for (const param of queryParams) {
+      doc.push(`   * @param {${typeOf(param.schema)}} [query.${param.name}]${param.description ? ` - ${param.description}` : ''}`);
+    }
+  }
+  doc.push(`   * @returns {Promise<${returns}|ApiError>}`, '   */');
+
+  const args = [...pathParams.map(param => param.name), ...(body ? ['body'] : []), ...(queryParams.length > 0 ? ['query'] : [])];
+  const url = route.replace(/^\/api/, '').replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${name})}`);
+  const options = [...(body ? ['body'] : []), ...(queryParams.length > 0 ? ['query'] : [])];
+  const call = `request('${method.toUpperCase()}', ${url.includes('${') ? `\`${url}\`` : `'${url}'`}${options.length > 0 ? `, { ${options.join(', ')} }` : ''})`;
+  return [...doc, `  ${operation.operationId}: (${args.join(', ')}) => ${call}`];
+}
+
+/**
+ * Generate the client module
+ * @returns {string} Source of shared/api-client.js
+ */
+function generateClient() {
+  const document = buildOpenApiDocument();
+  const lines = [
+    '/**',
+    ' * ProwlA API Client',
+    ' *',
+    ' * GENERATED by scripts/generate-api-client.js from the OpenAPI document',
+    ' * in shared/openapi.js. Do not edit; run `npm run generate:client`.',
+    ' *',
+    ' * One method per REST API operation. Path parameters come first, then',
+    ' * the request body, then an object of query parameters. Each resolves',
+    ' * to the response: parsed JSON, or text for CSV, iCalendar, markdown and',
+    ' * HTML. A response with an error status resolves to an ApiError,',
+    ' * { error, status } with the rest of the server\'s reply; a network',
+    ' * failure rejects.',
+    ' *',
+    ' * @module shared/api-client',
+    ' */',
+    '',
+    'import { apiRequest } from \'./api-request.js\';',
+    '',
+    '/** @typedef {import(\'./api-request.js\').ApiError} ApiError */',
+    ''
+  ];
+
+  for (const [name, schema] of Object.entries(document.components.schemas)) {
+    lines.push(...typedef(name, schema), '');
+  }
+
+  // Methods grouped by tag, in the order the tags first appear
+  const byTag = new Map();
+  for (const [route, operations] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const source = clientMethod(route, method, operation, document.components.schemas);
+      if (!source) continue;
+      const tag = operation.tags[0];
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push(source);
+    }
+  }
+
+  lines.push(
+    '/**',
+    ' * Create an API client',
+    ' *',
+    ' * @param {Object} options - baseUrl, token, actor and fetch; see',
+    ' *   apiRequest() in shared/api-request.js',
+    ' * @returns {Object} Client, with a method per operation',
+    ' */',
+    'export function createApiClient(options = {}) {',
+    '  const request = apiRequest(options);',
+    '',
+    '  return {'
+  );
+  [...byTag].forEach(([tag, sources], tagIndex) => {
+    if (tagIndex > 0) lines.push('');
+    lines.push(`    // ${tag}`);
+    sources.forEach((source, index) => {
+      if (index > 0) lines.push('');
+      lines.push(...source.map(line => `  ${line}`));
+      const last = tagIndex === byTag.size - 1 && index === sources.length - 1;
+      if (!last) lines[lines.length - 1] += ',';
+    });
+  });
+  lines.push(
+    '  };',
+    '}',
+    '',
+    'export default {',
+    '  createApiClient',
+    '};',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+function main() {
+  const source = generateClient();
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+    if (current !== source) {
+      console.error('❌ shared/api-client.js is out of date. Run: npm run generate:client');
+      process.exit(1);
+    }
+    console.log('✅ shared/api-client.js is up to date');
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT, source, 'utf8');
+  console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main();
@@ -9,6 +9,9 @@
  *   node scripts/scan-jobs.js           # Scan all enabled RSS sources
  *   node scripts/scan-jobs.js --test    # Dry run, don't add to database
  *   node scripts/scan-jobs.js --list    # List configured sources
+ *
+ * Add --data-dir <dir> and --port <n> (or --api-url <url>) to scan into a
+ * workspace kept outside the checkout; see shared/config.js.
  * 
  * For browser-required sources (YC, LinkedIn, etc.), use your AI agent:
  *   "Scan YC Work at a Startup for design jobs and add them to my tracker"
@@ -16,49 +19,54 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
 import { scrapeRSSSources, getBrowserSources } from './scrapers/rss-scraper.js';
+import { matchRejection } from '../shared/rejections.js';
+import { companyKey } from '../shared/companies.js';
+import { contactBonus } from '../shared/contacts.js';
+import { getConfig, settingsFile } from '../shared/config.js';
+import { readSearchSettings } from '../shared/search-settings.js';
+import { createApiClient } from '../shared/api-client.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// The server started by `npm run server` unless configured otherwise
+const { apiUrl: API_URL, dataDir: DATA_DIR } = getConfig();
 
-const API_URL = process.env.PROWLA_API || 'http://localhost:3001/api';
+// The token is needed when the server asks for API tokens (a jobs:write
+// token, see server/tokens.js); jobs added show as the scanner's in the
+// activity log
+const api = createApiClient({
+  baseUrl: API_URL,
+  token: process.env.PROWLA_API_TOKEN,
+  actor: 'scanner',
+  fetch
+});
 
 /**
  * Load scoring configuration
  */
 function loadScoringConfig() {
-  const configPath = path.join(__dirname, '../config/scoring.json');
-  const examplePath = path.join(__dirname, '../config/scoring.example.json');
-  
-  const usePath = fs.existsSync(configPath) ? configPath : examplePath;
+  const usePath = settingsFile('scoring');
   if (!fs.existsSync(usePath)) return null;
   
   return JSON.parse(fs.readFileSync(usePath, 'utf8'));
 }
 
 /**
- * Load search preferences
+ * Load search preferences, upgraded from older layouts, with the same
+ * defaults as the dashboard when there is no config/search.json (see
+ * shared/search-settings.js)
  */
 function loadSearchConfig() {
-  const configPath = path.join(__dirname, '../config/search.json');
-  const examplePath = path.join(__dirname, '../config/search.example.json');
-  
-  const usePath = fs.existsSync(configPath) ? configPath : examplePath;
-  if (!fs.existsSync(usePath)) return null;
-  
-  return JSON.parse(fs.readFileSync(usePath, 'utf8'));
+  const result = readSearchSettings(path.join(getConfig().configDir, 'search.json'));
+  if (result.error) throw new Error(result.error);
+  return result.settings;
 }
 
 /**
  * Load sources configuration
  */
 function loadSourcesConfig() {
-  const configPath = path.join(__dirname, '../config/sources.json');
-  const examplePath = path.join(__dirname, '../config/sources.example.json');
-  
-  const usePath = fs.existsSync(configPath) ? configPath : examplePath;
+  const usePath = settingsFile('sources');
   if (!fs.existsSync(usePath)) return { sources: [], scanning: {}, scoring: {} };
   
   return JSON.parse(fs.readFileSync(usePath, 'utf8'));
@@ -154,59 +162,102 @@ function scoreJob(job, searchConfig) {
 }
 
 /**
- * Check if job already exists in database
+ * Load active rejection rules (companies, role patterns and domains)
+ *
+ * Falls back to the legacy data/rejected-companies.json list if the API
+ * can't be reached.
  */
-async function checkJobExists(company) {
+async function loadRejections() {
   try {
-    const response = await fetch(`${API_URL}/jobs`);
-    if (response.ok) {
-      const jobs = await response.json();
-      return jobs.some(j => j.company.toLowerCase() === company.toLowerCase());
+    const data = await api.listRejections();
+    if (!data.error) {
+      return data.rejections;
     }
   } catch (e) {
-    console.warn(`   ⚠️  Could not check if ${company} exists`);
+    console.warn('   ⚠️  Could not load rejections from the API');
   }
-  return false;
-}
-
-/**
- * Load rejected companies list
- */
-function loadRejectedCompanies() {
+  
   try {
-    const rejectedPath = path.join(__dirname, '../data/rejected-companies.json');
+    const rejectedPath = path.join(DATA_DIR, 'data/rejected-companies.json');
     if (fs.existsSync(rejectedPath)) {
       const data = JSON.parse(fs.readFileSync(rejectedPath, 'utf8'));
-      return (data.rejected || []).map(c => c.toLowerCase());
+      return (data.rejected || []).map(company => ({ scope: 'company', pattern: company }));
     }
   } catch (e) {}
   return [];
 }
 
+/**
+ * Load contacts grouped by company
+ *
+ * Returns a Map from normalized company name (and each alias) to the
+ * contacts at that company, or an empty Map if the API can't be reached.
+ */
+async function loadContactsByCompany() {
+  const byCompany = new Map();
+  try {
+    const [contactsData, companiesData] = await Promise.all([
+      api.listContacts(),
+      api.listCompanies({ include_empty: true })
+    ]);
+    if (contactsData.error || companiesData.error) return byCompany;
+    
+    const { contacts } = contactsData;
+    const { companies } = companiesData;
+    
+    for (const company of companies) {
+      const atCompany = contacts.filter(c => c.company_id === company.id);
+      if (atCompany.length === 0) continue;
+      for (const name of [company.name, ...(company.aliases || [])]) {
+        byCompany.set(companyKey(name), atCompany);
+      }
+    }
+  } catch (e) {
+    console.warn('   ⚠️  Could not load contacts from the API');
+  }
+  return byCompany;
+}
+
+/**
+ * Add the knownContact / referral bonuses to a job's score
+ */
+function addContactBonus(evaluation, contacts, bonuses) {
+  const bonus = contactBonus(contacts, bonuses);
+  if (bonus.points === 0) return evaluation;
+  
+  return {
+    score: Math.max(0, Math.min(100, evaluation.score + bonus.points)),
+    reasons: [...evaluation.reasons, ...bonus.reasons]
+  };
+}
+
 /**
  * Add job to database via API
+ *
+ * The server refuses duplicates (the same role at the same company, or the
+ * same apply URL, including jobs in the trash) with a 409, which is
+ * returned as { duplicate }. New jobs return { id }.
  */
 async function addJobToDatabase(job, score) {
   try {
-    const response = await fetch(`${API_URL}/jobs`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        status: 'Not Started',
-        priority: score >= 80 ? '🔴 High' : score >= 60 ? '🟡 Medium' : '🟢 Lower',
-        company: job.company,
-        role: job.title,
-        type: job.jobType || 'Unknown',
-        location: job.location || 'Remote',
-        source: job.source || 'Job Scan',
-        apply_url: job.applyUrl || '',
-        materials: '⬜ None'
-      })
+    const data = await api.createJob({
+      status: 'Not Started',
+      priority: score >= 80 ? '🔴 High' : score >= 60 ? '🟡 Medium' : '🟢 Lower',
+      company: job.company,
+      role: job.title,
+      type: job.jobType || 'Unknown',
+      location: job.location || 'Remote',
+      source: job.source || 'Job Scan',
+      apply_url: job.applyUrl || '',
+      materials: '⬜ None',
+      score
     });
     
-    if (response.ok) {
-      const data = await response.json();
-      return data.id;
+    if (!data.error) {
+      return { id: data.id };
+    }
+    if (data.status === 409) {
+      return { duplicate: data };
     }
   } catch (error) {
     console.error(`   ❌ Error adding ${job.company}:`, error.message);
@@ -266,13 +317,19 @@ async function main() {
   
   // Score and filter jobs
   console.log('🎯 Scoring jobs against your preferences...');
-  const rejectedCompanies = loadRejectedCompanies();
+  const rejections = await loadRejections();
+  const contactsByCompany = await loadContactsByCompany();
+  const bonuses = loadScoringConfig()?.bonuses || {};
   const scoredJobs = jobs
     .map(job => ({
       ...job,
-      evaluation: scoreJob(job, searchConfig)
+      evaluation: addContactBonus(
+        scoreJob(job, searchConfig),
+        contactsByCompany.get(companyKey(job.company)),
+        bonuses
+      )
     }))
-    .filter(job => !rejectedCompanies.includes(job.company.toLowerCase()))
+    .filter(job => !matchRejection(rejections, { company: job.company, role: job.title, apply_url: job.applyUrl }))
     .filter(job => job.evaluation.score >= minScore)
     .sort((a, b) => b.evaluation.score - a.evaluation.score);
   
@@ -284,14 +341,13 @@ async function main() {
     let added = 0;
     
     for (const job of scoredJobs) {
-      const exists = await checkJobExists(job.company);
-      if (exists) {
-        console.log(`   ⏭️  ${job.company} already in database`);
+      const result = await addJobToDatabase(job, job.evaluation.score);
+      if (result?.duplicate) {
+        const where = result.duplicate.in_trash ? 'in trash' : 'already in database';
+        console.log(`   ⏭️  ${job.company} - ${job.title} ${where}`);
         continue;
       }
-      
-      const id = await addJobToDatabase(job, job.evaluation.score);
-      if (id) {
+      if (result?.id) {
         console.log(`   ✅ ${job.company} - ${job.title} (score: ${job.evaluation.score})`);
         added++;
       }
@@ -8,21 +8,14 @@
 
 import fetch from 'node-fetch';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { settingsFile } from '../../shared/config.js';
 
 /**
  * Load user's source configuration
  */
 function loadSourcesConfig() {
-  const configPath = path.join(__dirname, '../../config/sources.json');
-  const examplePath = path.join(__dirname, '../../config/sources.example.json');
-  
   // Try user config first, fall back to example
-  const usePath = fs.existsSync(configPath) ? configPath : examplePath;
+  const usePath = settingsFile('sources');
   
   if (!fs.existsSync(usePath)) {
     console.error('❌ No sources config found. Copy config/sources.example.json to config/sources.json');
@@ -0,0 +1,156 @@
+/**
+ * API Authentication
+ *
+ * Decides who may call the REST API. Two modes:
+ * - token - Every /api and /applications request needs an API token (see
+ *   shared/api-tokens.js) with the right scope: read for GET, jobs:write
+ *   for changes, and settings:admin for the routes that ask for it with
+ *   requireScope(). Send it as `Authorization: Bearer <token>`; GET
+ *   requests can pass `?access_token=<token>` instead, for EventSource,
+ *   calendar clients and links.
+ * - open - No token needed. Only allowed while the server is bound to a
+ *   loopback address, so only this machine can reach it.
+ *
+ * PROWLA_AUTH picks the mode: `token`, `off` (open; refused unless bound
+ * to loopback) or unset (open on loopback, token otherwise).
+ *
+ * In both modes, browser requests from an origin outside the allowlist
+ * (PROWLA_CORS_ORIGINS, comma-separated; default: the Vite dev server)
+ * are refused, so other pages open in the browser can't use the API.
+ */
+
+import { API_SCOPES, hasScope, verifyToken } from '../shared/api-tokens.js';
+
+/** Origins allowed when PROWLA_CORS_ORIGINS is not set */
+const DEFAULT_ORIGINS = ['http://localhost:5173', 'http://127.0.0.1:5173'];
+
+/** Authentication modes */
+export const AUTH_MODES = ['open', 'token'];
+
+/**
+ * Check whether a host name or address only reaches this machine
+ * @param {string} host - Host the server binds to
+ * @returns {boolean} True for loopback
+ */
+export function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * Work out the authentication mode
+ * @param {string} host - Host the server binds to
+ * @param {string} setting - PROWLA_AUTH
+ * @returns {Object} { mode } (see AUTH_MODES) or { error }
+ */
+export function resolveAuthMode(host, setting = process.env.PROWLA_AUTH) {
+  const value = (setting || '').trim().toLowerCase();
+  if (value === 'token') return { mode: 'token' };
+  if (value === 'off') {
+    if (!isLoopback(host)) {
+      return { error: `PROWLA_AUTH=off only applies when the server is bound to loopback, not ${host}. Create a token with npm run tokens -- create` };
+    }
+    return { mode: 'open' };
+  }
+  if (value && value !== 'auto') return { error: `PROWLA_AUTH must be token, off or auto, not ${setting}` };
+  return { mode: isLoopback(host) ? 'open' : 'token' };
+}
+
+/**
+ * Origins allowed to call the API from a browser
+ * @param {string} setting - PROWLA_CORS_ORIGINS
+ * @returns {string[]} Origins ('*' allows any)
+ */
+export function allowedOrigins(setting = process.env.PROWLA_CORS_ORIGINS) {
+  if (!setting) return DEFAULT_ORIGINS;
+  return setting.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+}
+
+/**
+ * Options for the cors middleware, allowing only the allowlist
+ * @param {string[]} origins - Allowed origins
+ * @returns {Object} cors options
+ */
+export function corsOptions(origins) {
+  return {
+    origin: (origin, callback) => callback(null, !origin || origins.includes('*') || origins.includes(origin)),
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Prowla-Actor']
+  };
+}
+
+/**
+ * Refuse browser requests from origins outside the allowlist. CORS alone
+ * only stops the page reading the response; this stops the request.
+ * @param {string[]} origins - Allowed origins
+ * @returns {Function} Express middleware
+ */
+export function checkOrigin(origins) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (!origin || origins.includes('*') || origins.includes(origin)) return next();
+    res.status(403).json({ error: `Origin ${origin} is not allowed. Add it to PROWLA_CORS_ORIGINS` });
+  };
+}
+
+/**
+ * Token a request presented
+ * @param {import('express').Request} req - Request
+ * @returns {string|null} Token
+ */
+function requestToken(req) {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  // Query tokens end up in logs and history, so only for reads
+  if (req.method === 'GET' && req.query.access_token) return String(req.query.access_token);
+  return null;
+}
+
+/**
+ * Authenticate requests, setting req.auth to { mode, token } (token is
+ * null in open mode), and check the scope the method needs
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} mode - Authentication mode (see AUTH_MODES)
+ * @returns {Function} Express middleware
+ */
+export function authenticate(db, mode) {
+  return (req, res, next) => {
+    if (mode === 'open' || req.method === 'OPTIONS') {
+      req.auth = { mode, token: null };
+      return next();
+    }
+
+    const token = verifyToken(db, requestToken(req));
+    if (!token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'A valid API token is required. Send it as Authorization: Bearer <token>' });
+    }
+
+    req.auth = { mode, token };
+    requireScope(['GET', 'HEAD'].includes(req.method) ? 'read' : 'jobs:write')(req, res, next);
+  };
+}
+
+/**
+ * Require a scope for a route (after authenticate)
+ * @param {string} scope - Scope (see API_SCOPES)
+ * @returns {Function} Express middleware
+ */
+export function requireScope(scope) {
+  if (!API_SCOPES.includes(scope)) throw new Error(`Unknown scope: ${scope}`);
+
+  return (req, res, next) => {
+    const token = req.auth?.token;
+    if (req.auth?.mode === 'open' || (token && hasScope(token.scopes, scope))) return next();
+    res.status(403).json({ error: `This token needs the ${scope} scope`, scopes: token?.scopes || [] });
+  };
+}
+
+export default {
+  AUTH_MODES,
+  isLoopback,
+  resolveAuthMode,
+  allowedOrigins,
+  corsOptions,
+  checkOrigin,
+  authenticate,
+  requireScope
+};
@@ -0,0 +1,137 @@
+/**
+ * Backup and restore the ProwlA workspace from the command line
+ *
+ * Usage:
+ *   node backup.js                          Write a backup to backups/
+ *   node backup.js --out <dir>              Write it to another folder
+ *   node backup.js --list                   List backups in backups/
+ *   node backup.js --restore <file>         Restore a backup
+ *   node backup.js --restore <file> --dry-run   Only check it
+ *
+ * Or from the project root: npm run backup, npm run restore -- <file>
+ *
+ * Add --data-dir <dir> (or set PROWLA_DATA_DIR) for a workspace kept
+ * outside the checkout; see shared/config.js.
+ *
+ * Stop the server and the MCP server before restoring. The current
+ * workspace is backed up (label "pre-restore") before it is replaced.
+ */
+
+import Database from 'better-sqlite3';
+import { join, resolve } from 'path';
+import fs from 'fs';
+import { createBackup, restoreBackup, listBackups } from '../shared/backup.js';
+import { getConfig } from '../shared/config.js';
+
+// Takes the server's --data-dir, --db and --port too (see shared/config.js)
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+const { dataDir: ROOT_DIR, dbPath: DB_PATH, backupsDir: BACKUPS_DIR, apiUrl: API_URL } = config;
+
+// npm scripts run from server/; resolve paths from where npm was invoked
+const CWD = process.env.INIT_CWD || process.cwd();
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function serverIsRunning() {
+  try {
+    await fetch(`${API_URL}/stats`, { signal: AbortSignal.timeout(1000) });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function backup(outDir, label = null) {
+  if (!fs.existsSync(DB_PATH)) {
+    console.error(`❌ No database at ${DB_PATH}`);
+    process.exit(1);
+  }
+
+  const db = new Database(DB_PATH);
+  try {
+    const result = await createBackup(db, { rootDir: ROOT_DIR, outDir, label });
+    console.log(`✅ Backed up ${result.manifest.job_count} jobs and ${result.manifest.files.length} files`);
+    console.log(`   ${result.path} (${formatSize(result.size)}, schema version ${result.manifest.schema_version})`);
+  } finally {
+    db.close();
+  }
+}
+
+async function restore(file, { dryRun, force }) {
+  // A bare file name can refer to a backup in backups/
+  const archivePath = [resolve(CWD, file), join(BACKUPS_DIR, file)].find(path => fs.existsSync(path));
+  if (!archivePath) {
+    console.error(`❌ Backup not found: ${file}`);
+    process.exit(1);
+  }
+
+  const openDatabase = path => new Database(path);
+  const check = restoreBackup(archivePath, { rootDir: ROOT_DIR, dbPath: DB_PATH, openDatabase, dryRun: true });
+  if (check.error) {
+    console.error(`❌ ${check.error}:`);
+    check.errors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+
+  const { manifest } = check;
+  console.log(`📦 Backup from ${manifest.created_at}: ${manifest.job_count} jobs, ${manifest.files.length} files, schema version ${manifest.schema_version}`);
+  if (check.removed_files.length > 0) {
+    console.log(`   ${check.removed_files.length} current file(s) not in the backup will be removed`);
+  }
+  if (dryRun) {
+    console.log('✅ Backup is valid (dry run, nothing changed)');
+    return;
+  }
+
+  if (!force && await serverIsRunning()) {
+    console.error(`❌ The server is running at ${API_URL}. Stop it (and the MCP server) first, or pass --force.`);
+    process.exit(1);
+  }
+
+  if (fs.existsSync(DB_PATH)) {
+    await backup(BACKUPS_DIR, 'pre-restore');
+  }
+
+  const result = restoreBackup(archivePath, { rootDir: ROOT_DIR, dbPath: DB_PATH, openDatabase });
+  if (result.error) {
+    console.error(`❌ ${result.error}: ${result.errors.join('; ')}`);
+    process.exit(1);
+  }
+  console.log(`✅ Restored ${result.restored_files} files and the database. Start the server to apply any newer migrations.`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+
+  if (args.includes('--list')) {
+    const backups = listBackups(BACKUPS_DIR);
+    if (backups.length === 0) console.log('No backups yet');
+    backups.forEach(b => console.log(`${b.created_at}  ${formatSize(b.size).padStart(9)}  ${b.file}`));
+  } else if (args.includes('--restore')) {
+    const file = option('--restore');
+    if (!file || file.startsWith('--')) {
+      console.error('Usage: node backup.js --restore <file> [--dry-run] [--force]');
+      process.exit(1);
+    }
+    await restore(file, { dryRun: args.includes('--dry-run'), force: args.includes('--force') });
+  } else {
+    await backup(option('--out') ? resolve(CWD, option('--out')) : BACKUPS_DIR);
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
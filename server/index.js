@@ -4,16 +4,84 @@ import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { timingSafeEqual } from 'crypto';
 import { logTokenUsage, getTokenUsage, parseSessionTokens } from './token-logger.js';
+import { runMigrations } from '../shared/migrate.js';
+import { recordActivity, recordJobChanges, getTimeline } from '../shared/activity.js';
+import { TRASH_RETENTION_DAYS, trashJob, restoreJob, purgeJob, listTrash, purgeExpiredTrash } from '../shared/trash.js';
+import {
+  getRejection, listRejections, createRejection, updateRejection, deleteRejection,
+  findRejection, importLegacyRejections
+} from '../shared/rejections.js';
+import {
+  jobFiles, getCompany, findCompany, listCompanies, getCompanyJobs, updateCompany, addAlias, removeAlias,
+  mergeCompanies, saveCompanyResearch, attachJobToCompany, reassignJobCompany, findDuplicateJob,
+  moveLegacyMaterials
+} from '../shared/companies.js';
+import {
+  getContact, listContacts, createContact, updateContact, deleteContact, linkContactToJob,
+  unlinkContactFromJob, logInteraction, getJobContacts, contactBonus, loadScoringBonuses
+} from '../shared/contacts.js';
+import {
+  getInterview, listInterviews, scheduleInterview, updateInterview, recordOutcome, deleteInterview
+} from '../shared/interviews.js';
+import {
+  localDate, loadFollowUpDays, listFollowups, recordDueFollowups, listReminders, lastReminderId
+} from '../shared/followups.js';
+import { EVENT_KINDS, getCalendarEvents, renderCalendar } from '../shared/calendar.js';
+import {
+  EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, IMPORT_FIELDS, DUPLICATE_ACTIONS, exportJobsCSV, importJobsCSV
+} from '../shared/job-csv.js';
+import { createBackup, listBackups } from '../shared/backup.js';
+import { LIST_FILTERS, DATE_RANGES, listJobs } from '../shared/job-query.js';
+import { EVENT_RETENTION_DAYS, recordEvent, pruneEvents } from '../shared/events.js';
+import { DELIVERY_STATUSES, getDelivery, listDeliveries, redeliver, processWebhooks } from '../shared/webhooks.js';
+import { expireSubscriptions } from '../shared/event-subscriptions.js';
+import { validate, describeErrors } from '../shared/validation.js';
+import {
+  PRIORITIES, createJobSchema, updateJobSchema, rejectCompanySchema, createRejectionSchema,
+  updateRejectionSchema, checkRejectionSchema, createContactSchema, updateContactSchema,
+  contactInteractionSchema, contactJobSchema, updateCompanySchema, companyAliasSchema,
+  mergeCompanySchema, scheduleInterviewSchema, updateInterviewSchema, interviewOutcomeSchema,
+  importCsvSchema
+} from '../shared/schemas.js';
+import { readSearchSettings, saveSearchSettings, upgradeSearchSettingsFile } from '../shared/search-settings.js';
+import { FUNNEL_GROUPS, DEFAULT_THROUGHPUT_WEEKS, getFunnel, getTimeInStage, getThroughput, getAnalytics } from '../shared/analytics.js';
+import { DIGEST_FORMATS, lastWeek, digestFileNames, generateDigest } from '../shared/digest.js';
+import { buildOpenApiDocument, findOperation, checkResponse } from '../shared/openapi.js';
+import { broadcast, openStream, watchActivity } from './live-updates.js';
+import { resolveAuthMode, allowedOrigins, corsOptions, checkOrigin, authenticate, requireScope } from './auth.js';
+import { getConfig } from '../shared/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 
+// Data directory, database, port and host (see shared/config.js)
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Only this machine can reach the server unless the host says otherwise
+// (e.g. 0.0.0.0 for the LAN), and then API tokens are required
+const { host: HOST, port: PORT, dataDir: DATA_DIR } = config;
+
+const auth = resolveAuthMode(HOST);
+if (auth.error) {
+  console.error(`❌ ${auth.error}`);
+  process.exit(1);
+}
+
 // Ensure database is created with proper write permissions
-const dbPath = join(__dirname, 'jobs.db');
+const dbPath = config.dbPath;
 console.log(`Database path: ${dbPath}`);
+if (DATA_DIR !== config.rootDir) console.log(`Data directory: ${DATA_DIR}`);
+fs.mkdirSync(dirname(dbPath), { recursive: true });
 const db = new Database(dbPath, { 
   verbose: console.log,
   fileMustExist: false 
@@ -23,87 +91,124 @@ const db = new Database(dbPath, {
 db.pragma('journal_mode = WAL');
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+const origins = allowedOrigins();
+app.use(cors(corsOptions(origins)));
+app.use(checkOrigin(origins));
+// CSV imports are sent as JSON, so allow more than the 100kb default
+app.use(express.json({ limit: '10mb' }));
+app.use(bodyErrors);
+// API tokens and their scopes (see auth.js)
+app.use(['/api', '/applications'], authenticate(db, auth.mode));
+// In development, check responses against the API description
+if (app.get('env') === 'development') {
+  app.use('/api', checkResponses);
+}
 
 // Serve applications folder statically for PDFs
-app.use('/applications', express.static(join(__dirname, '../applications')));
-
-// Optional: Export database to CSV (for backup)
-function exportToCSV() {
-  // CSV export disabled in open source version
-  // Uncomment below if you want CSV backup functionality
-  /*
-  const csvPath = join(__dirname, '../data/jobs-backup.csv');
-  const jobs = db.prepare('SELECT * FROM jobs ORDER BY id').all();
-  
-  const headers = 'Status,Priority,Company,Role,Type,Hours/Week,Compensation,Location,Source,Materials,Apply URL';
-  const rows = jobs.map(job => {
-    return [
-      job.status || '',
-      job.priority || '',
-      job.company || '',
-      job.role || '',
-      job.type || '',
-      job.hours_week || '',
-      job.compensation || '',
-      job.location || '',
-      job.source || '',
-      job.materials || '',
-      job.apply_url || ''
-    ].join(',');
-  });
-  
-  const csvContent = [headers, ...rows].join('\n');
-  fs.writeFileSync(csvPath, csvContent, 'utf8');
-  console.log('✅ Exported to CSV');
-  */
+app.use('/applications', express.static(config.applicationsDir));
+
+// Create or upgrade the schema (shared with the MCP server)
+const migration = runMigrations(db, { log: console.log });
+console.log(`🗄️  Database schema at version ${migration.to}`);
+
+// Move the old rejected-companies.json list into the database (runs once)
+const importedRejections = importLegacyRejections(db, join(DATA_DIR, 'data/rejected-companies.json'));
+if (importedRejections > 0) {
+  console.log(`🚫 Imported ${importedRejections} rejected companies into the database`);
 }
 
-// Initialize database
-db.exec(`
-  CREATE TABLE IF NOT EXISTS jobs (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    status TEXT NOT NULL DEFAULT 'Not Started',
-    priority TEXT NOT NULL,
-    company TEXT NOT NULL,
-    role TEXT NOT NULL,
-    type TEXT,
-    hours_week TEXT,
-    compensation TEXT,
-    location TEXT,
-    source TEXT,
-    materials TEXT,
-    cover_letter TEXT,
-    email TEXT,
-    notes TEXT,
-    apply_url TEXT,
-    applied_date TEXT,
-    follow_up_date TEXT,
-    search_batch_id TEXT,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-// Add materials column if it doesn't exist (migration)
-try {
-  db.exec(`ALTER TABLE jobs ADD COLUMN materials TEXT`);
-  console.log('✅ Added materials column');
-} catch (e) {
-  // Column already exists, ignore error
+// Move cover letters and emails from the old one-folder-per-company layout
+// into each job's own folder
+const movedMaterials = moveLegacyMaterials(db, DATA_DIR);
+if (movedMaterials > 0) {
+  console.log(`📁 Moved ${movedMaterials} material file(s) into per-job folders`);
+}
+
+// Rewrite config/search.json from an older layout (runs once)
+const settingsUpgrade = upgradeSearchSettingsFile(join(config.configDir, 'search.json'));
+if (settingsUpgrade?.error) {
+  console.warn(`⚠️  Could not upgrade config/search.json: ${settingsUpgrade.error}`);
+} else if (settingsUpgrade) {
+  console.log(`⚙️  Upgraded config/search.json from settings version ${settingsUpgrade.from}`);
+}
+
+// Permanently remove jobs that have been in the trash past the retention period
+const purged = purgeExpiredTrash(db);
+if (purged.length > 0) {
+  console.log(`🗑️  Purged ${purged.length} expired job(s) from the trash`);
+}
+
+// Drop events agents have had the retention period to read
+const prunedEvents = pruneEvents(db);
+if (prunedEvents > 0) {
+  console.log(`🧹 Pruned ${prunedEvents} event(s) older than ${EVENT_RETENTION_DAYS} days`);
+}
+
+// Record follow-up reminders as they come due. The dashboard polls
+// /api/followups for them and the MCP server turns them into events.
+const FOLLOWUP_CHECK_MS = 15 * 60 * 1000;
+function checkFollowups() {
+  try {
+    const due = recordDueFollowups(db, { afterDays: loadFollowUpDays(DATA_DIR) });
+    if (due.length > 0) {
+      console.log(`⏰ ${due.length} follow-up(s) due: ${due.map(job => job.company).join(', ')}`);
+    }
+  } catch (error) {
+    console.error('Follow-up check failed:', error);
+  }
 }
 
-// Metadata table for tracking search batches
-db.exec(`
-  CREATE TABLE IF NOT EXISTS metadata (
-    key TEXT PRIMARY KEY,
-    value TEXT
-  )
-`);
+// Write last week's digest once it's over (see shared/digest.js), when
+// PROWLA_DIGEST_HOUR says what hour on Monday to do it. A week whose
+// reports are already in data/reports/ is skipped, so restarts and
+// missed Mondays are fine.
+const DIGEST_HOUR = /^\d+$/.test(process.env.PROWLA_DIGEST_HOUR || '') && Number(process.env.PROWLA_DIGEST_HOUR) < 24
+  ? Number(process.env.PROWLA_DIGEST_HOUR)
+  : null;
+const DIGEST_CHECK_MS = 15 * 60 * 1000;
+function checkDigest() {
+  const now = new Date();
+  if (now.getDay() === 1 && now.getHours() < DIGEST_HOUR) return;
+  const week = lastWeek(now);
+  if (fs.existsSync(join(config.reportsDir, digestFileNames(week).markdown))) return;
+
+  try {
+    const { digest, files } = generateDigest(db, { ...week, dataDir: DATA_DIR, reportsDir: config.reportsDir, afterDays: loadFollowUpDays(DATA_DIR), now });
+    console.log(`📰 Weekly digest for ${digest.from} to ${digest.to} written to ${files.markdown}`);
+    emitEvent('report.generated', {
+      report: 'digest',
+      from: digest.from,
+      to: digest.to,
+      files,
+      new_jobs: digest.new_jobs.count,
+      applications: digest.applications.length,
+      interviews: digest.interviews.held.length
+    });
+  } catch (error) {
+    console.error('Weekly digest failed:', error);
+  }
+}
+
+// Deliver webhooks for agents' event subscriptions. The MCP server only
+// runs while an agent is connected, so this keeps them flowing meanwhile.
+const WEBHOOK_CHECK_MS = 2000;
+function checkWebhooks() {
+  try {
+    expireSubscriptions(db);
+  } catch (error) {
+    console.error('Subscription expiry failed:', error);
+  }
+  processWebhooks(db)
+    .then(({ attempted }) => {
+      for (const delivery of attempted.filter(d => d.status !== 'delivered')) {
+        console.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${delivery.attempts}, ${delivery.status}): ${delivery.last_error}`);
+      }
+    })
+    .catch(error => console.error('Webhook delivery failed:', error));
+}
 
 // Check if database is empty and log startup message
-const count = db.prepare('SELECT COUNT(*) as count FROM jobs').get();
+const count = db.prepare('SELECT COUNT(*) as count FROM jobs WHERE deleted_at IS NULL').get();
 if (count.count === 0) {
   console.log('📋 Database is empty. Add jobs via the UI or API.');
 } else {
@@ -112,19 +217,74 @@ if (count.count === 0) {
 
 // API Routes
 
-// Helper to detect materials for a job
+// Who is making a request, for the activity log.
+// The scanner and other scripts identify themselves with X-Prowla-Actor.
+function getActor(req) {
+  return req.get('X-Prowla-Actor') || 'ui';
+}
+
+// Add an event to the shared event log, so agents subscribed through the
+// MCP server hear about changes made here (see shared/events.js)
+function emitEvent(type, payload) {
+  recordEvent(db, type, payload, 'server');
+}
+
+// Reject a request whose body doesn't match a schema (see
+// shared/schemas.js) with a 400 listing each field's problem
+function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = validate(schema, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: describeErrors(errors), errors });
+    }
+    next();
+  };
+}
+
+// Answer a body that can't be read (not JSON, too large) with a JSON
+// error instead of Express's HTML error page
+function bodyErrors(err, req, res, next) {
+  if (!err.type || !err.status) return next(err);
+  const message = err.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : err.message;
+  res.status(err.status).json({ error: message });
+}
+
+// Warn when a JSON response doesn't match what shared/openapi.js says the
+// route returns, so the description and the generated client keep up
+// with the routes. The response is sent either way.
+function checkResponses(req, res, next) {
+  const operation = findOperation(req.method, req.baseUrl + req.path);
+  if (!operation) return next();
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    const errors = checkResponse(operation, res.statusCode, JSON.parse(JSON.stringify(body) ?? 'null'));
+    if (errors.length > 0) {
+      console.warn(`⚠️  ${req.method} ${operation.path} ${res.statusCode} response doesn't match shared/openapi.js: ${describeErrors(errors)}`);
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Absolute path of a file in the data directory
+function projectPath(relativePath) {
+  return join(DATA_DIR, relativePath);
+}
+
+// Helper to detect materials for a job.
+// Research is shared by the company; cover letter and email belong to the job.
 function detectMaterials(job) {
-  const companySlug = job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-  const applicationsPath = join(__dirname, '../applications', companySlug);
+  const files = jobFiles(job);
   
   let hasNotes = false;
   let hasCoverLetter = false;
   let hasEmail = false;
   
   try {
-    hasNotes = fs.existsSync(join(applicationsPath, 'notes.md'));
-    hasCoverLetter = fs.existsSync(join(applicationsPath, 'cover-letter.md'));
-    hasEmail = fs.existsSync(join(applicationsPath, 'email.md'));
+    hasNotes = fs.existsSync(projectPath(files.notes));
+    hasCoverLetter = fs.existsSync(projectPath(files.cover_letter));
+    hasEmail = fs.existsSync(projectPath(files.email));
   } catch (e) {
     // Ignore errors
   }
@@ -135,51 +295,99 @@ function detectMaterials(job) {
   return '⬜ None';
 }
 
-// GET all jobs
-app.get('/api/jobs', (req, res) => {
-  const { status, priority, source } = req.query;
-  
-  let query = 'SELECT * FROM jobs WHERE 1=1';
-  const params = [];
-  
-  if (status) {
-    query += ' AND status = ?';
-    params.push(status);
-  }
-  if (priority) {
-    query += ' AND priority = ?';
-    params.push(priority);
-  }
-  if (source) {
-    query += ' AND source = ?';
-    params.push(source);
+/**
+ * Store the materials detected from each job's files, so lists can read
+ * them from the database instead of checking the filesystem
+ * @param {Object[]} jobs - Job rows
+ * @returns {number} Jobs whose materials changed
+ */
+function refreshMaterials(jobs) {
+  const update = db.prepare('UPDATE jobs SET materials = ? WHERE id = ?');
+  let updated = 0;
+  for (const job of jobs) {
+    const materials = detectMaterials(job);
+    if (materials !== job.materials) {
+      update.run(materials, job.id);
+      job.materials = materials;
+      updated++;
+    }
   }
-  
-  query += ' ORDER BY CASE priority WHEN \'🔴 High\' THEN 1 WHEN \'🟡 Medium\' THEN 2 WHEN \'🟢 Lower\' THEN 3 END, created_at DESC';
-  
-  const jobs = db.prepare(query).all(...params);
-  
+  return updated;
+}
+
+/**
+ * Refresh materials for a job and the other jobs at its company, which
+ * share its research
+ * @param {number} jobId - Job ID
+ */
+function refreshJobMaterials(jobId) {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  if (!job) return;
+  refreshMaterials(job.company_id
+    ? db.prepare('SELECT * FROM jobs WHERE company_id = ? AND deleted_at IS NULL').all(job.company_id)
+    : [job]);
+}
+
+// Materials files can be written by agents while the server is stopped;
+// pick up jobs that have none recorded yet
+refreshMaterials(db.prepare("SELECT * FROM jobs WHERE deleted_at IS NULL AND IFNULL(materials, '') IN ('', '⬜ None')").all());
+
+/**
+ * Add the fields the job list shows: whether the job is new (from the
+ * latest search batch or created in the last 12h)
+ */
+function withListFields(jobs) {
   // Get latest batch ID to mark truly new jobs
   const latestBatchResult = db.prepare('SELECT value FROM metadata WHERE key = ?').get('latest_batch_id');
   const latestBatchId = latestBatchResult?.value;
   
-  // Mark jobs from latest search batch OR created in last 12h as "isNew" and detect materials
   const now = new Date();
-  const jobsWithNewFlag = jobs.map(job => {
+  return jobs.map(job => {
     const createdAt = new Date(job.created_at);
     const hoursSinceCreated = (now - createdAt) / (1000 * 60 * 60);
     
-    // Auto-detect materials if not set, null, empty, or default value
-    const materialsStatus = (!job.materials || job.materials === '⬜ None' || job.materials === '') ? detectMaterials(job) : job.materials;
-    
     return {
       ...job,
-      materials: materialsStatus,
+      materials: job.materials || '⬜ None',
       isNewFromSearch: (job.search_batch_id && job.search_batch_id === latestBatchId) || (hoursSinceCreated < 12)
     };
   });
+}
+
+// Query string list: ?status=A,B or ?status=A&status=B
+function listParam(value) {
+  return [].concat(value || []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+// GET the OpenAPI description of these routes (see shared/openapi.js)
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument({ serverUrl: new URL(config.apiUrl).origin }));
+});
+
+// GET jobs, a page at a time, with filters, date ranges, search and sorting
+app.get('/api/jobs', (req, res) => {
+  const ranges = {};
+  for (const name of Object.keys(DATE_RANGES)) {
+    const from = req.query[`${name}_from`];
+    const to = req.query[`${name}_to`];
+    if (from || to) ranges[name] = { from, to };
+  }
+  
+  const filters = Object.fromEntries(LIST_FILTERS.map(filter => [filter, listParam(req.query[filter])]));
+  const result = listJobs(db, {
+    ...filters,
+    ranges,
+    onlyNew: req.query.only_new === 'true',
+    q: req.query.q || '',
+    sort: req.query.sort || null,
+    order: req.query.order || null,
+    limit: req.query.limit,
+    offset: req.query.offset,
+    cursor: req.query.cursor || null
+  });
+  if (result.error) return res.status(400).json({ error: result.error });
   
-  res.json(jobsWithNewFlag);
+  res.json({ ...result, jobs: withListFields(result.jobs) });
 });
 
 // GET single job with full content
@@ -187,9 +395,9 @@ app.get('/api/jobs/:id', (req, res) => {
   const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(req.params.id);
   if (!job) return res.status(404).json({ error: 'Job not found' });
   
-  // Auto-detect materials if needed
-  if (!job.materials || job.materials === '⬜ None' || job.materials === '') {
-    job.materials = detectMaterials(job);
+  // Pick up materials files written since the job was last read
+  if (!job.materials || job.materials === '⬜ None') {
+    refreshMaterials([job]);
   }
   
   res.json(job);
@@ -197,25 +405,25 @@ app.get('/api/jobs/:id', (req, res) => {
 
 // Helper to sync content to files (for git tracking/backup)
 function syncContentToFiles(job) {
-  const companySlug = job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-  const applicationsPath = join(__dirname, '../applications', companySlug);
+  const files = jobFiles(job);
+  
+  const write = (relativePath, content) => {
+    fs.mkdirSync(dirname(projectPath(relativePath)), { recursive: true });
+    fs.writeFileSync(projectPath(relativePath), content, 'utf8');
+  };
   
   try {
-    fs.mkdirSync(applicationsPath, { recursive: true });
-    
     if (job.cover_letter_content) {
-      const coverPath = join(applicationsPath, 'cover-letter.md');
-      fs.writeFileSync(coverPath, job.cover_letter_content, 'utf8');
+      write(files.cover_letter, job.cover_letter_content);
     }
     
     if (job.email_content) {
-      const emailPath = join(applicationsPath, 'email.md');
-      fs.writeFileSync(emailPath, job.email_content, 'utf8');
+      write(files.email, job.email_content);
     }
     
+    // Research is shared by every job at the company
     if (job.research_notes) {
-      const notesPath = join(applicationsPath, 'notes.md');
-      fs.writeFileSync(notesPath, job.research_notes, 'utf8');
+      write(files.notes, job.research_notes);
     }
     
     console.log(`✅ Synced files for ${job.company}`);
@@ -225,22 +433,32 @@ function syncContentToFiles(job) {
 }
 
 // POST new job
-app.post('/api/jobs', (req, res) => {
+app.post('/api/jobs', validateBody(createJobSchema), (req, res) => {
   const {
     status, priority, company, role, type, hours_week, compensation,
     location, source, materials, cover_letter, email, notes, apply_url,
-    cover_letter_content, email_content, research_notes
+    cover_letter_content, email_content, research_notes, score, allow_duplicate
   } = req.body;
   
-  const companySlug = company.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  // The same role at the same company (or the same posting URL) is a
+  // duplicate; other roles at a tracked company are not
+  const duplicate = allow_duplicate ? null : findDuplicateJob(db, { company, role, apply_url });
+  if (duplicate) {
+    return res.status(409).json({
+      error: duplicate.in_trash ? 'Job already exists in the trash' : 'Job already exists',
+      existing_job_id: duplicate.job.id,
+      match: duplicate.match,
+      in_trash: duplicate.in_trash
+    });
+  }
   
   const insert = db.prepare(`
     INSERT INTO jobs (
       status, priority, company, role, type, hours_week, compensation, 
       location, source, materials, cover_letter, email, notes, apply_url,
-      cover_letter_content, email_content, research_notes
+      cover_letter_content, email_content, research_notes, score
     )
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   const result = insert.run(
@@ -254,31 +472,45 @@ app.post('/api/jobs', (req, res) => {
     location,
     source,
     materials,
-    cover_letter || `applications/${companySlug}/cover-letter.md`,
-    email || `applications/${companySlug}/email.md`,
-    notes || `applications/${companySlug}/notes.md`,
+    cover_letter,
+    email,
+    notes,
     apply_url,
     cover_letter_content,
     email_content,
-    research_notes
+    research_notes,
+    score ?? null
   );
   
+  // Link the job to its company and give it its own materials folder
+  const { company: companyRow, job } = attachJobToCompany(db, result.lastInsertRowid, { cover_letter, email, notes });
+  
+  recordActivity(db, {
+    jobId: job.id,
+    type: 'job.created',
+    actor: getActor(req),
+    details: { company: job.company, role, priority: priority || '🟢 Lower', source }
+  });
+  emitEvent('job.created', {
+    job_id: job.id,
+    company: job.company,
+    company_id: companyRow.id,
+    role,
+    priority: priority || '🟢 Lower',
+    source,
+    score: score ?? null
+  });
+  
   // Sync content to files for backup/git tracking
   if (cover_letter_content || email_content || research_notes) {
-    syncContentToFiles({
-      company,
-      cover_letter_content,
-      email_content,
-      research_notes
-    });
+    syncContentToFiles(job);
   }
   
-  exportToCSV();
-  res.json({ id: result.lastInsertRowid });
+  res.json({ id: job.id, company_id: companyRow.id });
 });
 
 // PATCH update job
-app.patch('/api/jobs/:id', (req, res) => {
+app.patch('/api/jobs/:id', validateBody(updateJobSchema), (req, res) => {
   const updates = [];
   const params = [];
   
@@ -286,7 +518,7 @@ app.patch('/api/jobs/:id', (req, res) => {
     'status', 'priority', 'company', 'role', 'type', 'hours_week',
     'compensation', 'location', 'source', 'materials', 'cover_letter', 'email',
     'notes', 'apply_url', 'applied_date', 'follow_up_date',
-    'cover_letter_content', 'email_content', 'research_notes'
+    'cover_letter_content', 'email_content', 'research_notes', 'score'
   ];
   
   for (const field of allowedFields) {
@@ -300,12 +532,34 @@ app.patch('/api/jobs/:id', (req, res) => {
     return res.status(400).json({ error: 'No fields to update' });
   }
   
+  const before = db.prepare('SELECT * FROM jobs WHERE id = ?').get(req.params.id);
+  if (!before) return res.status(404).json({ error: 'Job not found' });
+  
   updates.push('updated_at = CURRENT_TIMESTAMP');
   params.push(req.params.id);
   
   const query = `UPDATE jobs SET ${updates.join(', ')} WHERE id = ?`;
   db.prepare(query).run(...params);
   
+  // A new company name may belong to a different company
+  if (req.body.company !== undefined && req.body.company !== before.company) {
+    reassignJobCompany(db, before.id, req.body.company);
+  }
+  
+  // Research is shared by every job at the company
+  if (req.body.research_notes !== undefined) {
+    const { company_id } = db.prepare('SELECT company_id FROM jobs WHERE id = ?').get(before.id);
+    if (company_id) saveCompanyResearch(db, company_id, req.body.research_notes);
+  }
+  
+  // Record what changed in the job's timeline
+  const changes = {};
+  for (const field of allowedFields) {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  }
+  recordJobChanges(db, before, changes, getActor(req));
+  emitEvent('job.updated', { job_id: before.id, changes, company: req.body.company ?? before.company });
+  
   // Sync content to files if content fields were updated
   if (req.body.cover_letter_content || req.body.email_content || req.body.research_notes) {
     const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(req.params.id);
@@ -314,51 +568,617 @@ app.patch('/api/jobs/:id', (req, res) => {
     }
   }
   
-  exportToCSV();
   res.json({ success: true });
 });
 
-// DELETE job
+// DELETE job (moves it to the trash)
 app.delete('/api/jobs/:id', (req, res) => {
-  // Get job details before deleting
+  const result = trashJob(db, req.params.id, getActor(req));
+  if (!result.success) {
+    return res.status(result.error === 'Job not found' ? 404 : 409).json({ error: result.error });
+  }
+  emitEvent('job.deleted', { job_id: result.job.id, company: result.job.company, role: result.job.role, trashed: true });
+  
+  res.json({ success: true, trashed: true, purge_at: result.purge_at });
+});
+
+// POST restore a job from the trash
+app.post('/api/jobs/:id/restore', (req, res) => {
+  const result = restoreJob(db, req.params.id, getActor(req));
+  if (!result.success) {
+    return res.status(result.error === 'Job not found' ? 404 : 409).json({ error: result.error });
+  }
+  emitEvent('job.restored', { job_id: result.job.id, company: result.job.company, role: result.job.role });
+  
+  res.json({ success: true, job: result.job });
+});
+
+// POST reject a job's company: add a company rejection and trash the job
+app.post('/api/jobs/:id/reject-company', validateBody(rejectCompanySchema), (req, res) => {
   const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
   
-  // Delete from database
-  db.prepare('DELETE FROM jobs WHERE id = ?').run(req.params.id);
-  exportToCSV();
+  const { reason, expires_at, expires_in_days } = req.body;
+  const actor = getActor(req);
+  const result = createRejection(db, {
+    scope: 'company',
+    pattern: job.company,
+    reason,
+    expires_at,
+    expires_in_days,
+    job_id: job.id
+  }, actor);
+  if (result.error) return res.status(400).json({ error: result.error });
   
-  // Add to rejected companies list so it doesn't reappear in future searches
-  if (job) {
-    try {
-      const rejectedPath = join(__dirname, '../data/rejected-companies.json');
-      let rejectedData = { rejected: [] };
-      
-      if (fs.existsSync(rejectedPath)) {
-        rejectedData = JSON.parse(fs.readFileSync(rejectedPath, 'utf8'));
-      }
-      
-      // Add company to rejected list if not already there
-      if (!rejectedData.rejected.includes(job.company)) {
-        rejectedData.rejected.push(job.company);
-        rejectedData.notes = "Companies in this list won't be added again by the automated job search";
-        fs.writeFileSync(rejectedPath, JSON.stringify(rejectedData, null, 2), 'utf8');
+  recordActivity(db, {
+    jobId: job.id,
+    type: 'company.rejected',
+    actor,
+    details: {
+      company: job.company,
+      rejection_id: result.rejection.id,
+      reason: result.rejection.reason,
+      expires_at: result.rejection.expires_at,
+      already_rejected: !result.created
+    }
+  });
+  
+  // Keep the job if the caller only wants the company blocked
+  const trash = req.body.trash !== false && !job.deleted_at;
+  if (trash) {
+    trashJob(db, job.id, actor);
+    emitEvent('job.deleted', { job_id: job.id, company: job.company, role: job.role, trashed: true });
+  }
+  
+  res.json({
+    success: true,
+    company: job.company,
+    rejection: result.rejection,
+    added_to_rejected: result.created,
+    trashed: trash
+  });
+});
+
+// GET rejections (active only unless include_expired=true)
+app.get('/api/rejections', (req, res) => {
+  const { scope, include_expired } = req.query;
+  const rejections = listRejections(db, {
+    scope: scope || null,
+    includeExpired: include_expired === 'true'
+  });
+  res.json({ rejections, count: rejections.length });
+});
+
+// POST check whether a job would be rejected
+app.post('/api/rejections/check', validateBody(checkRejectionSchema), (req, res) => {
+  const { company, role, apply_url } = req.body;
+  const rejection = findRejection(db, { company, role, apply_url });
+  res.json({ rejected: !!rejection, rejection });
+});
+
+// GET single rejection
+app.get('/api/rejections/:id', (req, res) => {
+  const rejection = getRejection(db, req.params.id);
+  if (!rejection) return res.status(404).json({ error: 'Rejection not found' });
+  res.json(rejection);
+});
+
+// POST new rejection
+app.post('/api/rejections', validateBody(createRejectionSchema), (req, res) => {
+  const result = createRejection(db, req.body, getActor(req));
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.status(result.created ? 201 : 200).json(result);
+});
+
+// PATCH rejection
+app.patch('/api/rejections/:id', validateBody(updateRejectionSchema), (req, res) => {
+  const result = updateRejection(db, req.params.id, req.body);
+  if (result.error) {
+    return res.status(result.error === 'Rejection not found' ? 404 : 400).json({ error: result.error });
+  }
+  res.json(result.rejection);
+});
+
+// DELETE rejection
+app.delete('/api/rejections/:id', (req, res) => {
+  const rejection = deleteRejection(db, req.params.id);
+  if (!rejection) return res.status(404).json({ error: 'Rejection not found' });
+  res.json({ success: true, rejection });
+});
+
+// GET companies with job counts (?search=, include_empty=true)
+app.get('/api/companies', (req, res) => {
+  const companies = listCompanies(db, {
+    search: req.query.search || null,
+    includeEmpty: req.query.include_empty === 'true'
+  });
+  res.json({ companies, count: companies.length });
+});
+
+// GET a company with its aliases and jobs
+app.get('/api/companies/:id', (req, res) => {
+  const company = getCompany(db, req.params.id);
+  if (!company) return res.status(404).json({ error: 'Company not found' });
+  res.json({ ...company, jobs: getCompanyJobs(db, company.id) });
+});
+
+// PATCH a company (name, website, notes, research_notes)
+app.patch('/api/companies/:id', validateBody(updateCompanySchema), (req, res) => {
+  const { research_notes, ...updates } = req.body;
+  if (!getCompany(db, req.params.id)) return res.status(404).json({ error: 'Company not found' });
+
+  if (Object.keys(updates).length > 0) {
+    const result = updateCompany(db, req.params.id, updates);
+    if (result.error) return res.status(400).json({ error: result.error });
+  }
+
+  if (research_notes !== undefined) {
+    const jobIds = saveCompanyResearch(db, req.params.id, research_notes);
+    const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobIds[0]);
+    if (job) syncContentToFiles({ ...job, cover_letter_content: null, email_content: null });
+  }
+
+  res.json({ success: true, company: getCompany(db, req.params.id) });
+});
+
+// POST add an alias to a company
+app.post('/api/companies/:id/aliases', validateBody(companyAliasSchema), (req, res) => {
+  if (!getCompany(db, req.params.id)) return res.status(404).json({ error: 'Company not found' });
+
+  const result = addAlias(db, Number(req.params.id), req.body.alias);
+  if (result.error) return res.status(result.company_id ? 409 : 400).json(result);
+  res.status(result.created ? 201 : 200).json({ success: true, ...result });
+});
+
+// DELETE an alias from a company
+app.delete('/api/companies/:id/aliases/:aliasId', (req, res) => {
+  const alias = removeAlias(db, req.params.id, req.params.aliasId);
+  if (!alias) return res.status(404).json({ error: 'Alias not found' });
+  res.json({ success: true, alias });
+});
+
+// POST merge another company into this one ({ source_id })
+app.post('/api/companies/:id/merge', validateBody(mergeCompanySchema), (req, res) => {
+  const result = mergeCompanies(db, req.params.id, req.body.source_id);
+  if (result.error) {
+    return res.status(result.error === 'Company not found' ? 404 : 400).json({ error: result.error });
+  }
+
+  res.json({ success: true, ...result });
+});
+
+// GET contacts (?company_id=, job_id=, search=)
+app.get('/api/contacts', (req, res) => {
+  const { company_id, job_id, search } = req.query;
+  const contacts = listContacts(db, {
+    companyId: company_id || null,
+    jobId: job_id || null,
+    search: search || null
+  });
+  res.json({ contacts, count: contacts.length });
+});
+
+// GET a contact with its linked jobs and interactions
+app.get('/api/contacts/:id', (req, res) => {
+  const contact = getContact(db, req.params.id);
+  if (!contact) return res.status(404).json({ error: 'Contact not found' });
+  res.json(contact);
+});
+
+// POST new contact (company or company_id, optional job_id to link)
+app.post('/api/contacts', validateBody(createContactSchema), (req, res) => {
+  const result = createContact(db, req.body, getActor(req));
+  if (result.error) {
+    return res.status(result.error.endsWith('not found') ? 404 : 400).json({ error: result.error });
+  }
+  if (result.created || req.body.job_id) {
+    emitEvent('contact.added', {
+      contact_id: result.contact.id,
+      name: result.contact.name,
+      company: result.contact.company,
+      job_id: req.body.job_id || null
+    });
+  }
+  res.status(result.created ? 201 : 200).json(result);
+});
+
+// PATCH contact
+app.patch('/api/contacts/:id', validateBody(updateContactSchema), (req, res) => {
+  const result = updateContact(db, req.params.id, req.body);
+  if (result.error) {
+    return res.status(result.error.endsWith('not found') ? 404 : 400).json({ error: result.error });
+  }
+  res.json(result.contact);
+});
+
+// DELETE contact (with its job links and interactions)
+app.delete('/api/contacts/:id', (req, res) => {
+  const contact = deleteContact(db, req.params.id);
+  if (!contact) return res.status(404).json({ error: 'Contact not found' });
+  res.json({ success: true, contact });
+});
+
+// POST log an interaction ({ type, job_id, notes, occurred_at })
+app.post('/api/contacts/:id/interactions', validateBody(contactInteractionSchema), (req, res) => {
+  const result = logInteraction(db, req.params.id, req.body, getActor(req));
+  if (result.error) {
+    return res.status(result.error.endsWith('not found') ? 404 : 400).json({ error: result.error });
+  }
+  emitEvent('contact.interaction', {
+    contact_id: Number(req.params.id),
+    type: result.interaction.type,
+    job_ids: result.job_ids
+  });
+  res.status(201).json({ success: true, ...result });
+});
+
+// POST link a contact to a job ({ job_id })
+app.post('/api/contacts/:id/jobs', validateBody(contactJobSchema), (req, res) => {
+  const result = linkContactToJob(db, req.params.id, req.body.job_id, getActor(req));
+  if (result.error) return res.status(404).json({ error: result.error });
+  if (result.linked) {
+    emitEvent('contact.added', { contact_id: Number(req.params.id), job_id: Number(req.body.job_id) });
+  }
+  res.json({ success: true, ...result });
+});
+
+// DELETE unlink a contact from a job
+app.delete('/api/contacts/:id/jobs/:jobId', (req, res) => {
+  if (!unlinkContactFromJob(db, req.params.id, req.params.jobId)) {
+    return res.status(404).json({ error: 'Contact is not linked to that job' });
+  }
+  res.json({ success: true });
+});
+
+// GET contacts at a job's company, and the scoring bonus they earn
+app.get('/api/jobs/:id/contacts', (req, res) => {
+  const job = db.prepare('SELECT id FROM jobs WHERE id = ?').get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  const contacts = getJobContacts(db, job.id);
+  const bonus = contactBonus(contacts, loadScoringBonuses(DATA_DIR, config.rootDir));
+  res.json({ contacts, count: contacts.length, bonus });
+});
+
+// GET interviews across all jobs (?upcoming=true, outcome=)
+app.get('/api/interviews', (req, res) => {
+  const interviews = listInterviews(db, {
+    upcoming: req.query.upcoming === 'true',
+    outcome: req.query.outcome || null
+  });
+  res.json({ interviews, count: interviews.length });
+});
+
+// GET a job's interview rounds
+app.get('/api/jobs/:id/interviews', (req, res) => {
+  const job = db.prepare('SELECT id FROM jobs WHERE id = ?').get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  const interviews = listInterviews(db, { jobId: job.id });
+  res.json({ job_id: job.id, interviews, count: interviews.length });
+});
+
+// POST schedule an interview round for a job
+app.post('/api/jobs/:id/interviews', validateBody(scheduleInterviewSchema), (req, res) => {
+  const result = scheduleInterview(db, req.params.id, req.body || {}, getActor(req));
+  if (result.error) {
+    return res.status(result.error === 'Job not found' ? 404 : 400).json({ error: result.error });
+  }
+  const { interview } = result;
+  emitEvent('interview.scheduled', {
+    interview_id: interview.id,
+    job_id: interview.job_id,
+    company: interview.company,
+    round: interview.round,
+    type: interview.type,
+    scheduled_at: interview.scheduled_at
+  });
+  if (result.status_changed) {
+    emitEvent('job.updated', { job_id: interview.job_id, changes: { status: 'Interviewing' }, company: interview.company });
+  }
+  res.status(201).json(result);
+});
+
+// GET single interview
+app.get('/api/interviews/:id', (req, res) => {
+  const interview = getInterview(db, req.params.id);
+  if (!interview) return res.status(404).json({ error: 'Interview not found' });
+  res.json(interview);
+});
+
+// PATCH interview (time, type, location, prep notes, interviewers)
+app.patch('/api/interviews/:id', validateBody(updateInterviewSchema), (req, res) => {
+  const before = db.prepare('SELECT scheduled_at FROM interviews WHERE id = ?').get(req.params.id);
+  const result = updateInterview(db, req.params.id, req.body || {}, getActor(req));
+  if (result.error) {
+    return res.status(result.error === 'Interview not found' ? 404 : 400).json({ error: result.error });
+  }
+  if (before.scheduled_at !== result.interview.scheduled_at) {
+    emitEvent('interview.rescheduled', {
+      interview_id: result.interview.id,
+      job_id: result.interview.job_id,
+      company: result.interview.company,
+      from: before.scheduled_at,
+      to: result.interview.scheduled_at
+    });
+  }
+  res.json(result.interview);
+});
+
+// POST record an interview's outcome ({ outcome, feedback })
+app.post('/api/interviews/:id/outcome', validateBody(interviewOutcomeSchema), (req, res) => {
+  const result = recordOutcome(db, req.params.id, req.body || {}, getActor(req));
+  if (result.error) {
+    return res.status(result.error === 'Interview not found' ? 404 : 400).json({ error: result.error });
+  }
+  emitEvent('interview.outcome', {
+    interview_id: result.interview.id,
+    job_id: result.interview.job_id,
+    company: result.interview.company,
+    round: result.interview.round,
+    outcome: result.interview.outcome
+  });
+  res.json(result.interview);
+});
+
+// DELETE interview
+app.delete('/api/interviews/:id', (req, res) => {
+  const interview = deleteInterview(db, req.params.id);
+  if (!interview) return res.status(404).json({ error: 'Interview not found' });
+  res.json({ success: true, interview });
+});
+
+// GET follow-ups due (?ahead_days= to include upcoming ones, since_id= for
+// reminders recorded after an activity ID)
+app.get('/api/followups', (req, res) => {
+  const afterDays = loadFollowUpDays(DATA_DIR);
+  const followups = listFollowups(db, {
+    afterDays,
+    aheadDays: parseInt(req.query.ahead_days) || 0
+  });
+
+  res.json({
+    today: localDate(),
+    follow_up_after_days: afterDays,
+    followups,
+    overdue_count: followups.filter(job => job.state === 'overdue').length,
+    due_count: followups.filter(job => job.state === 'due').length,
+    reminders: listReminders(db, { sinceId: parseInt(req.query.since_id) || 0 }),
+    last_reminder_id: lastReminderId(db)
+  });
+});
+
+// Calendar feed secret. When set, /api/calendar.ics needs ?token=<secret>
+// so the feed URL can be handed to a calendar client without exposing it
+// to anything else that can reach the server.
+const CALENDAR_TOKEN = process.env.PROWLA_CALENDAR_TOKEN || '';
+
+function calendarTokenMatches(token) {
+  if (!CALENDAR_TOKEN) return true;
+  const expected = Buffer.from(CALENDAR_TOKEN);
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// GET iCalendar feed of interviews, follow-ups and applied dates
+// (?kinds=interviews,followups,applied, ?priority=high, ?token=)
+app.get('/api/calendar.ics', (req, res) => {
+  if (!calendarTokenMatches(req.query.token)) {
+    return res.status(401).json({ error: 'Invalid calendar token' });
+  }
+
+  const kinds = req.query.kinds ? String(req.query.kinds).split(',').map(kind => kind.trim()) : EVENT_KINDS;
+  const unknown = kinds.filter(kind => !EVENT_KINDS.includes(kind));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown kinds: ${unknown.join(', ')}. Use ${EVENT_KINDS.join(', ')}` });
+  }
+  const priority = req.query.priority ? String(req.query.priority) : null;
+  if (priority && !PRIORITIES[priority.toLowerCase()]) {
+    return res.status(400).json({ error: `priority must be one of ${Object.keys(PRIORITIES).join(', ')}` });
+  }
+
+  const events = getCalendarEvents(db, { kinds, priority, afterDays: loadFollowUpDays(DATA_DIR) });
+  const name = ['ProwlA', priority && `${priority} priority`, req.query.kinds && kinds.join(' + ')].filter(Boolean).join(' — ');
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="prowla.ics"');
+  res.send(renderCalendar(events, { name }));
+});
+
+// GET jobs as CSV (?columns=company,role,..., ?status=, ?include_trashed=true)
+app.get('/api/export/jobs.csv', (req, res) => {
+  const result = exportJobsCSV(db, {
+    columns: req.query.columns ? String(req.query.columns).split(',').map(column => column.trim()) : DEFAULT_EXPORT_COLUMNS,
+    status: req.query.status || null,
+    includeTrashed: req.query.include_trashed === 'true'
+  });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="prowla-jobs-${localDate()}.csv"`);
+  res.send(result.csv);
+});
+
+// GET columns available for export and fields available for import
+app.get('/api/export/columns', (req, res) => {
+  res.json({
+    columns: EXPORT_COLUMNS,
+    default_columns: DEFAULT_EXPORT_COLUMNS,
+    import_fields: IMPORT_FIELDS,
+    duplicate_actions: DUPLICATE_ACTIONS
+  });
+});
+
+// POST import jobs from CSV. Previews by default; send dry_run: false to save.
+app.post('/api/import/csv', validateBody(importCsvSchema), (req, res) => {
+  const { csv, mapping, on_duplicate = 'skip', dry_run = true } = req.body;
+  const result = importJobsCSV(db, csv, {
+    mapping: mapping || null,
+    onDuplicate: on_duplicate,
+    dryRun: dry_run !== false,
+    actor: getActor(req)
+  });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  if (dry_run === false) {
+    for (const row of result.rows) {
+      if (row.action === 'create') {
+        emitEvent('job.created', { job_id: row.job_id, company: row.company, company_id: row.company_id, role: row.role, source: 'csv' });
+      } else if (row.action === 'update' && Object.keys(row.changes).length > 0) {
+        emitEvent('job.updated', { job_id: row.job_id, changes: row.changes, company: row.company });
       }
-    } catch (e) {
-      console.error('Error updating rejected companies:', e);
     }
   }
+  res.json(result);
+});
+
+// Workspace backups (see shared/backup.js; restore with `npm run restore`)
+const BACKUPS_DIR = config.backupsDir;
+
+// POST write a backup of the database, applications, config and data
+app.post('/api/backup', requireScope('settings:admin'), async (req, res) => {
+  try {
+    const { file, size, manifest } = await createBackup(db, { rootDir: DATA_DIR, outDir: BACKUPS_DIR });
+    const { files, ...summary } = manifest;
+    res.json({ success: true, file, size, manifest: { ...summary, file_count: files.length } });
+  } catch (e) {
+    console.error('Backup failed:', e);
+    res.status(500).json({ error: 'Backup failed: ' + e.message });
+  }
+});
+
+// GET backups, newest first
+app.get('/api/backups', requireScope('settings:admin'), (req, res) => {
+  const backups = listBackups(BACKUPS_DIR);
+  res.json({ backups, count: backups.length });
+});
+
+// GET download a backup
+app.get('/api/backups/:file', requireScope('settings:admin'), (req, res) => {
+  const backup = listBackups(BACKUPS_DIR).find(b => b.file === req.params.file);
+  if (!backup) return res.status(404).json({ error: 'Backup not found' });
+  res.download(join(BACKUPS_DIR, backup.file));
+});
+
+// GET a digest of a date range (default: last week) as JSON, markdown or
+// HTML; its reports are also written to data/reports/ (see shared/digest.js)
+app.get('/api/reports/digest', (req, res) => {
+  const format = req.query.format || 'json';
+  if (!DIGEST_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${DIGEST_FORMATS.join(', ')}` });
+  }
+
+  const result = generateDigest(db, {
+    from: req.query.from || null,
+    to: req.query.to || null,
+    dataDir: DATA_DIR,
+    reportsDir: config.reportsDir,
+    afterDays: loadFollowUpDays(DATA_DIR)
+  });
+  if (result.error) return res.status(400).json(result);
+
+  if (format === 'markdown') return res.type('text/markdown').send(result.markdown);
+  if (format === 'html') return res.type('html').send(result.html);
+  res.json({ digest: result.digest, files: result.files });
+});
+
+// GET jobs in the trash
+app.get('/api/trash', (req, res) => {
+  const purged = purgeExpiredTrash(db);
+  if (purged.length > 0) {
+    console.log(`🗑️  Purged ${purged.length} expired job(s) from the trash`);
+  }
+  
+  const jobs = listTrash(db);
+  res.json({ jobs, count: jobs.length, retention_days: TRASH_RETENTION_DAYS });
+});
+
+// DELETE a job from the trash permanently
+app.delete('/api/trash/:id', (req, res) => {
+  const result = purgeJob(db, req.params.id, getActor(req));
+  if (!result.success) {
+    return res.status(result.error === 'Job not found' ? 404 : 409).json({ error: result.error });
+  }
+  emitEvent('job.purged', { job_id: result.job.id, company: result.job.company, role: result.job.role });
   
   res.json({ success: true });
 });
 
+// DELETE everything in the trash permanently
+app.delete('/api/trash', (req, res) => {
+  const actor = getActor(req);
+  const jobs = listTrash(db);
+  jobs.forEach(job => {
+    purgeJob(db, job.id, actor);
+    emitEvent('job.purged', { job_id: job.id, company: job.company, role: job.role });
+  });
+  
+  res.json({ success: true, purged: jobs.length });
+});
+
+// GET job activity timeline
+app.get('/api/jobs/:id/timeline', (req, res) => {
+  const job = db.prepare('SELECT id, company, role FROM jobs WHERE id = ?').get(req.params.id);
+  const { limit, type } = req.query;
+  
+  const entries = getTimeline(db, req.params.id, {
+    limit: limit ? parseInt(limit) : 200,
+    type: type || null
+  });
+  
+  // Deleted jobs keep their history, so only 404 when there's nothing at all
+  if (!job && entries.length === 0) return res.status(404).json({ error: 'Job not found' });
+  
+  res.json({ job_id: Number(req.params.id), entries, count: entries.length });
+});
+
 // GET stats
 app.get('/api/stats', (req, res) => {
-  const total = db.prepare('SELECT COUNT(*) as count FROM jobs').get().count;
-  const applied = db.prepare('SELECT COUNT(*) as count FROM jobs WHERE status = \'Done\' OR status = \'Applied\'').get().count;
-  const interviewing = db.prepare('SELECT COUNT(*) as count FROM jobs WHERE status = \'Interviewing\'').get().count;
-  const notStarted = db.prepare('SELECT COUNT(*) as count FROM jobs WHERE status = \'Not Started\'').get().count;
+  const total = db.prepare('SELECT COUNT(*) as count FROM jobs WHERE deleted_at IS NULL').get().count;
+  const applied = db.prepare('SELECT COUNT(*) as count FROM jobs WHERE deleted_at IS NULL AND status = \'Applied\'').get().count;
+  const interviewing = db.prepare('SELECT COUNT(*) as count FROM jobs WHERE deleted_at IS NULL AND status = \'Interviewing\'').get().count;
+  const notStarted = db.prepare('SELECT COUNT(*) as count FROM jobs WHERE deleted_at IS NULL AND status = \'Not Started\'').get().count;
+  const newJobs = listJobs(db, { onlyNew: true, limit: 1 }).total;
   
-  res.json({ total, applied, interviewing, notStarted });
+  res.json({ total, applied, interviewing, notStarted, newJobs });
+});
+
+// GET pipeline analytics: funnel by source, priority and work type, time
+// in stage and weekly throughput (see shared/analytics.js)
+app.get('/api/analytics', (req, res) => {
+  const result = getAnalytics(db, {
+    since: req.query.since || null,
+    weeks: req.query.weeks || DEFAULT_THROUGHPUT_WEEKS
+  });
+  if (result.error) return res.status(400).json(result);
+  res.json(result);
+});
+
+// GET funnel conversion, grouped by source, priority or type
+app.get('/api/analytics/funnel', (req, res) => {
+  const result = getFunnel(db, {
+    groupBy: req.query.group_by || 'source',
+    since: req.query.since || null
+  });
+  if (result.error) return res.status(400).json({ ...result, valid_groups: FUNNEL_GROUPS });
+  res.json(result);
+});
+
+// GET median days in each status
+app.get('/api/analytics/time-in-stage', (req, res) => {
+  const result = getTimeInStage(db, { since: req.query.since || null });
+  if (result.error) return res.status(400).json(result);
+  res.json(result);
+});
+
+// GET jobs added, applied for, interviewed for and offered per week
+app.get('/api/analytics/throughput', (req, res) => {
+  const result = getThroughput(db, { weeks: req.query.weeks || DEFAULT_THROUGHPUT_WEEKS });
+  if (result.error) return res.status(400).json(result);
+  res.json(result);
 });
 
 // GET job materials (cover letter, email, etc.)
@@ -366,14 +1186,14 @@ app.get('/api/jobs/:id/materials', (req, res) => {
   const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(req.params.id);
   if (!job) return res.status(404).json({ error: 'Job not found' });
   
-  const companySlug = job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-  const applicationsPath = join(__dirname, '../applications', companySlug);
+  const files = jobFiles(job);
   
-  const materials = {};
+  // Folder holding this job's files, for linking to the PDF
+  const materials = { materialsDir: files.dir };
   
   // Try to read cover letter
   try {
-    const coverLetterPath = join(applicationsPath, 'cover-letter.md');
+    const coverLetterPath = projectPath(files.cover_letter);
     if (fs.existsSync(coverLetterPath)) {
       materials.coverLetter = fs.readFileSync(coverLetterPath, 'utf8');
     }
@@ -381,7 +1201,7 @@ app.get('/api/jobs/:id/materials', (req, res) => {
   
   // Try to read email
   try {
-    const emailPath = join(applicationsPath, 'email.md');
+    const emailPath = projectPath(files.email);
     if (fs.existsSync(emailPath)) {
       materials.email = fs.readFileSync(emailPath, 'utf8');
     }
@@ -389,7 +1209,7 @@ app.get('/api/jobs/:id/materials', (req, res) => {
   
   // Try to read notes
   try {
-    const notesPath = join(applicationsPath, 'notes.md');
+    const notesPath = projectPath(files.notes);
     if (fs.existsSync(notesPath)) {
       materials.notes = fs.readFileSync(notesPath, 'utf8');
     }
@@ -397,7 +1217,7 @@ app.get('/api/jobs/:id/materials', (req, res) => {
   
   // Check if PDF exists
   try {
-    const pdfPath = join(applicationsPath, 'cover-letter.pdf');
+    const pdfPath = projectPath(files.cover_letter_pdf);
     if (fs.existsSync(pdfPath)) {
       materials.coverLetterPdf = true;
     }
@@ -406,30 +1226,31 @@ app.get('/api/jobs/:id/materials', (req, res) => {
   res.json(materials);
 });
 
-// Get all companies with research notes
+// Get all companies with research notes (one entry per company)
 app.get('/api/research', (req, res) => {
   try {
-    const jobs = db.prepare('SELECT * FROM jobs ORDER BY company').all();
     const companiesWithResearch = [];
     
-    jobs.forEach(job => {
-      const companySlug = job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-      const notesPath = join(__dirname, '../applications', companySlug, 'notes.md');
+    listCompanies(db).forEach(company => {
+      const jobs = getCompanyJobs(db, company.id);
+      const notesPath = projectPath(jobFiles(jobs[0]).notes);
       
-      if (fs.existsSync(notesPath)) {
-        const notes = fs.readFileSync(notesPath, 'utf8');
-        companiesWithResearch.push({
-          id: job.id,
-          company: job.company,
-          role: job.role,
-          source: job.source,
-          status: job.status,
-          priority: job.priority,
-          companySlug: companySlug,
-          notes: notes,
-          createdAt: job.created_at
-        });
-      }
+      const notes = fs.existsSync(notesPath) ? fs.readFileSync(notesPath, 'utf8') : company.research_notes;
+      if (!notes) return;
+      
+      companiesWithResearch.push({
+        id: jobs[0].id,
+        companyId: company.id,
+        company: company.name,
+        role: jobs.map(job => job.role).join(', '),
+        roles: jobs.map(job => ({ id: job.id, role: job.role, status: job.status, priority: job.priority })),
+        source: jobs[0].source,
+        status: jobs[0].status,
+        priority: jobs[0].priority,
+        companySlug: company.slug,
+        notes: notes,
+        createdAt: company.created_at
+      });
     });
     
     res.json(companiesWithResearch);
@@ -439,48 +1260,24 @@ app.get('/api/research', (req, res) => {
   }
 });
 
-// Get settings
+// Get settings, upgraded to the current layout (see shared/search-settings.js)
 app.get('/api/settings', (req, res) => {
-  try {
-    const settingsPath = join(__dirname, '../config/search.json');
-    if (fs.existsSync(settingsPath)) {
-      const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-      res.json({ settings });
-    } else {
-      // Return defaults
-      res.json({
-        settings: {
-          workTypes: ['Fractional', 'Contract', 'Part-time'],
-          hoursPerWeek: { min: 10, max: 30 },
-          rates: {
-            hourly: { min: 110, max: 170 },
-            fractionalMonthly: { min: 5000, max: 8000 },
-            fullTimeSalary: { min: 140000, max: 180000 }
-          },
-          industries: ['EdTech', 'SaaS', 'AI', 'B2B'],
-          companyStages: ['Pre-seed', 'Seed', 'Series A'],
-          mustBeRemote: true,
-          autoRejectFullTime: true,
-          noAgencies: true,
-          searchFrequency: '8,16',
-          autoResearch: false,
-          notifyOnNewJobs: true
-        }
-      });
-    }
-  } catch (error) {
-    console.error('Error loading settings:', error);
-    res.status(500).json({ error: error.message });
+  const result = readSearchSettings(join(config.configDir, 'search.json'));
+  if (result.error) {
+    console.error('Error loading settings:', result.error);
+    return res.status(500).json({ error: result.error });
   }
+  res.json({ settings: result.settings });
 });
 
-// Save settings
-app.post('/api/settings', (req, res) => {
+// Save settings: the complete settings, checked against the schema
+app.post('/api/settings', requireScope('settings:admin'), (req, res) => {
   try {
-    const settingsPath = join(__dirname, '../config/search.json');
-    fs.writeFileSync(settingsPath, JSON.stringify(req.body, null, 2), 'utf8');
+    const result = saveSearchSettings(join(config.configDir, 'search.json'), req.body);
+    if (result.error) return res.status(400).json({ error: result.error, errors: result.errors });
     console.log('✅ Settings saved');
-    res.json({ success: true });
+    broadcast('settings', { file: 'config/search.json' });
+    res.json({ success: true, settings: result.settings });
   } catch (error) {
     console.error('Error saving settings:', error);
     res.status(500).json({ error: error.message });
@@ -510,18 +1307,88 @@ app.post('/api/tokens/log', (req, res) => {
   }
 });
 
+const TASKS_DIR = config.tasksDir;
+
+// Tasks seen on the last check, by filename
+const pendingTasks = new Map();
+
+/**
+ * Read the task queue and notice finished tasks: an agent deletes a
+ * task's file when it is done, so record the materials it wrote and
+ * tell the dashboard
+ * @returns {Object[]} Queued tasks
+ */
+function checkTasks() {
+  const files = fs.existsSync(TASKS_DIR) ? fs.readdirSync(TASKS_DIR) : [];
+  const tasks = [];
+  for (const f of files.filter(f => f.endsWith('.json'))) {
+    try {
+      tasks.push({ ...JSON.parse(fs.readFileSync(join(TASKS_DIR, f), 'utf8')), filename: f });
+    } catch (error) {
+      // Being written; the next check picks it up
+    }
+  }
+  
+  const current = new Set(tasks.map(task => task.filename));
+  for (const [filename, task] of pendingTasks) {
+    if (!current.has(filename) && !files.includes(filename)) {
+      pendingTasks.delete(filename);
+      if (task.jobId) refreshJobMaterials(task.jobId);
+      broadcast('task.finished', task);
+    }
+  }
+  tasks.forEach(task => pendingTasks.set(task.filename, task));
+  
+  return tasks;
+}
+
+// Push the queue to the dashboard whenever a task file changes
+let tasksTimer = null;
+function watchTasks() {
+  fs.mkdirSync(TASKS_DIR, { recursive: true });
+  checkTasks();
+  fs.watch(TASKS_DIR, () => {
+    clearTimeout(tasksTimer);
+    tasksTimer = setTimeout(() => {
+      try {
+        broadcast('tasks', { tasks: checkTasks() });
+      } catch (error) {
+        console.error('Error checking tasks:', error);
+      }
+    }, 200);
+  });
+}
+
+// Webhook deliveries for MCP event subscriptions (see shared/webhooks.js).
+// Both servers send them; these routes show the history and requeue one.
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const { subscription_id, status, limit, offset } = req.query;
+  const result = listDeliveries(db, { subscriptionId: subscription_id || null, status: status || null, limit, offset });
+  if (result.error) return res.status(400).json({ error: result.error, valid_statuses: DELIVERY_STATUSES });
+  res.json({ ...result, count: result.deliveries.length });
+});
+
+app.get('/api/webhooks/deliveries/:id', (req, res) => {
+  const delivery = getDelivery(db, req.params.id);
+  if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+  res.json(delivery);
+});
+
+app.post('/api/webhooks/deliveries/:id/redeliver', (req, res) => {
+  const result = redeliver(db, req.params.id);
+  if (result.error) return res.status(404).json({ error: result.error });
+  res.json({ success: true, delivery: result.delivery });
+});
+
+// Live updates stream (server-sent events; see live-updates.js)
+app.get('/api/live', (req, res) => {
+  openStream(db, req, res, [['tasks', { tasks: checkTasks() }]]);
+});
+
 // Get task status
 app.get('/api/tasks/status', (req, res) => {
   try {
-    const tasksDir = join(__dirname, '../tasks');
-    const files = fs.existsSync(tasksDir) ? fs.readdirSync(tasksDir) : [];
-    const tasks = files
-      .filter(f => f.endsWith('.json'))
-      .map(f => {
-        const content = fs.readFileSync(join(tasksDir, f), 'utf8');
-        return { ...JSON.parse(content), filename: f };
-      });
-    
+    const tasks = checkTasks();
     res.json({ tasks, count: tasks.length });
   } catch (error) {
     console.error('Error checking tasks:', error);
@@ -532,11 +1399,29 @@ app.get('/api/tasks/status', (req, res) => {
 // Complete/delete a task
 app.delete('/api/tasks/:filename', (req, res) => {
   try {
-    const tasksDir = join(__dirname, '../tasks');
-    const taskPath = join(tasksDir, req.params.filename);
+    const taskPath = join(TASKS_DIR, req.params.filename);
     
     if (fs.existsSync(taskPath)) {
+      const task = JSON.parse(fs.readFileSync(taskPath, 'utf8'));
       fs.unlinkSync(taskPath);
+      pendingTasks.delete(req.params.filename);
+      
+      if (task.jobId) {
+        refreshJobMaterials(task.jobId);
+        recordActivity(db, {
+          jobId: task.jobId,
+          type: 'task.dismissed',
+          actor: getActor(req),
+          details: { filename: req.params.filename, task_type: task.type }
+        });
+      }
+      emitEvent('task.completed', {
+        filename: req.params.filename,
+        type: task.type,
+        job_id: task.jobId || task.job_id,
+        company: task.company,
+        dismissed: true
+      });
       console.log(`✅ Deleted task: ${req.params.filename}`);
       res.json({ success: true, message: 'Task completed' });
     } else {
@@ -553,8 +1438,10 @@ app.post('/api/jobs/:id/request-research', (req, res) => {
   const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(req.params.id);
   if (!job) return res.status(404).json({ error: 'Job not found' });
   
-  const companySlug = job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-  const taskPath = join(__dirname, '../tasks', `research-${companySlug}.json`);
+  // Research is per company, so one task covers all of its jobs
+  const companySlug = (getCompany(db, job.company_id) || findCompany(db, job.company))?.slug
+    || job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const taskPath = join(TASKS_DIR, `research-${companySlug}.json`);
   
   // Check if task already exists
   if (fs.existsSync(taskPath)) {
@@ -578,6 +1465,14 @@ app.post('/api/jobs/:id/request-research', (req, res) => {
   fs.writeFileSync(taskPath, JSON.stringify(task, null, 2), 'utf8');
   console.log(`📋 Created research task for ${job.company}`);
   
+  recordActivity(db, {
+    jobId: job.id,
+    type: 'task.created',
+    actor: getActor(req),
+    details: { filename: `research-${companySlug}.json`, task_type: 'research' }
+  });
+  emitEvent('task.created', { filename: `research-${companySlug}.json`, type: 'research', job_id: job.id, company: job.company });
+  
   res.json({ success: true, message: 'Research task queued', exists: false });
 });
 
@@ -586,8 +1481,11 @@ app.post('/api/jobs/:id/request-materials', (req, res) => {
   const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(req.params.id);
   if (!job) return res.status(404).json({ error: 'Job not found' });
   
-  const companySlug = job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-  const taskPath = join(__dirname, '../tasks', `generate-materials-${companySlug}.json`);
+  // Materials are per job, so the job ID keeps two roles at one company apart
+  const companySlug = (getCompany(db, job.company_id) || findCompany(db, job.company))?.slug
+    || job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const taskFilename = `generate-materials-${companySlug}-job-${job.id}.json`;
+  const taskPath = join(TASKS_DIR, taskFilename);
   
   // Create task file
   const task = {
@@ -601,6 +1499,7 @@ app.post('/api/jobs/:id/request-materials', (req, res) => {
     applyUrl: job.apply_url,
     notes: job.notes,
     companySlug: companySlug,
+    materialsDir: jobFiles(job).dir,
     createdAt: new Date().toISOString(),
     status: 'pending'
   };
@@ -608,6 +1507,14 @@ app.post('/api/jobs/:id/request-materials', (req, res) => {
   fs.writeFileSync(taskPath, JSON.stringify(task, null, 2), 'utf8');
   console.log(`📋 Created materials generation task for ${job.company}`);
   
+  recordActivity(db, {
+    jobId: job.id,
+    type: 'task.created',
+    actor: getActor(req),
+    details: { filename: taskFilename, task_type: 'materials' }
+  });
+  emitEvent('task.created', { filename: taskFilename, type: 'materials', job_id: job.id, company: job.company });
+  
   res.json({ success: true, message: 'Materials generation task queued' });
 });
 
@@ -627,9 +1534,15 @@ app.post('/api/search', async (req, res) => {
       });
     }
     
+    // Jobs the scan adds are logged as job.created by the scanner
+    const startActivityId = db.prepare('SELECT IFNULL(MAX(id), 0) AS id FROM job_activity').get().id;
+    const startedAt = new Date().toISOString();
+    
     // Run the scan script
+    // Point the scanner at this server's data and address
     const child = spawn('node', [searchPath], {
       cwd: join(__dirname, '../scripts'),
+      env: { ...process.env, PROWLA_DATA_DIR: DATA_DIR, PROWLA_API: config.apiUrl },
       stdio: 'pipe'
     });
     
@@ -644,12 +1557,18 @@ app.post('/api/search', async (req, res) => {
     });
     
     child.on('close', (code) => {
+      const added = db.prepare(`
+        SELECT COUNT(*) AS count FROM job_activity WHERE id > ? AND type = 'job.created' AND actor = 'scanner'
+      `).get(startActivityId).count;
       if (code === 0) {
         console.log('✅ Job scan complete');
+        broadcast('scan', { state: 'finished', started_at: startedAt, added });
       } else {
         console.error(`❌ Scan failed with code ${code}`);
+        broadcast('scan', { state: 'failed', started_at: startedAt, added, exit_code: code });
       }
     });
+    broadcast('scan', { state: 'started', started_at: startedAt });
     
     // Respond immediately - scan runs in background
     res.json({ 
@@ -666,17 +1585,10 @@ app.post('/api/search', async (req, res) => {
 // Refresh data (re-detect materials, etc.)
 app.post('/api/reload', (req, res) => {
   try {
-    const jobs = db.prepare('SELECT * FROM jobs').all();
-    let updated = 0;
+    const jobs = db.prepare('SELECT * FROM jobs WHERE deleted_at IS NULL').all();
     
     // Re-detect materials for all jobs
-    jobs.forEach(job => {
-      const materials = detectMaterials(job);
-      if (materials !== job.materials) {
-        db.prepare('UPDATE jobs SET materials = ? WHERE id = ?').run(materials, job.id);
-        updated++;
-      }
-    });
+    const updated = refreshMaterials(jobs);
     
     console.log(`🔄 Refreshed ${jobs.length} jobs (${updated} updated)`);
     res.json({ success: true, total: jobs.length, updated });
@@ -686,7 +1598,18 @@ app.post('/api/reload', (req, res) => {
   }
 });
 
-const PORT = 3001;
-app.listen(PORT, () => {
-  console.log(`🚀 ProwlA API running on http://localhost:${PORT}`);
+app.listen(PORT, HOST, () => {
+  console.log(`🚀 ProwlA API running on http://${HOST}:${PORT}`);
+  console.log(auth.mode === 'token'
+    ? '🔒 API tokens required (create one with: npm run tokens -- create <name>)'
+    : '🔓 No API token needed: only this machine can connect');
+  checkFollowups();
+  setInterval(checkFollowups, FOLLOWUP_CHECK_MS);
+  setInterval(checkWebhooks, WEBHOOK_CHECK_MS);
+  if (DIGEST_HOUR !== null) {
+    checkDigest();
+    setInterval(checkDigest, DIGEST_CHECK_MS);
+  }
+  watchActivity(db);
+  watchTasks();
 });
@@ -0,0 +1,131 @@
+/**
+ * Live Updates
+ *
+ * Streams changes to the dashboard over server-sent events
+ * (GET /api/live). Events:
+ * - activity - A job activity entry (see shared/activity.js) from any
+ *   writer: the dashboard, the scanner, or an agent through the MCP
+ *   server. The job table refreshes from these.
+ * - tasks - The current task queue, whenever a task file changes
+ * - task.finished - A task's file was removed by the agent that did it
+ * - scan - A job board scan started, finished or failed
+ * - settings - config/search.json was saved
+ *
+ * The MCP server is a separate process, so activity is read back from
+ * the database rather than pushed. Activity events carry the activity ID
+ * as their event ID; a reconnecting browser sends it back as
+ * Last-Event-ID and receives what it missed.
+ */
+
+/** How often to check the database for new activity */
+const ACTIVITY_POLL_MS = 1000;
+
+/** Comment sent to idle connections so proxies keep them open */
+const HEARTBEAT_MS = 25000;
+
+/** Most activity entries replayed to a reconnecting browser */
+const MAX_REPLAY = 200;
+
+/** Open event streams */
+const clients = new Set();
+
+let lastActivityId = 0;
+
+/**
+ * Activity entries after an ID, with the job's company and role
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} sinceId - Activity ID
+ * @param {number} limit - Max entries
+ * @returns {Object[]} Entries, oldest first
+ */
+function activitySince(db, sinceId, limit) {
+  return db.prepare(`
+    SELECT a.*, j.company, j.role
+    FROM job_activity a LEFT JOIN jobs j ON j.id = a.job_id
+    WHERE a.id > ?
+    ORDER BY a.id
+    LIMIT ?
+  `).all(sinceId, limit).map(entry => ({ ...entry, details: entry.details ? JSON.parse(entry.details) : null }));
+}
+
+/**
+ * Write one event to a stream
+ * @param {import('express').Response} res - Event stream
+ * @param {string} type - Event type
+ * @param {Object} data - Payload
+ * @param {number} id - Event ID (activity events only)
+ */
+function send(res, type, data, id = null) {
+  res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send an event to every open stream
+ * @param {string} type - Event type
+ * @param {Object} data - Payload
+ */
+export function broadcast(type, data = {}) {
+  for (const res of clients) send(res, type, data);
+}
+
+/**
+ * Open an event stream for a request
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {import('express').Request} req - Request (Last-Event-ID is honored)
+ * @param {import('express').Response} res - Response to stream to
+ * @param {Object[]} initial - [type, data] events to send first
+ */
+export function openStream(db, req, res, initial = []) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  if (lastEventId > 0) {
+    activitySince(db, lastEventId, MAX_REPLAY)
+      .filter(entry => entry.id <= lastActivityId)
+      .forEach(entry => send(res, 'activity', entry, entry.id));
+  }
+  initial.forEach(([type, data]) => send(res, type, data));
+
+  clients.add(res);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+/**
+ * Stream new job activity as it is written
+ * @param {import('better-sqlite3').Database} db - Database connection
+ */
+export function watchActivity(db) {
+  lastActivityId = db.prepare('SELECT IFNULL(MAX(id), 0) AS id FROM job_activity').get().id;
+
+  setInterval(() => {
+    try {
+      // Nobody is listening; just keep up
+      if (clients.size === 0) {
+        lastActivityId = db.prepare('SELECT IFNULL(MAX(id), 0) AS id FROM job_activity').get().id;
+        return;
+      }
+      const entries = activitySince(db, lastActivityId, MAX_REPLAY);
+      for (const entry of entries) {
+        for (const res of clients) send(res, 'activity', entry, entry.id);
+        lastActivityId = entry.id;
+      }
+    } catch (error) {
+      console.error('Live activity check failed:', error);
+    }
+  }, ACTIVITY_POLL_MS);
+}
+
+export default {
+  broadcast,
+  openStream,
+  watchActivity
+};
@@ -1,11 +1,9 @@
 import fs from 'fs';
 import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { getConfig } from '../shared/config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const TOKENS_LOG = join(__dirname, '../data/token-usage.jsonl');
+// In the data directory's data/ (see shared/config.js)
+const tokensLog = () => join(getConfig().dataDir, 'data/token-usage.jsonl');
 
 /**
  * Log token usage for sub-agent tasks
@@ -27,7 +25,8 @@ export function logTokenUsage(entry) {
   
   // Append to JSONL file
   const line = JSON.stringify(logEntry) + '\n';
-  fs.appendFileSync(TOKENS_LOG, line, 'utf8');
+  fs.mkdirSync(dirname(tokensLog()), { recursive: true });
+  fs.appendFileSync(tokensLog(), line, 'utf8');
   
   console.log(`💰 Token usage logged: ${entry.taskType} - ${entry.company || 'N/A'} - $${entry.cost.toFixed(4)}`);
 }
@@ -40,7 +39,7 @@ export function logTokenUsage(entry) {
  * @param {string} filters.taskType - Filter by task type
  */
 export function getTokenUsage(filters = {}) {
-  if (!fs.existsSync(TOKENS_LOG)) {
+  if (!fs.existsSync(tokensLog())) {
     return {
       entries: [],
       summary: {
@@ -52,7 +51,7 @@ export function getTokenUsage(filters = {}) {
     };
   }
   
-  const lines = fs.readFileSync(TOKENS_LOG, 'utf8').split('\n').filter(l => l.trim());
+  const lines = fs.readFileSync(tokensLog(), 'utf8').split('\n').filter(l => l.trim());
   let entries = lines.map(line => JSON.parse(line));
   
   // Apply filters
@@ -0,0 +1,123 @@
+/**
+ * Manage REST API tokens from the command line
+ *
+ * Usage:
+ *   node tokens.js create <name> [--scope read|jobs:write|settings:admin]
+ *                              [--expires-days <n>]
+ *                                         Create a token (default scope: read)
+ *   node tokens.js list [--all]           List tokens (--all: with revoked)
+ *   node tokens.js revoke <id|prefix>     Revoke a token
+ *
+ * Or from the project root: npm run tokens -- <command>
+ *
+ * The token is only shown when it is created. See server/auth.js for when
+ * the server asks for one.
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import { dirname } from 'path';
+import { runMigrations } from '../shared/migrate.js';
+import { API_SCOPES, createToken, listTokens, revokeToken } from '../shared/api-tokens.js';
+import { getConfig } from '../shared/config.js';
+
+const USAGE = `Usage:
+  node tokens.js create <name> [--scope ${API_SCOPES.join('|')}] [--expires-days <n>]
+  node tokens.js list [--all]
+  node tokens.js revoke <id|prefix>`;
+
+function openDatabase() {
+  // The server's database, following --data-dir and --db (see shared/config.js)
+  const { dbPath } = getConfig();
+  fs.mkdirSync(dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  // The tokens table may be newer than the server that last ran
+  runMigrations(db);
+  return db;
+}
+
+function create(db, args, option) {
+  const name = args[1];
+  if (!name || name.startsWith('--')) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // --scope can be repeated or comma-separated
+  const scopes = args.flatMap((arg, index) => (arg === '--scope' ? String(args[index + 1] || '').split(',') : []))
+    .map(scope => scope.trim())
+    .filter(Boolean);
+  const result = createToken(db, {
+    name,
+    scopes: scopes.length ? scopes : ['read'],
+    expiresInDays: option('--expires-days')
+  });
+  if (result.error) {
+    console.error(`❌ ${result.error}`);
+    process.exit(1);
+  }
+
+  const { token, secret } = result;
+  console.log(`✅ Created token ${token.id} "${token.name}" (${token.scopes.join(', ')})${token.expires_at ? `, expires ${token.expires_at}` : ''}`);
+  console.log('');
+  console.log(`   ${secret}`);
+  console.log('');
+  console.log('   Copy it now: it is not shown again. Send it as Authorization: Bearer <token>.');
+}
+
+function list(db, includeRevoked) {
+  const tokens = listTokens(db, { includeRevoked });
+  if (tokens.length === 0) console.log('No tokens yet. Create one with: node tokens.js create <name>');
+  for (const token of tokens) {
+    const state = token.revoked_at ? `revoked ${token.revoked_at}` : token.expires_at ? `expires ${token.expires_at}` : 'no expiry';
+    console.log(`${String(token.id).padStart(4)}  ${token.prefix}…  ${token.name.padEnd(20)}  ${token.scopes.join(',').padEnd(26)}  last used ${token.last_used_at || 'never'}  (${state})`);
+  }
+}
+
+function revoke(db, key) {
+  if (!key) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const result = revokeToken(db, key);
+  if (result.error) {
+    console.error(`❌ ${result.error}`);
+    process.exit(1);
+  }
+  console.log(`✅ Revoked token ${result.token.id} "${result.token.name}"`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+
+  const db = openDatabase();
+  try {
+    switch (args[0]) {
+      case 'create':
+        create(db, args, option);
+        break;
+      case 'list':
+        list(db, args.includes('--all'));
+        break;
+      case 'revoke':
+        revoke(db, args[1]);
+        break;
+      default:
+        console.log(USAGE);
+        if (args[0] && args[0] !== '--help') process.exitCode = 1;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
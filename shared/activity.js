@@ -0,0 +1,178 @@
+/**
+ * Job Activity Log
+ *
+ * Records and reads the per-job timeline stored in `job_activity`.
+ * Written by both the Express server and the MCP server.
+ *
+ * Activity Types:
+ * - job.created - Job added
+ * - field.changed - A job field changed (one row per field)
+ * - job.deleted - Job removed (before the trash existed)
+ * - job.trashed / job.restored / job.purged - Moved to, restored from, or emptied from the trash
+ * - company.rejected - Company added to the rejected list from this job
+ * - research.saved - Research notes saved
+ * - materials.saved - Cover letter or email saved
+ * - contact.added - A contact was linked to this job
+ * - contact.interaction - A message, reply or meeting with a linked contact
+ * - interview.scheduled / interview.rescheduled - Interview round added or moved
+ * - interview.outcome - Interview marked passed, failed or cancelled
+ * - followup.due - The job's follow-up date arrived (see shared/followups.js)
+ * - task.created / task.claimed / task.released / task.completed / task.dismissed
+ *
+ * Actors:
+ * - "ui" - Dashboard / REST API (default for REST requests)
+ * - "scanner" - scripts/scan-jobs.js
+ * - "agent" or "agent:<agent_id>" - MCP tools
+ * - "system" - Anything else
+ *
+ * @module shared/activity
+ */
+
+/**
+ * Fields whose changes are tracked as field.changed rows
+ * Content fields are logged as research.saved / materials.saved instead.
+ * @type {string[]}
+ */
+export const TRACKED_FIELDS = [
+  'status', 'priority', 'company', 'role', 'type', 'hours_week',
+  'compensation', 'location', 'source', 'materials', 'apply_url',
+  'applied_date', 'follow_up_date', 'cover_letter', 'email', 'notes'
+];
+
+/**
+ * Content fields and the activity they produce when changed
+ */
+const CONTENT_FIELDS = {
+  research_notes: { type: 'research.saved', details: {} },
+  cover_letter_content: { type: 'materials.saved', details: { type: 'cover_letter' } },
+  email_content: { type: 'materials.saved', details: { type: 'email' } }
+};
+
+/**
+ * Build the actor string for an MCP agent
+ * @param {string} agentId - Optional agent identifier
+ * @returns {string} "agent:<id>" or "agent"
+ */
+export function agentActor(agentId = null) {
+  return agentId ? `agent:${agentId}` : 'agent';
+}
+
+/**
+ * Normalize a value for storage/comparison
+ * @param {*} value - Field value
+ * @returns {string|null} String value or null
+ */
+function toText(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return String(value);
+}
+
+/**
+ * Record a single activity entry
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} entry - Activity entry
+ * @param {number} entry.jobId - Job ID
+ * @param {string} entry.type - Activity type
+ * @param {string} entry.actor - Who did it (default: "system")
+ * @param {string} entry.field - Changed field (field.changed only)
+ * @param {*} entry.oldValue - Previous value (field.changed only)
+ * @param {*} entry.newValue - New value (field.changed only)
+ * @param {Object} entry.details - Extra data stored as JSON
+ * @returns {number} New activity row ID
+ */
+export function recordActivity(db, { jobId, type, actor = 'system', field = null, oldValue = null, newValue = null, details = null }) {
+  const result = db.prepare(`
+    INSERT INTO job_activity (job_id, type, field, old_value, new_value, actor, details)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    jobId,
+    type,
+    field,
+    toText(oldValue),
+    toText(newValue),
+    actor || 'system',
+    details ? JSON.stringify(details) : null
+  );
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Record the differences between a job before and after an update
+ *
+ * Writes one field.changed row per tracked field whose value changed, and
+ * a research.saved / materials.saved row for changed content fields.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} before - Job row before the update
+ * @param {Object} updates - Fields that were written
+ * @param {string} actor - Who made the change
+ * @returns {string[]} Names of fields that actually changed
+ */
+export function recordJobChanges(db, before, updates, actor = 'system') {
+  const changed = [];
+
+  for (const [field, value] of Object.entries(updates)) {
+    if (value === undefined) continue;
+    if (toText(before[field]) === toText(value)) continue;
+
+    if (TRACKED_FIELDS.includes(field)) {
+      recordActivity(db, {
+        jobId: before.id,
+        type: 'field.changed',
+        actor,
+        field,
+        oldValue: before[field],
+        newValue: value
+      });
+      changed.push(field);
+    } else if (CONTENT_FIELDS[field]) {
+      const { type, details } = CONTENT_FIELDS[field];
+      recordActivity(db, {
+        jobId: before.id,
+        type,
+        actor,
+        details: { ...details, length: String(value || '').length }
+      });
+      changed.push(field);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Get the activity timeline for a job
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Max entries (default: 200)
+ * @param {string} options.type - Filter by activity type
+ * @returns {Object[]} Entries, newest first
+ */
+export function getTimeline(db, jobId, { limit = 200, type = null } = {}) {
+  let query = 'SELECT * FROM job_activity WHERE job_id = ?';
+  const params = [jobId];
+
+  if (type) {
+    query += ' AND type = ?';
+    params.push(type);
+  }
+
+  query += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit);
+
+  return db.prepare(query).all(...params).map(row => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null
+  }));
+}
+
+export default {
+  TRACKED_FIELDS,
+  agentActor,
+  recordActivity,
+  recordJobChanges,
+  getTimeline
+};
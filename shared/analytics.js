@@ -0,0 +1,381 @@
+/**
+ * Pipeline Analytics
+ *
+ * Funnel conversion, time in each status and weekly throughput, worked
+ * out from each job's status history in `job_activity` (see
+ * shared/activity.js). Used by the /api/analytics routes, the
+ * analytics_* MCP tools and the weekly digest (shared/digest.js). Jobs in
+ * the trash are left out.
+ *
+ * A job has reached a funnel stage if it has ever had that status or a
+ * later one: a job that went straight to Interviewing was applied for.
+ * An `applied_date` counts as applying too. Done and Rejected close a job
+ * without saying how far it got, so they don't count as reaching a stage.
+ *
+ * Jobs from before the activity log have no history, so their current
+ * status is taken to have held since they were added.
+ *
+ * @module shared/analytics
+ */
+
+import { localDate } from './followups.js';
+import { JOB_STATUSES } from './schemas.js';
+
+/**
+ * Funnel stages after a job is added, in order
+ * @type {string[]}
+ */
+export const FUNNEL_STAGES = ['Applied', 'Interviewing', 'Offer'];
+
+/**
+ * Job fields the funnel can be broken down by (type is the work type)
+ * @type {string[]}
+ */
+export const FUNNEL_GROUPS = ['source', 'priority', 'type'];
+
+/** Weeks of throughput shown unless asked otherwise */
+export const DEFAULT_THROUGHPUT_WEEKS = 12;
+
+/** Most weeks of throughput in one request */
+const MAX_THROUGHPUT_WEEKS = 104;
+
+/** Statuses a job moves through on the way to an offer, in order */
+const PROGRESSION = ['Not Started', 'Researching', 'Ready to Apply', 'Applied', 'Interviewing', 'Offer'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Milliseconds since the epoch for a stored timestamp or date.
+ * jobs.created_at is SQLite's "YYYY-MM-DD HH:MM:SS" in UTC; a bare date
+ * is midnight local time.
+ * @param {string} value - Timestamp or date
+ * @returns {number|null} Time, or null if missing or unreadable
+ */
+function toTime(value) {
+  if (!value) return null;
+  const text = String(value);
+  let time;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) time = Date.parse(`${text}T00:00:00`);
+  else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text)) time = Date.parse(`${text.replace(' ', 'T')}Z`);
+  else time = Date.parse(text);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Round days to one decimal place
+ * @param {number|null} days - Days
+ * @returns {number|null} Rounded days
+ */
+function roundDays(days) {
+  return days === null ? null : Math.round(days * 10) / 10;
+}
+
+/**
+ * Share of one count in another
+ * @param {number} count - Part
+ * @param {number} of - Whole
+ * @returns {number|null} Fraction to three places, or null if there is no whole
+ */
+function rate(count, of) {
+  return of > 0 ? Math.round((count / of) * 1000) / 1000 : null;
+}
+
+/**
+ * Local date of the Monday starting a time's week
+ * @param {number} time - Time
+ * @returns {string} YYYY-MM-DD
+ */
+function weekStart(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return localDate(date);
+}
+
+/**
+ * Check a `since` date option
+ * @param {string} since - YYYY-MM-DD or empty
+ * @returns {string|null} Error message, if invalid
+ */
+function checkSince(since) {
+  if (since && (!/^\d{4}-\d{2}-\d{2}$/.test(String(since)) || toTime(since) === null)) {
+    return 'since must be a date (YYYY-MM-DD)';
+  }
+  return null;
+}
+
+/**
+ * Read every job's status history
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string} options.since - Only jobs added on or after this date
+ * @returns {Object[]} { job, stints, reached } per job, where stints are
+ *   { status, start, end } (end null for the current status) and reached
+ *   maps each of FUNNEL_STAGES to when the job got there, or null
+ */
+function jobHistories(db, { since = null } = {}) {
+  const jobs = db.prepare(`
+    SELECT id, company, role, status, priority, source, type, applied_date, created_at
+    FROM jobs
+    WHERE deleted_at IS NULL ${since ? 'AND created_at >= ?' : ''}
+    ORDER BY id
+  `).all(...(since ? [since] : []));
+
+  const changes = new Map();
+  const rows = db.prepare(`
+    SELECT a.job_id, a.old_value, a.new_value, a.created_at
+    FROM job_activity a JOIN jobs j ON j.id = a.job_id
+    WHERE a.type = 'field.changed' AND a.field = 'status' AND j.deleted_at IS NULL
+    ORDER BY a.id
+  `).all();
+  for (const row of rows) {
+    if (!changes.has(row.job_id)) changes.set(row.job_id, []);
+    changes.get(row.job_id).push(row);
+  }
+
+  return jobs.map(job => {
+    const jobChanges = changes.get(job.id) || [];
+    const created = toTime(job.created_at) ?? Date.now();
+    const stints = [{ status: jobChanges[0]?.old_value || job.status, start: created, end: null }];
+    for (const change of jobChanges) {
+      const at = Math.max(toTime(change.created_at) ?? created, created);
+      stints[stints.length - 1].end = at;
+      stints.push({ status: change.new_value, start: at, end: null });
+    }
+
+    const reached = {};
+    for (const stage of FUNNEL_STAGES) {
+      const index = PROGRESSION.indexOf(stage);
+      const times = stints.filter(stint => PROGRESSION.indexOf(stint.status) >= index).map(stint => stint.start);
+      if (stage === 'Applied' && toTime(job.applied_date) !== null) times.push(toTime(job.applied_date));
+      reached[stage] = times.length > 0 ? Math.min(...times) : null;
+    }
+    return { job, stints, reached };
+  });
+}
+
+/**
+ * Count how many jobs reached each stage
+ * @param {Object[]} histories - From jobHistories()
+ * @returns {Object} { jobs, applied, interviewing, offer, application_rate,
+ *   interview_rate, offer_rate }
+ */
+function funnelCounts(histories) {
+  const count = stage => histories.filter(history => history.reached[stage] !== null).length;
+  const jobs = histories.length;
+  const applied = count('Applied');
+  const interviewing = count('Interviewing');
+  const offer = count('Offer');
+  return {
+    jobs,
+    applied,
+    interviewing,
+    offer,
+    // Applied of added, interviews of applied, offers of interviews
+    application_rate: rate(applied, jobs),
+    interview_rate: rate(interviewing, applied),
+    offer_rate: rate(offer, interviewing)
+  };
+}
+
+/**
+ * Funnel conversion, overall and by source, priority or work type
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string} options.groupBy - One of FUNNEL_GROUPS (default: source)
+ * @param {string} options.since - Only jobs added on or after this date
+ * @returns {Object} { group_by, since, total, groups } where each group
+ *   has its `value` (null for jobs without one) and the counts and rates
+ *   of funnelCounts, most jobs first; or { error }
+ */
+export function getFunnel(db, { groupBy = 'source', since = null } = {}) {
+  if (!FUNNEL_GROUPS.includes(groupBy)) return { error: `group_by must be one of: ${FUNNEL_GROUPS.join(', ')}` };
+  const sinceError = checkSince(since);
+  if (sinceError) return { error: sinceError };
+
+  const histories = jobHistories(db, { since });
+  const byValue = new Map();
+  for (const history of histories) {
+    const value = history.job[groupBy] || null;
+    if (!byValue.has(value)) byValue.set(value, []);
+    byValue.get(value).push(history);
+  }
+
+  const groups = [...byValue].map(([value, group]) => ({ value, ...funnelCounts(group) }))
+    .sort((a, b) => b.jobs - a.jobs || b.interviewing - a.interviewing || String(a.value).localeCompare(String(b.value)));
+  return { group_by: groupBy, since: since || null, total: funnelCounts(histories), groups };
+}
+
+/**
+ * How long jobs stay in each status
+ *
+ * Medians are over finished stints (the job has since moved on); jobs in
+ * a status now are counted separately with how long they have been there.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string} options.since - Only jobs added on or after this date
+ * @param {Date} options.now - Current time
+ * @returns {Object} { since, stages } with, for each of JOB_STATUSES,
+ *   { status, median_days, stints, in_stage_now, median_current_days };
+ *   or { error }
+ */
+export function getTimeInStage(db, { since = null, now = new Date() } = {}) {
+  const sinceError = checkSince(since);
+  if (sinceError) return { error: sinceError };
+
+  const finished = new Map();
+  const current = new Map();
+  for (const { stints } of jobHistories(db, { since })) {
+    for (const stint of stints) {
+      const target = stint.end === null ? current : finished;
+      if (!target.has(stint.status)) target.set(stint.status, []);
+      target.get(stint.status).push(((stint.end ?? now.getTime()) - stint.start) / DAY_MS);
+    }
+  }
+
+  const statuses = [...JOB_STATUSES, ...[...finished.keys(), ...current.keys()].filter(status => !JOB_STATUSES.includes(status))];
+  const stages = [...new Set(statuses)].map(status => ({
+    status,
+    median_days: roundDays(median(finished.get(status) || [])),
+    stints: (finished.get(status) || []).length,
+    in_stage_now: (current.get(status) || []).length,
+    median_current_days: roundDays(median(current.get(status) || []))
+  }));
+  return { since: since || null, stages };
+}
+
+/**
+ * Jobs added, applied for, interviewed for and offered, week by week
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {number} options.weeks - Weeks to cover, ending with this one
+ *   (default: DEFAULT_THROUGHPUT_WEEKS)
+ * @param {Date} options.now - Current time
+ * @returns {Object} { weeks (oldest first, each { week_start, added,
+ *   applied, interviewing, offer }), applications_per_week }; or { error }
+ */
+export function getThroughput(db, { weeks = DEFAULT_THROUGHPUT_WEEKS, now = new Date() } = {}) {
+  const count = Number(weeks);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_THROUGHPUT_WEEKS) {
+    return { error: `weeks must be a whole number from 1 to ${MAX_THROUGHPUT_WEEKS}` };
+  }
+
+  const buckets = new Map();
+  const monday = new Date(`${weekStart(now.getTime())}T00:00:00`);
+  for (let i = count - 1; i >= 0; i--) {
+    const start = new Date(monday);
+    start.setDate(start.getDate() - 7 * i);
+    buckets.set(localDate(start), { week_start: localDate(start), added: 0, applied: 0, interviewing: 0, offer: 0 });
+  }
+
+  const tally = (time, key) => {
+    const bucket = time !== null && buckets.get(weekStart(time));
+    if (bucket) bucket[key]++;
+  };
+  for (const { job, reached } of jobHistories(db)) {
+    tally(toTime(job.created_at), 'added');
+    tally(reached.Applied, 'applied');
+    tally(reached.Interviewing, 'interviewing');
+    tally(reached.Offer, 'offer');
+  }
+
+  const rows = [...buckets.values()];
+  const applied = rows.reduce((sum, row) => sum + row.applied, 0);
+  return { weeks: rows, applications_per_week: Math.round((applied / count) * 10) / 10 };
+}
+
+/**
+ * Jobs that were added or reached each funnel stage between two dates,
+ * e.g. for a weekly report
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string} options.from - First day (YYYY-MM-DD, local time)
+ * @param {string} options.to - Last day, included
+ * @returns {Object} { added, applied, interviewing, offer }, each a list
+ *   of { id, company, role, source, priority, type, at } in time order;
+ *   or { error }
+ */
+export function getStageArrivals(db, { from, to }) {
+  const start = toTime(from);
+  const end = toTime(to);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(from)) || !/^\d{4}-\d{2}-\d{2}$/.test(String(to)) || start === null || end === null) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  if (start > end) return { error: 'from must not be after to' };
+  const dayAfter = new Date(end);
+  dayAfter.setDate(dayAfter.getDate() + 1);
+
+  const arrivals = { added: [], applied: [], interviewing: [], offer: [] };
+  const add = (key, job, time) => {
+    if (time === null || time < start || time >= dayAfter.getTime()) return;
+    const { id, company, role, source, priority, type } = job;
+    arrivals[key].push({ id, company, role, source, priority, type, at: new Date(time).toISOString() });
+  };
+  for (const { job, reached } of jobHistories(db)) {
+    add('added', job, toTime(job.created_at));
+    add('applied', job, reached.Applied);
+    add('interviewing', job, reached.Interviewing);
+    add('offer', job, reached.Offer);
+  }
+  for (const list of Object.values(arrivals)) list.sort((a, b) => a.at.localeCompare(b.at));
+  return arrivals;
+}
+
+/**
+ * Everything at once: the overall funnel, the funnel by each group, time
+ * in stage and throughput, for the dashboard's Analytics view
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string} options.since - Only jobs added on or after this date
+ *   (funnel and time in stage)
+ * @param {number} options.weeks - Weeks of throughput
+ * @returns {Object} { since, total, funnel: { source, priority, type },
+ *   time_in_stage, throughput }; or { error }
+ */
+export function getAnalytics(db, { since = null, weeks = DEFAULT_THROUGHPUT_WEEKS } = {}) {
+  const funnel = {};
+  for (const groupBy of FUNNEL_GROUPS) {
+    const result = getFunnel(db, { groupBy, since });
+    if (result.error) return result;
+    funnel[groupBy] = result.groups;
+  }
+  const throughput = getThroughput(db, { weeks });
+  if (throughput.error) return throughput;
+
+  return {
+    since: since || null,
+    total: getFunnel(db, { since }).total,
+    funnel,
+    time_in_stage: getTimeInStage(db, { since }).stages,
+    throughput
+  };
+}
+
+export default {
+  FUNNEL_STAGES,
+  FUNNEL_GROUPS,
+  DEFAULT_THROUGHPUT_WEEKS,
+  getFunnel,
+  getTimeInStage,
+  getThroughput,
+  getStageArrivals,
+  getAnalytics
+};
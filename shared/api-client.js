@@ -0,0 +1,1056 @@
+/**
+ * ProwlA API Client
+ *
+ * GENERATED by scripts/generate-api-client.js from the OpenAPI document
+ * in shared/openapi.js. Do not edit; run `npm run generate:client`.
+ *
+ * One method per REST API operation. Path parameters come first, then
+ * the request body, then an object of query parameters. Each resolves
+ * to the response: parsed JSON, or text for CSV, iCalendar, markdown and
+ * HTML. A response with an error status resolves to an ApiError,
+ * { error, status } with the rest of the server's reply; a network
+ * failure rejects.
+ *
+ * @module shared/api-client
+ */
+
+import { apiRequest } from './api-request.js';
+
+/** @typedef {import('./api-request.js').ApiError} ApiError */
+
+/**
+ * What went wrong
+ * @typedef {Object} ErrorResponse
+ * @property {string} error - Error message
+ */
+
+/**
+ * A request that failed validation
+ * @typedef {Object} ValidationError
+ * @property {string} error - Every problem, in one line
+ * @property {Array<{ path: string, message: string }>} [errors]
+ */
+
+/**
+ * A job
+ * @typedef {Object} Job
+ * @property {number} id
+ * @property {(number|null)} [company_id]
+ * @property {string} company - Company name
+ * @property {string} role - Job role/title
+ * @property {("Not Started"|"Researching"|"Ready to Apply"|"Applied"|"Interviewing"|"Done"|"Offer"|"Rejected")} status - Status
+ * @property {("🔴 High"|"🟡 Medium"|"🟢 Lower")} priority - Priority
+ * @property {(("⬜ None"|"🔍 Research"|"📝 Materials"|"✅ Full")|null)} [materials] - Materials status
+ * @property {(number|null)} [score] - How well the job matches the search criteria (0-100)
+ * @property {(string|null)} [type] - Work type (e.g., "Fractional", "Contract", "Full-time")
+ * @property {(string|null)} [hours_week] - Hours per week (e.g., "10-20")
+ * @property {(string|null)} [compensation] - Compensation details (e.g., "$6,000/mo")
+ * @property {(string|null)} [location] - Location (e.g., "Remote", "San Francisco")
+ * @property {(string|null)} [source] - Where the job was found (e.g., "LinkedIn", "Cold Outreach")
+ * @property {(string|null)} [apply_url] - URL to apply for the job
+ * @property {(string|null)} [cover_letter] - Cover letter file name
+ * @property {(string|null)} [email] - Outreach email file name
+ * @property {(string|null)} [notes] - Notes
+ * @property {(string|null)} [applied_date] - Date applied (YYYY-MM-DD)
+ * @property {(string|null)} [follow_up_date] - Follow-up date (YYYY-MM-DD)
+ * @property {(string|null)} [cover_letter_content] - Cover letter text
+ * @property {(string|null)} [email_content] - Outreach email text
+ * @property {(string|null)} [research_notes] - Company research notes (markdown)
+ * @property {(string|null)} [search_batch_id]
+ * @property {(string|null)} [created_at] - ISO timestamp
+ * @property {(string|null)} [updated_at] - ISO timestamp
+ * @property {(string|null)} [deleted_at] - When it was moved to the trash
+ */
+
+/**
+ * A job in a list
+ * @typedef {Object} JobListItem
+ * @property {number} id
+ * @property {(number|null)} [company_id]
+ * @property {string} company - Company name
+ * @property {string} role - Job role/title
+ * @property {("Not Started"|"Researching"|"Ready to Apply"|"Applied"|"Interviewing"|"Done"|"Offer"|"Rejected")} status - Status
+ * @property {("🔴 High"|"🟡 Medium"|"🟢 Lower")} priority - Priority
+ * @property {(("⬜ None"|"🔍 Research"|"📝 Materials"|"✅ Full")|null)} [materials] - Materials status
+ * @property {(number|null)} [score] - How well the job matches the search criteria (0-100)
+ * @property {(string|null)} [type] - Work type (e.g., "Fractional", "Contract", "Full-time")
+ * @property {(string|null)} [hours_week] - Hours per week (e.g., "10-20")
+ * @property {(string|null)} [compensation] - Compensation details (e.g., "$6,000/mo")
+ * @property {(string|null)} [location] - Location (e.g., "Remote", "San Francisco")
+ * @property {(string|null)} [source] - Where the job was found (e.g., "LinkedIn", "Cold Outreach")
+ * @property {(string|null)} [apply_url] - URL to apply for the job
+ * @property {(string|null)} [cover_letter] - Cover letter file name
+ * @property {(string|null)} [email] - Outreach email file name
+ * @property {(string|null)} [notes] - Notes
+ * @property {(string|null)} [applied_date] - Date applied (YYYY-MM-DD)
+ * @property {(string|null)} [follow_up_date] - Follow-up date (YYYY-MM-DD)
+ * @property {(string|null)} [cover_letter_content] - Cover letter text
+ * @property {(string|null)} [email_content] - Outreach email text
+ * @property {(string|null)} [research_notes] - Company research notes (markdown)
+ * @property {(string|null)} [search_batch_id]
+ * @property {(string|null)} [created_at] - ISO timestamp
+ * @property {(string|null)} [updated_at] - ISO timestamp
+ * @property {(string|null)} [deleted_at] - When it was moved to the trash
+ * @property {boolean} isNewFromSearch - From the latest search or added in the last 12 hours
+ */
+
+/**
+ * A job in the trash
+ * @typedef {Object} TrashedJob
+ * @property {number} id
+ * @property {(number|null)} [company_id]
+ * @property {string} company - Company name
+ * @property {string} role - Job role/title
+ * @property {("Not Started"|"Researching"|"Ready to Apply"|"Applied"|"Interviewing"|"Done"|"Offer"|"Rejected")} status - Status
+ * @property {("🔴 High"|"🟡 Medium"|"🟢 Lower")} priority - Priority
+ * @property {(("⬜ None"|"🔍 Research"|"📝 Materials"|"✅ Full")|null)} [materials] - Materials status
+ * @property {(number|null)} [score] - How well the job matches the search criteria (0-100)
+ * @property {(string|null)} [type] - Work type (e.g., "Fractional", "Contract", "Full-time")
+ * @property {(string|null)} [hours_week] - Hours per week (e.g., "10-20")
+ * @property {(string|null)} [compensation] - Compensation details (e.g., "$6,000/mo")
+ * @property {(string|null)} [location] - Location (e.g., "Remote", "San Francisco")
+ * @property {(string|null)} [source] - Where the job was found (e.g., "LinkedIn", "Cold Outreach")
+ * @property {(string|null)} [apply_url] - URL to apply for the job
+ * @property {(string|null)} [cover_letter] - Cover letter file name
+ * @property {(string|null)} [email] - Outreach email file name
+ * @property {(string|null)} [notes] - Notes
+ * @property {(string|null)} [applied_date] - Date applied (YYYY-MM-DD)
+ * @property {(string|null)} [follow_up_date] - Follow-up date (YYYY-MM-DD)
+ * @property {(string|null)} [cover_letter_content] - Cover letter text
+ * @property {(string|null)} [email_content] - Outreach email text
+ * @property {(string|null)} [research_notes] - Company research notes (markdown)
+ * @property {(string|null)} [search_batch_id]
+ * @property {(string|null)} [created_at] - ISO timestamp
+ * @property {(string|null)} [updated_at] - ISO timestamp
+ * @property {(string|null)} [deleted_at] - When it was moved to the trash
+ * @property {string} purge_at - When it will be removed for good
+ */
+
+/**
+ * CreateJob
+ * @typedef {Object} CreateJob
+ * @property {string} company - Company name
+ * @property {string} role - Job role/title
+ * @property {("Not Started"|"Researching"|"Ready to Apply"|"Applied"|"Interviewing"|"Done"|"Offer"|"Rejected")} [status] - Status
+ * @property {("🔴 High"|"🟡 Medium"|"🟢 Lower")} [priority] - Priority
+ * @property {("⬜ None"|"🔍 Research"|"📝 Materials"|"✅ Full")} [materials] - Materials status
+ * @property {(number|null)} [score] - How well the job matches the search criteria (0-100)
+ * @property {(string|null)} [type] - Work type (e.g., "Fractional", "Contract", "Full-time")
+ * @property {(string|null)} [hours_week] - Hours per week (e.g., "10-20")
+ * @property {(string|null)} [compensation] - Compensation details (e.g., "$6,000/mo")
+ * @property {(string|null)} [location] - Location (e.g., "Remote", "San Francisco")
+ * @property {(string|null)} [source] - Where the job was found (e.g., "LinkedIn", "Cold Outreach")
+ * @property {(string|null)} [apply_url] - URL to apply for the job
+ * @property {(string|null)} [cover_letter] - Cover letter file name
+ * @property {(string|null)} [email] - Outreach email file name
+ * @property {(string|null)} [notes] - Notes
+ * @property {(string|null)} [applied_date] - Date applied (YYYY-MM-DD)
+ * @property {(string|null)} [follow_up_date] - Follow-up date (YYYY-MM-DD)
+ * @property {(string|null)} [cover_letter_content] - Cover letter text
+ * @property {(string|null)} [email_content] - Outreach email text
+ * @property {(string|null)} [research_notes] - Company research notes (markdown)
+ * @property {boolean} [allow_duplicate] - Create the job even if it looks like a duplicate
+ */
+
+/**
+ * UpdateJob
+ * @typedef {Object} UpdateJob
+ * @property {string} [company] - Company name
+ * @property {string} [role] - Job role/title
+ * @property {("Not Started"|"Researching"|"Ready to Apply"|"Applied"|"Interviewing"|"Done"|"Offer"|"Rejected")} [status] - Status
+ * @property {("🔴 High"|"🟡 Medium"|"🟢 Lower")} [priority] - Priority
+ * @property {("⬜ None"|"🔍 Research"|"📝 Materials"|"✅ Full")} [materials] - Materials status
+ * @property {(number|null)} [score] - How well the job matches the search criteria (0-100)
+ * @property {(string|null)} [type] - Work type (e.g., "Fractional", "Contract", "Full-time")
+ * @property {(string|null)} [hours_week] - Hours per week (e.g., "10-20")
+ * @property {(string|null)} [compensation] - Compensation details (e.g., "$6,000/mo")
+ * @property {(string|null)} [location] - Location (e.g., "Remote", "San Francisco")
+ * @property {(string|null)} [source] - Where the job was found (e.g., "LinkedIn", "Cold Outreach")
+ * @property {(string|null)} [apply_url] - URL to apply for the job
+ * @property {(string|null)} [cover_letter] - Cover letter file name
+ * @property {(string|null)} [email] - Outreach email file name
+ * @property {(string|null)} [notes] - Notes
+ * @property {(string|null)} [applied_date] - Date applied (YYYY-MM-DD)
+ * @property {(string|null)} [follow_up_date] - Follow-up date (YYYY-MM-DD)
+ * @property {(string|null)} [cover_letter_content] - Cover letter text
+ * @property {(string|null)} [email_content] - Outreach email text
+ * @property {(string|null)} [research_notes] - Company research notes (markdown)
+ */
+
+/**
+ * A rejected company, role pattern or domain
+ * @typedef {Object} Rejection
+ * @property {number} id
+ * @property {("company"|"role"|"domain")} scope
+ * @property {string} pattern
+ * @property {(string|null)} [company]
+ * @property {(string|null)} [reason]
+ * @property {(number|null)} [job_id]
+ * @property {string} [actor]
+ * @property {(string|null)} [expires_at] - ISO timestamp
+ * @property {boolean} active - Not expired
+ * @property {(string|null)} [created_at] - ISO timestamp
+ * @property {(string|null)} [updated_at] - ISO timestamp
+ */
+
+/**
+ * A company, with its aliases and active job count
+ * @typedef {Object} Company
+ * @property {number} id
+ * @property {string} name
+ * @property {string} slug
+ * @property {(string|null)} [website]
+ * @property {(string|null)} [notes]
+ * @property {(string|null)} [research_notes]
+ * @property {number} [job_count]
+ * @property {Array<*>} [aliases] - Other names: strings in lists, { id, alias, created_at } otherwise
+ * @property {(string|null)} [created_at] - ISO timestamp
+ * @property {(string|null)} [updated_at] - ISO timestamp
+ */
+
+/**
+ * A contact at a company
+ * @typedef {Object} Contact
+ * @property {number} id
+ * @property {(number|null)} [company_id]
+ * @property {(string|null)} [company]
+ * @property {string} name
+ * @property {(string|null)} [title]
+ * @property {(string|null)} [email]
+ * @property {(string|null)} [linkedin_url]
+ * @property {("recruiter"|"hiring_manager"|"referral"|"employee"|"founder"|"other")} [relationship]
+ * @property {(string|null)} [notes]
+ * @property {Array<number>} [job_ids] - Linked jobs (single contacts only)
+ * @property {Array<*>} [interactions] - Interactions, newest first (single contacts only)
+ * @property {boolean} [linked] - Linked to the job (job contacts only)
+ * @property {(string|null)} [created_at] - ISO timestamp
+ * @property {(string|null)} [updated_at] - ISO timestamp
+ */
+
+/**
+ * An interaction with a contact
+ * @typedef {Object} Interaction
+ * @property {number} id
+ * @property {number} contact_id
+ * @property {(number|null)} [job_id]
+ * @property {("messaged"|"replied"|"met"|"called"|"note")} type
+ * @property {(string|null)} [notes]
+ * @property {string} [occurred_at]
+ */
+
+/**
+ * An interview round, with its job and interviewers
+ * @typedef {Object} Interview
+ * @property {number} id
+ * @property {number} job_id
+ * @property {string} [company]
+ * @property {string} [role]
+ * @property {number} round
+ * @property {("screen"|"technical"|"panel"|"behavioral"|"take_home"|"onsite"|"final"|"other")} type
+ * @property {(string|null)} [scheduled_at] - ISO timestamp
+ * @property {(number|null)} [duration_minutes]
+ * @property {(string|null)} [location]
+ * @property {(string|null)} [prep_notes]
+ * @property {("pending"|"passed"|"failed"|"cancelled")} outcome
+ * @property {(string|null)} [feedback]
+ * @property {Array<{ id?: number, name: string, contact_id?: (number|null) }>} interviewers
+ */
+
+/**
+ * Something that happened to a job
+ * @typedef {Object} Activity
+ * @property {number} id
+ * @property {number} job_id
+ * @property {string} type - e.g. job.created, field.changed
+ * @property {(string|null)} [field]
+ * @property {(string|null)} [old_value]
+ * @property {(string|null)} [new_value]
+ * @property {string} actor
+ * @property {(string|null)} [created_at] - ISO timestamp
+ */
+
+/**
+ * A task waiting for an agent
+ * @typedef {Object} Task
+ * @property {string} filename
+ * @property {string} [type] - research or materials
+ * @property {number} [jobId]
+ * @property {string} [company]
+ * @property {string} [role]
+ * @property {string} [status]
+ * @property {string} [createdAt]
+ */
+
+/**
+ * A webhook delivery for an event subscription
+ * @typedef {Object} WebhookDelivery
+ * @property {number} id
+ * @property {string} subscription_id
+ * @property {number} [event_seq]
+ * @property {string} event_type
+ * @property {string} url
+ * @property {("pending"|"delivered"|"dead")} status
+ * @property {number} attempts
+ * @property {(string|null)} [next_attempt_at] - ISO timestamp
+ * @property {(string|null)} [last_attempt_at] - ISO timestamp
+ * @property {(number|null)} [response_status]
+ * @property {(string|null)} [last_error]
+ * @property {(string|null)} [delivered_at] - ISO timestamp
+ * @property {(string|null)} [created_at] - ISO timestamp
+ */
+
+/**
+ * Jobs that reached each stage, and the conversion between them (null with nothing to divide by)
+ * @typedef {Object} FunnelRow
+ * @property {(string|null)} [value] - The group (grouped funnels only)
+ * @property {number} jobs
+ * @property {number} applied
+ * @property {number} interviewing
+ * @property {number} offer
+ * @property {(number|null)} application_rate
+ * @property {(number|null)} interview_rate
+ * @property {(number|null)} offer_rate
+ */
+
+/**
+ * What happened in the job search over a date range
+ * @typedef {Object} Digest
+ * @property {string} from
+ * @property {string} to
+ * @property {string} generated_at
+ * @property {{ count: number, by_source: Array<{ source: (string|null), count: number }> }} new_jobs
+ * @property {Array<*>} applications
+ * @property {{ reached: Array<*>, held: Array<*>, upcoming: Array<*> }} interviews
+ * @property {Array<*>} offers
+ * @property {Array<*>} followups
+ * @property {Array<*>} research
+ * @property {{ cost: number, tokens: number, runs: number, by_task_type: Array<*> }} tokens
+ */
+
+/**
+ * SearchSettings
+ * @typedef {Object} SearchSettings
+ * @property {1} [version] - Settings layout version
+ * @property {Array<string>} [targetRoles] - Job titles to look for
+ * @property {Array<string>} [keywords] - Keywords that make a job a better match
+ * @property {Array<string>} [excludeKeywords] - Keywords in a title that rule a job out
+ * @property {Array<string>} [workTypes] - Acceptable work types (e.g. Full-time, Contract, Fractional, Part-time)
+ * @property {{ min?: number, max?: number }} [hoursPerWeek] - Acceptable hours per week
+ * @property {{ required?: boolean, preferredTimezones?: Array<string>, hybridOk?: boolean, relocationOk?: boolean }} [remote]
+ * @property {{ salary?: { min?: number, max?: number, currency?: string }, hourly?: { min?: number, max?: number, currency?: string }, fractionalMonthly?: { min?: number, max?: number, currency?: string } }} [compensation]
+ * @property {{ preferred?: Array<string>, excluded?: Array<string> }} [industries] - Industries to prefer and to avoid
+ * @property {{ preferred?: Array<string>, excluded?: Array<string> }} [companyStage] - Funding stages to prefer and to avoid (e.g. "Seed", "Series A")
+ * @property {{ min?: number, max?: number }} [companySize] - Employee count
+ * @property {boolean} [autoRejectFullTime] - Reject full-time positions
+ * @property {boolean} [noAgencies] - Reject staffing agency listings
+ * @property {string} [searchFrequency] - Hours of the day to scan, comma-separated (e.g. "8,16")
+ * @property {boolean} [notifyOnNewJobs] - Notify when a scan finds jobs
+ * @property {{ enabled?: boolean, minPriorityScore?: number }} [autoResearch] - Queue research for jobs scoring at least minPriorityScore
+ * @property {number} [followUpAfterDays] - Suggest a follow-up this many days after applying
+ * @property {Array<{ name: string, url?: string, searchUrl?: string, enabled?: boolean }>} [sources]
+ */
+
+/**
+ * Create an API client
+ *
+ * @param {Object} options - baseUrl, token, actor and fetch; see
+ *   apiRequest() in shared/api-request.js
+ * @returns {Object} Client, with a method per operation
+ */
+export function createApiClient(options = {}) {
+  const request = apiRequest(options);
+
+  return {
+    // API
+    /**
+     * The OpenAPI description of the API
+     *
+     * GET /api/openapi.json
+     * @returns {Promise<Object|ApiError>}
+     */
+    getOpenApiDocument: () => request('GET', '/openapi.json'),
+
+    // Jobs
+    /**
+     * List jobs a page at a time, with filters, date ranges, search and sorting
+     *
+     * GET /api/jobs
+     * @param {Object} [query] - Query parameters
+     * @param {string} [query.status] - Statuses, comma-separated
+     * @param {string} [query.priority] - Priorities, comma-separated
+     * @param {string} [query.source] - Sources, comma-separated
+     * @param {string} [query.materials] - Materials statuses, comma-separated
+     * @param {string} [query.type] - Work types, comma-separated
+     * @param {string} [query.created_from]
+     * @param {string} [query.created_to]
+     * @param {string} [query.updated_from]
+     * @param {string} [query.updated_to]
+     * @param {string} [query.applied_from]
+     * @param {string} [query.applied_to]
+     * @param {string} [query.follow_up_from]
+     * @param {string} [query.follow_up_to]
+     * @param {boolean} [query.only_new] - Only jobs from the latest search
+     * @param {string} [query.q] - Full-text search
+     * @param {string} [query.sort] - A jobs column, or relevance when searching
+     * @param {("asc"|"desc")} [query.order]
+     * @param {number} [query.limit] - Page size
+     * @param {number} [query.offset]
+     * @param {string} [query.cursor] - next_cursor from the previous page, with the same sort and order
+     * @returns {Promise<{ jobs: Array<JobListItem>, total: number, limit: number, offset: (number|null), has_more: boolean, next_cursor: (string|null), sort: string, order: string }|ApiError>}
+     */
+    listJobs: (query) => request('GET', '/jobs', { query }),
+
+    /**
+     * Add a job. The same role at the same company, or the same apply URL, is refused as a duplicate.
+     *
+     * POST /api/jobs
+     * @param {CreateJob} body - Request body
+     * @returns {Promise<{ id: number, company_id: number }|ApiError>}
+     */
+    createJob: (body) => request('POST', '/jobs', { body }),
+
+    /**
+     * Get a job with its full content
+     *
+     * GET /api/jobs/{id}
+     * @param {number} id - ID
+     * @returns {Promise<Job|ApiError>}
+     */
+    getJob: (id) => request('GET', `/jobs/${encodeURIComponent(id)}`),
+
+    /**
+     * Change a job's fields
+     *
+     * PATCH /api/jobs/{id}
+     * @param {number} id - ID
+     * @param {UpdateJob} [body] - Request body
+     * @returns {Promise<{ success: boolean }|ApiError>}
+     */
+    updateJob: (id, body) => request('PATCH', `/jobs/${encodeURIComponent(id)}`, { body }),
+
+    /**
+     * Move a job to the trash
+     *
+     * DELETE /api/jobs/{id}
+     * @param {number} id - ID
+     * @returns {Promise<{ success: boolean, trashed: boolean, purge_at: string }|ApiError>}
+     */
+    deleteJob: (id) => request('DELETE', `/jobs/${encodeURIComponent(id)}`),
+
+    /**
+     * Restore a job from the trash
+     *
+     * POST /api/jobs/{id}/restore
+     * @param {number} id - ID
+     * @returns {Promise<{ success: boolean, job: Job }|ApiError>}
+     */
+    restoreJob: (id) => request('POST', `/jobs/${encodeURIComponent(id)}/restore`),
+
+    /**
+     * Reject a job's company and move the job to the trash
+     *
+     * POST /api/jobs/{id}/reject-company
+     * @param {number} id - ID
+     * @param {{ reason?: (string|null), expires_at?: (string|null), expires_in_days?: (number|null), trash?: boolean }} [body] - Request body
+     * @returns {Promise<{ success: boolean, company: string, rejection: Rejection, added_to_rejected: boolean, trashed: boolean }|ApiError>}
+     */
+    rejectJobCompany: (id, body) => request('POST', `/jobs/${encodeURIComponent(id)}/reject-company`, { body }),
+
+    /**
+     * A job's activity, newest first
+     *
+     * GET /api/jobs/{id}/timeline
+     * @param {number} id - ID
+     * @param {Object} [query] - Query parameters
+     * @param {number} [query.limit] - Most entries (default: 200)
+     * @param {string} [query.type] - Only this activity type
+     * @returns {Promise<{ job_id: number, entries: Array<Activity>, count: number }|ApiError>}
+     */
+    getJobTimeline: (id, query) => request('GET', `/jobs/${encodeURIComponent(id)}/timeline`, { query }),
+
+    // Rejections
+    /**
+     * List rejections (active only unless include_expired=true)
+     *
+     * GET /api/rejections
+     * @param {Object} [query] - Query parameters
+     * @param {("company"|"role"|"domain")} [query.scope]
+     * @param {boolean} [query.include_expired]
+     * @returns {Promise<{ rejections: Array<Rejection>, count: number }|ApiError>}
+     */
+    listRejections: (query) => request('GET', '/rejections', { query }),
+
+    /**
+     * Reject a company, role pattern or domain (an active duplicate is returned as it is)
+     *
+     * POST /api/rejections
+     * @param {{ scope?: ("company"|"role"|"domain"), pattern: string, company?: (string|null), reason?: (string|null), expires_at?: (string|null), expires_in_days?: (number|null), job_id?: (number|null) }} body - Request body
+     * @returns {Promise<{ rejection: Rejection, created: boolean }|ApiError>}
+     */
+    createRejection: (body) => request('POST', '/rejections', { body }),
+
+    /**
+     * Check whether a job would be rejected
+     *
+     * POST /api/rejections/check
+     * @param {{ company?: (string|null), role?: (string|null), apply_url?: (string|null) }} [body] - Request body
+     * @returns {Promise<{ rejected: boolean, rejection?: ({ id: number, scope: ("company"|"role"|"domain"), pattern: string, company?: (string|null), reason?: (string|null), job_id?: (number|null), actor?: string, expires_at?: (string|null), active: boolean, created_at?: (string|null), updated_at?: (string|null) }|null) }|ApiError>}
+     */
+    checkRejection: (body) => request('POST', '/rejections/check', { body }),
+
+    /**
+     * Get a rejection
+     *
+     * GET /api/rejections/{id}
+     * @param {number} id - ID
+     * @returns {Promise<Rejection|ApiError>}
+     */
+    getRejection: (id) => request('GET', `/rejections/${encodeURIComponent(id)}`),
+
+    /**
+     * Change a rejection
+     *
+     * PATCH /api/rejections/{id}
+     * @param {number} id - ID
+     * @param {{ scope?: ("company"|"role"|"domain"), pattern?: string, company?: (string|null), reason?: (string|null), expires_at?: (string|null), expires_in_days?: (number|null), job_id?: (number|null) }} [body] - Request body
+     * @returns {Promise<Rejection|ApiError>}
+     */
+    updateRejection: (id, body) => request('PATCH', `/rejections/${encodeURIComponent(id)}`, { body }),
+
+    /**
+     * Delete a rejection
+     *
+     * DELETE /api/rejections/{id}
+     * @param {number} id - ID
+     * @returns {Promise<{ success: boolean, rejection: Rejection }|ApiError>}
+     */
+    deleteRejection: (id) => request('DELETE', `/rejections/${encodeURIComponent(id)}`),
+
+    // Companies
+    /**
+     * List companies with job counts
+     *
+     * GET /api/companies
+     * @param {Object} [query] - Query parameters
+     * @param {string} [query.search] - Name contains
+     * @param {boolean} [query.include_empty] - Include companies with no active jobs
+     * @returns {Promise<{ companies: Array<Company>, count: number }|ApiError>}
+     */
+    listCompanies: (query) => request('GET', '/companies', { query }),
+
+    /**
+     * Get a company with its aliases and jobs
+     *
+     * GET /api/companies/{id}
+     * @param {number} id - ID
+     * @returns {Promise<{ id: number, name: string, slug: string, website?: (string|null), notes?: (string|null), research_notes?: (string|null), job_count?: number, aliases?: Array<*>, created_at?: (string|null), updated_at?: (string|null), jobs: Array<Job> }|ApiError>}
+     */
+    getCompany: (id) => request('GET', `/companies/${encodeURIComponent(id)}`),
+
+    /**
+     * Change a company (renaming keeps the old name as an alias)
+     *
+     * PATCH /api/companies/{id}
+     * @param {number} id - ID
+     * @param {{ name?: string, website?: (string|null), notes?: (string|null), research_notes?: (string|null) }} [body] - Request body
+     * @returns {Promise<{ success: boolean, company: Company }|ApiError>}
+     */
+    updateCompany: (id, body) => request('PATCH', `/companies/${encodeURIComponent(id)}`, { body }),
+
+    /**
+     * Add another name for a company
+     *
+     * POST /api/companies/{id}/aliases
+     * @param {number} id - ID
+     * @param {{ alias: string }} body - Request body
+     * @returns {Promise<{ success: boolean, alias: (Object|null), created: boolean }|ApiError>}
+     */
+    addCompanyAlias: (id, body) => request('POST', `/companies/${encodeURIComponent(id)}/aliases`, { body }),
+
+    /**
+     * Remove a company alias
+     *
+     * DELETE /api/companies/{id}/aliases/{aliasId}
+     * @param {number} id - ID
+     * @param {number} aliasId - Alias ID
+     * @returns {Promise<{ success: boolean, alias: Object }|ApiError>}
+     */
+    removeCompanyAlias: (id, aliasId) => request('DELETE', `/companies/${encodeURIComponent(id)}/aliases/${encodeURIComponent(aliasId)}`),
+
+    /**
+     * Merge another company into this one
+     *
+     * POST /api/companies/{id}/merge
+     * @param {number} id - ID
+     * @param {{ source_id: number }} body - Request body
+     * @returns {Promise<{ success: boolean, company: Company, moved_jobs?: number }|ApiError>}
+     */
+    mergeCompany: (id, body) => request('POST', `/companies/${encodeURIComponent(id)}/merge`, { body }),
+
+    // Contacts
+    /**
+     * List contacts
+     *
+     * GET /api/contacts
+     * @param {Object} [query] - Query parameters
+     * @param {number} [query.company_id]
+     * @param {number} [query.job_id]
+     * @param {string} [query.search] - Matches name, title or email
+     * @returns {Promise<{ contacts: Array<Contact>, count: number }|ApiError>}
+     */
+    listContacts: (query) => request('GET', '/contacts', { query }),
+
+    /**
+     * Add a contact (one with the same email, LinkedIn URL or name at the company is returned instead)
+     *
+     * POST /api/contacts
+     * @param {{ name: string, title?: (string|null), email?: (string|null), linkedin_url?: (string|null), relationship?: ("recruiter"|"hiring_manager"|"referral"|"employee"|"founder"|"other"), notes?: (string|null), company_id?: (number|null), company?: (string|null), job_id?: (number|null) }} body - Request body
+     * @returns {Promise<{ contact: Contact, created: boolean }|ApiError>}
+     */
+    createContact: (body) => request('POST', '/contacts', { body }),
+
+    /**
+     * Get a contact with its linked jobs and interactions
+     *
+     * GET /api/contacts/{id}
+     * @param {number} id - ID
+     * @returns {Promise<Contact|ApiError>}
+     */
+    getContact: (id) => request('GET', `/contacts/${encodeURIComponent(id)}`),
+
+    /**
+     * Change a contact
+     *
+     * PATCH /api/contacts/{id}
+     * @param {number} id - ID
+     * @param {{ name?: string, title?: (string|null), email?: (string|null), linkedin_url?: (string|null), relationship?: ("recruiter"|"hiring_manager"|"referral"|"employee"|"founder"|"other"), notes?: (string|null), company_id?: (number|null), company?: (string|null) }} [body] - Request body
+     * @returns {Promise<Contact|ApiError>}
+     */
+    updateContact: (id, body) => request('PATCH', `/contacts/${encodeURIComponent(id)}`, { body }),
+
+    /**
+     * Delete a contact with its job links and interactions
+     *
+     * DELETE /api/contacts/{id}
+     * @param {number} id - ID
+     * @returns {Promise<{ success: boolean, contact: Contact }|ApiError>}
+     */
+    deleteContact: (id) => request('DELETE', `/contacts/${encodeURIComponent(id)}`),
+
+    /**
+     * Log an interaction with a contact
+     *
+     * POST /api/contacts/{id}/interactions
+     * @param {number} id - ID
+     * @param {{ type: ("messaged"|"replied"|"met"|"called"|"note"), job_id?: (number|null), notes?: (string|null), occurred_at?: (string|null) }} body - Request body
+     * @returns {Promise<{ success: boolean, interaction: Interaction, job_ids: Array<number> }|ApiError>}
+     */
+    logContactInteraction: (id, body) => request('POST', `/contacts/${encodeURIComponent(id)}/interactions`, { body }),
+
+    /**
+     * Link a contact to a job
+     *
+     * POST /api/contacts/{id}/jobs
+     * @param {number} id - ID
+     * @param {{ job_id: number }} body - Request body
+     * @returns {Promise<{ success: boolean, linked?: boolean }|ApiError>}
+     */
+    linkContactToJob: (id, body) => request('POST', `/contacts/${encodeURIComponent(id)}/jobs`, { body }),
+
+    /**
+     * Unlink a contact from a job
+     *
+     * DELETE /api/contacts/{id}/jobs/{jobId}
+     * @param {number} id - ID
+     * @param {number} jobId - Job ID
+     * @returns {Promise<{ success: boolean }|ApiError>}
+     */
+    unlinkContactFromJob: (id, jobId) => request('DELETE', `/contacts/${encodeURIComponent(id)}/jobs/${encodeURIComponent(jobId)}`),
+
+    /**
+     * Contacts at a job's company, and the scoring bonus they earn
+     *
+     * GET /api/jobs/{id}/contacts
+     * @param {number} id - ID
+     * @returns {Promise<{ contacts: Array<Contact>, count: number, bonus: { points: number, reasons: Array<string> } }|ApiError>}
+     */
+    getJobContacts: (id) => request('GET', `/jobs/${encodeURIComponent(id)}/contacts`),
+
+    // Interviews
+    /**
+     * List interviews across all jobs
+     *
+     * GET /api/interviews
+     * @param {Object} [query] - Query parameters
+     * @param {boolean} [query.upcoming] - Only pending interviews from now on, soonest first
+     * @param {("pending"|"passed"|"failed"|"cancelled")} [query.outcome]
+     * @returns {Promise<{ interviews: Array<Interview>, count: number }|ApiError>}
+     */
+    listInterviews: (query) => request('GET', '/interviews', { query }),
+
+    /**
+     * List a job's interview rounds
+     *
+     * GET /api/jobs/{id}/interviews
+     * @param {number} id - ID
+     * @returns {Promise<{ job_id: number, interviews: Array<Interview>, count: number }|ApiError>}
+     */
+    listJobInterviews: (id) => request('GET', `/jobs/${encodeURIComponent(id)}/interviews`),
+
+    /**
+     * Schedule an interview round (moves the job to Interviewing)
+     *
+     * POST /api/jobs/{id}/interviews
+     * @param {number} id - ID
+     * @param {{ round?: (number|null), type?: ("screen"|"technical"|"panel"|"behavioral"|"take_home"|"onsite"|"final"|"other"), scheduled_at?: (string|null), duration_minutes?: (number|null), location?: (string|null), prep_notes?: (string|null), interviewers?: Array<(string|{ name?: string, contact_id?: (number|null) })> }} [body] - Request body
+     * @returns {Promise<{ interview: Interview, status_changed: boolean }|ApiError>}
+     */
+    scheduleInterview: (id, body) => request('POST', `/jobs/${encodeURIComponent(id)}/interviews`, { body }),
+
+    /**
+     * Get an interview
+     *
+     * GET /api/interviews/{id}
+     * @param {number} id - ID
+     * @returns {Promise<Interview|ApiError>}
+     */
+    getInterview: (id) => request('GET', `/interviews/${encodeURIComponent(id)}`),
+
+    /**
+     * Change an interview's time, type, location, prep notes or interviewers
+     *
+     * PATCH /api/interviews/{id}
+     * @param {number} id - ID
+     * @param {{ round?: (number|null), type?: ("screen"|"technical"|"panel"|"behavioral"|"take_home"|"onsite"|"final"|"other"), scheduled_at?: (string|null), duration_minutes?: (number|null), location?: (string|null), prep_notes?: (string|null), interviewers?: Array<(string|{ name?: string, contact_id?: (number|null) })> }} [body] - Request body
+     * @returns {Promise<Interview|ApiError>}
+     */
+    updateInterview: (id, body) => request('PATCH', `/interviews/${encodeURIComponent(id)}`, { body }),
+
+    /**
+     * Delete an interview
+     *
+     * DELETE /api/interviews/{id}
+     * @param {number} id - ID
+     * @returns {Promise<{ success: boolean, interview: Interview }|ApiError>}
+     */
+    deleteInterview: (id) => request('DELETE', `/interviews/${encodeURIComponent(id)}`),
+
+    /**
+     * Record how an interview went
+     *
+     * POST /api/interviews/{id}/outcome
+     * @param {number} id - ID
+     * @param {{ outcome: ("pending"|"passed"|"failed"|"cancelled"), feedback?: (string|null) }} body - Request body
+     * @returns {Promise<Interview|ApiError>}
+     */
+    recordInterviewOutcome: (id, body) => request('POST', `/interviews/${encodeURIComponent(id)}/outcome`, { body }),
+
+    // Follow-ups
+    /**
+     * Follow-ups due, and reminders recorded since an activity ID
+     *
+     * GET /api/followups
+     * @param {Object} [query] - Query parameters
+     * @param {number} [query.ahead_days] - Also include follow-ups due within this many days
+     * @param {number} [query.since_id] - Only reminders recorded after this activity ID
+     * @returns {Promise<{ today: string, follow_up_after_days: number, followups: Array<{ id: number, company: string, role: string, due_date: string, state: ("overdue"|"due"|"upcoming") }>, overdue_count: number, due_count: number, reminders: Array<Object>, last_reminder_id: number }|ApiError>}
+     */
+    listFollowups: (query) => request('GET', '/followups', { query }),
+
+    /**
+     * iCalendar feed of interviews, follow-ups and applied dates
+     *
+     * GET /api/calendar.ics
+     * @param {Object} [query] - Query parameters
+     * @param {string} [query.kinds] - Comma-separated: interviews, followups, applied
+     * @param {string} [query.priority] - Only jobs of this priority (e.g. high)
+     * @param {string} [query.token] - The calendar secret, when PROWLA_CALENDAR_TOKEN is set
+     * @returns {Promise<string|ApiError>}
+     */
+    getCalendar: (query) => request('GET', '/calendar.ics', { query }),
+
+    // Import and Export
+    /**
+     * Jobs as CSV
+     *
+     * GET /api/export/jobs.csv
+     * @param {Object} [query] - Query parameters
+     * @param {string} [query.columns] - Columns, comma-separated
+     * @param {string} [query.status]
+     * @param {boolean} [query.include_trashed]
+     * @returns {Promise<string|ApiError>}
+     */
+    exportJobsCsv: (query) => request('GET', '/export/jobs.csv', { query }),
+
+    /**
+     * Columns available to export and fields available to import
+     *
+     * GET /api/export/columns
+     * @returns {Promise<{ columns: Object, default_columns: Array<string>, import_fields: Array<string>, duplicate_actions: Array<string> }|ApiError>}
+     */
+    getExportColumns: () => request('GET', '/export/columns'),
+
+    /**
+     * Import jobs from CSV. Previews by default; send dry_run: false to save.
+     *
+     * POST /api/import/csv
+     * @param {{ csv: string, mapping?: (Object<string, (string|null)>|null), on_duplicate?: ("skip"|"update"|"create"), dry_run?: boolean }} body - Request body
+     * @returns {Promise<{ headers: Array<string>, mapping: Object, rows: Array<{ action: ("create"|"update"|"skip"|"error") }>, summary: { create: number, update: number, skip: number, error: number }, dry_run: boolean }|ApiError>}
+     */
+    importJobsCsv: (body) => request('POST', '/import/csv', { body }),
+
+    // Backups
+    /**
+     * Back up the database, applications, config and data
+     *
+     * POST /api/backup
+     * @returns {Promise<{ success: boolean, file: string, size: number, manifest: { file_count: number } }|ApiError>}
+     */
+    createBackup: () => request('POST', '/backup'),
+
+    /**
+     * List backups, newest first
+     *
+     * GET /api/backups
+     * @returns {Promise<{ backups: Array<{ file: string, size: number, created_at: string }>, count: number }|ApiError>}
+     */
+    listBackups: () => request('GET', '/backups'),
+
+    // Reports
+    /**
+     * Digest of a date range (default: last week), also written to data/reports/
+     *
+     * GET /api/reports/digest
+     * @param {Object} [query] - Query parameters
+     * @param {string} [query.from] - First day
+     * @param {string} [query.to] - Last day, included
+     * @param {("json"|"markdown"|"html")} [query.format] - Default: json
+     * @returns {Promise<({ digest: Digest, files: { markdown: string, html: string } }|string)|ApiError>}
+     */
+    getDigest: (query) => request('GET', '/reports/digest', { query }),
+
+    // Trash
+    /**
+     * List jobs in the trash
+     *
+     * GET /api/trash
+     * @returns {Promise<{ jobs: Array<TrashedJob>, count: number, retention_days: number }|ApiError>}
+     */
+    listTrash: () => request('GET', '/trash'),
+
+    /**
+     * Remove everything in the trash for good
+     *
+     * DELETE /api/trash
+     * @returns {Promise<{ success: boolean, purged: number }|ApiError>}
+     */
+    emptyTrash: () => request('DELETE', '/trash'),
+
+    /**
+     * Remove a job from the trash for good
+     *
+     * DELETE /api/trash/{id}
+     * @param {number} id - ID
+     * @returns {Promise<{ success: boolean }|ApiError>}
+     */
+    purgeTrashedJob: (id) => request('DELETE', `/trash/${encodeURIComponent(id)}`),
+
+    // Analytics
+    /**
+     * Job counts for the dashboard header
+     *
+     * GET /api/stats
+     * @returns {Promise<{ total: number, applied: number, interviewing: number, notStarted: number, newJobs: number }|ApiError>}
+     */
+    getStats: () => request('GET', '/stats'),
+
+    /**
+     * Funnel by source, priority and work type, time in stage and weekly throughput
+     *
+     * GET /api/analytics
+     * @param {Object} [query] - Query parameters
+     * @param {string} [query.since] - Only jobs added on or after this date (YYYY-MM-DD)
+     * @param {number} [query.weeks] - Weeks to cover, ending with this one (default: 12)
+     * @returns {Promise<{ since: (string|null), total: FunnelRow, funnel: { source: Array<FunnelRow>, priority: Array<FunnelRow>, type: Array<FunnelRow> }, time_in_stage: Array<{ status: string, median_days: (number|null), stints: number, in_stage_now: number, median_current_days: (number|null) }>, throughput: { weeks: Array<{ week_start: string, added: number, applied: number, interviewing: number, offer: number }>, applications_per_week: number } }|ApiError>}
+     */
+    getAnalytics: (query) => request('GET', '/analytics', { query }),
+
+    /**
+     * Funnel conversion, grouped by source, priority or work type
+     *
+     * GET /api/analytics/funnel
+     * @param {Object} [query] - Query parameters
+     * @param {("source"|"priority"|"type")} [query.group_by] - Default: source
+     * @param {string} [query.since] - Only jobs added on or after this date (YYYY-MM-DD)
+     * @returns {Promise<{ group_by: string, since: (string|null), total: FunnelRow, groups: Array<FunnelRow> }|ApiError>}
+     */
+    getFunnel: (query) => request('GET', '/analytics/funnel', { query }),
+
+    /**
+     * Median days in each status
+     *
+     * GET /api/analytics/time-in-stage
+     * @param {Object} [query] - Query parameters
+     * @param {string} [query.since] - Only jobs added on or after this date (YYYY-MM-DD)
+     * @returns {Promise<{ since: (string|null), stages: Array<{ status: string, median_days: (number|null), stints: number, in_stage_now: number, median_current_days: (number|null) }> }|ApiError>}
+     */
+    getTimeInStage: (query) => request('GET', '/analytics/time-in-stage', { query }),
+
+    /**
+     * Jobs added, applied for, interviewed for and offered per week
+     *
+     * GET /api/analytics/throughput
+     * @param {Object} [query] - Query parameters
+     * @param {number} [query.weeks] - Weeks to cover, ending with this one (default: 12)
+     * @returns {Promise<{ weeks: Array<{ week_start: string, added: number, applied: number, interviewing: number, offer: number }>, applications_per_week: number }|ApiError>}
+     */
+    getThroughput: (query) => request('GET', '/analytics/throughput', { query }),
+
+    // Materials
+    /**
+     * A job's cover letter, email and research from its files
+     *
+     * GET /api/jobs/{id}/materials
+     * @param {number} id - ID
+     * @returns {Promise<{ materialsDir: string, coverLetter?: string, email?: string, notes?: string, coverLetterPdf?: boolean }|ApiError>}
+     */
+    getJobMaterials: (id) => request('GET', `/jobs/${encodeURIComponent(id)}/materials`),
+
+    /**
+     * Companies with research notes, one entry each
+     *
+     * GET /api/research
+     * @returns {Promise<Array<{ id: number, companyId: number, company: string, role: string, roles: Array<{ id: number, role: string, status: string, priority: string }>, source: (string|null), status: string, priority: string, companySlug: string, notes: string, createdAt: (string|null) }>|ApiError>}
+     */
+    listResearch: () => request('GET', '/research'),
+
+    // Settings
+    /**
+     * Search settings, upgraded to the current layout
+     *
+     * GET /api/settings
+     * @returns {Promise<{ settings: SearchSettings }|ApiError>}
+     */
+    getSettings: () => request('GET', '/settings'),
+
+    /**
+     * Save the complete search settings
+     *
+     * POST /api/settings
+     * @param {SearchSettings} [body] - Request body
+     * @returns {Promise<{ success: boolean, settings: SearchSettings }|ApiError>}
+     */
+    saveSettings: (body) => request('POST', '/settings', { body }),
+
+    // Token Usage
+    /**
+     * Agent token usage and cost, with totals by task type, day and model
+     *
+     * GET /api/tokens
+     * @param {Object} [query] - Query parameters
+     * @param {string} [query.startDate] - ISO date
+     * @param {string} [query.endDate] - ISO date
+     * @param {string} [query.taskType]
+     * @returns {Promise<{ entries: Array<Object>, summary: { totalCost: number, totalTokens: number, byTaskType: Object<string, { count: number, cost: number, tokens: number }>, byDay: Object<string, { count: number, cost: number, tokens: number }>, byModel?: Object<string, { count: number, cost: number, tokens: number }> } }|ApiError>}
+     */
+    getTokenUsage: (query) => request('GET', '/tokens', { query }),
+
+    /**
+     * Log an agent run's token usage
+     *
+     * POST /api/tokens/log
+     * @param {{ taskType: string, company?: string, model?: string, tokensIn: number, tokensOut: number, cost: number }} body - Request body
+     * @returns {Promise<{ success: boolean }|ApiError>}
+     */
+    logTokenUsage: (body) => request('POST', '/tokens/log', { body }),
+
+    // Webhooks
+    /**
+     * Webhook deliveries for MCP event subscriptions
+     *
+     * GET /api/webhooks/deliveries
+     * @param {Object} [query] - Query parameters
+     * @param {string} [query.subscription_id]
+     * @param {("pending"|"delivered"|"dead")} [query.status]
+     * @param {number} [query.limit]
+     * @param {number} [query.offset]
+     * @returns {Promise<{ deliveries: Array<WebhookDelivery>, total: number, count: number }|ApiError>}
+     */
+    listWebhookDeliveries: (query) => request('GET', '/webhooks/deliveries', { query }),
+
+    /**
+     * Get a webhook delivery
+     *
+     * GET /api/webhooks/deliveries/{id}
+     * @param {number} id - ID
+     * @returns {Promise<WebhookDelivery|ApiError>}
+     */
+    getWebhookDelivery: (id) => request('GET', `/webhooks/deliveries/${encodeURIComponent(id)}`),
+
+    /**
+     * Send a webhook delivery again
+     *
+     * POST /api/webhooks/deliveries/{id}/redeliver
+     * @param {number} id - ID
+     * @returns {Promise<{ success: boolean, delivery: WebhookDelivery }|ApiError>}
+     */
+    redeliverWebhook: (id) => request('POST', `/webhooks/deliveries/${encodeURIComponent(id)}/redeliver`),
+
+    // Tasks
+    /**
+     * Tasks waiting for an agent
+     *
+     * GET /api/tasks/status
+     * @returns {Promise<{ tasks: Array<Task>, count: number }|ApiError>}
+     */
+    listTasks: () => request('GET', '/tasks/status'),
+
+    /**
+     * Dismiss a task
+     *
+     * DELETE /api/tasks/{filename}
+     * @param {string} filename - Task file name
+     * @returns {Promise<{ success: boolean, message: string }|ApiError>}
+     */
+    completeTask: (filename) => request('DELETE', `/tasks/${encodeURIComponent(filename)}`),
+
+    /**
+     * Queue company research for an agent (one task per company)
+     *
+     * POST /api/jobs/{id}/request-research
+     * @param {number} id - ID
+     * @returns {Promise<{ success: boolean, message: string, exists?: boolean }|ApiError>}
+     */
+    requestResearch: (id) => request('POST', `/jobs/${encodeURIComponent(id)}/request-research`),
+
+    /**
+     * Queue a cover letter and email for an agent
+     *
+     * POST /api/jobs/{id}/request-materials
+     * @param {number} id - ID
+     * @returns {Promise<{ success: boolean, message: string, exists?: boolean }|ApiError>}
+     */
+    requestMaterials: (id) => request('POST', `/jobs/${encodeURIComponent(id)}/request-materials`),
+
+    // Search
+    /**
+     * Start a job scan in the background; progress comes over /api/live
+     *
+     * POST /api/search
+     * @returns {Promise<{ success: boolean, message: string }|ApiError>}
+     */
+    startSearch: () => request('POST', '/search'),
+
+    /**
+     * Detect every job's materials again
+     *
+     * POST /api/reload
+     * @returns {Promise<{ success: boolean, total: number, updated: number }|ApiError>}
+     */
+    reloadJobs: () => request('POST', '/reload')
+  };
+}
+
+export default {
+  createApiClient
+};
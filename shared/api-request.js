@@ -0,0 +1,70 @@
+/**
+ * API Requests
+ *
+ * How the generated client (shared/api-client.js) talks to the REST API:
+ * builds the URL and headers, sends the request and reads the response.
+ * Runs in the browser and in Node 18+, with the global fetch or one
+ * passed in.
+ *
+ * @module shared/api-request
+ */
+
+/**
+ * A response with an error status: the server's JSON body, with its
+ * error message and the status
+ * @typedef {Object} ApiError
+ * @property {string} error - Error message
+ * @property {number} status - HTTP status
+ */
+
+/**
+ * Make a function that sends requests to the API
+ *
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - The API's address, ending in /api
+ *   (e.g. http://localhost:3001/api)
+ * @param {string} options.token - API token, when the server asks for one
+ * @param {string} options.actor - Sent as X-Prowla-Actor, naming who made
+ *   changes in the activity log (the server's default is "ui")
+ * @param {Function} options.fetch - fetch implementation (default: the
+ *   global one)
+ * @returns {Function} request(method, path, { body, query }) resolving to
+ *   the response (parsed JSON, or text) or an ApiError; rejects only if
+ *   the server can't be reached
+ */
+export function apiRequest({ baseUrl, token = null, actor = null, fetch: fetchImpl = globalThis.fetch } = {}) {
+  const headers = {
+    ...(token && { Authorization: `Bearer ${token}` }),
+    ...(actor && { 'X-Prowla-Actor': actor })
+  };
+
+  return async (method, path, { body, query = null } = {}) => {
+    // Lists go as comma-separated values; empty ones are left out
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(query || {})) {
+      if (value === undefined || value === null || value === '') continue;
+      params.set(name, Array.isArray(value) ? value.join(',') : String(value));
+    }
+    const search = params.toString();
+
+    const response = await fetchImpl(`${baseUrl}${path}${search ? `?${search}` : ''}`, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'Content-Type': 'application/json' },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+
+    const json = (response.headers.get('Content-Type') || '').includes('application/json');
+    const data = json ? await response.json() : await response.text();
+    if (response.ok) return data;
+
+    return {
+      ...(json && data && typeof data === 'object' ? data : {}),
+      error: (json && data?.error) || `${response.status} ${response.statusText}`,
+      status: response.status
+    };
+  };
+}
+
+export default {
+  apiRequest
+};
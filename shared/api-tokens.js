@@ -0,0 +1,171 @@
+/**
+ * API Tokens
+ *
+ * Access tokens for the REST API. A token is shown once, when it is
+ * created; only its SHA-256 hash is stored. Each token has one or more
+ * scopes, and a scope includes the ones below it:
+ * - read - GET requests: jobs, settings, events and everything else
+ * - jobs:write - Also create, change and delete jobs, contacts,
+ *   interviews, tasks and the rest of the tracker's data
+ * - settings:admin - Also save settings and make or download backups
+ *
+ * Manage tokens with `node server/tokens.js` (see its usage).
+ *
+ * @module shared/api-tokens
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Valid scopes, lowest first
+ * @type {string[]}
+ */
+export const API_SCOPES = ['read', 'jobs:write', 'settings:admin'];
+
+/** Start of every token, so leaked ones are easy to recognise */
+const TOKEN_PREFIX = 'prowla_';
+
+/** Characters of a token kept to tell it apart in lists */
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+/** How often last_used_at is updated for a token in steady use */
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token
+ * @returns {string} Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Turn an api_tokens row into a token (without its hash)
+ * @param {Object} row - Row
+ * @returns {Object} Token with scopes as a list
+ */
+function toToken({ token_hash, ...row }) {
+  return { ...row, scopes: JSON.parse(row.scopes) };
+}
+
+/**
+ * Check whether scopes grant a scope, counting the ones each includes
+ * @param {string[]} scopes - Scopes held
+ * @param {string} scope - Scope needed
+ * @returns {boolean} True if granted
+ */
+export function hasScope(scopes, scope) {
+  const needed = API_SCOPES.indexOf(scope);
+  return scopes.some(held => API_SCOPES.indexOf(held) >= needed);
+}
+
+/**
+ * Create a token
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string} options.name - What the token is for (e.g. "scanner")
+ * @param {string[]} options.scopes - Scopes (see API_SCOPES)
+ * @param {number} options.expiresInDays - Expire after this many days
+ *   (default: never)
+ * @returns {Object} { token, secret } where secret is the token to send,
+ *   only available now, or { error }
+ */
+export function createToken(db, { name, scopes = ['read'], expiresInDays = null }) {
+  if (!name || !String(name).trim()) return { error: 'name is required' };
+  if (!Array.isArray(scopes) || scopes.length === 0) return { error: 'At least one scope is required' };
+  const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+  if (unknown.length) return { error: `Unknown scopes: ${unknown.join(', ')}. Use ${API_SCOPES.join(', ')}` };
+
+  let expiresAt = null;
+  if (expiresInDays !== null && expiresInDays !== undefined) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) return { error: 'expiresInDays must be a positive number' };
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const secret = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const result = db.prepare(`
+    INSERT INTO api_tokens (name, token_hash, prefix, scopes, expires_at) VALUES (?, ?, ?, ?, ?)
+  `).run(String(name).trim(), hashToken(secret), secret.slice(0, DISPLAY_PREFIX_LENGTH), JSON.stringify([...new Set(scopes)]), expiresAt);
+
+  return { token: getToken(db, result.lastInsertRowid), secret };
+}
+
+/**
+ * Get a token by ID
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Token ID
+ * @returns {Object|null} Token (without its hash)
+ */
+export function getToken(db, id) {
+  const row = db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(id);
+  return row ? toToken(row) : null;
+}
+
+/**
+ * List tokens, newest first
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {boolean} options.includeRevoked - Also list revoked tokens
+ * @returns {Object[]} Tokens (without their hashes)
+ */
+export function listTokens(db, { includeRevoked = false } = {}) {
+  return db.prepare(`
+    SELECT * FROM api_tokens ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'} ORDER BY id DESC
+  `).all().map(toToken);
+}
+
+/**
+ * Revoke a token, by ID or by the prefix shown in lists
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number|string} idOrPrefix - Token ID or prefix
+ * @returns {Object} { token } or { error }
+ */
+export function revokeToken(db, idOrPrefix) {
+  const key = String(idOrPrefix || '');
+  const rows = /^\d+$/.test(key)
+    ? db.prepare('SELECT * FROM api_tokens WHERE id = ?').all(Number(key))
+    : db.prepare('SELECT * FROM api_tokens WHERE prefix LIKE ? AND revoked_at IS NULL').all(`${key}%`);
+
+  if (rows.length === 0) return { error: `No token matches ${key}` };
+  if (rows.length > 1) return { error: `${rows.length} tokens match ${key}; use the ID` };
+  if (rows[0].revoked_at) return { error: `Token ${rows[0].id} is already revoked` };
+
+  db.prepare('UPDATE api_tokens SET revoked_at = ? WHERE id = ?').run(new Date().toISOString(), rows[0].id);
+  return { token: getToken(db, rows[0].id) };
+}
+
+/**
+ * Look up the token a request presented
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} secret - Token as sent
+ * @returns {Object|null} Token, or null if unknown, revoked or expired
+ */
+export function verifyToken(db, secret) {
+  if (!secret || !String(secret).startsWith(TOKEN_PREFIX)) return null;
+
+  const row = db.prepare('SELECT * FROM api_tokens WHERE token_hash = ?').get(hashToken(String(secret)));
+  if (!row || row.revoked_at) return null;
+  const now = new Date();
+  if (row.expires_at && row.expires_at <= now.toISOString()) return null;
+
+  if (!row.last_used_at || now - new Date(row.last_used_at) > LAST_USED_RESOLUTION_MS) {
+    db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(now.toISOString(), row.id);
+    row.last_used_at = now.toISOString();
+  }
+  return toToken(row);
+}
+
+export default {
+  API_SCOPES,
+  hasScope,
+  createToken,
+  getToken,
+  listTokens,
+  revokeToken,
+  verifyToken
+};
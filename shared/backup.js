@@ -0,0 +1,429 @@
+/**
+ * Workspace Backup and Restore
+ *
+ * A backup is one gzipped tar archive holding everything a job search
+ * lives in:
+ * - server/jobs.db - A consistent snapshot taken with SQLite's online
+ *   backup API, so it is safe to take while the server is running
+ * - applications/ - Cover letters, emails, research notes and PDFs
+ * - config/*.json - Profile, search, scoring and source settings
+ * - data/ - Legacy rejected companies and the server's token log
+ * - server/token-usage.json - The MCP server's token log
+ *
+ * `manifest.json`, the first entry, records the schema version and a
+ * SHA-256 for every file. Restoring checks the manifest, every checksum
+ * and the schema version before anything on disk is replaced.
+ *
+ * The archive is a plain tar.gz, so `tar -xzf` can also unpack it.
+ *
+ * @module shared/backup
+ */
+
+import fs from 'fs';
+import { join, dirname, relative, sep } from 'path';
+import { gzipSync, gunzipSync } from 'zlib';
+import { createHash } from 'crypto';
+import { getSchemaVersion, listAppliedMigrations, LATEST_VERSION } from './migrate.js';
+
+/**
+ * Value of `format` in every backup manifest
+ */
+export const BACKUP_FORMAT = 'prowla-backup';
+
+/**
+ * Manifest layout version; bump when the archive layout changes
+ */
+export const FORMAT_VERSION = 1;
+
+/**
+ * Where the database is kept in an archive, and where it lives relative
+ * to the data directory unless it has been moved (see shared/config.js)
+ */
+export const DATABASE_PATH = 'server/jobs.db';
+
+/**
+ * Workspace files included in a backup, relative to the data directory.
+ * Restoring replaces exactly the files these rules match.
+ */
+const WORKSPACE = [
+  { dir: 'applications', recursive: true },
+  { dir: 'config', match: name => name.endsWith('.json') },
+  { dir: 'data', recursive: true },
+  { file: 'server/token-usage.json' }
+];
+
+/**
+ * SHA-256 of a buffer as hex
+ * @param {Buffer} data - Contents
+ * @returns {string} Hash
+ */
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Project-relative path with forward slashes
+ * @param {string} rootDir - Data directory
+ * @param {string} path - Absolute path
+ * @returns {string} Relative path
+ */
+function toArchivePath(rootDir, path) {
+  return relative(rootDir, path).split(sep).join('/');
+}
+
+/**
+ * List workspace files that exist on disk
+ *
+ * @param {string} rootDir - Data directory
+ * @returns {string[]} Project-relative paths, sorted
+ */
+export function listWorkspaceFiles(rootDir) {
+  const files = [];
+
+  const walk = (dir, rule) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory() && rule.recursive) {
+        walk(path, rule);
+      } else if (entry.isFile() && (!rule.match || rule.match(entry.name))) {
+        files.push(toArchivePath(rootDir, path));
+      }
+    }
+  };
+
+  for (const rule of WORKSPACE) {
+    if (rule.file) {
+      if (fs.existsSync(join(rootDir, rule.file))) files.push(rule.file);
+    } else {
+      walk(join(rootDir, rule.dir), rule);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Whether a backup may write to this path on restore
+ * @param {string} path - Project-relative path from a manifest
+ * @returns {boolean} True if it is inside the workspace
+ */
+function isWorkspacePath(path) {
+  if (path.startsWith('/') || path.split('/').some(part => part === '..' || part === '')) return false;
+  return WORKSPACE.some(rule => rule.file
+    ? path === rule.file
+    : path.startsWith(`${rule.dir}/`) && (rule.recursive || !path.slice(rule.dir.length + 1).includes('/')) &&
+      (!rule.match || rule.match(path.split('/').pop())));
+}
+
+/**
+ * Build a 512-byte ustar header
+ * @param {string} name - Entry path
+ * @param {number} size - Entry size in bytes
+ * @param {Date} mtime - Modification time
+ * @returns {Buffer} Header block
+ */
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(512);
+  let prefix = '';
+  let base = name;
+  // Names over 100 bytes are split into a prefix (up to 155) and a name
+  if (Buffer.byteLength(name) > 100) {
+    const cut = name.lastIndexOf('/', 155);
+    prefix = name.slice(0, cut);
+    base = name.slice(cut + 1);
+    if (cut <= 0 || Buffer.byteLength(base) > 100 || Buffer.byteLength(prefix) > 155) {
+      throw new Error(`Path too long for backup: ${name}`);
+    }
+  }
+
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+  header.write(base, 0, 100);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return header;
+}
+
+/**
+ * Pack entries into a tar archive
+ * @param {Object[]} entries - { name, data }
+ * @param {Date} mtime - Modification time for every entry
+ * @returns {Buffer} Tar archive
+ */
+function packTar(entries, mtime) {
+  const blocks = [];
+  for (const { name, data } of entries) {
+    blocks.push(tarHeader(name, data.length, mtime), data);
+    const padding = (512 - (data.length % 512)) % 512;
+    if (padding) blocks.push(Buffer.alloc(padding));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Read the regular files out of a tar archive
+ * @param {Buffer} archive - Tar archive
+ * @returns {Map<string, Buffer>} Contents by path
+ */
+function unpackTar(archive) {
+  const entries = new Map();
+  const field = (header, start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+
+  let offset = 0;
+  while (offset + 512 <= archive.length) {
+    const header = archive.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const name = field(header, 0, 100);
+    const prefix = field(header, 345, 155);
+    const size = parseInt(field(header, 124, 12).trim() || '0', 8);
+    const type = field(header, 156, 1);
+    offset += 512;
+
+    // Regular files only; directories and extended headers are skipped
+    if (type === '0' || type === '') {
+      const path = (prefix ? `${prefix}/${name}` : name).replace(/^\.\//, '');
+      entries.set(path, archive.subarray(offset, offset + size));
+    }
+    offset += Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+/**
+ * Timestamp for backup file names
+ * @param {Date} date - When
+ * @returns {string} YYYYMMDD-HHMMSS (UTC)
+ */
+function fileStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+/**
+ * Write a backup of the workspace
+ *
+ * @param {import('better-sqlite3').Database} db - Open database connection
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Data directory
+ * @param {string} options.outDir - Folder to write the archive to
+ * @param {string} options.label - Added to the file name (e.g. "pre-restore")
+ * @returns {Promise<Object>} { path, file, size, manifest }
+ */
+export async function createBackup(db, { rootDir, outDir, label = null }) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const now = new Date();
+  const file = `prowla-backup-${fileStamp(now)}${label ? `-${label}` : ''}.tar.gz`;
+
+  // Online backup: a consistent copy even while other connections write
+  const snapshotPath = join(outDir, `.${file}.db`);
+  let database;
+  try {
+    await db.backup(snapshotPath);
+    database = fs.readFileSync(snapshotPath);
+  } finally {
+    fs.rmSync(snapshotPath, { force: true });
+  }
+
+  const files = listWorkspaceFiles(rootDir).map(path => {
+    const data = fs.readFileSync(join(rootDir, path));
+    return { path, data, size: data.length, sha256: sha256(data) };
+  });
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    format_version: FORMAT_VERSION,
+    created_at: now.toISOString(),
+    schema_version: getSchemaVersion(db),
+    migrations: listAppliedMigrations(db).map(({ version, name }) => ({ version, name })),
+    job_count: db.prepare('SELECT COUNT(*) AS count FROM jobs').get().count,
+    database: { path: DATABASE_PATH, size: database.length, sha256: sha256(database) },
+    files: files.map(({ path, size, sha256: hash }) => ({ path, size, sha256: hash }))
+  };
+
+  const archive = gzipSync(packTar([
+    { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) },
+    { name: DATABASE_PATH, data: database },
+    ...files.map(({ path, data }) => ({ name: path, data }))
+  ], now));
+
+  const path = join(outDir, file);
+  fs.writeFileSync(path, archive);
+  return { path, file, size: archive.length, manifest };
+}
+
+/**
+ * Read and check a backup archive without changing anything
+ *
+ * Checks the manifest format, that the schema version is one this code
+ * can run (older versions are upgraded on the next start), that every
+ * path stays inside the workspace, and every file's size and checksum.
+ *
+ * @param {string} archivePath - Path to a .tar.gz backup
+ * @returns {Object} { manifest, entries, errors } - entries maps path to
+ *   contents; errors is empty when the backup is usable
+ */
+export function readBackup(archivePath) {
+  let entries;
+  try {
+    entries = unpackTar(gunzipSync(fs.readFileSync(archivePath)));
+  } catch (error) {
+    return { manifest: null, entries: new Map(), errors: [`Not a readable backup archive: ${error.message}`] };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(entries.get('manifest.json')?.toString('utf8'));
+  } catch {
+    return { manifest: null, entries, errors: ['manifest.json is missing or not valid JSON'] };
+  }
+
+  const errors = [];
+  if (manifest?.format !== BACKUP_FORMAT) {
+    errors.push('Not a ProwlA backup (manifest format)');
+    return { manifest, entries, errors };
+  }
+  if (manifest.format_version > FORMAT_VERSION) {
+    errors.push(`Backup format ${manifest.format_version} is newer than this code supports (${FORMAT_VERSION}). Update ProwlA.`);
+  }
+  if (!Number.isInteger(manifest.schema_version) || manifest.schema_version < 1) {
+    errors.push('Manifest has no schema version');
+  } else if (manifest.schema_version > LATEST_VERSION) {
+    errors.push(`Backup schema version ${manifest.schema_version} is newer than this code supports (${LATEST_VERSION}). Update ProwlA.`);
+  }
+
+  const expected = [
+    ...(manifest.database ? [{ ...manifest.database, path: DATABASE_PATH }] : []),
+    ...(manifest.files || [])
+  ];
+  if (!manifest.database) errors.push('Manifest has no database');
+  if (!Array.isArray(manifest.files)) errors.push('Manifest has no file list');
+
+  for (const file of expected) {
+    if (file.path !== DATABASE_PATH && !isWorkspacePath(file.path)) {
+      errors.push(`Refusing to restore outside the workspace: ${file.path}`);
+      continue;
+    }
+    const data = entries.get(file.path);
+    if (!data) {
+      errors.push(`Missing from archive: ${file.path}`);
+    } else if (data.length !== file.size || sha256(data) !== file.sha256) {
+      errors.push(`Checksum mismatch: ${file.path}`);
+    }
+  }
+
+  return { manifest, entries, errors };
+}
+
+/**
+ * Restore a backup over the current workspace
+ *
+ * Nothing is replaced unless the archive passes readBackup and its
+ * database opens, passes an integrity check and has the schema version
+ * the manifest claims. Stop the server and MCP server first: the database
+ * file is replaced on disk.
+ *
+ * @param {string} archivePath - Path to a .tar.gz backup
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Data directory
+ * @param {string} options.dbPath - Database file to replace (default:
+ *   DATABASE_PATH under rootDir)
+ * @param {Function} options.openDatabase - Opens a database file (e.g.
+ *   `path => new Database(path)` with better-sqlite3)
+ * @param {boolean} options.dryRun - Validate only
+ * @returns {Object} { manifest, restored_files, removed_files, dry_run }
+ *   or { error, errors }
+ */
+export function restoreBackup(archivePath, { rootDir, dbPath = join(rootDir, DATABASE_PATH), openDatabase, dryRun = false }) {
+  const { manifest, entries, errors } = readBackup(archivePath);
+  if (errors.length) {
+    return { error: 'Backup failed validation', errors };
+  }
+
+  // Check the database itself before touching anything
+  fs.mkdirSync(dirname(dbPath), { recursive: true });
+  const stagedDb = `${dbPath}.restore`;
+  fs.writeFileSync(stagedDb, entries.get(DATABASE_PATH));
+
+  let problem = null;
+  try {
+    const snapshot = openDatabase(stagedDb);
+    try {
+      const integrity = snapshot.pragma('integrity_check', { simple: true });
+      const version = getSchemaVersion(snapshot);
+      if (integrity !== 'ok') {
+        problem = `Database integrity check failed: ${integrity}`;
+      } else if (version !== manifest.schema_version) {
+        problem = `Database schema version ${version} doesn't match the manifest (${manifest.schema_version})`;
+      }
+    } finally {
+      snapshot.close();
+    }
+  } catch (error) {
+    problem = `Database can't be opened: ${error.message}`;
+  }
+  if (problem || dryRun) fs.rmSync(stagedDb, { force: true });
+  if (problem) {
+    return { error: 'Backup failed validation', errors: [problem] };
+  }
+
+  const current = listWorkspaceFiles(rootDir);
+  const restoring = new Set(manifest.files.map(file => file.path));
+  const removed = current.filter(path => !restoring.has(path));
+
+  if (dryRun) {
+    return { manifest, restored_files: manifest.files.length, removed_files: removed, dry_run: true };
+  }
+
+  // Swap in the database; stale WAL files would be replayed over it
+  for (const suffix of ['-wal', '-shm']) fs.rmSync(`${dbPath}${suffix}`, { force: true });
+  fs.renameSync(stagedDb, dbPath);
+
+  for (const path of removed) fs.rmSync(join(rootDir, path), { force: true });
+  for (const file of manifest.files) {
+    const target = join(rootDir, file.path);
+    fs.mkdirSync(dirname(target), { recursive: true });
+    fs.writeFileSync(target, entries.get(file.path));
+  }
+
+  return { manifest, restored_files: manifest.files.length, removed_files: removed, dry_run: false };
+}
+
+/**
+ * List backups in a folder, newest first
+ *
+ * @param {string} dir - Backups folder
+ * @returns {Object[]} { file, size, created_at }
+ */
+export function listBackups(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => /^prowla-backup-.*\.tar\.gz$/.test(file))
+    .map(file => {
+      const stat = fs.statSync(join(dir, file));
+      return { file, size: stat.size, created_at: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+export default {
+  BACKUP_FORMAT,
+  FORMAT_VERSION,
+  DATABASE_PATH,
+  listWorkspaceFiles,
+  createBackup,
+  readBackup,
+  restoreBackup,
+  listBackups
+};
@@ -0,0 +1,257 @@
+/**
+ * Calendar Feed
+ *
+ * Builds an iCalendar (RFC 5545) feed of the tracker's dates so a
+ * calendar client can subscribe to it:
+ * - interviews - Each scheduled interview round, at its time
+ * - followups - All-day event on each job's follow-up date (or the
+ *   suggested one, see shared/followups.js)
+ * - applied - All-day event on each job's applied date
+ *
+ * Every event has a UID derived from the job or interview ID, so clients
+ * update events in place when dates move instead of duplicating them.
+ *
+ * @module shared/calendar
+ */
+
+import { DEFAULT_FOLLOW_UP_DAYS, listFollowups } from './followups.js';
+import { PRIORITIES } from './schemas.js';
+
+/**
+ * Kinds of events in the feed
+ * @type {string[]}
+ */
+export const EVENT_KINDS = ['interviews', 'followups', 'applied'];
+
+// UID domain; UIDs must stay the same forever or clients duplicate events
+const UID_DOMAIN = 'prowla';
+
+// Interviews without a duration are shown as an hour long
+const DEFAULT_DURATION_MINUTES = 60;
+
+// How far ahead to include suggested and set follow-ups
+const FOLLOW_UP_HORIZON_DAYS = 366;
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 3.1), without splitting
+ * a multi-byte character
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * YYYY-MM-DD (or a timestamp starting with one) as an iCalendar DATE
+ * @param {string} date - Date
+ * @returns {string} YYYYMMDD
+ */
+function formatDate(date) {
+  return date.slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Timestamp as an iCalendar UTC DATE-TIME
+ * @param {string|Date} value - ISO timestamp, SQLite timestamp or Date
+ * @returns {string} YYYYMMDDTHHMMSSZ
+ */
+function formatDateTime(value) {
+  const date = value instanceof Date
+    ? value
+    : new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * The day after a YYYY-MM-DD date, for all-day DTEND
+ * @param {string} date - Date
+ * @returns {string} YYYYMMDD
+ */
+function nextDay(date) {
+  const day = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return formatDate(day.toISOString());
+}
+
+/**
+ * Job label used in event summaries
+ * @param {Object} job - Row with company and role
+ * @returns {string} "Company — Role"
+ */
+function jobLabel(job) {
+  return `${job.company} — ${job.role}`;
+}
+
+/**
+ * Collect calendar events from the database
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Filters
+ * @param {string[]} options.kinds - Subset of EVENT_KINDS (default: all)
+ * @param {string} options.priority - Only jobs with this priority (a key
+ *   of PRIORITIES or the full priority value)
+ * @param {number} options.afterDays - Days after applying to suggest a
+ *   follow-up (default: DEFAULT_FOLLOW_UP_DAYS)
+ * @returns {Object[]} Events with uid, summary, start/end (all-day dates
+ *   or timestamps), allDay, description, location, url, status, stamp
+ */
+export function getCalendarEvents(db, { kinds = EVENT_KINDS, priority = null, afterDays = DEFAULT_FOLLOW_UP_DAYS } = {}) {
+  const wantedPriority = priority ? PRIORITIES[priority.toLowerCase()] || priority : null;
+  const matchesPriority = job => !wantedPriority || job.priority === wantedPriority;
+  const events = [];
+
+  if (kinds.includes('interviews')) {
+    const interviews = db.prepare(`
+      SELECT i.*, j.company, j.role, j.priority, j.apply_url
+      FROM interviews i JOIN jobs j ON j.id = i.job_id
+      WHERE j.deleted_at IS NULL AND i.scheduled_at IS NOT NULL
+      ORDER BY i.scheduled_at, i.id
+    `).all().filter(matchesPriority);
+
+    for (const interview of interviews) {
+      const start = new Date(interview.scheduled_at);
+      if (isNaN(start)) continue;
+      const end = new Date(start.getTime() + (interview.duration_minutes || DEFAULT_DURATION_MINUTES) * 60000);
+      const interviewers = db.prepare('SELECT name FROM interview_interviewers WHERE interview_id = ? ORDER BY id')
+        .all(interview.id).map(row => row.name);
+
+      events.push({
+        uid: `interview-${interview.id}@${UID_DOMAIN}`,
+        summary: `Interview round ${interview.round} (${interview.type}): ${jobLabel(interview)}`,
+        start,
+        end,
+        allDay: false,
+        description: [
+          interviewers.length ? `With: ${interviewers.join(', ')}` : null,
+          interview.outcome !== 'pending' ? `Outcome: ${interview.outcome}` : null,
+          interview.prep_notes
+        ].filter(Boolean).join('\n\n'),
+        location: interview.location,
+        url: interview.apply_url,
+        status: interview.outcome === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+        stamp: interview.updated_at
+      });
+    }
+  }
+
+  if (kinds.includes('followups')) {
+    const followups = listFollowups(db, { afterDays, aheadDays: FOLLOW_UP_HORIZON_DAYS }).filter(matchesPriority);
+    for (const job of followups) {
+      events.push({
+        uid: `job-${job.id}-followup@${UID_DOMAIN}`,
+        summary: `Follow up: ${jobLabel(job)}`,
+        start: job.due_date,
+        end: nextDay(job.due_date),
+        allDay: true,
+        description: job.suggested
+          ? `Suggested ${afterDays} days after applying (${job.applied_date}). Status: ${job.status}`
+          : `Status: ${job.status}`,
+        url: job.apply_url,
+        status: 'CONFIRMED',
+        stamp: null
+      });
+    }
+  }
+
+  if (kinds.includes('applied')) {
+    const applied = db.prepare(`
+      SELECT id, company, role, status, priority, apply_url, applied_date, updated_at
+      FROM jobs
+      WHERE deleted_at IS NULL AND IFNULL(applied_date, '') != ''
+      ORDER BY applied_date, id
+    `).all().filter(matchesPriority);
+
+    for (const job of applied) {
+      events.push({
+        uid: `job-${job.id}-applied@${UID_DOMAIN}`,
+        summary: `Applied: ${jobLabel(job)}`,
+        start: job.applied_date.slice(0, 10),
+        end: nextDay(job.applied_date),
+        allDay: true,
+        description: `Status: ${job.status}`,
+        url: job.apply_url,
+        status: 'CONFIRMED',
+        stamp: job.updated_at
+      });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Render events as an iCalendar document
+ *
+ * @param {Object[]} events - From getCalendarEvents
+ * @param {Object} options - Options
+ * @param {string} options.name - Calendar name shown by clients
+ * @param {Date} options.now - DTSTAMP for events without one
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+export function renderCalendar(events, { name = 'ProwlA', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ProwlA//Job Tracker//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(event.stamp || now)}`
+    );
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${event.end}`);
+      lines.push('TRANSP:TRANSPARENT');
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`, `DTEND:${formatDateTime(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push(`STATUS:${event.status}`, 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export default {
+  EVENT_KINDS,
+  getCalendarEvents,
+  renderCalendar
+};
@@ -0,0 +1,605 @@
+/**
+ * Companies
+ *
+ * A company can have several open roles. Each job belongs to one row in
+ * the `companies` table, which holds the research shared by all of its
+ * jobs. Alternative spellings ("Acme, Inc." for "Acme") are stored as
+ * aliases so jobs from different sources land on the same company.
+ *
+ * Files on disk:
+ * - applications/<company-slug>/notes.md - Shared company research
+ * - applications/<company-slug>/job-<id>/ - Cover letter, email and PDF
+ *   for one job
+ *
+ * Used by the Express server, the MCP server and migration 005.
+ *
+ * @module shared/companies
+ */
+
+import fs from 'fs';
+import { join, dirname } from 'path';
+
+/**
+ * Legal suffixes ignored when comparing company names
+ * @type {string[]}
+ */
+const COMPANY_SUFFIXES = ['inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'gmbh', 'plc', 'sa', 'bv'];
+
+/**
+ * Fields that can be changed with updateCompany
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = ['name', 'website', 'notes'];
+
+/**
+ * Generate a slug for file paths and task filenames
+ * @param {string} text - Company name
+ * @returns {string} URL-safe slug (e.g., "Acme AI" -> "acme-ai")
+ */
+export function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Normalize a company name for matching
+ *
+ * Case, punctuation and legal suffixes are ignored, so "Acme, Inc." and
+ * "ACME" give the same key.
+ *
+ * @param {string} name - Company name
+ * @returns {string} Match key
+ */
+export function companyKey(name) {
+  const words = slugify(name || '').split('-').filter(Boolean);
+  while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(' ');
+}
+
+/**
+ * Normalize a role title for duplicate detection
+ * @param {string} role - Role title
+ * @returns {string} Lowercase words separated by single spaces
+ */
+export function roleKey(role) {
+  return String(role || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Normalize an apply URL for duplicate detection
+ *
+ * Drops the protocol, "www.", fragments, tracking parameters and trailing
+ * slashes. Other query parameters are kept because job boards often use
+ * them to identify the posting.
+ *
+ * @param {string} url - Apply URL
+ * @returns {string|null} Normalized URL
+ */
+export function urlKey(url) {
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (e) {
+    return String(url).trim().toLowerCase() || null;
+  }
+  for (const param of [...parsed.searchParams.keys()]) {
+    if (/^utm_|^(ref|source|src)$/i.test(param)) parsed.searchParams.delete(param);
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  const search = parsed.searchParams.toString();
+  return `${host}${pathname}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Relative paths of a job's files
+ * @param {string} companySlug - Company slug
+ * @param {number} jobId - Job ID
+ * @returns {Object} { dir, cover_letter, email, cover_letter_pdf, notes }
+ */
+export function jobMaterialsPaths(companySlug, jobId) {
+  const dir = `applications/${companySlug}/job-${jobId}`;
+  return {
+    dir,
+    cover_letter: `${dir}/cover-letter.md`,
+    email: `${dir}/email.md`,
+    cover_letter_pdf: `${dir}/cover-letter.pdf`,
+    notes: `applications/${companySlug}/notes.md`
+  };
+}
+
+/**
+ * Relative paths of an existing job's files
+ *
+ * Uses the paths stored on the job, falling back to the default layout
+ * for jobs created without them.
+ *
+ * @param {Object} job - Job row
+ * @returns {Object} { dir, cover_letter, email, cover_letter_pdf, notes }
+ */
+export function jobFiles(job) {
+  const defaults = jobMaterialsPaths(slugify(job.company), job.id);
+  const coverLetter = job.cover_letter || defaults.cover_letter;
+  const dir = dirname(coverLetter);
+  return {
+    dir,
+    cover_letter: coverLetter,
+    email: job.email || defaults.email,
+    cover_letter_pdf: `${dir}/cover-letter.pdf`,
+    notes: job.notes || defaults.notes
+  };
+}
+
+/**
+ * Pick a slug no other company uses
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} name - Company name
+ * @returns {string} Unique slug
+ */
+function uniqueSlug(db, name) {
+  const base = slugify(name) || 'company';
+  let slug = base;
+  for (let n = 2; db.prepare('SELECT 1 FROM companies WHERE slug = ?').get(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+/**
+ * Get a company by ID with its aliases and job counts
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Company ID
+ * @returns {Object|undefined} Company
+ */
+export function getCompany(db, id) {
+  const company = db.prepare(`
+    SELECT c.*,
+      (SELECT COUNT(*) FROM jobs j WHERE j.company_id = c.id AND j.deleted_at IS NULL) AS job_count
+    FROM companies c WHERE c.id = ?
+  `).get(id);
+  if (!company) return undefined;
+
+  company.aliases = db.prepare(
+    'SELECT id, alias, created_at FROM company_aliases WHERE company_id = ? ORDER BY alias'
+  ).all(id);
+  return company;
+}
+
+/**
+ * Find a company by name or alias
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} name - Company name or alias
+ * @returns {Object|undefined} Company row
+ */
+export function findCompany(db, name) {
+  const key = companyKey(name);
+  if (!key) return undefined;
+  return db.prepare(`
+    SELECT * FROM companies WHERE name_key = ?
+    UNION
+    SELECT c.* FROM companies c JOIN company_aliases a ON a.company_id = c.id WHERE a.alias_key = ?
+    LIMIT 1
+  `).get(key, key);
+}
+
+/**
+ * Find a company by name or alias, creating it if it doesn't exist
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} name - Company name
+ * @returns {Object} Company row
+ */
+export function ensureCompany(db, name) {
+  const existing = findCompany(db, name);
+  if (existing) return existing;
+
+  const trimmed = String(name).trim();
+  const result = db.prepare(
+    'INSERT INTO companies (name, name_key, slug) VALUES (?, ?, ?)'
+  ).run(trimmed, companyKey(trimmed), uniqueSlug(db, trimmed));
+  return db.prepare('SELECT * FROM companies WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * List companies with job counts
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Filter options
+ * @param {string} options.search - Only companies whose name contains this text
+ * @param {boolean} options.includeEmpty - Include companies with no active jobs (default: false)
+ * @returns {Object[]} Companies sorted by name
+ */
+export function listCompanies(db, { search = null, includeEmpty = false } = {}) {
+  let query = `
+    SELECT c.*,
+      (SELECT COUNT(*) FROM jobs j WHERE j.company_id = c.id AND j.deleted_at IS NULL) AS job_count,
+      (SELECT json_group_array(alias) FROM company_aliases a WHERE a.company_id = c.id) AS aliases
+    FROM companies c WHERE 1=1
+  `;
+  const params = [];
+
+  if (search) {
+    query += ' AND c.name LIKE ?';
+    params.push(`%${search}%`);
+  }
+  if (!includeEmpty) {
+    query += ' AND EXISTS (SELECT 1 FROM jobs j WHERE j.company_id = c.id AND j.deleted_at IS NULL)';
+  }
+
+  query += ' ORDER BY c.name COLLATE NOCASE';
+  return db.prepare(query).all(...params).map(company => ({
+    ...company,
+    aliases: JSON.parse(company.aliases)
+  }));
+}
+
+/**
+ * List a company's jobs
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} companyId - Company ID
+ * @param {Object} options - Filter options
+ * @param {boolean} options.includeTrashed - Include trashed jobs (default: false)
+ * @returns {Object[]} Jobs, newest first
+ */
+export function getCompanyJobs(db, companyId, { includeTrashed = false } = {}) {
+  const trashed = includeTrashed ? '' : ' AND deleted_at IS NULL';
+  return db.prepare(
+    `SELECT * FROM jobs WHERE company_id = ?${trashed} ORDER BY created_at DESC, id DESC`
+  ).all(companyId);
+}
+
+/**
+ * Update a company
+ *
+ * Renaming keeps the old name as an alias and renames the company's jobs.
+ * The slug never changes, so files on disk stay where they are.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Company ID
+ * @param {Object} updates - Fields to change (name, website, notes)
+ * @returns {Object} { company } or { error }
+ */
+export function updateCompany(db, id, updates) {
+  const existing = db.prepare('SELECT * FROM companies WHERE id = ?').get(id);
+  if (!existing) return { error: 'Company not found' };
+  if (updates.name !== undefined && (typeof updates.name !== 'string' || !companyKey(updates.name))) {
+    return { error: 'name is required' };
+  }
+
+  const setters = [];
+  const params = [];
+  for (const field of UPDATABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      setters.push(`${field} = ?`);
+      params.push(updates[field]);
+    }
+  }
+  if (setters.length === 0) return { error: 'No fields to update' };
+
+  const rename = updates.name !== undefined && updates.name !== existing.name;
+  if (rename) {
+    const name = updates.name.trim();
+    const other = findCompany(db, name);
+    if (other && other.id !== existing.id) {
+      return { error: `Another company already uses that name: ${other.name}`, company_id: other.id };
+    }
+    params[setters.indexOf('name = ?')] = name;
+    setters.push('name_key = ?');
+    params.push(companyKey(name));
+  }
+
+  db.transaction(() => {
+    setters.push("updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')");
+    db.prepare(`UPDATE companies SET ${setters.join(', ')} WHERE id = ?`).run(...params, id);
+
+    if (rename) {
+      db.prepare('DELETE FROM company_aliases WHERE alias_key = ?').run(companyKey(updates.name));
+      addAlias(db, id, existing.name);
+      db.prepare('UPDATE jobs SET company = ?, updated_at = CURRENT_TIMESTAMP WHERE company_id = ?')
+        .run(updates.name.trim(), id);
+    }
+  })();
+
+  return { company: getCompany(db, id) };
+}
+
+/**
+ * Add an alias to a company
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} companyId - Company ID
+ * @param {string} alias - Alternative name
+ * @returns {Object} { alias, created } or { error }
+ */
+export function addAlias(db, companyId, alias) {
+  const key = companyKey(alias);
+  if (!key) return { error: 'alias is required' };
+
+  const owner = findCompany(db, alias);
+  if (owner && owner.id !== companyId) {
+    return { error: `Alias already belongs to ${owner.name}`, company_id: owner.id };
+  }
+  if (owner) {
+    // Either the company's own name or an existing alias
+    const row = db.prepare('SELECT * FROM company_aliases WHERE alias_key = ?').get(key);
+    return { alias: row || null, created: false };
+  }
+
+  const result = db.prepare(
+    'INSERT INTO company_aliases (company_id, alias, alias_key) VALUES (?, ?, ?)'
+  ).run(companyId, String(alias).trim(), key);
+  return {
+    alias: db.prepare('SELECT * FROM company_aliases WHERE id = ?').get(result.lastInsertRowid),
+    created: true
+  };
+}
+
+/**
+ * Remove an alias from a company
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} companyId - Company ID
+ * @param {number} aliasId - Alias ID
+ * @returns {Object|null} The removed alias, or null if not found
+ */
+export function removeAlias(db, companyId, aliasId) {
+  const alias = db.prepare('SELECT * FROM company_aliases WHERE id = ? AND company_id = ?').get(aliasId, companyId);
+  if (!alias) return null;
+  db.prepare('DELETE FROM company_aliases WHERE id = ?').run(aliasId);
+  return alias;
+}
+
+/**
+ * Merge one company into another
+ *
+ * Moves the source company's jobs, aliases and contacts to the target,
+ * keeps the source name as an alias, and deletes the source. Research is
+ * kept from the target, or taken from the source if the target has none.
+ * Job files stay where they are; their paths are stored on each job.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} targetId - Company to keep
+ * @param {number} sourceId - Company to merge into it
+ * @returns {Object} { company, moved_jobs } or { error }
+ */
+export function mergeCompanies(db, targetId, sourceId) {
+  if (Number(targetId) === Number(sourceId)) return { error: 'Cannot merge a company into itself' };
+
+  const target = db.prepare('SELECT * FROM companies WHERE id = ?').get(targetId);
+  const source = db.prepare('SELECT * FROM companies WHERE id = ?').get(sourceId);
+  if (!target || !source) return { error: 'Company not found' };
+
+  let movedJobs = 0;
+  db.transaction(() => {
+    db.prepare('UPDATE company_aliases SET company_id = ? WHERE company_id = ?').run(target.id, source.id);
+    db.prepare('UPDATE contacts SET company_id = ? WHERE company_id = ?').run(target.id, source.id);
+    movedJobs = db.prepare(
+      'UPDATE jobs SET company_id = ?, company = ?, updated_at = CURRENT_TIMESTAMP WHERE company_id = ?'
+    ).run(target.id, target.name, source.id).changes;
+
+    if (!target.research_notes && source.research_notes) {
+      db.prepare('UPDATE companies SET research_notes = ? WHERE id = ?').run(source.research_notes, target.id);
+    }
+    if (!target.website && source.website) {
+      db.prepare('UPDATE companies SET website = ? WHERE id = ?').run(source.website, target.id);
+    }
+
+    db.prepare('DELETE FROM companies WHERE id = ?').run(source.id);
+    addAlias(db, target.id, source.name);
+    db.prepare("UPDATE companies SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = ?").run(target.id);
+
+    // Every job now shares the target's research
+    const notes = db.prepare('SELECT research_notes FROM companies WHERE id = ?').get(target.id).research_notes;
+    if (notes) {
+      db.prepare('UPDATE jobs SET research_notes = ? WHERE company_id = ?').run(notes, target.id);
+    }
+  })();
+
+  return { company: getCompany(db, target.id), moved_jobs: movedJobs };
+}
+
+/**
+ * Save research for a company
+ *
+ * Research is shared by every job at the company, so it is copied to each
+ * job's research_notes as well.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} companyId - Company ID
+ * @param {string} notes - Research markdown
+ * @returns {number[]} IDs of the company's jobs
+ */
+export function saveCompanyResearch(db, companyId, notes) {
+  db.prepare(`
+    UPDATE companies SET research_notes = ?, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    WHERE id = ?
+  `).run(notes, companyId);
+  db.prepare('UPDATE jobs SET research_notes = ? WHERE company_id = ?').run(notes, companyId);
+  return db.prepare('SELECT id FROM jobs WHERE company_id = ?').all(companyId).map(row => row.id);
+}
+
+/**
+ * Attach a newly created job to its company
+ *
+ * Finds or creates the company, stores the canonical company name on the
+ * job and points the job's file paths at its own directory.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {Object} paths - Paths supplied by the caller (cover_letter, email, notes)
+ * @returns {Object} { company, job }
+ */
+export function attachJobToCompany(db, jobId, paths = {}) {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  const company = ensureCompany(db, job.company);
+  const defaults = jobMaterialsPaths(company.slug, job.id);
+
+  db.prepare(`
+    UPDATE jobs SET company_id = ?, company = ?, cover_letter = ?, email = ?, notes = ?
+    WHERE id = ?
+  `).run(
+    company.id,
+    company.name,
+    paths.cover_letter || defaults.cover_letter,
+    paths.email || defaults.email,
+    paths.notes || defaults.notes,
+    job.id
+  );
+
+  // Research supplied with the job becomes the company's research;
+  // otherwise the job picks up whatever the company already has
+  if (job.research_notes) {
+    saveCompanyResearch(db, company.id, job.research_notes);
+  } else if (company.research_notes) {
+    db.prepare('UPDATE jobs SET research_notes = ? WHERE id = ?').run(company.research_notes, job.id);
+  }
+
+  return { company, job: db.prepare('SELECT * FROM jobs WHERE id = ?').get(job.id) };
+}
+
+/**
+ * Point a job at a different company after its company name changed
+ *
+ * The job keeps its materials folder but switches to the new company's
+ * research.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {string} companyName - New company name
+ * @returns {Object} Company row
+ */
+export function reassignJobCompany(db, jobId, companyName) {
+  const company = ensureCompany(db, companyName);
+  db.prepare(`
+    UPDATE jobs SET company_id = ?, company = ?, notes = ?, research_notes = ? WHERE id = ?
+  `).run(company.id, company.name, jobMaterialsPaths(company.slug, jobId).notes, company.research_notes, jobId);
+  return company;
+}
+
+/**
+ * Find an existing job for the same posting
+ *
+ * A job is a duplicate if it has the same apply URL, or the same role at
+ * the same company (including aliases). Different roles at one company
+ * are not duplicates. Trashed jobs are included so deleted postings
+ * aren't re-added.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} job - Candidate job
+ * @param {string} job.company - Company name
+ * @param {string} job.role - Role title
+ * @param {string} job.apply_url - Apply URL
+ * @param {Object} options - Options
+ * @param {number} options.excludeId - Job ID to ignore (when checking an update)
+ * @returns {Object|null} { job, match: 'url'|'company_role', in_trash }
+ */
+export function findDuplicateJob(db, { company, role, apply_url } = {}, { excludeId = null } = {}) {
+  const found = (job, match) => ({ job, match, in_trash: !!job.deleted_at });
+
+  const url = urlKey(apply_url);
+  if (url) {
+    const candidates = db.prepare(
+      "SELECT * FROM jobs WHERE apply_url IS NOT NULL AND apply_url != '' AND id IS NOT ? ORDER BY id"
+    ).all(excludeId);
+    const match = candidates.find(candidate => urlKey(candidate.apply_url) === url);
+    if (match) return found(match, 'url');
+  }
+
+  const existingCompany = company ? findCompany(db, company) : null;
+  const role_ = roleKey(role);
+  if (existingCompany && role_) {
+    const candidates = db.prepare('SELECT * FROM jobs WHERE company_id = ? AND id IS NOT ? ORDER BY id')
+      .all(existingCompany.id, excludeId);
+    const match = candidates.find(candidate => roleKey(candidate.role) === role_);
+    if (match) return found(match, 'company_role');
+  }
+
+  return null;
+}
+
+/**
+ * Move materials from the old one-folder-per-company layout
+ *
+ * Before jobs had their own directories, cover-letter.md, email.md and
+ * cover-letter.pdf lived directly in applications/<company-slug>/. Each
+ * such file is moved into the directory of the company's most recently
+ * updated job. notes.md stays put: it is the company's shared research.
+ * Files are never overwritten, so this is safe to run at every startup.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} rootDir - Project root (the folder containing applications/)
+ * @returns {number} Number of files moved
+ */
+export function moveLegacyMaterials(db, rootDir) {
+  let moved = 0;
+  const companies = db.prepare('SELECT * FROM companies').all();
+
+  for (const company of companies) {
+    const jobs = getCompanyJobs(db, company.id, { includeTrashed: true });
+    if (jobs.length === 0) continue;
+
+    const target = [...jobs].sort((a, b) =>
+      String(b.updated_at).localeCompare(String(a.updated_at)) || b.id - a.id
+    )[0];
+    const files = jobFiles(target);
+
+    // The server's old slugs kept leading/trailing dashes, and aliases may
+    // have had their own folders
+    const legacyDirs = new Set([company.slug]);
+    for (const job of jobs) {
+      legacyDirs.add(slugify(job.company));
+      legacyDirs.add(job.company.toLowerCase().replace(/[^a-z0-9]+/g, '-'));
+    }
+
+    for (const legacyDir of legacyDirs) {
+      const from = join(rootDir, 'applications', legacyDir);
+      for (const [name, to] of [
+        ['cover-letter.md', files.cover_letter],
+        ['email.md', files.email],
+        ['cover-letter.pdf', files.cover_letter_pdf],
+        ['notes.md', files.notes]
+      ]) {
+        const source = join(from, name);
+        const destination = join(rootDir, to);
+        if (source === destination || !fs.existsSync(source) || fs.existsSync(destination)) continue;
+
+        fs.mkdirSync(dirname(destination), { recursive: true });
+        fs.renameSync(source, destination);
+        moved++;
+      }
+    }
+  }
+
+  return moved;
+}
+
+export default {
+  slugify,
+  companyKey,
+  roleKey,
+  urlKey,
+  jobMaterialsPaths,
+  jobFiles,
+  getCompany,
+  findCompany,
+  ensureCompany,
+  listCompanies,
+  getCompanyJobs,
+  updateCompany,
+  addAlias,
+  removeAlias,
+  mergeCompanies,
+  saveCompanyResearch,
+  attachJobToCompany,
+  reassignJobCompany,
+  findDuplicateJob,
+  moveLegacyMaterials
+};
@@ -0,0 +1,216 @@
+/**
+ * Configuration
+ *
+ * Where a ProwlA workspace keeps its data and where the API server
+ * listens, shared by the Express server, the MCP server and the scanner.
+ * Each setting is taken from the first of these that sets it:
+ * 1. Command-line flags: --data-dir, --db, --port, --host, --api-url
+ * 2. Environment variables: PROWLA_DATA_DIR, PROWLA_DB_PATH, PROWLA_PORT
+ *    (or PORT), PROWLA_HOST, PROWLA_API
+ * 3. A config file: --config <file>, PROWLA_CONFIG, or prowla.config.json
+ *    in the project root. Keys: dataDir, dbPath, port, host, apiUrl
+ * 4. Defaults: data in the checkout, the database at server/jobs.db,
+ *    127.0.0.1:3001
+ *
+ * The data directory holds everything a job search lives in:
+ * applications/, tasks/, config/*.json, data/ (including data/reports/)
+ * and backups/. The *.example.json files stay in the checkout's config/ as
+ * fallbacks. Unless dbPath says otherwise, a data directory outside the
+ * checkout keeps the database at its top level as jobs.db.
+ *
+ * Relative paths in the config file are resolved from the file's folder;
+ * on the command line or in the environment, from the working directory.
+ *
+ * @module shared/config
+ */
+
+import fs from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { validate, describeErrors } from './validation.js';
+
+/**
+ * The checkout ProwlA runs from
+ * @type {string}
+ */
+export const PROJECT_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Config file looked for in the project root
+ * @type {string}
+ */
+export const CONFIG_FILE_NAME = 'prowla.config.json';
+
+/** Port the API server listens on by default */
+export const DEFAULT_PORT = 3001;
+
+/** Address the API server binds to by default: only this machine */
+export const DEFAULT_HOST = '127.0.0.1';
+
+/** Where each setting can come from */
+const SETTINGS = [
+  { key: 'dataDir', flag: '--data-dir', env: ['PROWLA_DATA_DIR'], path: true },
+  { key: 'dbPath', flag: '--db', env: ['PROWLA_DB_PATH'], path: true },
+  { key: 'port', flag: '--port', env: ['PROWLA_PORT', 'PORT'] },
+  { key: 'host', flag: '--host', env: ['PROWLA_HOST'] },
+  { key: 'apiUrl', flag: '--api-url', env: ['PROWLA_API'] }
+];
+
+const settingsSchema = {
+  type: 'object',
+  properties: {
+    dataDir: { type: 'string', minLength: 1 },
+    dbPath: { type: 'string', minLength: 1 },
+    port: { type: 'integer', minimum: 1, maximum: 65535 },
+    host: { type: 'string', minLength: 1 },
+    apiUrl: { type: 'string', format: 'uri' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Value of a command-line flag, given as `--flag value` or `--flag=value`
+ * @param {string[]} argv - Arguments
+ * @param {string} flag - Flag
+ * @returns {string|null} Value (the last one if repeated), or null if absent
+ */
+function flagValue(argv, flag) {
+  let value = null;
+  argv.forEach((arg, index) => {
+    if (arg === flag) value = argv[index + 1] ?? '';
+    else if (arg.startsWith(`${flag}=`)) value = arg.slice(flag.length + 1);
+  });
+  if (value !== null && (value === '' || value.startsWith('--'))) {
+    throw new Error(`${flag} needs a value`);
+  }
+  return value;
+}
+
+/**
+ * Read and check a config file
+ * @param {string} path - File path
+ * @param {boolean} required - Fail if it doesn't exist
+ * @returns {Object|null} Settings, or null if there is no file
+ */
+function readConfigFile(path, required) {
+  if (!fs.existsSync(path)) {
+    if (required) throw new Error(`Config file not found: ${path}`);
+    return null;
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${path}: ${error.message}`);
+  }
+  const errors = validate(settingsSchema, settings);
+  if (errors.length > 0) throw new Error(`Invalid config file ${path}: ${describeErrors(errors)}`);
+  return settings;
+}
+
+/**
+ * Host to connect to for a bind address
+ * @param {string} host - Address the server binds to
+ * @returns {string} Host for a URL
+ */
+function connectHost(host) {
+  if (host === '0.0.0.0') return '127.0.0.1';
+  if (host === '::') return '[::1]';
+  return host.includes(':') ? `[${host}]` : host;
+}
+
+/**
+ * Work out the configuration
+ *
+ * @param {Object} options - Options
+ * @param {string[]} options.argv - Command-line arguments (flags this
+ *   module doesn't know are ignored)
+ * @param {Object} options.env - Environment variables
+ * @param {string} options.cwd - Directory relative paths are resolved from
+ *   (npm scripts run in a package folder, so INIT_CWD if npm set it)
+ * @returns {Object} { rootDir, dataDir, dbPath, port, host, apiUrl,
+ *   configFile (null if none was read), applicationsDir, tasksDir,
+ *   configDir, backupsDir, reportsDir }
+ * @throws {Error} If a setting is invalid or a named config file is missing
+ */
+export function loadConfig({
+  argv = process.argv.slice(2),
+  env = process.env,
+  cwd = env.INIT_CWD || process.cwd()
+} = {}) {
+  const namedFile = flagValue(argv, '--config') || env.PROWLA_CONFIG;
+  const configFile = namedFile ? resolve(cwd, namedFile) : join(PROJECT_ROOT, CONFIG_FILE_NAME);
+  const fromFile = readConfigFile(configFile, Boolean(namedFile));
+
+  const settings = {};
+  for (const { key, flag, env: names, path } of SETTINGS) {
+    const fromFlag = flagValue(argv, flag);
+    const fromEnv = names.map(name => env[name]).find(Boolean);
+    if (fromFlag !== null || fromEnv) {
+      const value = fromFlag ?? fromEnv;
+      settings[key] = path ? resolve(cwd, value) : value;
+    } else if (fromFile?.[key] !== undefined) {
+      settings[key] = path ? resolve(dirname(configFile), fromFile[key]) : fromFile[key];
+    }
+  }
+  if (typeof settings.port === 'string' && /^\d+$/.test(settings.port)) settings.port = Number(settings.port);
+
+  const errors = validate(settingsSchema, settings);
+  if (errors.length > 0) throw new Error(`Invalid configuration: ${describeErrors(errors)}`);
+
+  const dataDir = settings.dataDir || PROJECT_ROOT;
+  const port = settings.port || DEFAULT_PORT;
+  const host = settings.host || DEFAULT_HOST;
+  return {
+    rootDir: PROJECT_ROOT,
+    dataDir,
+    dbPath: settings.dbPath || (dataDir === PROJECT_ROOT ? join(PROJECT_ROOT, 'server', 'jobs.db') : join(dataDir, 'jobs.db')),
+    port,
+    host,
+    apiUrl: (settings.apiUrl || `http://${connectHost(host)}:${port}/api`).replace(/\/$/, ''),
+    configFile: fromFile ? configFile : null,
+    applicationsDir: join(dataDir, 'applications'),
+    tasksDir: join(dataDir, 'tasks'),
+    configDir: join(dataDir, 'config'),
+    backupsDir: join(dataDir, 'backups'),
+    reportsDir: join(dataDir, 'data', 'reports')
+  };
+}
+
+let config = null;
+
+/**
+ * Configuration of this process, from its own flags and environment
+ * @returns {Object} See loadConfig()
+ * @throws {Error} If a setting is invalid
+ */
+export function getConfig() {
+  if (!config) config = loadConfig();
+  return config;
+}
+
+/**
+ * Path of a settings file in the data directory's config/, falling back
+ * to the checkout's example when the user hasn't made one
+ *
+ * @param {string} name - File name without extension (e.g. "sources")
+ * @param {Object} options - Configuration (default: getConfig())
+ * @returns {string} config/<name>.json, or config/<name>.example.json if
+ *   only that exists
+ */
+export function settingsFile(name, options = getConfig()) {
+  const path = join(options.configDir, `${name}.json`);
+  const example = join(options.rootDir, 'config', `${name}.example.json`);
+  return !fs.existsSync(path) && fs.existsSync(example) ? example : path;
+}
+
+export default {
+  PROJECT_ROOT,
+  CONFIG_FILE_NAME,
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  loadConfig,
+  getConfig,
+  settingsFile
+};
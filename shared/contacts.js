@@ -0,0 +1,509 @@
+/**
+ * Contacts
+ *
+ * People at a company: recruiters, hiring managers, referrals and anyone
+ * else worth remembering. A contact belongs to one company and can be
+ * linked to any of that company's jobs. Messages, replies and meetings
+ * are kept in `contact_interactions`.
+ *
+ * A contact at a job's company earns the `knownContact` scoring bonus and
+ * a contact with the `referral` relationship earns the `referral` bonus
+ * (see config/scoring.example.json).
+ *
+ * Used by the Express server, the MCP server and the job scanner.
+ *
+ * @module shared/contacts
+ */
+
+import fs from 'fs';
+import { join } from 'path';
+import { ensureCompany } from './companies.js';
+import { recordActivity } from './activity.js';
+
+/**
+ * Valid contact relationships
+ * @type {string[]}
+ */
+export const RELATIONSHIPS = ['recruiter', 'hiring_manager', 'referral', 'employee', 'founder', 'other'];
+
+/**
+ * Valid interaction types
+ * @type {string[]}
+ */
+export const INTERACTION_TYPES = ['messaged', 'replied', 'met', 'called', 'note'];
+
+/**
+ * Bonus points used when the scoring config doesn't define them
+ */
+const DEFAULT_BONUSES = { knownContact: 20, referral: 15 };
+
+/**
+ * Fields that can be changed with updateContact
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = ['name', 'title', 'email', 'linkedin_url', 'relationship', 'notes'];
+
+/**
+ * Validate contact fields
+ * @param {Object} fields - Contact fields
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate({ name, relationship }) {
+  if (!name || !String(name).trim()) {
+    return 'name is required';
+  }
+  if (relationship && !RELATIONSHIPS.includes(relationship)) {
+    return `Invalid relationship. Must be one of: ${RELATIONSHIPS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Trim a text field, storing empty strings as null
+ * @param {*} value - Field value
+ * @returns {string|null|undefined} Trimmed value (undefined is left alone)
+ */
+function clean(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Resolve the company a contact belongs to
+ *
+ * Accepts a company ID, a company name (created if new) or a job, whose
+ * company is used when neither is given.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} input - { company_id, company, job_id }
+ * @returns {Object} { companyId } or { error }
+ */
+function resolveCompany(db, { company_id, company, job_id }) {
+  if (company_id) {
+    const row = db.prepare('SELECT id FROM companies WHERE id = ?').get(company_id);
+    return row ? { companyId: row.id } : { error: 'Company not found' };
+  }
+  if (company && String(company).trim()) {
+    return { companyId: ensureCompany(db, company).id };
+  }
+  if (job_id) {
+    const job = db.prepare('SELECT company_id FROM jobs WHERE id = ?').get(job_id);
+    if (!job) return { error: 'Job not found' };
+    return { companyId: job.company_id || null };
+  }
+  return { companyId: null };
+}
+
+/**
+ * Get a contact by ID
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Contact ID
+ * @returns {Object|undefined} Contact with company name, linked job IDs and
+ *   interactions (newest first)
+ */
+export function getContact(db, id) {
+  const contact = db.prepare(`
+    SELECT ct.*, c.name AS company
+    FROM contacts ct LEFT JOIN companies c ON c.id = ct.company_id
+    WHERE ct.id = ?
+  `).get(id);
+  if (!contact) return undefined;
+
+  contact.job_ids = db.prepare(
+    'SELECT job_id FROM contact_jobs WHERE contact_id = ? ORDER BY job_id'
+  ).all(id).map(row => row.job_id);
+  contact.interactions = db.prepare(
+    'SELECT * FROM contact_interactions WHERE contact_id = ? ORDER BY occurred_at DESC, id DESC'
+  ).all(id);
+  return contact;
+}
+
+/**
+ * List contacts
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Filter options
+ * @param {number} options.companyId - Only contacts at this company
+ * @param {number} options.jobId - Only contacts linked to this job
+ * @param {string} options.search - Match name, title or email
+ * @returns {Object[]} Contacts with company name, interaction count and
+ *   last interaction time, sorted by name
+ */
+export function listContacts(db, { companyId = null, jobId = null, search = null } = {}) {
+  let query = `
+    SELECT ct.*, c.name AS company,
+      (SELECT COUNT(*) FROM contact_interactions i WHERE i.contact_id = ct.id) AS interaction_count,
+      (SELECT MAX(occurred_at) FROM contact_interactions i WHERE i.contact_id = ct.id) AS last_interaction_at
+    FROM contacts ct LEFT JOIN companies c ON c.id = ct.company_id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (companyId) {
+    query += ' AND ct.company_id = ?';
+    params.push(companyId);
+  }
+  if (jobId) {
+    query += ' AND ct.id IN (SELECT contact_id FROM contact_jobs WHERE job_id = ?)';
+    params.push(jobId);
+  }
+  if (search) {
+    query += ' AND (ct.name LIKE ? OR ct.title LIKE ? OR ct.email LIKE ?)';
+    const term = `%${search}%`;
+    params.push(term, term, term);
+  }
+
+  query += ' ORDER BY ct.name COLLATE NOCASE';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Find an existing contact at a company matching by email, LinkedIn URL
+ * or name
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number|null} companyId - Company ID
+ * @param {Object} fields - { name, email, linkedin_url }
+ * @returns {Object|undefined} Contact row
+ */
+function findExisting(db, companyId, { name, email, linkedin_url }) {
+  return db.prepare(`
+    SELECT * FROM contacts
+    WHERE IFNULL(company_id, 0) = ?
+      AND ((? IS NOT NULL AND LOWER(email) = LOWER(?))
+        OR (? IS NOT NULL AND LOWER(linkedin_url) = LOWER(?))
+        OR LOWER(name) = LOWER(?))
+    ORDER BY id LIMIT 1
+  `).get(companyId || 0, email, email, linkedin_url, linkedin_url, name);
+}
+
+/**
+ * Create a contact
+ *
+ * If a contact at the same company already has the same email, LinkedIn
+ * URL or name, it is returned instead and `created` is false. Passing
+ * `job_id` links the contact to that job either way.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} input - Contact fields
+ * @param {string} input.name - Full name (required)
+ * @param {string} input.title - Job title
+ * @param {string} input.email - Email address
+ * @param {string} input.linkedin_url - LinkedIn profile URL
+ * @param {string} input.relationship - One of RELATIONSHIPS (default: other)
+ * @param {string} input.notes - Free-form notes
+ * @param {number} input.company_id - Company ID
+ * @param {string} input.company - Company name (alternative to company_id)
+ * @param {number} input.job_id - Job to link; its company is used if no
+ *   company is given
+ * @param {string} actor - Who created it
+ * @returns {Object} { contact, created } or { error }
+ */
+export function createContact(db, input, actor = 'system') {
+  const error = validate(input);
+  if (error) return { error };
+
+  const { companyId, error: companyError } = resolveCompany(db, input);
+  if (companyError) return { error: companyError };
+  if (input.job_id && !db.prepare('SELECT id FROM jobs WHERE id = ?').get(input.job_id)) {
+    return { error: 'Job not found' };
+  }
+
+  const fields = {
+    name: clean(input.name),
+    title: clean(input.title) ?? null,
+    email: clean(input.email) ?? null,
+    linkedin_url: clean(input.linkedin_url) ?? null,
+    relationship: input.relationship || 'other',
+    notes: clean(input.notes) ?? null
+  };
+
+  let id;
+  let created = false;
+  db.transaction(() => {
+    const existing = findExisting(db, companyId, fields);
+    if (existing) {
+      id = existing.id;
+    } else {
+      id = Number(db.prepare(`
+        INSERT INTO contacts (company_id, name, title, email, linkedin_url, relationship, notes, actor)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        companyId,
+        fields.name,
+        fields.title,
+        fields.email,
+        fields.linkedin_url,
+        fields.relationship,
+        fields.notes,
+        actor || 'system'
+      ).lastInsertRowid);
+      created = true;
+    }
+
+    if (input.job_id) {
+      linkContactToJob(db, id, input.job_id, actor);
+    }
+  })();
+
+  return { contact: getContact(db, id), created };
+}
+
+/**
+ * Update a contact
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Contact ID
+ * @param {Object} updates - Fields to change (name, title, email,
+ *   linkedin_url, relationship, notes, company_id or company)
+ * @returns {Object} { contact } or { error }
+ */
+export function updateContact(db, id, updates) {
+  const existing = db.prepare('SELECT * FROM contacts WHERE id = ?').get(id);
+  if (!existing) return { error: 'Contact not found' };
+
+  const error = validate({ ...existing, ...updates });
+  if (error) return { error };
+
+  const setters = [];
+  const params = [];
+  for (const field of UPDATABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      setters.push(`${field} = ?`);
+      params.push(field === 'relationship' ? updates[field] || 'other' : clean(updates[field]));
+    }
+  }
+
+  if (updates.company_id !== undefined || updates.company !== undefined) {
+    const { companyId, error: companyError } = resolveCompany(db, updates);
+    if (companyError) return { error: companyError };
+    setters.push('company_id = ?');
+    params.push(companyId);
+  }
+  if (setters.length === 0) return { error: 'No fields to update' };
+
+  setters.push("updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')");
+  db.prepare(`UPDATE contacts SET ${setters.join(', ')} WHERE id = ?`).run(...params, id);
+
+  return { contact: getContact(db, id) };
+}
+
+/**
+ * Delete a contact with its job links and interactions
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Contact ID
+ * @returns {Object|null} The deleted contact, or null if not found
+ */
+export function deleteContact(db, id) {
+  const contact = getContact(db, id);
+  if (!contact) return null;
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM contact_interactions WHERE contact_id = ?').run(id);
+    db.prepare('DELETE FROM contact_jobs WHERE contact_id = ?').run(id);
+    db.prepare('UPDATE interview_interviewers SET contact_id = NULL WHERE contact_id = ?').run(id);
+    db.prepare('DELETE FROM contacts WHERE id = ?').run(id);
+  })();
+
+  return contact;
+}
+
+/**
+ * Link a contact to a job
+ *
+ * Records a contact.added activity on the job the first time.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} contactId - Contact ID
+ * @param {number} jobId - Job ID
+ * @param {string} actor - Who linked it
+ * @returns {Object} { linked } (false if already linked) or { error }
+ */
+export function linkContactToJob(db, contactId, jobId, actor = 'system') {
+  const contact = db.prepare('SELECT * FROM contacts WHERE id = ?').get(contactId);
+  if (!contact) return { error: 'Contact not found' };
+  if (!db.prepare('SELECT id FROM jobs WHERE id = ?').get(jobId)) return { error: 'Job not found' };
+
+  const result = db.prepare(
+    'INSERT OR IGNORE INTO contact_jobs (contact_id, job_id) VALUES (?, ?)'
+  ).run(contactId, jobId);
+  if (result.changes === 0) return { linked: false };
+
+  recordActivity(db, {
+    jobId,
+    type: 'contact.added',
+    actor,
+    details: { contact_id: contact.id, name: contact.name, relationship: contact.relationship }
+  });
+  return { linked: true };
+}
+
+/**
+ * Unlink a contact from a job
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} contactId - Contact ID
+ * @param {number} jobId - Job ID
+ * @returns {boolean} True if a link was removed
+ */
+export function unlinkContactFromJob(db, contactId, jobId) {
+  return db.prepare(
+    'DELETE FROM contact_jobs WHERE contact_id = ? AND job_id = ?'
+  ).run(contactId, jobId).changes > 0;
+}
+
+/**
+ * Log an interaction with a contact
+ *
+ * Records a contact.interaction activity on the given job, or on every job
+ * the contact is linked to when no job is given.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} contactId - Contact ID
+ * @param {Object} input - Interaction fields
+ * @param {string} input.type - One of INTERACTION_TYPES
+ * @param {number} input.job_id - Job the interaction was about
+ * @param {string} input.notes - What was said
+ * @param {string} input.occurred_at - ISO timestamp (default: now)
+ * @param {string} actor - Who logged it
+ * @returns {Object} { interaction, job_ids } or { error }
+ */
+export function logInteraction(db, contactId, { type, job_id = null, notes = null, occurred_at = null } = {}, actor = 'system') {
+  const contact = db.prepare('SELECT * FROM contacts WHERE id = ?').get(contactId);
+  if (!contact) return { error: 'Contact not found' };
+  if (!INTERACTION_TYPES.includes(type)) {
+    return { error: `Invalid interaction type. Must be one of: ${INTERACTION_TYPES.join(', ')}` };
+  }
+  if (occurred_at && isNaN(new Date(occurred_at).getTime())) {
+    return { error: 'occurred_at is not a valid date' };
+  }
+  if (job_id && !db.prepare('SELECT id FROM jobs WHERE id = ?').get(job_id)) {
+    return { error: 'Job not found' };
+  }
+
+  let interaction;
+  let jobIds = [];
+  db.transaction(() => {
+    const id = db.prepare(`
+      INSERT INTO contact_interactions (contact_id, job_id, type, notes, actor, occurred_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      contactId,
+      job_id,
+      type,
+      clean(notes) ?? null,
+      actor || 'system',
+      occurred_at ? new Date(occurred_at).toISOString() : new Date().toISOString()
+    ).lastInsertRowid;
+    interaction = db.prepare('SELECT * FROM contact_interactions WHERE id = ?').get(id);
+    db.prepare("UPDATE contacts SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = ?").run(contactId);
+
+    if (job_id) {
+      linkContactToJob(db, contactId, job_id, actor);
+      jobIds = [Number(job_id)];
+    } else {
+      jobIds = db.prepare('SELECT job_id FROM contact_jobs WHERE contact_id = ?').all(contactId).map(row => row.job_id);
+    }
+
+    for (const jobId of jobIds) {
+      recordActivity(db, {
+        jobId,
+        type: 'contact.interaction',
+        actor,
+        details: { contact_id: contact.id, name: contact.name, interaction: type, notes: interaction.notes }
+      });
+    }
+  })();
+
+  return { interaction, job_ids: jobIds };
+}
+
+/**
+ * Get the contacts relevant to a job
+ *
+ * Returns every contact at the job's company, plus any linked to the job
+ * directly. Each has `linked: true` if it is linked to this job.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} jobId - Job ID
+ * @returns {Object[]} Contacts, linked ones first
+ */
+export function getJobContacts(db, jobId) {
+  return db.prepare(`
+    SELECT ct.*, c.name AS company,
+      EXISTS (SELECT 1 FROM contact_jobs cj WHERE cj.contact_id = ct.id AND cj.job_id = j.id) AS linked,
+      (SELECT MAX(occurred_at) FROM contact_interactions i WHERE i.contact_id = ct.id) AS last_interaction_at
+    FROM jobs j
+    JOIN contacts ct ON ct.company_id = j.company_id
+      OR ct.id IN (SELECT contact_id FROM contact_jobs WHERE job_id = j.id)
+    LEFT JOIN companies c ON c.id = ct.company_id
+    WHERE j.id = ?
+    ORDER BY linked DESC, ct.name COLLATE NOCASE
+  `).all(jobId).map(contact => ({ ...contact, linked: !!contact.linked }));
+}
+
+/**
+ * Work out the scoring bonus a job earns from its contacts
+ *
+ * @param {Object[]} contacts - Contacts at the job's company
+ * @param {Object} bonuses - The `bonuses` section of the scoring config
+ * @returns {Object} { points, reasons }
+ */
+export function contactBonus(contacts, bonuses = {}) {
+  const points = { ...DEFAULT_BONUSES, ...bonuses };
+  const result = { points: 0, reasons: [] };
+  if (!contacts || contacts.length === 0) return result;
+
+  result.points += Number(points.knownContact) || 0;
+  result.reasons.push(`✅ Known contact (${contacts.map(c => c.name).join(', ')})`);
+
+  const referrals = contacts.filter(c => c.relationship === 'referral');
+  if (referrals.length > 0) {
+    result.points += Number(points.referral) || 0;
+    result.reasons.push(`✅ Referral (${referrals.map(c => c.name).join(', ')})`);
+  }
+
+  return result;
+}
+
+/**
+ * Read the `bonuses` section of the scoring config
+ *
+ * Uses config/scoring.json, falling back to config/scoring.example.json.
+ *
+ * @param {string} rootDir - Data directory
+ * @param {string} exampleDir - Directory with config/scoring.example.json
+ *   (default: rootDir; the checkout when the data lives elsewhere)
+ * @returns {Object} Bonus points by name (empty if there's no config)
+ */
+export function loadScoringBonuses(rootDir, exampleDir = rootDir) {
+  for (const configPath of [join(rootDir, 'config', 'scoring.json'), join(exampleDir, 'config', 'scoring.example.json')]) {
+    if (!fs.existsSync(configPath)) continue;
+    try {
+      return JSON.parse(fs.readFileSync(configPath, 'utf8')).bonuses || {};
+    } catch (error) {
+      console.warn(`Could not read ${configPath}: ${error.message}`);
+      return {};
+    }
+  }
+  return {};
+}
+
+export default {
+  RELATIONSHIPS,
+  INTERACTION_TYPES,
+  getContact,
+  listContacts,
+  createContact,
+  updateContact,
+  deleteContact,
+  linkContactToJob,
+  unlinkContactFromJob,
+  logInteraction,
+  getJobContacts,
+  contactBonus,
+  loadScoringBonuses
+};
@@ -0,0 +1,404 @@
+/**
+ * Weekly Digest
+ *
+ * A summary of a stretch of the job search, usually last week: new jobs
+ * by source, applications sent, follow-ups due, interviews, research
+ * finished and token spend. Rendered as markdown and HTML and written to
+ * data/reports/ in the data directory. Used by GET /api/reports/digest,
+ * the reports_digest MCP tool and the server's scheduled Monday run.
+ *
+ * Applications are counted from the status history (see
+ * shared/analytics.js), so a job moved to Applied last week counts for
+ * last week even if it has since moved on. Token spend comes from both
+ * usage logs: data/token-usage.jsonl (the API's /api/tokens) and
+ * server/token-usage.json (the tokens_log MCP tool).
+ *
+ * @module shared/digest
+ */
+
+import fs from 'fs';
+import { join } from 'path';
+import { getStageArrivals } from './analytics.js';
+import { DEFAULT_FOLLOW_UP_DAYS, localDate, listFollowups } from './followups.js';
+import { listInterviews } from './interviews.js';
+
+/**
+ * Formats a digest can be returned in
+ * @type {string[]}
+ */
+export const DIGEST_FORMATS = ['json', 'markdown', 'html'];
+
+/** Longest range one digest covers, in days */
+const MAX_DIGEST_DAYS = 366;
+
+/** Days ahead the digest looks for follow-ups and interviews */
+const LOOKAHEAD_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of a local date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Date} Midnight local time
+ */
+function startOf(date) {
+  return new Date(`${date}T00:00:00`);
+}
+
+/**
+ * A local date a number of days from another
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const result = startOf(date);
+  result.setDate(result.getDate() + days);
+  return localDate(result);
+}
+
+/**
+ * The last full Monday-to-Sunday week before a time
+ * @param {Date} now - Current time
+ * @returns {Object} { from, to }
+ */
+export function lastWeek(now = new Date()) {
+  const today = localDate(now);
+  const monday = addDays(today, -((now.getDay() + 6) % 7));
+  return { from: addDays(monday, -7), to: addDays(monday, -1) };
+}
+
+/**
+ * Check a digest's range, filling in last week for what is missing
+ * @param {Object} range - { from, to } as YYYY-MM-DD (either may be empty)
+ * @param {Date} now - Current time
+ * @returns {Object} { from, to } or { error }
+ */
+function resolveRange({ from = null, to = null }, now) {
+  const week = lastWeek(now);
+  if (!from && !to) return week;
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(startOf(value).getTime());
+  if ((from && !isDate(from)) || (to && !isDate(to))) return { error: 'from and to must be dates (YYYY-MM-DD)' };
+
+  // One end given: a week starting or ending there
+  const start = from || addDays(to, -6);
+  const end = to || addDays(from, 6);
+  if (start > end) return { error: 'from must not be after to' };
+  if ((startOf(end) - startOf(start)) / DAY_MS >= MAX_DIGEST_DAYS) {
+    return { error: `A digest covers at most ${MAX_DIGEST_DAYS} days` };
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Token usage between two times, from both usage logs
+ * @param {string} dataDir - Data directory
+ * @param {string} start - ISO timestamp, included
+ * @param {string} end - ISO timestamp, excluded
+ * @returns {Object} { cost, tokens, runs, by_task_type: [{ task_type,
+ *   runs, cost, tokens }] }, most expensive first
+ */
+function tokenSpend(dataDir, start, end) {
+  const entries = [];
+  const apiLog = join(dataDir, 'data', 'token-usage.jsonl');
+  if (fs.existsSync(apiLog)) {
+    for (const line of fs.readFileSync(apiLog, 'utf8').split('\n').filter(l => l.trim())) {
+      try {
+        const entry = JSON.parse(line);
+        entries.push({ timestamp: entry.timestamp, taskType: entry.taskType, cost: entry.cost, tokens: (entry.tokensIn || 0) + (entry.tokensOut || 0) });
+      } catch {
+        // Skip a line cut short by a crash
+      }
+    }
+  }
+  const mcpLog = join(dataDir, 'server', 'token-usage.json');
+  if (fs.existsSync(mcpLog)) {
+    try {
+      for (const entry of JSON.parse(fs.readFileSync(mcpLog, 'utf8')).entries || []) {
+        entries.push({ timestamp: entry.timestamp, taskType: entry.task_type, cost: entry.cost, tokens: (entry.input_tokens || 0) + (entry.output_tokens || 0) });
+      }
+    } catch (error) {
+      console.warn(`Could not read ${mcpLog}: ${error.message}`);
+    }
+  }
+
+  const byTaskType = new Map();
+  let cost = 0;
+  let tokens = 0;
+  let runs = 0;
+  for (const entry of entries) {
+    const time = new Date(entry.timestamp || NaN);
+    if (Number.isNaN(time.getTime()) || time.toISOString() < start || time.toISOString() >= end) continue;
+    const taskType = entry.taskType || 'other';
+    if (!byTaskType.has(taskType)) byTaskType.set(taskType, { task_type: taskType, runs: 0, cost: 0, tokens: 0 });
+    const group = byTaskType.get(taskType);
+    group.runs++;
+    group.cost += Number(entry.cost) || 0;
+    group.tokens += entry.tokens;
+    cost += Number(entry.cost) || 0;
+    tokens += entry.tokens;
+    runs++;
+  }
+
+  const round = amount => Math.round(amount * 100) / 100;
+  return {
+    cost: round(cost),
+    tokens,
+    runs,
+    by_task_type: [...byTaskType.values()]
+      .map(group => ({ ...group, cost: round(group.cost) }))
+      .sort((a, b) => b.cost - a.cost)
+  };
+}
+
+/**
+ * Gather a digest's numbers
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string} options.from - First day (YYYY-MM-DD, default: Monday
+ *   of last week, or six days before `to`)
+ * @param {string} options.to - Last day, included (default: the Sunday
+ *   after `from`)
+ * @param {string} options.dataDir - Data directory, for the token logs
+ * @param {number} options.afterDays - Days after applying that a
+ *   follow-up is suggested
+ * @param {Date} options.now - Current time
+ * @returns {Object} { from, to, generated_at, new_jobs: { count,
+ *   by_source }, applications, interviews: { reached, held, upcoming },
+ *   followups, research, tokens }; or { error }
+ */
+export function buildDigest(db, { from = null, to = null, dataDir, afterDays = DEFAULT_FOLLOW_UP_DAYS, now = new Date() } = {}) {
+  const range = resolveRange({ from, to }, now);
+  if (range.error) return range;
+
+  const arrivals = getStageArrivals(db, range);
+  if (arrivals.error) return arrivals;
+  const start = startOf(range.from).toISOString();
+  const end = startOf(addDays(range.to, 1)).toISOString();
+
+  const bySource = new Map();
+  for (const job of arrivals.added) {
+    const source = job.source || null;
+    bySource.set(source, (bySource.get(source) || 0) + 1);
+  }
+
+  const interviews = listInterviews(db);
+  const horizon = new Date(now.getTime() + LOOKAHEAD_DAYS * DAY_MS).toISOString();
+  const summarizeInterview = ({ id, job_id, company, role, round, type, scheduled_at, outcome }) => ({ id, job_id, company, role, round, type, scheduled_at, outcome });
+
+  const research = db.prepare(`
+    SELECT j.id, j.company, j.role, MAX(a.created_at) AS at
+    FROM job_activity a JOIN jobs j ON j.id = a.job_id
+    WHERE a.type = 'research.saved' AND a.created_at >= ? AND a.created_at < ? AND j.deleted_at IS NULL
+    GROUP BY j.id
+    ORDER BY at
+  `).all(start, end);
+
+  const followups = listFollowups(db, { afterDays, aheadDays: LOOKAHEAD_DAYS, today: localDate(now) })
+    .map(({ id, company, role, status, due_date, suggested, days_overdue, state }) => ({ id, company, role, status, due_date, suggested, days_overdue, state }));
+
+  return {
+    from: range.from,
+    to: range.to,
+    generated_at: now.toISOString(),
+    new_jobs: {
+      count: arrivals.added.length,
+      by_source: [...bySource].map(([source, count]) => ({ source, count })).sort((a, b) => b.count - a.count)
+    },
+    applications: arrivals.applied,
+    interviews: {
+      reached: arrivals.interviewing,
+      held: interviews.filter(interview => interview.scheduled_at >= start && interview.scheduled_at < end).map(summarizeInterview),
+      upcoming: interviews
+        .filter(interview => interview.outcome === 'pending' && interview.scheduled_at >= now.toISOString() && interview.scheduled_at < horizon)
+        .map(summarizeInterview)
+    },
+    offers: arrivals.offer,
+    followups,
+    research,
+    tokens: tokenSpend(dataDir, start, end)
+  };
+}
+
+/**
+ * Format a date or time for a report
+ * @param {string} value - YYYY-MM-DD or ISO timestamp
+ * @returns {string} e.g. "Mon, Jan 13"
+ */
+function formatDay(value) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? startOf(value) : new Date(value);
+  return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Format a time for a report
+ * @param {string} value - ISO timestamp
+ * @returns {string} e.g. "Mon, Jan 13, 9:00 AM"
+ */
+function formatTime(value) {
+  return `${formatDay(value)}, ${new Date(value).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`;
+}
+
+/**
+ * Lay a digest out as sections of headings, summary lines and lists, so
+ * markdown and HTML say the same things
+ * @param {Object} digest - From buildDigest()
+ * @returns {Object} { title, summary: string[], sections: [{ heading,
+ *   items: string[], empty }] }
+ */
+function layout(digest) {
+  const job = item => `${item.company} — ${item.role}`;
+  const overdue = digest.followups.filter(followup => followup.state !== 'upcoming');
+  return {
+    title: `Job Search Digest: ${formatDay(digest.from)} – ${formatDay(digest.to)}`,
+    summary: [
+      `${digest.new_jobs.count} new job${digest.new_jobs.count === 1 ? '' : 's'} found`,
+      `${digest.applications.length} application${digest.applications.length === 1 ? '' : 's'} sent`,
+      `${digest.interviews.held.length} interview${digest.interviews.held.length === 1 ? '' : 's'} held, ${digest.interviews.upcoming.length} coming up`,
+      `${overdue.length} follow-up${overdue.length === 1 ? '' : 's'} due now`,
+      `${digest.research.length} compan${digest.research.length === 1 ? 'y' : 'ies'} researched`,
+      `$${digest.tokens.cost.toFixed(2)} spent on ${digest.tokens.runs} agent run${digest.tokens.runs === 1 ? '' : 's'}`
+    ],
+    sections: [
+      {
+        heading: 'New Jobs by Source',
+        items: digest.new_jobs.by_source.map(({ source, count }) => `${source || 'Unknown'}: ${count}`),
+        empty: 'No new jobs.'
+      },
+      {
+        heading: 'Applications Sent',
+        items: digest.applications.map(item => `${job(item)} (${formatDay(item.at)})`),
+        empty: 'No applications.'
+      },
+      {
+        heading: 'Interviews',
+        items: [
+          ...digest.interviews.held.map(item => `${job(item)}: round ${item.round} ${item.type}, ${formatTime(item.scheduled_at)} (${item.outcome})`),
+          ...digest.interviews.upcoming.map(item => `Coming up: ${job(item)}, round ${item.round} ${item.type}, ${formatTime(item.scheduled_at)}`),
+          ...digest.offers.map(item => `Offer: ${job(item)}`)
+        ],
+        empty: 'No interviews.'
+      },
+      {
+        heading: 'Follow-Ups',
+        items: digest.followups.map(item => {
+          const when = item.state === 'overdue' ? `${item.days_overdue} day${item.days_overdue === 1 ? '' : 's'} overdue` : item.state === 'due' ? 'due today' : `due ${formatDay(item.due_date)}`;
+          return `${job(item)}: ${when}${item.suggested ? ' (suggested)' : ''}`;
+        }),
+        empty: 'Nothing due.'
+      },
+      {
+        heading: 'Research Completed',
+        items: digest.research.map(item => job(item)),
+        empty: 'No research saved.'
+      },
+      {
+        heading: 'Token Spend',
+        items: digest.tokens.by_task_type.map(({ task_type, runs, cost, tokens }) => `${task_type}: $${cost.toFixed(2)} (${runs} run${runs === 1 ? '' : 's'}, ${tokens.toLocaleString('en-US')} tokens)`),
+        empty: 'No usage logged.'
+      }
+    ]
+  };
+}
+
+/**
+ * Render a digest as markdown
+ * @param {Object} digest - From buildDigest()
+ * @returns {string} Markdown
+ */
+export function renderDigestMarkdown(digest) {
+  const { title, summary, sections } = layout(digest);
+  const lines = [`# ${title}`, '', ...summary.map(line => `- ${line}`)];
+  for (const { heading, items, empty } of sections) {
+    lines.push('', `## ${heading}`, '', ...(items.length > 0 ? items.map(item => `- ${item}`) : [`_${empty}_`]));
+  }
+  lines.push('', `_Generated ${formatTime(digest.generated_at)}_`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Render a digest as a standalone HTML page
+ * @param {Object} digest - From buildDigest()
+ * @returns {string} HTML
+ */
+export function renderDigestHtml(digest) {
+  const { title, summary, sections } = layout(digest);
+  const list = items => `<ul>\n${items.map(item => `  <li>${escapeHtml(item)}</li>`).join('\n')}\n</ul>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.5; }
+  h1 { font-size: 1.5rem; }
+  h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+  .summary { background: #f3f4f6; border-radius: 8px; padding: 0.75rem 1rem 0.75rem 2rem; }
+  .empty, footer { color: #6b7280; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="summary">
+${list(summary)}
+</div>
+${sections.map(({ heading, items, empty }) => `<h2>${escapeHtml(heading)}</h2>\n${items.length > 0 ? list(items) : `<p class="empty">${escapeHtml(empty)}</p>`}`).join('\n')}
+<footer>Generated ${escapeHtml(formatTime(digest.generated_at))}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * File names of a digest's reports
+ * @param {Object} range - { from, to }
+ * @returns {Object} { markdown, html }
+ */
+export function digestFileNames({ from, to }) {
+  const base = `digest-${from}-to-${to}`;
+  return { markdown: `${base}.md`, html: `${base}.html` };
+}
+
+/**
+ * Build a digest and write its markdown and HTML reports
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - See buildDigest(), plus:
+ * @param {string} options.reportsDir - Folder to write to (replaces
+ *   reports for the same range)
+ * @returns {Object} { digest, markdown, html, files: { markdown, html } }
+ *   with the files' paths; or { error }
+ */
+export function generateDigest(db, { reportsDir, ...options }) {
+  const digest = buildDigest(db, options);
+  if (digest.error) return digest;
+
+  const markdown = renderDigestMarkdown(digest);
+  const html = renderDigestHtml(digest);
+  const names = digestFileNames(digest);
+  const files = { markdown: join(reportsDir, names.markdown), html: join(reportsDir, names.html) };
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(files.markdown, markdown, 'utf8');
+  fs.writeFileSync(files.html, html, 'utf8');
+  return { digest, markdown, html, files };
+}
+
+export default {
+  DIGEST_FORMATS,
+  lastWeek,
+  buildDigest,
+  renderDigestMarkdown,
+  renderDigestHtml,
+  digestFileNames,
+  generateDigest
+};
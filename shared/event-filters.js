@@ -0,0 +1,154 @@
+/**
+ * Event Filters
+ *
+ * Conditions on an event's payload that a subscription can require, so a
+ * subscriber only receives the events it acts on. A filter is a list of
+ * conditions, all of which must hold:
+ *
+ *   [
+ *     { "field": "priority", "op": "eq", "value": "🔴 High" },
+ *     { "field": "source", "op": "contains", "value": "yc" }
+ *   ]
+ *
+ * `field` is a payload key; use dots for nested ones (e.g.
+ * `changes.status`). Operators:
+ * - eq, ne - Equal / not equal
+ * - in, not_in - One of / none of a list of values
+ * - contains - Text contains the value (case-insensitive), or a list
+ *   includes it
+ * - gt, gte, lt, lte - Numeric comparisons
+ * - exists - The field is present (value true) or absent (value false)
+ *
+ * @module shared/event-filters
+ */
+
+/**
+ * Valid filter operators
+ * @type {string[]}
+ */
+export const FILTER_OPERATORS = ['eq', 'ne', 'in', 'not_in', 'contains', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+/**
+ * Most conditions in one filter
+ */
+export const MAX_FILTER_CONDITIONS = 20;
+
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Read a (possibly nested) payload field
+ * @param {Object} payload - Event payload
+ * @param {string} field - Field name, with dots for nested fields
+ * @returns {*} Value, or undefined if missing
+ */
+function fieldValue(payload, field) {
+  return field.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), payload);
+}
+
+/**
+ * Read a value as a number
+ * @param {*} value - Value
+ * @returns {number|null} Number, or null if it isn't one
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+/**
+ * Check a filter and put it in its stored form
+ *
+ * @param {Object[]} filters - Conditions ({ field, op, value }; op
+ *   defaults to eq)
+ * @returns {Object} { filters } (null for none) or { error }
+ */
+export function normalizeFilters(filters) {
+  if (filters === null || filters === undefined) return { filters: null };
+  if (!Array.isArray(filters)) return { error: 'filters must be a list of { field, op, value } conditions' };
+  if (filters.length > MAX_FILTER_CONDITIONS) return { error: `filters can have at most ${MAX_FILTER_CONDITIONS} conditions` };
+
+  const normalized = [];
+  for (const [index, condition] of filters.entries()) {
+    const label = `filters[${index}]`;
+    if (!condition || typeof condition !== 'object') return { error: `${label} must be a { field, op, value } condition` };
+
+    const { field, op = 'eq', value } = condition;
+    if (typeof field !== 'string' || !field.trim()) return { error: `${label}.field is required` };
+    if (!FILTER_OPERATORS.includes(op)) return { error: `${label}.op must be one of: ${FILTER_OPERATORS.join(', ')}` };
+
+    if ((op === 'in' || op === 'not_in') && (!Array.isArray(value) || value.length === 0)) {
+      return { error: `${label}.value must be a non-empty list for ${op}` };
+    }
+    if (NUMERIC_OPERATORS.includes(op) && toNumber(value) === null) {
+      return { error: `${label}.value must be a number for ${op}` };
+    }
+    if (op === 'exists' && value !== undefined && typeof value !== 'boolean') {
+      return { error: `${label}.value must be true or false for exists` };
+    }
+    if (!['exists', 'in', 'not_in'].includes(op) && value === undefined) {
+      return { error: `${label}.value is required for ${op}` };
+    }
+
+    normalized.push({
+      field: field.trim(),
+      op,
+      value: op === 'exists' ? value !== false : NUMERIC_OPERATORS.includes(op) ? toNumber(value) : value
+    });
+  }
+
+  return { filters: normalized.length ? normalized : null };
+}
+
+/**
+ * Check one condition against a payload
+ * @param {Object} payload - Event payload
+ * @param {Object} condition - Normalized condition
+ * @returns {boolean} True if it holds
+ */
+function matchesCondition(payload, { field, op, value }) {
+  const actual = fieldValue(payload, field);
+
+  switch (op) {
+    case 'eq':
+      return actual === value;
+    case 'ne':
+      return actual !== value;
+    case 'in':
+      return value.includes(actual);
+    case 'not_in':
+      return !value.includes(actual);
+    case 'contains':
+      if (Array.isArray(actual)) return actual.includes(value);
+      return typeof actual === 'string' && actual.toLowerCase().includes(String(value).toLowerCase());
+    case 'exists':
+      return (actual !== undefined && actual !== null) === value;
+    default: {
+      const number = toNumber(actual);
+      if (number === null) return false;
+      if (op === 'gt') return number > value;
+      if (op === 'gte') return number >= value;
+      if (op === 'lt') return number < value;
+      return number <= value;
+    }
+  }
+}
+
+/**
+ * Check whether an event meets a filter
+ *
+ * @param {Object} event - Event (see shared/events.js)
+ * @param {Object[]|null} filters - Normalized conditions (null: any event)
+ * @returns {boolean} True if every condition holds
+ */
+export function matchesFilters(event, filters) {
+  if (!filters?.length) return true;
+  return filters.every(condition => matchesCondition(event.payload || {}, condition));
+}
+
+export default {
+  FILTER_OPERATORS,
+  MAX_FILTER_CONDITIONS,
+  normalizeFilters,
+  matchesFilters
+};
@@ -0,0 +1,195 @@
+/**
+ * Event Subscriptions
+ *
+ * Agents' event subscriptions, stored in the database so they survive MCP
+ * server restarts. Each subscription keeps a cursor: the sequence number
+ * (see shared/events.js) of the last event it received by polling, or the
+ * last one queued for its webhook.
+ *
+ * A subscription can also have filters on the event payload (see
+ * shared/event-filters.js); events that don't meet them are passed over,
+ * both when polling and when queueing webhooks.
+ *
+ * A subscription made with a TTL expires unless it is renewed within that
+ * many seconds; polling renews it. Subscriptions without a TTL last until
+ * they are removed.
+ *
+ * @module shared/event-subscriptions
+ */
+
+import crypto from 'crypto';
+import { listEvents } from './events.js';
+import { matchesFilters } from './event-filters.js';
+
+/**
+ * Turn an event_subscriptions row into a subscription
+ * @param {Object} row - Row
+ * @returns {Object} Subscription with event_types and filters parsed
+ */
+function toSubscription(row) {
+  return { ...row, event_types: JSON.parse(row.event_types), filters: row.filters ? JSON.parse(row.filters) : null };
+}
+
+/**
+ * When a subscription with a TTL expires if not renewed
+ * @param {number} ttlSeconds - TTL
+ * @returns {string|null} ISO timestamp, or null without a TTL
+ */
+function expiryFrom(ttlSeconds) {
+  return ttlSeconds ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : null;
+}
+
+/**
+ * Create a subscription
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} subscription - Subscription
+ * @param {string[]} subscription.eventTypes - Event types
+ * @param {Object[]} subscription.filters - Payload conditions, already
+ *   checked with normalizeFilters
+ * @param {string} subscription.webhookUrl - Webhook URL, if delivered by webhook
+ * @param {string} subscription.secret - Webhook signing secret
+ * @param {string} subscription.callbackId - Subscriber's identifier
+ * @param {number} subscription.cursor - Sequence number to start after
+ * @param {number} subscription.ttlSeconds - Expire unless renewed within
+ *   this many seconds (default: never)
+ * @returns {Object} The subscription
+ */
+export function createSubscription(db, { eventTypes, filters = null, webhookUrl = null, secret = null, callbackId = null, cursor = 0, ttlSeconds = null }) {
+  const id = crypto.randomUUID();
+  const ttl = parseInt(ttlSeconds, 10) > 0 ? parseInt(ttlSeconds, 10) : null;
+
+  db.prepare(`
+    INSERT INTO event_subscriptions (id, event_types, filters, webhook_url, secret, callback_id, cursor, ttl_seconds, expires_at, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, JSON.stringify(eventTypes), filters?.length ? JSON.stringify(filters) : null, webhookUrl, secret, callbackId, cursor, ttl, expiryFrom(ttl), new Date().toISOString());
+
+  return getSubscription(db, id);
+}
+
+/**
+ * Get a subscription that has not expired
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} id - Subscription ID
+ * @returns {Object|null} Subscription
+ */
+export function getSubscription(db, id) {
+  const row = db.prepare(`
+    SELECT * FROM event_subscriptions WHERE id = ? AND (expires_at IS NULL OR expires_at > ?)
+  `).get(id, new Date().toISOString());
+  return row ? toSubscription(row) : null;
+}
+
+/**
+ * List subscriptions that have not expired, oldest first
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string} options.callbackId - Only this subscriber's
+ * @param {boolean} options.webhooksOnly - Only webhook subscriptions
+ * @returns {Object[]} Subscriptions
+ */
+export function listSubscriptions(db, { callbackId = null, webhooksOnly = false } = {}) {
+  const where = ['(expires_at IS NULL OR expires_at > ?)'];
+  const params = [new Date().toISOString()];
+  if (callbackId) {
+    where.push('callback_id = ?');
+    params.push(callbackId);
+  }
+  if (webhooksOnly) {
+    where.push('webhook_url IS NOT NULL');
+  }
+
+  return db.prepare(`SELECT * FROM event_subscriptions WHERE ${where.join(' AND ')} ORDER BY created_at, id`)
+    .all(...params)
+    .map(toSubscription);
+}
+
+/**
+ * Delete a subscription
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} id - Subscription ID
+ * @returns {boolean} Whether it existed
+ */
+export function deleteSubscription(db, id) {
+  return db.prepare('DELETE FROM event_subscriptions WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Record that a subscriber is still there, pushing back its expiry
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} id - Subscription ID
+ * @returns {Object|null} Subscription, or null if missing or expired
+ */
+export function renewSubscription(db, id) {
+  const subscription = getSubscription(db, id);
+  if (!subscription) return null;
+
+  db.prepare('UPDATE event_subscriptions SET last_seen_at = ?, expires_at = ? WHERE id = ?')
+    .run(new Date().toISOString(), expiryFrom(subscription.ttl_seconds), id);
+  return getSubscription(db, id);
+}
+
+/**
+ * Move a subscription's cursor forward (never back)
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} id - Subscription ID
+ * @param {number} cursor - Sequence number
+ */
+export function advanceCursor(db, id, cursor) {
+  db.prepare('UPDATE event_subscriptions SET cursor = MAX(cursor, ?) WHERE id = ?').run(cursor, id);
+}
+
+/**
+ * Set a subscription's cursor, e.g. to read events again
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} id - Subscription ID
+ * @param {number} cursor - Sequence number
+ */
+export function setCursor(db, id, cursor) {
+  db.prepare('UPDATE event_subscriptions SET cursor = ? WHERE id = ?').run(cursor, id);
+}
+
+/**
+ * Events after a subscription's cursor that it should receive
+ *
+ * Reads past events its filters pass over until some match or the log
+ * runs out, so the returned cursor may be ahead of the last event
+ * returned.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} subscription - Subscription
+ * @param {number} limit - Events to read at a time
+ * @returns {Object} { events, cursor }
+ */
+export function pendingEvents(db, subscription, limit = 100) {
+  let cursor = subscription.cursor;
+  for (;;) {
+    const page = listEvents(db, { after: cursor, types: subscription.event_types, limit });
+    const events = page.events.filter(event => matchesFilters(event, subscription.filters));
+    cursor = page.cursor;
+    if (events.length > 0 || !page.has_more) return { events, cursor };
+  }
+}
+
+/**
+ * Delete subscriptions that were not renewed in time
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {number} Subscriptions deleted
+ */
+export function expireSubscriptions(db) {
+  return db.prepare('DELETE FROM event_subscriptions WHERE expires_at IS NOT NULL AND expires_at <= ?')
+    .run(new Date().toISOString()).changes;
+}
+
+export default {
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  renewSubscription,
+  advanceCursor,
+  setCursor,
+  pendingEvents,
+  expireSubscriptions
+};
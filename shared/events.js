@@ -0,0 +1,190 @@
+/**
+ * Event Log
+ *
+ * Durable log of the events agents subscribe to, written by both the
+ * Express server (changes made in the dashboard) and the MCP server
+ * (changes made by agents). Each event has a sequence number that only
+ * increases, so a reader that keeps the last one it saw can resume after a
+ * restart without missing or repeating events.
+ *
+ * Event types:
+ * - job.created - New job added to database
+ * - job.updated - Job fields updated
+ * - job.deleted - Job moved to the trash
+ * - job.restored - Job restored from the trash
+ * - job.purged - Trashed job permanently deleted
+ * - task.created - New task queued
+ * - task.claimed - Task locked by an agent
+ * - task.completed - Task finished and removed
+ * - research.saved - Research notes saved for a job
+ * - materials.saved - Cover letter or email saved
+ * - contact.added - Contact created or linked to a job
+ * - contact.interaction - Message, reply or meeting logged with a contact
+ * - interview.scheduled - Interview round added to a job
+ * - interview.rescheduled - Interview moved to another time
+ * - interview.outcome - Interview outcome recorded
+ * - interview.upcoming - Interview starting within 24 hours
+ * - followup.due - A job's follow-up date has arrived
+ * - report.generated - The weekly digest was written (see shared/digest.js)
+ *
+ * @module shared/events
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Valid event types
+ * @type {string[]}
+ */
+export const EVENT_TYPES = [
+  'job.created',
+  'job.updated',
+  'job.deleted',
+  'job.restored',
+  'job.purged',
+  'task.created',
+  'task.claimed',
+  'task.completed',
+  'research.saved',
+  'materials.saved',
+  'contact.added',
+  'contact.interaction',
+  'interview.scheduled',
+  'interview.rescheduled',
+  'interview.outcome',
+  'interview.upcoming',
+  'followup.due',
+  'report.generated'
+];
+
+/**
+ * Days events are kept before they are pruned
+ * Override with PROWLA_EVENT_RETENTION_DAYS.
+ * @type {number}
+ */
+export const EVENT_RETENTION_DAYS = parseInt(process.env.PROWLA_EVENT_RETENTION_DAYS, 10) || 30;
+
+/**
+ * Most events returned by one read
+ */
+export const MAX_EVENTS = 500;
+
+/**
+ * Turn an events row into an event
+ * @param {Object} row - Row from the events table
+ * @returns {Object} { seq, id, type, timestamp, source, payload }
+ */
+function toEvent(row) {
+  return {
+    seq: row.seq,
+    id: row.id,
+    type: row.type,
+    timestamp: row.created_at,
+    source: row.source,
+    payload: row.payload ? JSON.parse(row.payload) : {}
+  };
+}
+
+/**
+ * Append an event to the log
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {Object} payload - Event-specific data
+ * @param {string} source - Process that wrote it: server or mcp
+ * @returns {Object} The event, with its sequence number
+ */
+export function recordEvent(db, type, payload = {}, source = 'mcp') {
+  const id = crypto.randomUUID();
+  const result = db.prepare('INSERT INTO events (id, type, payload, source) VALUES (?, ?, ?, ?)')
+    .run(id, type, JSON.stringify(payload), source);
+  return toEvent(db.prepare('SELECT * FROM events WHERE seq = ?').get(result.lastInsertRowid));
+}
+
+/**
+ * Sequence number of the newest event
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {number} Sequence number (0 if the log is empty)
+ */
+export function latestSequence(db) {
+  return db.prepare('SELECT IFNULL(MAX(seq), 0) AS seq FROM events').get().seq;
+}
+
+/**
+ * Read events from the log
+ *
+ * With `after`, returns the events that follow that sequence number,
+ * oldest first, for resuming. Without it, returns the most recent events,
+ * newest first.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {number} options.after - Sequence number to resume after
+ * @param {string} options.since - Only events after this ISO timestamp
+ * @param {string[]} options.types - Only these event types
+ * @param {number} options.limit - Max events (default: 100, at most
+ *   MAX_EVENTS)
+ * @returns {Object} { events, cursor, has_more } where cursor is the
+ *   sequence number to pass as `after` next time, or { error }
+ */
+export function listEvents(db, { after = null, since = null, types = null, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  const resuming = after !== null && after !== undefined;
+
+  if (resuming) {
+    where.push('seq > ?');
+    params.push(Math.max(parseInt(after, 10) || 0, 0));
+  }
+  if (since) {
+    if (Number.isNaN(new Date(since).getTime())) return { error: 'since must be an ISO timestamp' };
+    where.push('created_at > ?');
+    params.push(new Date(since).toISOString());
+  }
+  if (types?.length) {
+    where.push(`type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_EVENTS);
+  // Read the cursor first so events written meanwhile are not skipped
+  const latest = latestSequence(db);
+  const rows = db.prepare(`
+    SELECT * FROM events
+    ${where.length ? `WHERE ${where.join(' AND ')} AND` : 'WHERE'} seq <= ?
+    ORDER BY seq ${resuming ? 'ASC' : 'DESC'}
+    LIMIT ?
+  `).all(...params, latest, pageSize + 1);
+
+  const hasMore = rows.length > pageSize;
+  const events = rows.slice(0, pageSize).map(toEvent);
+  return {
+    events,
+    // A resumed read continues after the last event returned; a recent
+    // read continues from the end of the log
+    cursor: resuming && hasMore ? events[events.length - 1].seq : latest,
+    has_more: hasMore
+  };
+}
+
+/**
+ * Delete events older than the retention period
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {number} Events deleted
+ */
+export function pruneEvents(db) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - EVENT_RETENTION_DAYS);
+  return db.prepare('DELETE FROM events WHERE created_at < ?').run(cutoff.toISOString()).changes;
+}
+
+export default {
+  EVENT_TYPES,
+  EVENT_RETENTION_DAYS,
+  MAX_EVENTS,
+  recordEvent,
+  latestSequence,
+  listEvents,
+  pruneEvents
+};
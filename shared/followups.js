@@ -0,0 +1,185 @@
+/**
+ * Follow-up Reminders
+ *
+ * Works out when each job needs a follow-up and records a reminder when
+ * that day arrives. A job's follow-up is due on its `follow_up_date`; jobs
+ * that were applied to without one get a suggested date
+ * `followUpAfterDays` (config/search.json, default 7) after `applied_date`.
+ *
+ * `recordDueFollowups` writes one `followup.due` entry to the job's
+ * activity log per follow-up date, so the Express server and the MCP
+ * server can both run it without reminding twice. `listReminders` reads
+ * those entries back for notifications and events.
+ *
+ * @module shared/followups
+ */
+
+import fs from 'fs';
+import { join } from 'path';
+import { recordActivity } from './activity.js';
+
+/**
+ * Days after applying that a follow-up is suggested by default
+ */
+export const DEFAULT_FOLLOW_UP_DAYS = 7;
+
+/**
+ * Jobs with these statuses never need a follow-up
+ * @type {string[]}
+ */
+const CLOSED_STATUSES = ['Offer', 'Rejected'];
+
+/**
+ * Statuses that mean an application was sent
+ * @type {string[]}
+ */
+const APPLIED_STATUSES = ['Applied', 'Done'];
+
+/**
+ * Today's date in local time as YYYY-MM-DD
+ * @param {Date} now - Current time
+ * @returns {string} Date
+ */
+export function localDate(now = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {number} Days (negative if `to` is earlier)
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Read `followUpAfterDays` from the search config
+ *
+ * @param {string} rootDir - Project root directory
+ * @returns {number} Days after applying to suggest a follow-up
+ */
+export function loadFollowUpDays(rootDir) {
+  const configPath = join(rootDir, 'config', 'search.json');
+  if (!fs.existsSync(configPath)) return DEFAULT_FOLLOW_UP_DAYS;
+  try {
+    const days = Number(JSON.parse(fs.readFileSync(configPath, 'utf8')).followUpAfterDays);
+    return days > 0 ? days : DEFAULT_FOLLOW_UP_DAYS;
+  } catch (error) {
+    console.warn(`Could not read ${configPath}: ${error.message}`);
+    return DEFAULT_FOLLOW_UP_DAYS;
+  }
+}
+
+/**
+ * List jobs with a follow-up due, overdue or coming up
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {number} options.afterDays - Days after applied_date to suggest
+ *   a follow-up for jobs without a follow_up_date
+ * @param {number} options.aheadDays - Also include follow-ups due within
+ *   this many days (default: 0, only due and overdue)
+ * @param {string} options.today - YYYY-MM-DD (default: today, local time)
+ * @returns {Object[]} Jobs with `due_date`, `suggested`, `days_overdue` and
+ *   `state` (overdue, due or upcoming), most overdue first
+ */
+export function listFollowups(db, { afterDays = DEFAULT_FOLLOW_UP_DAYS, aheadDays = 0, today = localDate() } = {}) {
+  const closed = CLOSED_STATUSES.map(() => '?').join(', ');
+  const applied = APPLIED_STATUSES.map(() => '?').join(', ');
+
+  const rows = db.prepare(`
+    SELECT * FROM (
+      SELECT id, company, company_id, role, status, priority, apply_url, applied_date, follow_up_date,
+        follow_up_reminded_for,
+        CASE
+          WHEN IFNULL(follow_up_date, '') != '' THEN date(follow_up_date)
+          WHEN status IN (${applied}) AND IFNULL(applied_date, '') != '' THEN date(applied_date, ?)
+        END AS due_date
+      FROM jobs
+      WHERE deleted_at IS NULL AND status NOT IN (${closed})
+    )
+    WHERE due_date IS NOT NULL AND due_date <= date(?, ?)
+    ORDER BY due_date, id
+  `).all(...APPLIED_STATUSES, `+${Number(afterDays)} days`, ...CLOSED_STATUSES, today, `+${Number(aheadDays)} days`);
+
+  return rows.map(job => {
+    const daysOverdue = daysBetween(job.due_date, today);
+    return {
+      ...job,
+      suggested: !job.follow_up_date,
+      days_overdue: Math.max(0, daysOverdue),
+      state: daysOverdue > 0 ? 'overdue' : daysOverdue === 0 ? 'due' : 'upcoming'
+    };
+  });
+}
+
+/**
+ * Record a followup.due activity for every follow-up that has come due
+ * and hasn't been reminded yet
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Same as listFollowups (afterDays, today)
+ * @returns {Object[]} Jobs that were reminded
+ */
+export function recordDueFollowups(db, { afterDays = DEFAULT_FOLLOW_UP_DAYS, today = localDate() } = {}) {
+  const due = listFollowups(db, { afterDays, today })
+    .filter(job => job.follow_up_reminded_for !== job.due_date);
+
+  const markReminded = db.prepare('UPDATE jobs SET follow_up_reminded_for = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const job of due) {
+      markReminded.run(job.due_date, job.id);
+      recordActivity(db, {
+        jobId: job.id,
+        type: 'followup.due',
+        actor: 'system',
+        details: { due_date: job.due_date, suggested: job.suggested, days_overdue: job.days_overdue }
+      });
+    }
+  })();
+
+  return due;
+}
+
+/**
+ * Read back recorded follow-up reminders
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {number} options.sinceId - Only reminders with a higher activity ID
+ * @param {number} options.limit - Max reminders (default: 50)
+ * @returns {Object[]} Reminders with job company and role, oldest first
+ */
+export function listReminders(db, { sinceId = 0, limit = 50 } = {}) {
+  return db.prepare(`
+    SELECT * FROM (
+      SELECT a.id, a.job_id, a.details, a.created_at, j.company, j.role
+      FROM job_activity a JOIN jobs j ON j.id = a.job_id
+      WHERE a.type = 'followup.due' AND a.id > ? AND j.deleted_at IS NULL
+      ORDER BY a.id DESC LIMIT ?
+    ) ORDER BY id
+  `).all(sinceId, limit).map(({ details, ...reminder }) => ({ ...reminder, ...JSON.parse(details || '{}') }));
+}
+
+/**
+ * Highest activity ID of any follow-up reminder
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {number} Activity ID, or 0 if there are none
+ */
+export function lastReminderId(db) {
+  return db.prepare("SELECT IFNULL(MAX(id), 0) AS id FROM job_activity WHERE type = 'followup.due'").get().id;
+}
+
+export default {
+  DEFAULT_FOLLOW_UP_DAYS,
+  localDate,
+  loadFollowUpDays,
+  listFollowups,
+  recordDueFollowups,
+  listReminders,
+  lastReminderId
+};
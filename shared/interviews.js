@@ -0,0 +1,428 @@
+/**
+ * Interviews
+ *
+ * Each job can have several interview rounds, stored in `interviews`. A
+ * round has a type, an optional scheduled time, the people interviewing
+ * (optionally linked to contacts), prep notes, an outcome and our own
+ * feedback afterwards.
+ *
+ * Scheduling a round moves a job that hasn't reached "Interviewing" yet to
+ * that status. The MCP server emits `interview.upcoming` for rounds about
+ * to happen, using `dueReminders` and `markReminded`.
+ *
+ * Used by the Express server and the MCP server.
+ *
+ * @module shared/interviews
+ */
+
+import { recordActivity, recordJobChanges } from './activity.js';
+
+/**
+ * Valid interview types
+ * @type {string[]}
+ */
+export const INTERVIEW_TYPES = ['screen', 'technical', 'panel', 'behavioral', 'take_home', 'onsite', 'final', 'other'];
+
+/**
+ * Valid interview outcomes
+ * @type {string[]}
+ */
+export const INTERVIEW_OUTCOMES = ['pending', 'passed', 'failed', 'cancelled'];
+
+/**
+ * How far ahead an interview counts as upcoming for reminders
+ */
+export const REMINDER_WINDOW_HOURS = 24;
+
+/**
+ * Job statuses that scheduling an interview moves on to "Interviewing"
+ * @type {string[]}
+ */
+const PRE_INTERVIEW_STATUSES = ['Not Started', 'Researching', 'Ready to Apply', 'Applied'];
+
+/**
+ * Fields that can be changed with updateInterview
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = ['round', 'type', 'scheduled_at', 'duration_minutes', 'location', 'prep_notes'];
+
+/**
+ * Validate interview fields
+ * @param {Object} fields - Interview fields
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate({ type, scheduled_at, outcome, round, duration_minutes }) {
+  if (type !== undefined && !INTERVIEW_TYPES.includes(type)) {
+    return `Invalid interview type. Must be one of: ${INTERVIEW_TYPES.join(', ')}`;
+  }
+  if (outcome !== undefined && !INTERVIEW_OUTCOMES.includes(outcome)) {
+    return `Invalid outcome. Must be one of: ${INTERVIEW_OUTCOMES.join(', ')}`;
+  }
+  if (scheduled_at && isNaN(new Date(scheduled_at).getTime())) {
+    return 'scheduled_at is not a valid date';
+  }
+  if (round !== undefined && round !== null && !(Number.isInteger(Number(round)) && Number(round) > 0)) {
+    return 'round must be a positive whole number';
+  }
+  if (duration_minutes && !(Number(duration_minutes) > 0)) {
+    return 'duration_minutes must be a positive number';
+  }
+  return null;
+}
+
+/**
+ * Store a scheduled time as an ISO timestamp
+ * @param {string|null} value - Date or timestamp
+ * @returns {string|null} ISO timestamp
+ */
+function toTimestamp(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Resolve interviewers to { name, contact_id } rows
+ *
+ * Each interviewer can be a name, or { name, contact_id }. A contact's
+ * name is used when only contact_id is given.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Array<string|Object>} interviewers - Interviewers
+ * @returns {Object} { rows } or { error }
+ */
+function resolveInterviewers(db, interviewers) {
+  if (interviewers !== undefined && interviewers !== null && !Array.isArray(interviewers)) {
+    return { error: 'interviewers must be a list of names or { name, contact_id }' };
+  }
+  const rows = [];
+  for (const entry of interviewers || []) {
+    if (typeof entry !== 'string' && (typeof entry !== 'object' || entry === null || Array.isArray(entry))) {
+      return { error: 'Each interviewer must be a name or { name, contact_id }' };
+    }
+    const person = typeof entry === 'string' ? { name: entry } : entry;
+    let name = person.name ? String(person.name).trim() : '';
+    const contactId = person.contact_id || null;
+
+    if (contactId) {
+      const contact = db.prepare('SELECT name FROM contacts WHERE id = ?').get(contactId);
+      if (!contact) return { error: `Contact ${contactId} not found` };
+      name = name || contact.name;
+    }
+    if (!name) return { error: 'Each interviewer needs a name or contact_id' };
+    rows.push({ name, contact_id: contactId });
+  }
+  return { rows };
+}
+
+/**
+ * Replace an interview's interviewers
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} interviewId - Interview ID
+ * @param {Object[]} rows - Resolved interviewers
+ */
+function saveInterviewers(db, interviewId, rows) {
+  db.prepare('DELETE FROM interview_interviewers WHERE interview_id = ?').run(interviewId);
+  const insert = db.prepare('INSERT INTO interview_interviewers (interview_id, name, contact_id) VALUES (?, ?, ?)');
+  for (const row of rows) {
+    insert.run(interviewId, row.name, row.contact_id);
+  }
+}
+
+/**
+ * Attach interviewers to interview rows
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object[]} interviews - Interview rows
+ * @returns {Object[]} Interviews with `interviewers`
+ */
+function withInterviewers(db, interviews) {
+  const select = db.prepare(
+    'SELECT id, name, contact_id FROM interview_interviewers WHERE interview_id = ? ORDER BY id'
+  );
+  return interviews.map(interview => ({ ...interview, interviewers: select.all(interview.id) }));
+}
+
+/**
+ * Get an interview by ID
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Interview ID
+ * @returns {Object|undefined} Interview with job company/role and interviewers
+ */
+export function getInterview(db, id) {
+  const interview = db.prepare(`
+    SELECT i.*, j.company, j.role
+    FROM interviews i JOIN jobs j ON j.id = i.job_id
+    WHERE i.id = ?
+  `).get(id);
+  return interview ? withInterviewers(db, [interview])[0] : undefined;
+}
+
+/**
+ * List interviews
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Filter options
+ * @param {number} options.jobId - Only this job's rounds, in round order
+ * @param {boolean} options.upcoming - Only pending interviews scheduled
+ *   from now on, soonest first
+ * @param {string} options.outcome - Only this outcome
+ * @returns {Object[]} Interviews with job company/role and interviewers
+ */
+export function listInterviews(db, { jobId = null, upcoming = false, outcome = null } = {}) {
+  let query = `
+    SELECT i.*, j.company, j.role
+    FROM interviews i JOIN jobs j ON j.id = i.job_id
+    WHERE j.deleted_at IS NULL
+  `;
+  const params = [];
+
+  if (jobId) {
+    query += ' AND i.job_id = ?';
+    params.push(jobId);
+  }
+  if (upcoming) {
+    query += " AND i.outcome = 'pending' AND i.scheduled_at >= ?";
+    params.push(new Date().toISOString());
+  }
+  if (outcome) {
+    query += ' AND i.outcome = ?';
+    params.push(outcome);
+  }
+
+  query += upcoming || !jobId
+    ? ' ORDER BY i.scheduled_at IS NULL, i.scheduled_at, i.id'
+    : ' ORDER BY i.round, i.id';
+  return withInterviewers(db, db.prepare(query).all(...params));
+}
+
+/**
+ * Schedule an interview round for a job
+ *
+ * The round number defaults to one after the job's last round. A job
+ * that hasn't reached "Interviewing" is moved to it.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {Object} input - Interview fields
+ * @param {string} input.type - One of INTERVIEW_TYPES (default: screen)
+ * @param {string} input.scheduled_at - When it takes place
+ * @param {number} input.duration_minutes - Expected length
+ * @param {string} input.location - Video link, phone number or address
+ * @param {string} input.prep_notes - What to prepare
+ * @param {number} input.round - Round number
+ * @param {Array<string|Object>} input.interviewers - Names, or
+ *   { name, contact_id }
+ * @param {string} actor - Who scheduled it
+ * @returns {Object} { interview, status_changed } or { error }
+ */
+export function scheduleInterview(db, jobId, input, actor = 'system') {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  if (!job) return { error: 'Job not found' };
+
+  const fields = { type: 'screen', ...input };
+  const error = validate(fields);
+  if (error) return { error };
+
+  const { rows, error: interviewerError } = resolveInterviewers(db, fields.interviewers);
+  if (interviewerError) return { error: interviewerError };
+
+  let id;
+  let statusChanged = false;
+  db.transaction(() => {
+    const round = fields.round
+      ? Number(fields.round)
+      : db.prepare('SELECT IFNULL(MAX(round), 0) + 1 AS next FROM interviews WHERE job_id = ?').get(job.id).next;
+
+    id = Number(db.prepare(`
+      INSERT INTO interviews (job_id, round, type, scheduled_at, duration_minutes, location, prep_notes, actor)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      job.id,
+      round,
+      fields.type,
+      toTimestamp(fields.scheduled_at),
+      fields.duration_minutes ? Number(fields.duration_minutes) : null,
+      fields.location || null,
+      fields.prep_notes || null,
+      actor || 'system'
+    ).lastInsertRowid);
+    saveInterviewers(db, id, rows);
+
+    recordActivity(db, {
+      jobId: job.id,
+      type: 'interview.scheduled',
+      actor,
+      details: { interview_id: id, round, type: fields.type, scheduled_at: toTimestamp(fields.scheduled_at) }
+    });
+
+    if (PRE_INTERVIEW_STATUSES.includes(job.status)) {
+      db.prepare("UPDATE jobs SET status = 'Interviewing', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(job.id);
+      recordJobChanges(db, job, { status: 'Interviewing' }, actor);
+      statusChanged = true;
+    }
+  })();
+
+  return { interview: getInterview(db, id), status_changed: statusChanged };
+}
+
+/**
+ * Update an interview
+ *
+ * Changing the scheduled time records an interview.rescheduled activity
+ * and re-arms the upcoming reminder.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Interview ID
+ * @param {Object} updates - Fields to change (round, type, scheduled_at,
+ *   duration_minutes, location, prep_notes, interviewers)
+ * @param {string} actor - Who changed it
+ * @returns {Object} { interview } or { error }
+ */
+export function updateInterview(db, id, updates, actor = 'system') {
+  const existing = db.prepare('SELECT * FROM interviews WHERE id = ?').get(id);
+  if (!existing) return { error: 'Interview not found' };
+
+  const error = validate(updates);
+  if (error) return { error };
+
+  let rows = null;
+  if (updates.interviewers !== undefined) {
+    const resolved = resolveInterviewers(db, updates.interviewers);
+    if (resolved.error) return { error: resolved.error };
+    rows = resolved.rows;
+  }
+
+  const values = { ...updates };
+  if (values.scheduled_at !== undefined) values.scheduled_at = toTimestamp(values.scheduled_at);
+
+  const setters = [];
+  const params = [];
+  for (const field of UPDATABLE_FIELDS) {
+    if (values[field] !== undefined) {
+      setters.push(`${field} = ?`);
+      params.push(values[field] === '' ? null : values[field]);
+    }
+  }
+  if (setters.length === 0 && !rows) return { error: 'No fields to update' };
+
+  const rescheduled = values.scheduled_at !== undefined && values.scheduled_at !== existing.scheduled_at;
+  if (rescheduled) setters.push('reminded_at = NULL');
+
+  db.transaction(() => {
+    setters.push("updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')");
+    db.prepare(`UPDATE interviews SET ${setters.join(', ')} WHERE id = ?`).run(...params, id);
+    if (rows) saveInterviewers(db, id, rows);
+
+    if (rescheduled) {
+      recordActivity(db, {
+        jobId: existing.job_id,
+        type: 'interview.rescheduled',
+        actor,
+        details: { interview_id: existing.id, round: existing.round, from: existing.scheduled_at, to: values.scheduled_at }
+      });
+    }
+  })();
+
+  return { interview: getInterview(db, id) };
+}
+
+/**
+ * Record how an interview went
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Interview ID
+ * @param {Object} result - Outcome fields
+ * @param {string} result.outcome - One of INTERVIEW_OUTCOMES
+ * @param {string} result.feedback - Our own notes on how it went
+ * @param {string} actor - Who recorded it
+ * @returns {Object} { interview } or { error }
+ */
+export function recordOutcome(db, id, { outcome, feedback } = {}, actor = 'system') {
+  const existing = db.prepare('SELECT * FROM interviews WHERE id = ?').get(id);
+  if (!existing) return { error: 'Interview not found' };
+  if (!outcome) return { error: 'outcome is required' };
+
+  const error = validate({ outcome });
+  if (error) return { error };
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE interviews SET outcome = ?, feedback = COALESCE(?, feedback),
+        updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      WHERE id = ?
+    `).run(outcome, feedback ?? null, id);
+
+    recordActivity(db, {
+      jobId: existing.job_id,
+      type: 'interview.outcome',
+      actor,
+      details: { interview_id: existing.id, round: existing.round, type: existing.type, outcome }
+    });
+  })();
+
+  return { interview: getInterview(db, id) };
+}
+
+/**
+ * Delete an interview
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Interview ID
+ * @returns {Object|null} The deleted interview, or null if not found
+ */
+export function deleteInterview(db, id) {
+  const interview = getInterview(db, id);
+  if (!interview) return null;
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM interview_interviewers WHERE interview_id = ?').run(id);
+    db.prepare('DELETE FROM interviews WHERE id = ?').run(id);
+  })();
+
+  return interview;
+}
+
+/**
+ * Find pending interviews starting soon that haven't been announced yet
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {number} options.withinHours - How far ahead to look
+ *   (default: REMINDER_WINDOW_HOURS)
+ * @param {Date} options.now - Current time
+ * @returns {Object[]} Interviews, soonest first
+ */
+export function dueReminders(db, { withinHours = REMINDER_WINDOW_HOURS, now = new Date() } = {}) {
+  const until = new Date(now.getTime() + withinHours * 60 * 60 * 1000);
+  return withInterviewers(db, db.prepare(`
+    SELECT i.*, j.company, j.role
+    FROM interviews i JOIN jobs j ON j.id = i.job_id
+    WHERE j.deleted_at IS NULL AND i.outcome = 'pending' AND i.reminded_at IS NULL
+      AND i.scheduled_at >= ? AND i.scheduled_at <= ?
+    ORDER BY i.scheduled_at
+  `).all(now.toISOString(), until.toISOString()));
+}
+
+/**
+ * Mark interviews as announced so dueReminders skips them
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number[]} ids - Interview IDs
+ */
+export function markReminded(db, ids) {
+  const update = db.prepare("UPDATE interviews SET reminded_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = ?");
+  db.transaction(() => ids.forEach(id => update.run(id)))();
+}
+
+export default {
+  INTERVIEW_TYPES,
+  INTERVIEW_OUTCOMES,
+  REMINDER_WINDOW_HOURS,
+  getInterview,
+  listInterviews,
+  scheduleInterview,
+  updateInterview,
+  recordOutcome,
+  deleteInterview,
+  dueReminders,
+  markReminded
+};
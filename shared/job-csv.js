@@ -0,0 +1,442 @@
+/**
+ * Job CSV Import and Export
+ *
+ * Export writes jobs as CSV with a choice of columns. Import reads a CSV
+ * (for example a spreadsheet kept before ProwlA) using a mapping from CSV
+ * headers to job fields, and resolves rows that match an existing job by
+ * company + role or posting URL (see findDuplicateJob):
+ * - skip - Leave the existing job alone (default)
+ * - update - Fill the existing job with the row's non-empty values
+ * - create - Add the row as a new job anyway
+ *
+ * A dry run works out what every row would do without saving anything.
+ *
+ * Text a spreadsheet would run as a formula (starting with =, +, -, @,
+ * tab or CR; company, role and notes come from scraped postings) is
+ * exported with a leading `'`, which import removes again.
+ *
+ * @module shared/job-csv
+ */
+
+import { recordActivity, recordJobChanges } from './activity.js';
+import { attachJobToCompany, findDuplicateJob } from './companies.js';
+import { JOB_STATUSES as STATUSES, PRIORITIES as PRIORITY_FILTERS, DUPLICATE_ACTIONS } from './schemas.js';
+
+/**
+ * Columns that can be exported, with their CSV headers
+ */
+export const EXPORT_COLUMNS = {
+  id: 'ID',
+  status: 'Status',
+  priority: 'Priority',
+  company: 'Company',
+  role: 'Role',
+  type: 'Type',
+  hours_week: 'Hours/Week',
+  compensation: 'Compensation',
+  location: 'Location',
+  source: 'Source',
+  materials: 'Materials',
+  apply_url: 'Apply URL',
+  applied_date: 'Applied Date',
+  follow_up_date: 'Follow-up Date',
+  created_at: 'Created',
+  updated_at: 'Updated'
+};
+
+/**
+ * Columns exported when none are chosen
+ * @type {string[]}
+ */
+export const DEFAULT_EXPORT_COLUMNS = [
+  'status', 'priority', 'company', 'role', 'type', 'hours_week', 'compensation',
+  'location', 'source', 'apply_url', 'applied_date', 'follow_up_date'
+];
+
+/**
+ * Job fields a CSV column can be mapped to
+ * @type {string[]}
+ */
+export const IMPORT_FIELDS = [
+  'status', 'priority', 'company', 'role', 'type', 'hours_week', 'compensation',
+  'location', 'source', 'apply_url', 'applied_date', 'follow_up_date'
+];
+
+// What to do with a row that matches an existing job (defined with the
+// import request's schema)
+export { DUPLICATE_ACTIONS };
+
+/**
+ * Priority values, by the word spreadsheets usually use
+ */
+const PRIORITIES = { ...PRIORITY_FILTERS, low: PRIORITY_FILTERS.lower };
+
+/**
+ * Other header names recognised when guessing a mapping
+ */
+const HEADER_ALIASES = {
+  company: ['company name', 'employer', 'organization', 'organisation'],
+  role: ['title', 'job title', 'position', 'role title'],
+  apply_url: ['url', 'link', 'job url', 'job link', 'posting', 'posting url'],
+  applied_date: ['applied', 'date applied', 'applied on'],
+  follow_up_date: ['follow up', 'next follow up'],
+  hours_week: ['hours', 'hours per week'],
+  compensation: ['salary', 'pay', 'rate'],
+  type: ['job type', 'employment type'],
+  status: ['stage', 'application status']
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks
+ * inside quotes, CRLF or LF)
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields, blank lines dropped
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// First characters that make a spreadsheet read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for CSV when it needs it, with a leading `'` if a
+ * spreadsheet would run it as a formula
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (FORMULA_START.test(text)) return `"'${text.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Read a cell back as csvField wrote it, without the formula guard
+ * @param {string} cell - CSV cell
+ * @returns {string} Value
+ */
+function cellValue(cell) {
+  return cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Export jobs as CSV
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string[]} options.columns - Keys of EXPORT_COLUMNS (default:
+ *   DEFAULT_EXPORT_COLUMNS)
+ * @param {string} options.status - Only jobs with this status
+ * @param {boolean} options.includeTrashed - Include jobs in the trash
+ * @returns {Object} { csv, count } or { error }
+ */
+export function exportJobsCSV(db, { columns = DEFAULT_EXPORT_COLUMNS, status = null, includeTrashed = false } = {}) {
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+  if (unknown.length) {
+    return { error: `Unknown columns: ${unknown.join(', ')}` };
+  }
+
+  let query = 'SELECT * FROM jobs WHERE 1=1';
+  const params = [];
+  if (!includeTrashed) query += ' AND deleted_at IS NULL';
+  if (status) {
+    query += ' AND status = ?';
+    params.push(status);
+  }
+  const jobs = db.prepare(`${query} ORDER BY id`).all(...params);
+
+  const lines = [
+    columns.map(column => csvField(EXPORT_COLUMNS[column])).join(','),
+    ...jobs.map(job => columns.map(column => csvField(job[column])).join(','))
+  ];
+  return { csv: lines.join('\r\n') + '\r\n', count: jobs.length };
+}
+
+/**
+ * Lowercase a header and drop punctuation for matching
+ * @param {string} header - CSV header
+ * @returns {string} Key
+ */
+function headerKey(header) {
+  return header.toLowerCase().replace(/[_/-]+/g, ' ').replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Guess which job field each CSV header holds
+ *
+ * Matches field names, export headers and common spreadsheet names
+ * ("Title", "Date Applied", ...). Each field is used at most once.
+ *
+ * @param {string[]} headers - CSV headers
+ * @returns {Object} Header to field, for headers that matched
+ */
+export function guessMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+
+  for (const header of headers) {
+    const key = headerKey(header);
+    const field = IMPORT_FIELDS.find(candidate => !used.has(candidate) && (
+      key === headerKey(candidate) ||
+      key === headerKey(EXPORT_COLUMNS[candidate]) ||
+      (HEADER_ALIASES[candidate] || []).includes(key)
+    ));
+    if (field) {
+      mapping[header] = field;
+      used.add(field);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Normalize a date cell to YYYY-MM-DD
+ * @param {string} value - Cell
+ * @returns {string|null} Date, or null if it can't be read
+ */
+function normalizeDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const parsed = new Date(value);
+  if (isNaN(parsed)) return null;
+  const pad = n => String(n).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+}
+
+/**
+ * Turn one CSV row into job fields
+ * @param {Object} cells - Header to cell value
+ * @param {Object} mapping - Header to field
+ * @returns {Object} { fields, errors }
+ */
+function rowToFields(cells, mapping) {
+  const fields = {};
+  const errors = [];
+
+  for (const [header, field] of Object.entries(mapping)) {
+    const value = cellValue(cells[header] || '').trim();
+    if (!value) continue;
+
+    if (field === 'status') {
+      const status = STATUSES.find(candidate => candidate.toLowerCase() === value.toLowerCase());
+      if (status) fields.status = status;
+      else errors.push(`Unknown status "${value}"`);
+    } else if (field === 'priority') {
+      const word = value.replace(/[^a-z]/gi, '').toLowerCase();
+      if (PRIORITIES[word]) fields.priority = PRIORITIES[word];
+      else errors.push(`Unknown priority "${value}"`);
+    } else if (field === 'applied_date' || field === 'follow_up_date') {
+      const date = normalizeDate(value);
+      if (date) fields[field] = date;
+      else errors.push(`Can't read ${field} "${value}"`);
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  if (!fields.company) errors.push('Missing company');
+  if (!fields.role) errors.push('Missing role');
+  return { fields, errors };
+}
+
+/**
+ * Insert an imported job
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} fields - Job fields from the row
+ * @param {string} actor - Who is importing
+ * @returns {Object} The created job
+ */
+function createImportedJob(db, fields, actor) {
+  const values = {
+    status: 'Not Started',
+    priority: '🟢 Lower',
+    materials: '⬜ None',
+    ...fields
+  };
+  const names = Object.keys(values);
+
+  const result = db.prepare(`
+    INSERT INTO jobs (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+  `).run(...names.map(name => values[name]));
+
+  const { job } = attachJobToCompany(db, result.lastInsertRowid);
+  recordActivity(db, {
+    jobId: job.id,
+    type: 'job.created',
+    actor,
+    details: { company: job.company, role: job.role, priority: job.priority, source: job.source, imported: true }
+  });
+  return job;
+}
+
+/**
+ * Fill an existing job with the row's values
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} before - The existing job
+ * @param {Object} fields - Job fields from the row
+ * @param {string} actor - Who is importing
+ * @returns {Object} { job, changes }
+ */
+function updateImportedJob(db, before, fields, actor) {
+  // Company and role identified the match; keep the job's own spelling
+  const { company, role, ...rest } = fields;
+  const changes = Object.fromEntries(
+    Object.entries(rest).filter(([field, value]) => String(before[field] ?? '') !== value)
+  );
+
+  if (Object.keys(changes).length > 0) {
+    const sets = Object.keys(changes).map(field => `${field} = ?`);
+    db.prepare(`UPDATE jobs SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+      .run(...Object.values(changes), before.id);
+    recordJobChanges(db, before, changes, actor);
+  }
+  return { job: db.prepare('SELECT * FROM jobs WHERE id = ?').get(before.id), changes };
+}
+
+/**
+ * Import jobs from CSV
+ *
+ * Rows are processed in order inside one transaction, so a row that
+ * repeats an earlier row of the same file counts as a duplicate of it.
+ * A dry run rolls the transaction back.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} text - CSV text; the first row is the header
+ * @param {Object} options - Options
+ * @param {Object} options.mapping - CSV header to job field (default:
+ *   guessMapping); headers mapped to nothing are ignored
+ * @param {string} options.onDuplicate - One of DUPLICATE_ACTIONS (default: skip)
+ * @param {boolean} options.dryRun - Work out the result without saving
+ * @param {string} options.actor - Who is importing (see shared/activity.js)
+ * @returns {Object} { headers, mapping, rows, summary, dry_run } or { error }
+ */
+export function importJobsCSV(db, text, { mapping = null, onDuplicate = 'skip', dryRun = false, actor = 'system' } = {}) {
+  if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+    return { error: `on_duplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` };
+  }
+
+  const [headers, ...records] = parseCSV(text || '');
+  if (!headers) {
+    return { error: 'CSV is empty' };
+  }
+
+  const columnMapping = mapping || guessMapping(headers);
+  const unknownHeaders = Object.keys(columnMapping).filter(header => !headers.includes(header));
+  if (unknownHeaders.length) {
+    return { error: `Mapping refers to headers not in the CSV: ${unknownHeaders.join(', ')}` };
+  }
+  const unknownFields = Object.values(columnMapping).filter(field => field && !IMPORT_FIELDS.includes(field));
+  if (unknownFields.length) {
+    return { error: `Unknown fields: ${unknownFields.join(', ')}. Map headers to: ${IMPORT_FIELDS.join(', ')}` };
+  }
+  const activeMapping = Object.fromEntries(Object.entries(columnMapping).filter(([, field]) => field));
+
+  const rows = [];
+  // Jobs created by earlier rows of this file, by job ID. Their IDs don't
+  // exist after a dry run, so matches against them name the row instead.
+  const createdByRow = new Map();
+  const describeMatch = duplicate => createdByRow.has(duplicate.job.id)
+    ? { duplicate_of_row: createdByRow.get(duplicate.job.id), match: duplicate.match }
+    : { duplicate_of: duplicate.job.id, match: duplicate.match, in_trash: duplicate.in_trash };
+  const rollback = new Error('dry run');
+
+  try {
+    db.transaction(() => {
+      records.forEach((record, index) => {
+        const cells = Object.fromEntries(headers.map((header, i) => [header, record[i] ?? '']));
+        const { fields, errors } = rowToFields(cells, activeMapping);
+        // Row numbers count the header as row 1
+        const entry = { row: index + 2, company: fields.company || null, role: fields.role || null };
+
+        if (errors.length) {
+          rows.push({ ...entry, action: 'error', errors });
+          return;
+        }
+
+        const duplicate = findDuplicateJob(db, fields);
+        if (duplicate && onDuplicate !== 'create') {
+          if (onDuplicate === 'skip' || duplicate.in_trash) {
+            rows.push({ ...entry, action: 'skip', ...describeMatch(duplicate) });
+            return;
+          }
+          const { changes } = updateImportedJob(db, duplicate.job, fields, actor);
+          const jobId = dryRun && createdByRow.has(duplicate.job.id) ? null : duplicate.job.id;
+          rows.push({ ...entry, action: 'update', job_id: jobId, ...describeMatch(duplicate), changes });
+          return;
+        }
+
+        const job = createImportedJob(db, fields, actor);
+        createdByRow.set(job.id, entry.row);
+        rows.push({
+          ...entry,
+          action: 'create',
+          job_id: dryRun ? null : job.id,
+          company_id: dryRun ? null : job.company_id,
+          ...(duplicate && describeMatch(duplicate))
+        });
+      });
+      if (dryRun) throw rollback;
+    })();
+  } catch (error) {
+    if (error !== rollback) throw error;
+  }
+
+  const summary = { create: 0, update: 0, skip: 0, error: 0 };
+  for (const row of rows) summary[row.action]++;
+
+  return {
+    headers,
+    mapping: columnMapping,
+    rows,
+    summary,
+    dry_run: dryRun
+  };
+}
+
+export default {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  IMPORT_FIELDS,
+  DUPLICATE_ACTIONS,
+  parseCSV,
+  exportJobsCSV,
+  guessMapping,
+  importJobsCSV
+};
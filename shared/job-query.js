@@ -0,0 +1,244 @@
+/**
+ * Job List Queries
+ *
+ * Filtering, sorting and pagination for job lists, so large trackers can
+ * be read a page at a time instead of all at once.
+ *
+ * - Filters take a list of values and match any of them
+ * - Date ranges are inclusive YYYY-MM-DD bounds on a date column
+ * - `q` is a search in the shared/search.js syntax; with it, results can
+ *   be sorted by relevance and carry highlighted snippets
+ * - Pages are read with `offset`, or with the `next_cursor` of the
+ *   previous page, which stays correct while jobs are added or removed
+ *
+ * @module shared/job-query
+ */
+
+import { DEFAULT_HIGHLIGHT, buildSearch, priorityOrder, rankColumns, withRelevance } from './search.js';
+
+/**
+ * Columns that take a list of values to filter on
+ * @type {string[]}
+ */
+export const LIST_FILTERS = ['status', 'priority', 'source', 'materials', 'type'];
+
+/**
+ * Date columns that can be filtered by range, by option name
+ */
+export const DATE_RANGES = {
+  created: 'created_at',
+  updated: 'updated_at',
+  applied: 'applied_date',
+  follow_up: 'follow_up_date'
+};
+
+/**
+ * Default and largest page sizes
+ */
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+// Priority sorts High first when ascending
+const PRIORITY_ORDER = priorityOrder();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Columns of the jobs table, which are all sortable
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {string[]} Column names
+ */
+export function sortColumns(db) {
+  return db.prepare('PRAGMA table_info(jobs)').all().map(column => column.name);
+}
+
+/**
+ * Encode the position after a row as an opaque cursor, with the sort it
+ * belongs to
+ * @param {string} sort - Sort column, or relevance
+ * @param {string} order - asc or desc
+ * @param {Array} position - Sort values, or [offset] for relevance sorts
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(sort, order, position) {
+  return Buffer.from(JSON.stringify({ sort, order, position })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ *
+ * Its position is bound as query parameters, so anything but strings,
+ * numbers and nulls in it makes it invalid.
+ *
+ * @param {string} cursor - Cursor
+ * @returns {Object|null} { sort, order, position }, or null if the cursor
+ *   is invalid
+ */
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string') return null;
+  try {
+    const { sort, order, position } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) || {};
+    const valid = typeof sort === 'string' && typeof order === 'string' && Array.isArray(position) &&
+      position.every(value => value === null || typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value)));
+    return valid ? { sort, order, position } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List jobs, a page at a time (the trash is never included)
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string[]} options.status - Statuses to include (likewise
+ *   priority, source, materials and type; priority also takes high,
+ *   medium and lower)
+ * @param {Object} options.ranges - { created, updated, applied, follow_up }
+ *   each { from, to } (YYYY-MM-DD, either may be omitted)
+ * @param {boolean} options.onlyNew - Only jobs from the latest scan or
+ *   created in the last 12 hours
+ * @param {string} options.q - Search query (shared/search.js syntax)
+ * @param {string} options.sort - A jobs column, or "relevance" with a
+ *   query (default: relevance with a query, otherwise priority)
+ * @param {string} options.order - asc or desc (default: desc for
+ *   relevance and dates, otherwise asc)
+ * @param {number} options.limit - Page size (default: DEFAULT_LIMIT, at
+ *   most MAX_LIMIT)
+ * @param {number} options.offset - Jobs to skip (ignored with a cursor)
+ * @param {string} options.cursor - next_cursor of the previous page
+ * @param {string[]} options.highlight - Snippet markers (default:
+ *   DEFAULT_HIGHLIGHT)
+ * @returns {Object} { jobs, total, limit, offset, has_more, next_cursor,
+ *   sort, order } or { error }
+ */
+export function listJobs(db, {
+  ranges = {},
+  onlyNew = false,
+  q = '',
+  sort = null,
+  order = null,
+  limit = DEFAULT_LIMIT,
+  offset = 0,
+  cursor = null,
+  highlight = DEFAULT_HIGHLIGHT,
+  ...filters
+} = {}) {
+  if (sort !== null && typeof sort !== 'string') return { error: 'sort must be a single column' };
+  if (order !== null && typeof order !== 'string') return { error: 'order must be asc or desc' };
+
+  const search = buildSearch(q, { filters: { status: filters.status, priority: filters.priority, source: filters.source } });
+  const where = ['j.deleted_at IS NULL', ...search.where];
+  const params = [...search.params];
+
+  for (const filter of ['materials', 'type']) {
+    const values = [].concat(filters[filter] || []);
+    if (values.length === 0) continue;
+    // Jobs whose materials were never detected count as having none
+    const column = filter === 'materials' ? "IFNULL(NULLIF(j.materials, ''), '⬜ None')" : `j.${filter}`;
+    where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  }
+
+  for (const [name, range] of Object.entries(ranges)) {
+    const column = DATE_RANGES[name];
+    if (!column) return { error: `Unknown date range: ${name}` };
+    for (const [bound, operator] of [['from', '>='], ['to', '<=']]) {
+      if (!range?.[bound]) continue;
+      if (!DATE_PATTERN.test(range[bound])) return { error: `${name}_${bound} must be a YYYY-MM-DD date` };
+      where.push(`substr(j.${column}, 1, 10) ${operator} ?`);
+      params.push(range[bound]);
+    }
+  }
+
+  if (onlyNew) {
+    const latestBatchId = db.prepare('SELECT value FROM metadata WHERE key = ?').get('latest_batch_id')?.value;
+    where.push("(j.search_batch_id = ? OR j.created_at > datetime('now', '-12 hours'))");
+    params.push(latestBatchId ?? null);
+  }
+
+  const sortBy = sort || (search.match ? 'relevance' : 'priority');
+  if (sortBy === 'relevance' ? !search.match : !sortColumns(db).includes(sortBy)) {
+    return { error: sortBy === 'relevance' ? 'Sorting by relevance needs a search query' : `Cannot sort by ${sortBy}` };
+  }
+  const direction = (order || (sortBy === 'relevance' || Object.values(DATE_RANGES).includes(sortBy) ? 'desc' : 'asc')).toLowerCase();
+  if (!['asc', 'desc'].includes(direction)) return { error: 'order must be asc or desc' };
+
+  const from = search.match ? 'jobs_fts JOIN jobs j ON j.id = jobs_fts.rowid' : 'jobs j';
+  if (search.match) {
+    where.unshift('jobs_fts MATCH ?');
+    params.unshift(search.match);
+  }
+
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM ${from} WHERE ${where.join(' AND ')}`).get(...params).count;
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  // Sort by the column, then newest first so the order is total. Relevance
+  // is not a column, so its cursor holds an offset instead.
+  const sortExpression = sortBy === 'relevance' ? '_score'
+    : sortBy === 'priority' ? PRIORITY_ORDER
+    : `IFNULL(j.${sortBy}, '')`;
+  // BM25 scores are lower for better matches, so most relevant first is ascending
+  const sortDirection = sortBy === 'relevance' ? (direction === 'desc' ? 'asc' : 'desc') : direction;
+  const keys = [[sortExpression, sortDirection], ['j.id', 'desc']];
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  let skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+  if (cursor) {
+    // A cursor only continues the sort it was made for
+    const { sort: cursorSort, order: cursorOrder, position } = decodeCursor(cursor) || {};
+    if (!position || cursorSort !== sortBy || cursorOrder !== direction ||
+      position.length !== (sortBy === 'relevance' ? 1 : keys.length) || (sortBy === 'relevance' && !Number.isInteger(position[0]))) {
+      return { error: 'Invalid cursor' };
+    }
+    if (sortBy === 'relevance') {
+      skip = position[0];
+    } else {
+      // Rows after the cursor: (a > x) OR (a = x AND b > y), per direction
+      const after = keys.map(([expression, keyDirection], i) => {
+        const equal = keys.slice(0, i).map(([previous]) => `${previous} = ?`);
+        return `(${[...equal, `${expression} ${keyDirection === 'asc' ? '>' : '<'} ?`].join(' AND ')})`;
+      });
+      pageWhere.push(`(${after.join(' OR ')})`);
+      keys.forEach((_, i) => pageParams.push(...position.slice(0, i + 1)));
+      skip = 0;
+    }
+  }
+
+  const rows = db.prepare(`
+    SELECT j.*, ${sortBy === 'relevance' ? '' : `${sortExpression} AS _sort, `}${search.match ? rankColumns(search) : 'NULL AS _score, NULL AS _snippet'}
+    FROM ${from}
+    WHERE ${pageWhere.join(' AND ')}
+    ORDER BY ${keys.map(([expression, keyDirection]) => `${expression} ${keyDirection.toUpperCase()}`).join(', ')}
+    LIMIT ? OFFSET ?
+  `).all(...(search.match ? highlight : []), ...pageParams, pageSize + 1, skip);
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+  const nextCursor = !hasMore ? null
+    : sortBy === 'relevance' ? encodeCursor(sortBy, direction, [skip + page.length])
+    : encodeCursor(sortBy, direction, [last._sort, last.id]);
+
+  const jobs = page.map(({ _sort, ...job }) => job);
+  return {
+    jobs: search.match ? withRelevance(jobs, Math.min(...jobs.map(job => job._score))) : jobs.map(({ _score, _snippet, ...job }) => job),
+    total,
+    limit: pageSize,
+    offset: cursor ? null : skip,
+    has_more: hasMore,
+    next_cursor: nextCursor,
+    sort: sortBy,
+    order: direction
+  };
+}
+
+export default {
+  LIST_FILTERS,
+  DATE_RANGES,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  sortColumns,
+  listJobs
+};
@@ -0,0 +1,117 @@
+/**
+ * Schema Migration Runner
+ *
+ * Brings a ProwlA SQLite database up to the latest schema version.
+ * Used by both the Express server and the MCP server so that either
+ * process can create or upgrade the database on startup.
+ *
+ * Applied migrations are recorded in the `schema_version` table. Each
+ * migration runs in its own IMMEDIATE transaction and the current version
+ * is re-read inside it, so two processes starting at the same time never
+ * apply the same migration twice.
+ *
+ * @module shared/migrate
+ */
+
+import { MIGRATIONS } from './migrations/index.js';
+
+/**
+ * Highest schema version known to this code
+ * @type {number}
+ */
+export const LATEST_VERSION = MIGRATIONS.reduce((max, m) => Math.max(max, m.version), 0);
+
+/**
+ * Create the schema_version table if needed
+ * @param {import('better-sqlite3').Database} db - Database connection
+ */
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get the current schema version of a database
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {number} Highest applied migration version (0 if none)
+ */
+export function getSchemaVersion(db) {
+  const table = db.prepare(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'"
+  ).get();
+  if (!table) return 0;
+
+  const row = db.prepare('SELECT MAX(version) as version FROM schema_version').get();
+  return row?.version || 0;
+}
+
+/**
+ * List migrations that have been applied to a database
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {Object[]} Rows of { version, name, applied_at }
+ */
+export function listAppliedMigrations(db) {
+  if (getSchemaVersion(db) === 0) return [];
+  return db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all();
+}
+
+/**
+ * Apply all pending migrations
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Runner options
+ * @param {Function} options.log - Logger for progress messages (default: console.error)
+ * @returns {Object} Result with from, to and applied migration names
+ * @throws {Error} If the database was written by a newer version of ProwlA
+ */
+export function runMigrations(db, { log = console.error } = {}) {
+  ensureVersionTable(db);
+
+  const from = getSchemaVersion(db);
+  if (from > LATEST_VERSION) {
+    throw new Error(
+      `Database schema version ${from} is newer than this code supports (${LATEST_VERSION}). Update ProwlA.`
+    );
+  }
+
+  const pending = [...MIGRATIONS]
+    .sort((a, b) => a.version - b.version)
+    .filter(m => m.version > from);
+
+  const applied = [];
+
+  for (const migration of pending) {
+    const apply = db.transaction(() => {
+      // Another process may have applied it since we last checked
+      if (getSchemaVersion(db) >= migration.version) return false;
+
+      migration.up(db);
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)')
+        .run(migration.version, migration.name);
+      return true;
+    });
+
+    if (apply.immediate()) {
+      applied.push(`${migration.version}-${migration.name}`);
+      log(`✅ Applied migration ${migration.version}: ${migration.name}`);
+    }
+  }
+
+  return {
+    from,
+    to: getSchemaVersion(db),
+    applied
+  };
+}
+
+export default {
+  LATEST_VERSION,
+  getSchemaVersion,
+  listAppliedMigrations,
+  runMigrations
+};
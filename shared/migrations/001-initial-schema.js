@@ -0,0 +1,64 @@
+/**
+ * Migration 001: Initial schema
+ *
+ * Creates the `jobs` and `metadata` tables. Databases created before the
+ * migration system existed already have these tables, so every column the
+ * server and MCP tools write is added if it is missing.
+ *
+ * @module shared/migrations/001-initial-schema
+ */
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const version = 1;
+export const name = 'initial-schema';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT NOT NULL DEFAULT 'Not Started',
+      priority TEXT NOT NULL,
+      company TEXT NOT NULL,
+      role TEXT NOT NULL,
+      type TEXT,
+      hours_week TEXT,
+      compensation TEXT,
+      location TEXT,
+      source TEXT,
+      materials TEXT,
+      cover_letter TEXT,
+      email TEXT,
+      notes TEXT,
+      apply_url TEXT,
+      applied_date TEXT,
+      follow_up_date TEXT,
+      search_batch_id TEXT,
+      cover_letter_content TEXT,
+      email_content TEXT,
+      research_notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Columns that older databases may be missing
+  addColumnIfMissing(db, 'jobs', 'materials', 'TEXT');
+  addColumnIfMissing(db, 'jobs', 'search_batch_id', 'TEXT');
+  addColumnIfMissing(db, 'jobs', 'cover_letter_content', 'TEXT');
+  addColumnIfMissing(db, 'jobs', 'email_content', 'TEXT');
+  addColumnIfMissing(db, 'jobs', 'research_notes', 'TEXT');
+
+  // Metadata table for tracking search batches
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS metadata (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    )
+  `);
+}
+
+export default { version, name, up };
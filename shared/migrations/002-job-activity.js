@@ -0,0 +1,34 @@
+/**
+ * Migration 002: Job activity log
+ *
+ * Adds `job_activity`, an append-only history of everything that happens
+ * to a job: field changes, research and materials saves, and task events.
+ *
+ * @module shared/migrations/002-job-activity
+ */
+
+export const version = 2;
+export const name = 'job-activity';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS job_activity (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      field TEXT,
+      old_value TEXT,
+      new_value TEXT,
+      actor TEXT NOT NULL DEFAULT 'system',
+      details TEXT,
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_job_activity_job ON job_activity (job_id, id)');
+}
+
+export default { version, name, up };
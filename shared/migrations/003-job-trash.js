@@ -0,0 +1,24 @@
+/**
+ * Migration 003: Job trash
+ *
+ * Adds `deleted_at` to jobs. Deleting a job now moves it to the trash
+ * (deleted_at set) instead of removing the row; trashed jobs are hidden
+ * from lists and purged after the retention period.
+ *
+ * @module shared/migrations/003-job-trash
+ */
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const version = 3;
+export const name = 'job-trash';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  addColumnIfMissing(db, 'jobs', 'deleted_at', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_deleted_at ON jobs (deleted_at)');
+}
+
+export default { version, name, up };
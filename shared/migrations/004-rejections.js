@@ -0,0 +1,39 @@
+/**
+ * Migration 004: Rejections
+ *
+ * Moves the rejected-companies list into the database. Each rejection has
+ * a scope (a whole company, a role pattern, or a domain), an optional
+ * reason and an optional expiry. Entries from the old
+ * data/rejected-companies.json file are imported at startup by
+ * `importLegacyRejections` (see shared/rejections.js), since migrations
+ * don't know where the data directory is.
+ *
+ * @module shared/migrations/004-rejections
+ */
+
+export const version = 4;
+export const name = 'rejections';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rejections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL CHECK (scope IN ('company', 'role', 'domain')),
+      pattern TEXT NOT NULL,
+      company TEXT,
+      reason TEXT,
+      job_id INTEGER,
+      actor TEXT NOT NULL DEFAULT 'system',
+      expires_at TEXT,
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_rejections_scope ON rejections (scope, pattern)');
+}
+
+export default { version, name, up };
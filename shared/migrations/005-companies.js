@@ -0,0 +1,96 @@
+/**
+ * Migration 005: Companies
+ *
+ * Adds the `companies` and `company_aliases` tables and `jobs.company_id`.
+ * Existing jobs are grouped into companies by normalized name, and the
+ * most recent research for each company becomes its shared research.
+ *
+ * Job file paths move from applications/<slug>/ to
+ * applications/<slug>/job-<id>/ so two roles at one company no longer
+ * overwrite each other's cover letters. The files themselves are moved at
+ * startup by `moveLegacyMaterials` (see shared/companies.js), since
+ * migrations don't know where the applications directory is.
+ *
+ * @module shared/migrations/005-companies
+ */
+
+import { addColumnIfMissing } from './helpers.js';
+import { slugify, companyKey, jobMaterialsPaths } from '../companies.js';
+
+export const version = 5;
+export const name = 'companies';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS companies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL UNIQUE,
+      slug TEXT NOT NULL UNIQUE,
+      website TEXT,
+      notes TEXT,
+      research_notes TEXT,
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS company_aliases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL REFERENCES companies (id) ON DELETE CASCADE,
+      alias TEXT NOT NULL,
+      alias_key TEXT NOT NULL UNIQUE,
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+
+  addColumnIfMissing(db, 'jobs', 'company_id', 'INTEGER REFERENCES companies (id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_company_id ON jobs (company_id)');
+
+  // Group existing jobs into companies by normalized name ("Acme, Inc."
+  // and "ACME" are one company). The oldest job's spelling names it.
+  const jobs = db.prepare('SELECT * FROM jobs ORDER BY id').all();
+  const companies = new Map();
+  const usedSlugs = new Set();
+  const insertCompany = db.prepare('INSERT INTO companies (name, name_key, slug) VALUES (?, ?, ?)');
+
+  for (const job of jobs) {
+    const key = companyKey(job.company) || `job ${job.id}`;
+    let company = companies.get(key);
+
+    if (!company) {
+      const base = slugify(job.company) || 'company';
+      let slug = base;
+      for (let n = 2; usedSlugs.has(slug); n++) slug = `${base}-${n}`;
+      usedSlugs.add(slug);
+
+      const id = insertCompany.run(job.company.trim(), key, slug).lastInsertRowid;
+      company = { id, name: job.company.trim(), slug, research: null, researchAt: '' };
+      companies.set(key, company);
+    }
+
+    // The most recently updated job with research wins
+    if (job.research_notes && String(job.updated_at) >= company.researchAt) {
+      company.research = job.research_notes;
+      company.researchAt = String(job.updated_at);
+    }
+
+    const paths = jobMaterialsPaths(company.slug, job.id);
+    db.prepare(`
+      UPDATE jobs SET company_id = ?, company = ?, cover_letter = ?, email = ?, notes = ? WHERE id = ?
+    `).run(company.id, company.name, paths.cover_letter, paths.email, paths.notes, job.id);
+  }
+
+  for (const company of companies.values()) {
+    if (company.research) {
+      db.prepare('UPDATE companies SET research_notes = ? WHERE id = ?').run(company.research, company.id);
+      db.prepare('UPDATE jobs SET research_notes = ? WHERE company_id = ?').run(company.research, company.id);
+    }
+  }
+}
+
+export default { version, name, up };
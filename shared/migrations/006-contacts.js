@@ -0,0 +1,60 @@
+/**
+ * Migration 006: Contacts
+ *
+ * Adds a small CRM: `contacts` (people at a company), `contact_jobs`
+ * (which jobs a contact is relevant to) and `contact_interactions` (a log
+ * of messages, replies and meetings).
+ *
+ * @module shared/migrations/006-contacts
+ */
+
+export const version = 6;
+export const name = 'contacts';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contacts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER REFERENCES companies (id),
+      name TEXT NOT NULL,
+      title TEXT,
+      email TEXT,
+      linkedin_url TEXT,
+      relationship TEXT NOT NULL DEFAULT 'other',
+      notes TEXT,
+      actor TEXT NOT NULL DEFAULT 'system',
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_contacts_company_id ON contacts (company_id)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contact_jobs (
+      contact_id INTEGER NOT NULL REFERENCES contacts (id) ON DELETE CASCADE,
+      job_id INTEGER NOT NULL REFERENCES jobs (id) ON DELETE CASCADE,
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (contact_id, job_id)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_contact_jobs_job_id ON contact_jobs (job_id)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contact_interactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contact_id INTEGER NOT NULL REFERENCES contacts (id) ON DELETE CASCADE,
+      job_id INTEGER,
+      type TEXT NOT NULL,
+      notes TEXT,
+      actor TEXT NOT NULL DEFAULT 'system',
+      occurred_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_contact_interactions_contact_id ON contact_interactions (contact_id, occurred_at)');
+}
+
+export default { version, name, up };
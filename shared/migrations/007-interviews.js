@@ -0,0 +1,50 @@
+/**
+ * Migration 007: Interviews
+ *
+ * Adds `interviews` (one row per interview round of a job) and
+ * `interview_interviewers` (who was in the room, optionally linked to a
+ * contact).
+ *
+ * @module shared/migrations/007-interviews
+ */
+
+export const version = 7;
+export const name = 'interviews';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS interviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL REFERENCES jobs (id) ON DELETE CASCADE,
+      round INTEGER NOT NULL,
+      type TEXT NOT NULL DEFAULT 'screen',
+      scheduled_at TEXT,
+      duration_minutes INTEGER,
+      location TEXT,
+      prep_notes TEXT,
+      outcome TEXT NOT NULL DEFAULT 'pending',
+      feedback TEXT,
+      reminded_at TEXT,
+      actor TEXT NOT NULL DEFAULT 'system',
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_interviews_job_id ON interviews (job_id, round)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_interviews_scheduled_at ON interviews (scheduled_at)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS interview_interviewers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      interview_id INTEGER NOT NULL REFERENCES interviews (id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      contact_id INTEGER REFERENCES contacts (id) ON DELETE SET NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_interview_interviewers_interview_id ON interview_interviewers (interview_id)');
+}
+
+export default { version, name, up };
@@ -0,0 +1,22 @@
+/**
+ * Migration 008: Follow-up reminders
+ *
+ * Adds `jobs.follow_up_reminded_for`, the follow-up date a reminder was
+ * last sent for. A reminder fires again only when the date changes.
+ *
+ * @module shared/migrations/008-followup-reminders
+ */
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const version = 8;
+export const name = 'followup-reminders';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  addColumnIfMissing(db, 'jobs', 'follow_up_reminded_for', 'TEXT');
+}
+
+export default { version, name, up };
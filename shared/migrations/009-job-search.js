@@ -0,0 +1,51 @@
+/**
+ * Migration 009: Job search index
+ *
+ * Adds `jobs_fts`, an FTS5 index over the text columns of `jobs`. It is
+ * an external-content table (it stores only the index, reading text back
+ * from `jobs`), kept in sync by triggers so every writer - the server,
+ * the MCP server and the scanner - updates it without knowing it exists.
+ * Existing jobs are indexed by a rebuild.
+ *
+ * @module shared/migrations/009-job-search
+ */
+
+export const version = 9;
+export const name = 'job-search';
+
+// Indexed columns, in the order shared/search.js weights them
+const COLUMNS = ['company', 'role', 'type', 'location', 'source', 'notes', 'research_notes'];
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  const columns = COLUMNS.join(', ');
+  const values = prefix => COLUMNS.map(column => `${prefix}.${column}`).join(', ');
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS jobs_fts USING fts5(
+      ${columns},
+      content = 'jobs',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS jobs_fts_insert AFTER INSERT ON jobs BEGIN
+      INSERT INTO jobs_fts (rowid, ${columns}) VALUES (new.id, ${values('new')});
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS jobs_fts_delete AFTER DELETE ON jobs BEGIN
+      INSERT INTO jobs_fts (jobs_fts, rowid, ${columns}) VALUES ('delete', old.id, ${values('old')});
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS jobs_fts_update AFTER UPDATE OF ${columns} ON jobs BEGIN
+      INSERT INTO jobs_fts (jobs_fts, rowid, ${columns}) VALUES ('delete', old.id, ${values('old')});
+      INSERT INTO jobs_fts (rowid, ${columns}) VALUES (new.id, ${values('new')});
+    END;
+
+    INSERT INTO jobs_fts (jobs_fts) VALUES ('rebuild');
+  `);
+}
+
+export default { version, name, up };
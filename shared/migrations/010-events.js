@@ -0,0 +1,33 @@
+/**
+ * Migration 010: Event log
+ *
+ * Adds `events`, the durable log of events agents subscribe to (see
+ * shared/events.js). Both the Express server and the MCP server write to
+ * it. `seq` only ever increases, so it works as a resume cursor.
+ *
+ * @module shared/migrations/010-events
+ */
+
+export const version = 10;
+export const name = 'events';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      type TEXT NOT NULL,
+      payload TEXT,
+      source TEXT NOT NULL,
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_events_type ON events (type, seq)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_events_created ON events (created_at)');
+}
+
+export default { version, name, up };
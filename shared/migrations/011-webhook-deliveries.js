@@ -0,0 +1,41 @@
+/**
+ * Migration 011: Webhook deliveries
+ *
+ * Adds `webhook_deliveries`, the queue and history of webhook POSTs (see
+ * shared/webhooks.js). A delivery is retried with backoff until it
+ * succeeds or runs out of attempts.
+ *
+ * @module shared/migrations/011-webhook-deliveries
+ */
+
+export const version = 11;
+export const name = 'webhook-deliveries';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id TEXT NOT NULL,
+      event_seq INTEGER NOT NULL,
+      event_type TEXT NOT NULL,
+      url TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT,
+      last_attempt_at TEXT,
+      response_status INTEGER,
+      last_error TEXT,
+      delivered_at TEXT,
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      UNIQUE (subscription_id, event_seq)
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, id)');
+}
+
+export default { version, name, up };
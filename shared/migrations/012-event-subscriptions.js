@@ -0,0 +1,37 @@
+/**
+ * Migration 012: Event subscriptions
+ *
+ * Adds `event_subscriptions`, so agents' event subscriptions and their
+ * webhooks outlive the MCP server process (see
+ * shared/event-subscriptions.js). `cursor` is the sequence number of the
+ * last event the subscription received.
+ *
+ * @module shared/migrations/012-event-subscriptions
+ */
+
+export const version = 12;
+export const name = 'event-subscriptions';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS event_subscriptions (
+      id TEXT PRIMARY KEY,
+      event_types TEXT NOT NULL,
+      webhook_url TEXT,
+      secret TEXT,
+      callback_id TEXT,
+      cursor INTEGER NOT NULL DEFAULT 0,
+      ttl_seconds INTEGER,
+      expires_at TEXT,
+      last_seen_at TEXT,
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_event_subscriptions_expires ON event_subscriptions (expires_at)');
+}
+
+export default { version, name, up };
@@ -0,0 +1,24 @@
+/**
+ * Migration 013: Subscription filters
+ *
+ * Adds `filters` to event_subscriptions: a JSON list of conditions on the
+ * event payload that an event must meet to be delivered (see
+ * shared/event-filters.js). NULL delivers every event of the subscribed
+ * types.
+ *
+ * @module shared/migrations/013-subscription-filters
+ */
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const version = 13;
+export const name = 'subscription-filters';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  addColumnIfMissing(db, 'event_subscriptions', 'filters', 'TEXT');
+}
+
+export default { version, name, up };
@@ -0,0 +1,33 @@
+/**
+ * Migration 014: API tokens
+ *
+ * Adds `api_tokens`, the access tokens for the REST API (see
+ * shared/api-tokens.js). Only a SHA-256 hash of each token is stored;
+ * `prefix` is its first characters, for telling tokens apart in lists.
+ *
+ * @module shared/migrations/014-api-tokens
+ */
+
+export const version = 14;
+export const name = 'api-tokens';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      expires_at TEXT,
+      last_used_at TEXT,
+      revoked_at TEXT,
+      created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+}
+
+export default { version, name, up };
@@ -0,0 +1,55 @@
+/**
+ * Migration 015: Job search columns
+ *
+ * Rebuilds `jobs_fts` without `jobs.notes`. Since companies got their own
+ * folders that column holds the path of the notes file
+ * (`applications/<slug>/notes.md`), not note text, so searching "notes"
+ * matched every job. The notes' text is indexed as `research_notes`.
+ *
+ * @module shared/migrations/015-job-search-columns
+ */
+
+export const version = 15;
+export const name = 'job-search-columns';
+
+// Indexed columns, in the order shared/search.js weights them
+const COLUMNS = ['company', 'role', 'type', 'location', 'source', 'research_notes'];
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  const columns = COLUMNS.join(', ');
+  const values = prefix => COLUMNS.map(column => `${prefix}.${column}`).join(', ');
+
+  db.exec(`
+    DROP TRIGGER IF EXISTS jobs_fts_insert;
+    DROP TRIGGER IF EXISTS jobs_fts_delete;
+    DROP TRIGGER IF EXISTS jobs_fts_update;
+    DROP TABLE IF EXISTS jobs_fts;
+
+    CREATE VIRTUAL TABLE jobs_fts USING fts5(
+      ${columns},
+      content = 'jobs',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER jobs_fts_insert AFTER INSERT ON jobs BEGIN
+      INSERT INTO jobs_fts (rowid, ${columns}) VALUES (new.id, ${values('new')});
+    END;
+
+    CREATE TRIGGER jobs_fts_delete AFTER DELETE ON jobs BEGIN
+      INSERT INTO jobs_fts (jobs_fts, rowid, ${columns}) VALUES ('delete', old.id, ${values('old')});
+    END;
+
+    CREATE TRIGGER jobs_fts_update AFTER UPDATE OF ${columns} ON jobs BEGIN
+      INSERT INTO jobs_fts (jobs_fts, rowid, ${columns}) VALUES ('delete', old.id, ${values('old')});
+      INSERT INTO jobs_fts (rowid, ${columns}) VALUES (new.id, ${values('new')});
+    END;
+
+    INSERT INTO jobs_fts (jobs_fts) VALUES ('rebuild');
+  `);
+}
+
+export default { version, name, up };
@@ -0,0 +1,24 @@
+/**
+ * Migration 016: Job score
+ *
+ * Adds `score` to jobs: how well a job matches the search criteria
+ * (0-100), as worked out by the scanner. It is sent in the job.created
+ * event, so subscriptions can filter on it (e.g. score gt 80). NULL for
+ * jobs added by hand.
+ *
+ * @module shared/migrations/016-job-score
+ */
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const version = 16;
+export const name = 'job-score';
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  addColumnIfMissing(db, 'jobs', 'score', 'INTEGER');
+}
+
+export default { version, name, up };
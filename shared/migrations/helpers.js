@@ -0,0 +1,34 @@
+/**
+ * Migration Helpers
+ *
+ * Small schema utilities used by individual migrations.
+ *
+ * @module shared/migrations/helpers
+ */
+
+/**
+ * Check whether a table has a column
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {boolean} True if the column exists
+ */
+export function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * Add a column to a table unless it already exists
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints (e.g., "TEXT")
+ * @returns {boolean} True if the column was added
+ */
+export function addColumnIfMissing(db, table, column, definition) {
+  if (hasColumn(db, table, column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+export default { hasColumn, addColumnIfMissing };
@@ -0,0 +1,47 @@
+/**
+ * Migration Registry
+ *
+ * Ordered list of every schema migration. To change the schema, add a new
+ * file named `NNN-description.js` exporting `version`, `name` and `up(db)`,
+ * then append it here. Never edit a migration that has already shipped.
+ *
+ * @module shared/migrations
+ */
+
+import initialSchema from './001-initial-schema.js';
+import jobActivity from './002-job-activity.js';
+import jobTrash from './003-job-trash.js';
+import rejections from './004-rejections.js';
+import companies from './005-companies.js';
+import contacts from './006-contacts.js';
+import interviews from './007-interviews.js';
+import followupReminders from './008-followup-reminders.js';
+import jobSearch from './009-job-search.js';
+import events from './010-events.js';
+import webhookDeliveries from './011-webhook-deliveries.js';
+import eventSubscriptions from './012-event-subscriptions.js';
+import subscriptionFilters from './013-subscription-filters.js';
+import apiTokens from './014-api-tokens.js';
+import jobSearchColumns from './015-job-search-columns.js';
+import jobScore from './016-job-score.js';
+
+export const MIGRATIONS = [
+  initialSchema,
+  jobActivity,
+  jobTrash,
+  rejections,
+  companies,
+  contacts,
+  interviews,
+  followupReminders,
+  jobSearch,
+  events,
+  webhookDeliveries,
+  eventSubscriptions,
+  subscriptionFilters,
+  apiTokens,
+  jobSearchColumns,
+  jobScore
+];
+
+export default MIGRATIONS;
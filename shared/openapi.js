@@ -0,0 +1,1500 @@
+/**
+ * REST API Description
+ *
+ * Every route in server/index.js, described once: its parameters, request
+ * body and responses as JSON Schemas. From these come the OpenAPI 3.1
+ * document the server serves at /api/openapi.json, the check the server
+ * runs on its own responses in development, and the client module that
+ * scripts/generate-api-client.js writes to shared/api-client.js.
+ *
+ * Request bodies reuse the schemas in shared/schemas.js. Schemas stay
+ * inline here so shared/validation.js can check responses against them;
+ * the document moves the named ones (SCHEMAS) into components and
+ * refers to them with $ref.
+ *
+ * When you add or change a route, change its operation here and run
+ * `npm run generate:client`.
+ *
+ * @module shared/openapi
+ */
+
+import { validate } from './validation.js';
+import {
+  JOB_FIELDS, createJobSchema, updateJobSchema, searchSettingsSchema,
+  rejectCompanySchema, createRejectionSchema, updateRejectionSchema, checkRejectionSchema,
+  createContactSchema, updateContactSchema, contactInteractionSchema, contactJobSchema,
+  updateCompanySchema, companyAliasSchema, mergeCompanySchema, scheduleInterviewSchema,
+  updateInterviewSchema, interviewOutcomeSchema, importCsvSchema
+} from './schemas.js';
+import { REJECTION_SCOPES } from './rejections.js';
+import { RELATIONSHIPS, INTERACTION_TYPES } from './contacts.js';
+import { INTERVIEW_TYPES, INTERVIEW_OUTCOMES } from './interviews.js';
+import { EVENT_KINDS } from './calendar.js';
+import { DELIVERY_STATUSES } from './webhooks.js';
+import { FUNNEL_GROUPS, DEFAULT_THROUGHPUT_WEEKS } from './analytics.js';
+import { DIGEST_FORMATS } from './digest.js';
+import { API_SCOPES } from './api-tokens.js';
+
+/**
+ * OpenAPI version of the document
+ * @type {string}
+ */
+export const OPENAPI_VERSION = '3.1.0';
+
+const STRING = { type: 'string' };
+const INTEGER = { type: 'integer' };
+const NUMBER = { type: 'number' };
+const BOOLEAN = { type: 'boolean' };
+const TIMESTAMP = { type: ['string', 'null'], description: 'ISO timestamp' };
+const SUCCESS = { type: 'boolean', description: 'true when the request worked' };
+
+/**
+ * Schema with a description
+ * @param {Object} schema - Schema
+ * @param {string} description - Description
+ * @returns {Object} Schema
+ */
+const described = (schema, description) => ({ ...schema, description });
+
+/**
+ * Schema that also allows null
+ * @param {Object} schema - Schema
+ * @returns {Object} Schema
+ */
+const nullable = schema => ({ ...schema, type: [].concat(schema.type, 'null') });
+
+/**
+ * Array schema
+ * @param {Object} items - Schema of each item
+ * @returns {Object} Schema
+ */
+const listOf = items => ({ type: 'array', items });
+
+/**
+ * Object schema
+ * @param {Object} properties - Property schemas
+ * @param {string[]} required - Required properties (default: all of them)
+ * @returns {Object} Schema
+ */
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+
+/**
+ * An error response
+ * @type {Object}
+ */
+const ERROR = {
+  type: 'object',
+  description: 'What went wrong',
+  properties: {
+    error: described(STRING, 'Error message')
+  },
+  required: ['error']
+};
+
+/**
+ * A request body that failed its schema, with each field's problem
+ * @type {Object}
+ */
+const VALIDATION_ERROR = {
+  type: 'object',
+  description: 'A request that failed validation',
+  properties: {
+    error: described(STRING, 'Every problem, in one line'),
+    errors: listOf(object({ path: STRING, message: STRING }))
+  },
+  required: ['error']
+};
+
+/**
+ * A job, as stored
+ * @type {Object}
+ */
+const JOB = {
+  type: 'object',
+  description: 'A job',
+  properties: {
+    id: INTEGER,
+    company_id: nullable(INTEGER),
+    ...JOB_FIELDS,
+    materials: nullable(JOB_FIELDS.materials),
+    search_batch_id: nullable(STRING),
+    created_at: TIMESTAMP,
+    updated_at: TIMESTAMP,
+    deleted_at: described(TIMESTAMP, 'When it was moved to the trash')
+  },
+  required: ['id', 'company', 'role', 'status', 'priority']
+};
+
+/**
+ * A job in a list, with whether it is new
+ * @type {Object}
+ */
+const JOB_LIST_ITEM = {
+  ...JOB,
+  description: 'A job in a list',
+  properties: {
+    ...JOB.properties,
+    isNewFromSearch: described(BOOLEAN, 'From the latest search or added in the last 12 hours')
+  },
+  required: [...JOB.required, 'isNewFromSearch']
+};
+
+/**
+ * A job in the trash
+ * @type {Object}
+ */
+const TRASHED_JOB = {
+  ...JOB,
+  description: 'A job in the trash',
+  properties: {
+    ...JOB.properties,
+    purge_at: described(STRING, 'When it will be removed for good')
+  },
+  required: [...JOB.required, 'purge_at']
+};
+
+/**
+ * A company rejection, role pattern or domain the scanner skips
+ * @type {Object}
+ */
+const REJECTION = {
+  type: 'object',
+  description: 'A rejected company, role pattern or domain',
+  properties: {
+    id: INTEGER,
+    scope: { type: 'string', enum: REJECTION_SCOPES },
+    pattern: STRING,
+    company: nullable(STRING),
+    reason: nullable(STRING),
+    job_id: nullable(INTEGER),
+    actor: STRING,
+    expires_at: TIMESTAMP,
+    active: described(BOOLEAN, 'Not expired'),
+    created_at: TIMESTAMP,
+    updated_at: TIMESTAMP
+  },
+  required: ['id', 'scope', 'pattern', 'active']
+};
+
+/**
+ * A company
+ * @type {Object}
+ */
+const COMPANY = {
+  type: 'object',
+  description: 'A company, with its aliases and active job count',
+  properties: {
+    id: INTEGER,
+    name: STRING,
+    slug: STRING,
+    website: nullable(STRING),
+    notes: nullable(STRING),
+    research_notes: nullable(STRING),
+    job_count: INTEGER,
+    aliases: described({ type: 'array' }, 'Other names: strings in lists, { id, alias, created_at } otherwise'),
+    created_at: TIMESTAMP,
+    updated_at: TIMESTAMP
+  },
+  required: ['id', 'name', 'slug']
+};
+
+/**
+ * A contact
+ * @type {Object}
+ */
+const CONTACT = {
+  type: 'object',
+  description: 'A contact at a company',
+  properties: {
+    id: INTEGER,
+    company_id: nullable(INTEGER),
+    company: nullable(STRING),
+    name: STRING,
+    title: nullable(STRING),
+    email: nullable(STRING),
+    linkedin_url: nullable(STRING),
+    relationship: { type: 'string', enum: RELATIONSHIPS },
+    notes: nullable(STRING),
+    job_ids: described(listOf(INTEGER), 'Linked jobs (single contacts only)'),
+    interactions: described({ type: 'array' }, 'Interactions, newest first (single contacts only)'),
+    linked: described(BOOLEAN, 'Linked to the job (job contacts only)'),
+    created_at: TIMESTAMP,
+    updated_at: TIMESTAMP
+  },
+  required: ['id', 'name']
+};
+
+/**
+ * A logged interaction with a contact
+ * @type {Object}
+ */
+const INTERACTION = {
+  type: 'object',
+  description: 'An interaction with a contact',
+  properties: {
+    id: INTEGER,
+    contact_id: INTEGER,
+    job_id: nullable(INTEGER),
+    type: { type: 'string', enum: INTERACTION_TYPES },
+    notes: nullable(STRING),
+    occurred_at: STRING
+  },
+  required: ['id', 'contact_id', 'type']
+};
+
+/**
+ * An interview round
+ * @type {Object}
+ */
+const INTERVIEW = {
+  type: 'object',
+  description: 'An interview round, with its job and interviewers',
+  properties: {
+    id: INTEGER,
+    job_id: INTEGER,
+    company: STRING,
+    role: STRING,
+    round: INTEGER,
+    type: { type: 'string', enum: INTERVIEW_TYPES },
+    scheduled_at: TIMESTAMP,
+    duration_minutes: nullable(INTEGER),
+    location: nullable(STRING),
+    prep_notes: nullable(STRING),
+    outcome: { type: 'string', enum: INTERVIEW_OUTCOMES },
+    feedback: nullable(STRING),
+    interviewers: listOf(object({ id: INTEGER, name: STRING, contact_id: nullable(INTEGER) }, ['name']))
+  },
+  required: ['id', 'job_id', 'round', 'type', 'outcome', 'interviewers']
+};
+
+/**
+ * An entry in a job's activity timeline
+ * @type {Object}
+ */
+const ACTIVITY = {
+  type: 'object',
+  description: 'Something that happened to a job',
+  properties: {
+    id: INTEGER,
+    job_id: INTEGER,
+    type: described(STRING, 'e.g. job.created, field.changed'),
+    field: nullable(STRING),
+    old_value: nullable(STRING),
+    new_value: nullable(STRING),
+    actor: STRING,
+    created_at: TIMESTAMP
+  },
+  required: ['id', 'job_id', 'type', 'actor']
+};
+
+/**
+ * A queued agent task (a file in tasks/)
+ * @type {Object}
+ */
+const TASK = {
+  type: 'object',
+  description: 'A task waiting for an agent',
+  properties: {
+    filename: STRING,
+    type: described(STRING, 'research or materials'),
+    jobId: INTEGER,
+    company: STRING,
+    role: STRING,
+    status: STRING,
+    createdAt: STRING
+  },
+  required: ['filename']
+};
+
+/**
+ * A webhook delivery
+ * @type {Object}
+ */
+const DELIVERY = {
+  type: 'object',
+  description: 'A webhook delivery for an event subscription',
+  properties: {
+    id: INTEGER,
+    subscription_id: STRING,
+    event_seq: INTEGER,
+    event_type: STRING,
+    url: STRING,
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    attempts: INTEGER,
+    next_attempt_at: TIMESTAMP,
+    last_attempt_at: TIMESTAMP,
+    response_status: nullable(INTEGER),
+    last_error: nullable(STRING),
+    delivered_at: TIMESTAMP,
+    created_at: TIMESTAMP
+  },
+  required: ['id', 'subscription_id', 'event_type', 'url', 'status', 'attempts']
+};
+
+/**
+ * Funnel counts for a group of jobs
+ * @type {Object}
+ */
+const FUNNEL_ROW = {
+  type: 'object',
+  description: 'Jobs that reached each stage, and the conversion between them (null with nothing to divide by)',
+  properties: {
+    value: described({ type: ['string', 'null'] }, 'The group (grouped funnels only)'),
+    jobs: INTEGER,
+    applied: INTEGER,
+    interviewing: INTEGER,
+    offer: INTEGER,
+    application_rate: nullable(NUMBER),
+    interview_rate: nullable(NUMBER),
+    offer_rate: nullable(NUMBER)
+  },
+  required: ['jobs', 'applied', 'interviewing', 'offer', 'application_rate', 'interview_rate', 'offer_rate']
+};
+
+const STAGE = object({
+  status: STRING,
+  median_days: nullable(NUMBER),
+  stints: INTEGER,
+  in_stage_now: INTEGER,
+  median_current_days: nullable(NUMBER)
+});
+
+const THROUGHPUT = object({
+  weeks: listOf(object({ week_start: STRING, added: INTEGER, applied: INTEGER, interviewing: INTEGER, offer: INTEGER })),
+  applications_per_week: NUMBER
+});
+
+/**
+ * The weekly digest (see shared/digest.js)
+ * @type {Object}
+ */
+const DIGEST = {
+  type: 'object',
+  description: 'What happened in the job search over a date range',
+  properties: {
+    from: STRING,
+    to: STRING,
+    generated_at: STRING,
+    new_jobs: object({ count: INTEGER, by_source: listOf(object({ source: nullable(STRING), count: INTEGER })) }),
+    applications: { type: 'array' },
+    interviews: object({ reached: { type: 'array' }, held: { type: 'array' }, upcoming: { type: 'array' } }),
+    offers: { type: 'array' },
+    followups: { type: 'array' },
+    research: { type: 'array' },
+    tokens: object({ cost: NUMBER, tokens: INTEGER, runs: INTEGER, by_task_type: { type: 'array' } })
+  },
+  required: ['from', 'to', 'generated_at', 'new_jobs', 'applications', 'interviews', 'offers', 'followups', 'research', 'tokens']
+};
+
+const USAGE_TOTALS = { type: 'object', additionalProperties: object({ count: INTEGER, cost: NUMBER, tokens: INTEGER }) };
+
+/**
+ * Schemas named in the document's components, by name
+ * @type {Object<string, Object>}
+ */
+export const SCHEMAS = {
+  ErrorResponse: ERROR,
+  ValidationError: VALIDATION_ERROR,
+  Job: JOB,
+  JobListItem: JOB_LIST_ITEM,
+  TrashedJob: TRASHED_JOB,
+  CreateJob: createJobSchema,
+  UpdateJob: updateJobSchema,
+  Rejection: REJECTION,
+  Company: COMPANY,
+  Contact: CONTACT,
+  Interaction: INTERACTION,
+  Interview: INTERVIEW,
+  Activity: ACTIVITY,
+  Task: TASK,
+  WebhookDelivery: DELIVERY,
+  FunnelRow: FUNNEL_ROW,
+  Digest: DIGEST,
+  SearchSettings: searchSettingsSchema
+};
+
+const SINCE = { type: 'string', format: 'date', description: 'Only jobs added on or after this date (YYYY-MM-DD)' };
+const WEEKS = { type: 'integer', minimum: 1, description: `Weeks to cover, ending with this one (default: ${DEFAULT_THROUGHPUT_WEEKS})` };
+
+const TASK_QUEUED = object({
+  success: SUCCESS,
+  message: STRING,
+  exists: described(BOOLEAN, 'The task was already queued')
+}, ['success', 'message']);
+
+/**
+ * Every route in server/index.js, in the order Express matches them.
+ * path params come from the path; query and body are schemas (query
+ * lists each parameter); responses map status codes to a JSON schema,
+ * or to { content } for other media types. scope is the API token scope
+ * needed when the method's default (read for GET, jobs:write otherwise)
+ * isn't enough.
+ * @type {Object[]}
+ */
+export const OPERATIONS = [
+  {
+    method: 'get',
+    path: '/api/openapi.json',
+    operationId: 'getOpenApiDocument',
+    tag: 'API',
+    summary: 'The OpenAPI description of the API',
+    responses: { 200: { type: 'object', required: ['openapi', 'paths'] } }
+  },
+
+  // Jobs
+  {
+    method: 'get',
+    path: '/api/jobs',
+    operationId: 'listJobs',
+    tag: 'Jobs',
+    summary: 'List jobs a page at a time, with filters, date ranges, search and sorting',
+    query: {
+      status: described(STRING, 'Statuses, comma-separated'),
+      priority: described(STRING, 'Priorities, comma-separated'),
+      source: described(STRING, 'Sources, comma-separated'),
+      materials: described(STRING, 'Materials statuses, comma-separated'),
+      type: described(STRING, 'Work types, comma-separated'),
+      created_from: { type: 'string', format: 'date' },
+      created_to: { type: 'string', format: 'date' },
+      updated_from: { type: 'string', format: 'date' },
+      updated_to: { type: 'string', format: 'date' },
+      applied_from: { type: 'string', format: 'date' },
+      applied_to: { type: 'string', format: 'date' },
+      follow_up_from: { type: 'string', format: 'date' },
+      follow_up_to: { type: 'string', format: 'date' },
+      only_new: described(BOOLEAN, 'Only jobs from the latest search'),
+      q: described(STRING, 'Full-text search'),
+      sort: described(STRING, 'A jobs column, or relevance when searching'),
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      limit: described(INTEGER, 'Page size'),
+      offset: INTEGER,
+      cursor: described(STRING, 'next_cursor from the previous page, with the same sort and order')
+    },
+    responses: {
+      200: object({
+        jobs: listOf(JOB_LIST_ITEM),
+        total: INTEGER,
+        limit: INTEGER,
+        offset: nullable(INTEGER),
+        has_more: BOOLEAN,
+        next_cursor: nullable(STRING),
+        sort: STRING,
+        order: STRING
+      }),
+      400: ERROR
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/jobs/:id',
+    operationId: 'getJob',
+    tag: 'Jobs',
+    summary: 'Get a job with its full content',
+    responses: { 200: JOB, 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/jobs',
+    operationId: 'createJob',
+    tag: 'Jobs',
+    summary: 'Add a job. The same role at the same company, or the same apply URL, is refused as a duplicate.',
+    body: createJobSchema,
+    responses: {
+      200: object({ id: INTEGER, company_id: INTEGER }),
+      400: VALIDATION_ERROR,
+      409: object({
+        error: STRING,
+        existing_job_id: INTEGER,
+        match: described(STRING, 'What matched: role or apply_url'),
+        in_trash: BOOLEAN
+      })
+    }
+  },
+  {
+    method: 'patch',
+    path: '/api/jobs/:id',
+    operationId: 'updateJob',
+    tag: 'Jobs',
+    summary: 'Change a job\'s fields',
+    body: updateJobSchema,
+    responses: { 200: object({ success: SUCCESS }), 400: VALIDATION_ERROR, 404: ERROR }
+  },
+  {
+    method: 'delete',
+    path: '/api/jobs/:id',
+    operationId: 'deleteJob',
+    tag: 'Jobs',
+    summary: 'Move a job to the trash',
+    responses: {
+      200: object({ success: SUCCESS, trashed: BOOLEAN, purge_at: STRING }),
+      404: ERROR,
+      409: ERROR
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/jobs/:id/restore',
+    operationId: 'restoreJob',
+    tag: 'Jobs',
+    summary: 'Restore a job from the trash',
+    responses: { 200: object({ success: SUCCESS, job: JOB }), 404: ERROR, 409: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/jobs/:id/reject-company',
+    operationId: 'rejectJobCompany',
+    tag: 'Jobs',
+    summary: 'Reject a job\'s company and move the job to the trash',
+    body: rejectCompanySchema,
+    responses: {
+      200: object({
+        success: SUCCESS,
+        company: STRING,
+        rejection: REJECTION,
+        added_to_rejected: described(BOOLEAN, 'false if the company was already rejected'),
+        trashed: BOOLEAN
+      }),
+      400: VALIDATION_ERROR,
+      404: ERROR
+    }
+  },
+
+  // Rejections
+  {
+    method: 'get',
+    path: '/api/rejections',
+    operationId: 'listRejections',
+    tag: 'Rejections',
+    summary: 'List rejections (active only unless include_expired=true)',
+    query: {
+      scope: { type: 'string', enum: REJECTION_SCOPES },
+      include_expired: BOOLEAN
+    },
+    responses: { 200: object({ rejections: listOf(REJECTION), count: INTEGER }) }
+  },
+  {
+    method: 'post',
+    path: '/api/rejections/check',
+    operationId: 'checkRejection',
+    tag: 'Rejections',
+    summary: 'Check whether a job would be rejected',
+    body: checkRejectionSchema,
+    responses: { 200: object({ rejected: BOOLEAN, rejection: nullable(REJECTION) }, ['rejected']), 400: VALIDATION_ERROR }
+  },
+  {
+    method: 'get',
+    path: '/api/rejections/:id',
+    operationId: 'getRejection',
+    tag: 'Rejections',
+    summary: 'Get a rejection',
+    responses: { 200: REJECTION, 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/rejections',
+    operationId: 'createRejection',
+    tag: 'Rejections',
+    summary: 'Reject a company, role pattern or domain (an active duplicate is returned as it is)',
+    body: createRejectionSchema,
+    responses: {
+      200: object({ rejection: REJECTION, created: BOOLEAN }),
+      201: object({ rejection: REJECTION, created: BOOLEAN }),
+      400: VALIDATION_ERROR
+    }
+  },
+  {
+    method: 'patch',
+    path: '/api/rejections/:id',
+    operationId: 'updateRejection',
+    tag: 'Rejections',
+    summary: 'Change a rejection',
+    body: updateRejectionSchema,
+    responses: { 200: REJECTION, 400: VALIDATION_ERROR, 404: ERROR }
+  },
+  {
+    method: 'delete',
+    path: '/api/rejections/:id',
+    operationId: 'deleteRejection',
+    tag: 'Rejections',
+    summary: 'Delete a rejection',
+    responses: { 200: object({ success: SUCCESS, rejection: REJECTION }), 404: ERROR }
+  },
+
+  // Companies
+  {
+    method: 'get',
+    path: '/api/companies',
+    operationId: 'listCompanies',
+    tag: 'Companies',
+    summary: 'List companies with job counts',
+    query: {
+      search: described(STRING, 'Name contains'),
+      include_empty: described(BOOLEAN, 'Include companies with no active jobs')
+    },
+    responses: { 200: object({ companies: listOf(COMPANY), count: INTEGER }) }
+  },
+  {
+    method: 'get',
+    path: '/api/companies/:id',
+    operationId: 'getCompany',
+    tag: 'Companies',
+    summary: 'Get a company with its aliases and jobs',
+    responses: {
+      200: { ...COMPANY, properties: { ...COMPANY.properties, jobs: listOf(JOB) }, required: [...COMPANY.required, 'jobs'] },
+      404: ERROR
+    }
+  },
+  {
+    method: 'patch',
+    path: '/api/companies/:id',
+    operationId: 'updateCompany',
+    tag: 'Companies',
+    summary: 'Change a company (renaming keeps the old name as an alias)',
+    body: updateCompanySchema,
+    responses: { 200: object({ success: SUCCESS, company: COMPANY }), 400: VALIDATION_ERROR, 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/companies/:id/aliases',
+    operationId: 'addCompanyAlias',
+    tag: 'Companies',
+    summary: 'Add another name for a company',
+    body: companyAliasSchema,
+    responses: {
+      200: object({ success: SUCCESS, alias: nullable({ type: 'object' }), created: described(BOOLEAN, 'false if the company already had the name') }),
+      201: object({ success: SUCCESS, alias: nullable({ type: 'object' }), created: described(BOOLEAN, 'false if the company already had the name') }),
+      400: VALIDATION_ERROR,
+      404: ERROR,
+      409: object({ error: STRING, company_id: described(INTEGER, 'Company that already has the name') }, ['error'])
+    }
+  },
+  {
+    method: 'delete',
+    path: '/api/companies/:id/aliases/:aliasId',
+    operationId: 'removeCompanyAlias',
+    tag: 'Companies',
+    summary: 'Remove a company alias',
+    responses: { 200: object({ success: SUCCESS, alias: { type: 'object' } }), 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/companies/:id/merge',
+    operationId: 'mergeCompany',
+    tag: 'Companies',
+    summary: 'Merge another company into this one',
+    body: mergeCompanySchema,
+    responses: {
+      200: object({ success: SUCCESS, company: COMPANY, moved_jobs: INTEGER }, ['success', 'company']),
+      400: VALIDATION_ERROR,
+      404: ERROR
+    }
+  },
+
+  // Contacts
+  {
+    method: 'get',
+    path: '/api/contacts',
+    operationId: 'listContacts',
+    tag: 'Contacts',
+    summary: 'List contacts',
+    query: {
+      company_id: INTEGER,
+      job_id: INTEGER,
+      search: described(STRING, 'Matches name, title or email')
+    },
+    responses: { 200: object({ contacts: listOf(CONTACT), count: INTEGER }) }
+  },
+  {
+    method: 'get',
+    path: '/api/contacts/:id',
+    operationId: 'getContact',
+    tag: 'Contacts',
+    summary: 'Get a contact with its linked jobs and interactions',
+    responses: { 200: CONTACT, 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/contacts',
+    operationId: 'createContact',
+    tag: 'Contacts',
+    summary: 'Add a contact (one with the same email, LinkedIn URL or name at the company is returned instead)',
+    body: createContactSchema,
+    responses: {
+      200: object({ contact: CONTACT, created: BOOLEAN }),
+      201: object({ contact: CONTACT, created: BOOLEAN }),
+      400: VALIDATION_ERROR,
+      404: ERROR
+    }
+  },
+  {
+    method: 'patch',
+    path: '/api/contacts/:id',
+    operationId: 'updateContact',
+    tag: 'Contacts',
+    summary: 'Change a contact',
+    body: updateContactSchema,
+    responses: { 200: CONTACT, 400: VALIDATION_ERROR, 404: ERROR }
+  },
+  {
+    method: 'delete',
+    path: '/api/contacts/:id',
+    operationId: 'deleteContact',
+    tag: 'Contacts',
+    summary: 'Delete a contact with its job links and interactions',
+    responses: { 200: object({ success: SUCCESS, contact: CONTACT }), 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/contacts/:id/interactions',
+    operationId: 'logContactInteraction',
+    tag: 'Contacts',
+    summary: 'Log an interaction with a contact',
+    body: contactInteractionSchema,
+    responses: {
+      201: object({ success: SUCCESS, interaction: INTERACTION, job_ids: listOf(INTEGER) }),
+      400: VALIDATION_ERROR,
+      404: ERROR
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/contacts/:id/jobs',
+    operationId: 'linkContactToJob',
+    tag: 'Contacts',
+    summary: 'Link a contact to a job',
+    body: contactJobSchema,
+    responses: {
+      200: object({ success: SUCCESS, linked: described(BOOLEAN, 'false if it was already linked') }, ['success']),
+      400: VALIDATION_ERROR,
+      404: ERROR
+    }
+  },
+  {
+    method: 'delete',
+    path: '/api/contacts/:id/jobs/:jobId',
+    operationId: 'unlinkContactFromJob',
+    tag: 'Contacts',
+    summary: 'Unlink a contact from a job',
+    responses: { 200: object({ success: SUCCESS }), 404: ERROR }
+  },
+  {
+    method: 'get',
+    path: '/api/jobs/:id/contacts',
+    operationId: 'getJobContacts',
+    tag: 'Contacts',
+    summary: 'Contacts at a job\'s company, and the scoring bonus they earn',
+    responses: {
+      200: object({
+        contacts: listOf(CONTACT),
+        count: INTEGER,
+        bonus: object({ points: NUMBER, reasons: listOf(STRING) })
+      }),
+      404: ERROR
+    }
+  },
+
+  // Interviews
+  {
+    method: 'get',
+    path: '/api/interviews',
+    operationId: 'listInterviews',
+    tag: 'Interviews',
+    summary: 'List interviews across all jobs',
+    query: {
+      upcoming: described(BOOLEAN, 'Only pending interviews from now on, soonest first'),
+      outcome: { type: 'string', enum: INTERVIEW_OUTCOMES }
+    },
+    responses: { 200: object({ interviews: listOf(INTERVIEW), count: INTEGER }) }
+  },
+  {
+    method: 'get',
+    path: '/api/jobs/:id/interviews',
+    operationId: 'listJobInterviews',
+    tag: 'Interviews',
+    summary: 'List a job\'s interview rounds',
+    responses: { 200: object({ job_id: INTEGER, interviews: listOf(INTERVIEW), count: INTEGER }), 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/jobs/:id/interviews',
+    operationId: 'scheduleInterview',
+    tag: 'Interviews',
+    summary: 'Schedule an interview round (moves the job to Interviewing)',
+    body: scheduleInterviewSchema,
+    responses: {
+      201: object({ interview: INTERVIEW, status_changed: BOOLEAN }),
+      400: VALIDATION_ERROR,
+      404: ERROR
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/interviews/:id',
+    operationId: 'getInterview',
+    tag: 'Interviews',
+    summary: 'Get an interview',
+    responses: { 200: INTERVIEW, 404: ERROR }
+  },
+  {
+    method: 'patch',
+    path: '/api/interviews/:id',
+    operationId: 'updateInterview',
+    tag: 'Interviews',
+    summary: 'Change an interview\'s time, type, location, prep notes or interviewers',
+    body: updateInterviewSchema,
+    responses: { 200: INTERVIEW, 400: VALIDATION_ERROR, 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/interviews/:id/outcome',
+    operationId: 'recordInterviewOutcome',
+    tag: 'Interviews',
+    summary: 'Record how an interview went',
+    body: interviewOutcomeSchema,
+    responses: { 200: INTERVIEW, 400: VALIDATION_ERROR, 404: ERROR }
+  },
+  {
+    method: 'delete',
+    path: '/api/interviews/:id',
+    operationId: 'deleteInterview',
+    tag: 'Interviews',
+    summary: 'Delete an interview',
+    responses: { 200: object({ success: SUCCESS, interview: INTERVIEW }), 404: ERROR }
+  },
+
+  // Follow-ups and calendar
+  {
+    method: 'get',
+    path: '/api/followups',
+    operationId: 'listFollowups',
+    tag: 'Follow-ups',
+    summary: 'Follow-ups due, and reminders recorded since an activity ID',
+    query: {
+      ahead_days: described(INTEGER, 'Also include follow-ups due within this many days'),
+      since_id: described(INTEGER, 'Only reminders recorded after this activity ID')
+    },
+    responses: {
+      200: object({
+        today: STRING,
+        follow_up_after_days: INTEGER,
+        followups: listOf(object({
+          id: INTEGER,
+          company: STRING,
+          role: STRING,
+          due_date: STRING,
+          state: { type: 'string', enum: ['overdue', 'due', 'upcoming'] }
+        })),
+        overdue_count: INTEGER,
+        due_count: INTEGER,
+        reminders: listOf({ type: 'object' }),
+        last_reminder_id: INTEGER
+      })
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/calendar.ics',
+    operationId: 'getCalendar',
+    tag: 'Follow-ups',
+    summary: 'iCalendar feed of interviews, follow-ups and applied dates',
+    query: {
+      kinds: described(STRING, `Comma-separated: ${EVENT_KINDS.join(', ')}`),
+      priority: described(STRING, 'Only jobs of this priority (e.g. high)'),
+      token: described(STRING, 'The calendar secret, when PROWLA_CALENDAR_TOKEN is set')
+    },
+    responses: { 200: { content: 'text/calendar' }, 400: ERROR, 401: ERROR }
+  },
+
+  // Import and export
+  {
+    method: 'get',
+    path: '/api/export/jobs.csv',
+    operationId: 'exportJobsCsv',
+    tag: 'Import and Export',
+    summary: 'Jobs as CSV',
+    query: {
+      columns: described(STRING, 'Columns, comma-separated'),
+      status: STRING,
+      include_trashed: BOOLEAN
+    },
+    responses: { 200: { content: 'text/csv' }, 400: ERROR }
+  },
+  {
+    method: 'get',
+    path: '/api/export/columns',
+    operationId: 'getExportColumns',
+    tag: 'Import and Export',
+    summary: 'Columns available to export and fields available to import',
+    responses: {
+      200: object({
+        columns: { type: 'object' },
+        default_columns: listOf(STRING),
+        import_fields: listOf(STRING),
+        duplicate_actions: listOf(STRING)
+      })
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/import/csv',
+    operationId: 'importJobsCsv',
+    tag: 'Import and Export',
+    summary: 'Import jobs from CSV. Previews by default; send dry_run: false to save.',
+    body: importCsvSchema,
+    responses: {
+      200: object({
+        headers: listOf(STRING),
+        mapping: { type: 'object' },
+        rows: listOf(object({ action: { type: 'string', enum: ['create', 'update', 'skip', 'error'] } })),
+        summary: object({ create: INTEGER, update: INTEGER, skip: INTEGER, error: INTEGER }),
+        dry_run: BOOLEAN
+      }),
+      400: VALIDATION_ERROR
+    }
+  },
+
+  // Backups and reports
+  {
+    method: 'post',
+    path: '/api/backup',
+    operationId: 'createBackup',
+    tag: 'Backups',
+    summary: 'Back up the database, applications, config and data',
+    scope: 'settings:admin',
+    responses: {
+      200: object({ success: SUCCESS, file: STRING, size: INTEGER, manifest: object({ file_count: INTEGER }) }),
+      500: ERROR
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/backups',
+    operationId: 'listBackups',
+    tag: 'Backups',
+    summary: 'List backups, newest first',
+    scope: 'settings:admin',
+    responses: {
+      200: object({ backups: listOf(object({ file: STRING, size: INTEGER, created_at: STRING })), count: INTEGER })
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/backups/:file',
+    operationId: 'downloadBackup',
+    tag: 'Backups',
+    summary: 'Download a backup',
+    scope: 'settings:admin',
+    responses: { 200: { content: 'application/octet-stream' }, 404: ERROR }
+  },
+  {
+    method: 'get',
+    path: '/api/reports/digest',
+    operationId: 'getDigest',
+    tag: 'Reports',
+    summary: 'Digest of a date range (default: last week), also written to data/reports/',
+    query: {
+      from: { type: 'string', format: 'date', description: 'First day' },
+      to: { type: 'string', format: 'date', description: 'Last day, included' },
+      format: { type: 'string', enum: DIGEST_FORMATS, description: 'Default: json' }
+    },
+    responses: {
+      200: {
+        content: {
+          'application/json': object({ digest: DIGEST, files: object({ markdown: STRING, html: STRING }) }),
+          'text/markdown': STRING,
+          'text/html': STRING
+        }
+      },
+      400: ERROR
+    }
+  },
+
+  // Trash
+  {
+    method: 'get',
+    path: '/api/trash',
+    operationId: 'listTrash',
+    tag: 'Trash',
+    summary: 'List jobs in the trash',
+    responses: { 200: object({ jobs: listOf(TRASHED_JOB), count: INTEGER, retention_days: INTEGER }) }
+  },
+  {
+    method: 'delete',
+    path: '/api/trash/:id',
+    operationId: 'purgeTrashedJob',
+    tag: 'Trash',
+    summary: 'Remove a job from the trash for good',
+    responses: { 200: object({ success: SUCCESS }), 404: ERROR, 409: ERROR }
+  },
+  {
+    method: 'delete',
+    path: '/api/trash',
+    operationId: 'emptyTrash',
+    tag: 'Trash',
+    summary: 'Remove everything in the trash for good',
+    responses: { 200: object({ success: SUCCESS, purged: INTEGER }) }
+  },
+
+  // Timeline, stats and analytics
+  {
+    method: 'get',
+    path: '/api/jobs/:id/timeline',
+    operationId: 'getJobTimeline',
+    tag: 'Jobs',
+    summary: 'A job\'s activity, newest first',
+    query: {
+      limit: described(INTEGER, 'Most entries (default: 200)'),
+      type: described(STRING, 'Only this activity type')
+    },
+    responses: { 200: object({ job_id: INTEGER, entries: listOf(ACTIVITY), count: INTEGER }), 404: ERROR }
+  },
+  {
+    method: 'get',
+    path: '/api/stats',
+    operationId: 'getStats',
+    tag: 'Analytics',
+    summary: 'Job counts for the dashboard header',
+    responses: {
+      200: object({ total: INTEGER, applied: INTEGER, interviewing: INTEGER, notStarted: INTEGER, newJobs: INTEGER })
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/analytics',
+    operationId: 'getAnalytics',
+    tag: 'Analytics',
+    summary: 'Funnel by source, priority and work type, time in stage and weekly throughput',
+    query: { since: SINCE, weeks: WEEKS },
+    responses: {
+      200: object({
+        since: nullable(STRING),
+        total: FUNNEL_ROW,
+        funnel: object(Object.fromEntries(FUNNEL_GROUPS.map(group => [group, listOf(FUNNEL_ROW)]))),
+        time_in_stage: listOf(STAGE),
+        throughput: THROUGHPUT
+      }),
+      400: ERROR
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/analytics/funnel',
+    operationId: 'getFunnel',
+    tag: 'Analytics',
+    summary: 'Funnel conversion, grouped by source, priority or work type',
+    query: {
+      group_by: { type: 'string', enum: FUNNEL_GROUPS, description: 'Default: source' },
+      since: SINCE
+    },
+    responses: {
+      200: object({ group_by: STRING, since: nullable(STRING), total: FUNNEL_ROW, groups: listOf(FUNNEL_ROW) }),
+      400: object({ error: STRING, valid_groups: listOf(STRING) })
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/analytics/time-in-stage',
+    operationId: 'getTimeInStage',
+    tag: 'Analytics',
+    summary: 'Median days in each status',
+    query: { since: SINCE },
+    responses: { 200: object({ since: nullable(STRING), stages: listOf(STAGE) }), 400: ERROR }
+  },
+  {
+    method: 'get',
+    path: '/api/analytics/throughput',
+    operationId: 'getThroughput',
+    tag: 'Analytics',
+    summary: 'Jobs added, applied for, interviewed for and offered per week',
+    query: { weeks: WEEKS },
+    responses: { 200: THROUGHPUT, 400: ERROR }
+  },
+
+  // Materials, research and settings
+  {
+    method: 'get',
+    path: '/api/jobs/:id/materials',
+    operationId: 'getJobMaterials',
+    tag: 'Materials',
+    summary: 'A job\'s cover letter, email and research from its files',
+    responses: {
+      200: object({
+        materialsDir: described(STRING, 'Folder of the job\'s files'),
+        coverLetter: STRING,
+        email: STRING,
+        notes: STRING,
+        coverLetterPdf: described(BOOLEAN, 'A PDF of the cover letter exists')
+      }, ['materialsDir']),
+      404: ERROR
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/research',
+    operationId: 'listResearch',
+    tag: 'Materials',
+    summary: 'Companies with research notes, one entry each',
+    responses: {
+      200: listOf(object({
+        id: described(INTEGER, 'First job at the company'),
+        companyId: INTEGER,
+        company: STRING,
+        role: STRING,
+        roles: listOf(object({ id: INTEGER, role: STRING, status: STRING, priority: STRING })),
+        source: nullable(STRING),
+        status: STRING,
+        priority: STRING,
+        companySlug: STRING,
+        notes: STRING,
+        createdAt: TIMESTAMP
+      })),
+      500: ERROR
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/settings',
+    operationId: 'getSettings',
+    tag: 'Settings',
+    summary: 'Search settings, upgraded to the current layout',
+    responses: { 200: object({ settings: searchSettingsSchema }), 500: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/settings',
+    operationId: 'saveSettings',
+    tag: 'Settings',
+    summary: 'Save the complete search settings',
+    scope: 'settings:admin',
+    body: searchSettingsSchema,
+    responses: { 200: object({ success: SUCCESS, settings: searchSettingsSchema }), 400: VALIDATION_ERROR, 500: ERROR }
+  },
+
+  // Token usage
+  {
+    method: 'get',
+    path: '/api/tokens',
+    operationId: 'getTokenUsage',
+    tag: 'Token Usage',
+    summary: 'Agent token usage and cost, with totals by task type, day and model',
+    query: {
+      startDate: described(STRING, 'ISO date'),
+      endDate: described(STRING, 'ISO date'),
+      taskType: STRING
+    },
+    responses: {
+      200: object({
+        entries: listOf({ type: 'object' }),
+        summary: object({
+          totalCost: NUMBER,
+          totalTokens: INTEGER,
+          byTaskType: USAGE_TOTALS,
+          byDay: USAGE_TOTALS,
+          byModel: USAGE_TOTALS
+        }, ['totalCost', 'totalTokens', 'byTaskType', 'byDay'])
+      }),
+      500: ERROR
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/tokens/log',
+    operationId: 'logTokenUsage',
+    tag: 'Token Usage',
+    summary: 'Log an agent run\'s token usage',
+    body: {
+      type: 'object',
+      properties: {
+        taskType: STRING,
+        company: STRING,
+        model: STRING,
+        tokensIn: INTEGER,
+        tokensOut: INTEGER,
+        cost: NUMBER
+      },
+      required: ['taskType', 'tokensIn', 'tokensOut', 'cost']
+    },
+    responses: { 200: object({ success: SUCCESS }), 500: ERROR }
+  },
+
+  // Webhooks
+  {
+    method: 'get',
+    path: '/api/webhooks/deliveries',
+    operationId: 'listWebhookDeliveries',
+    tag: 'Webhooks',
+    summary: 'Webhook deliveries for MCP event subscriptions',
+    query: {
+      subscription_id: STRING,
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      limit: INTEGER,
+      offset: INTEGER
+    },
+    responses: {
+      200: object({ deliveries: listOf(DELIVERY), total: INTEGER, count: INTEGER }),
+      400: object({ error: STRING, valid_statuses: listOf(STRING) })
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/webhooks/deliveries/:id',
+    operationId: 'getWebhookDelivery',
+    tag: 'Webhooks',
+    summary: 'Get a webhook delivery',
+    responses: { 200: DELIVERY, 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/webhooks/deliveries/:id/redeliver',
+    operationId: 'redeliverWebhook',
+    tag: 'Webhooks',
+    summary: 'Send a webhook delivery again',
+    responses: { 200: object({ success: SUCCESS, delivery: DELIVERY }), 404: ERROR }
+  },
+
+  // Live updates and tasks
+  {
+    method: 'get',
+    path: '/api/live',
+    operationId: 'openLiveUpdates',
+    tag: 'Live Updates',
+    summary: 'Server-sent events for job, task, settings and scan changes',
+    responses: { 200: { content: 'text/event-stream' } }
+  },
+  {
+    method: 'get',
+    path: '/api/tasks/status',
+    operationId: 'listTasks',
+    tag: 'Tasks',
+    summary: 'Tasks waiting for an agent',
+    responses: { 200: object({ tasks: listOf(TASK), count: INTEGER }), 500: ERROR }
+  },
+  {
+    method: 'delete',
+    path: '/api/tasks/:filename',
+    operationId: 'completeTask',
+    tag: 'Tasks',
+    summary: 'Dismiss a task',
+    responses: { 200: object({ success: SUCCESS, message: STRING }), 404: ERROR, 500: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/jobs/:id/request-research',
+    operationId: 'requestResearch',
+    tag: 'Tasks',
+    summary: 'Queue company research for an agent (one task per company)',
+    responses: { 200: TASK_QUEUED, 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/jobs/:id/request-materials',
+    operationId: 'requestMaterials',
+    tag: 'Tasks',
+    summary: 'Queue a cover letter and email for an agent',
+    responses: { 200: TASK_QUEUED, 404: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/search',
+    operationId: 'startSearch',
+    tag: 'Search',
+    summary: 'Start a job scan in the background; progress comes over /api/live',
+    responses: { 200: object({ success: BOOLEAN, message: STRING }), 500: ERROR }
+  },
+  {
+    method: 'post',
+    path: '/api/reload',
+    operationId: 'reloadJobs',
+    tag: 'Search',
+    summary: 'Detect every job\'s materials again',
+    responses: { 200: object({ success: SUCCESS, total: INTEGER, updated: INTEGER }), 500: ERROR }
+  }
+];
+
+const PATH_PARAMS = {
+  id: described(INTEGER, 'ID'),
+  aliasId: described(INTEGER, 'Alias ID'),
+  jobId: described(INTEGER, 'Job ID'),
+  file: described(STRING, 'Backup file name'),
+  filename: described(STRING, 'Task file name')
+};
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  400: 'Invalid request',
+  401: 'Missing or invalid API token',
+  403: 'The token lacks the scope needed',
+  404: 'Not found',
+  409: 'Conflicts with what exists',
+  500: 'Server error'
+};
+
+/**
+ * Names of the path parameters in an Express path
+ * @param {string} path - e.g. /api/jobs/:id
+ * @returns {string[]} e.g. ['id']
+ */
+export function pathParams(path) {
+  return [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+}
+
+/**
+ * Media types a response can have, with their schemas
+ * @param {Object} response - An entry of an operation's responses
+ * @returns {Object<string, Object>} Schema by media type
+ */
+export function responseContent(response) {
+  if (!response.content) return { 'application/json': response };
+  if (typeof response.content === 'string') {
+    return { [response.content]: response.content === 'application/octet-stream' ? { type: 'string', format: 'binary' } : STRING };
+  }
+  return response.content;
+}
+
+/**
+ * Replace named schemas (by identity) with references to them
+ * @param {*} schema - Schema or part of one
+ * @param {Map<Object, string>} names - Name of each named schema
+ * @returns {*} Schema with $refs
+ */
+function withRefs(schema, names) {
+  if (Array.isArray(schema)) return schema.map(item => withRefs(item, names));
+  if (!schema || typeof schema !== 'object') return schema;
+  if (names.has(schema)) return { $ref: `#/components/schemas/${names.get(schema)}` };
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, withRefs(value, names)]));
+}
+
+/**
+ * Every response an operation can give: its own, a 400 for a body that
+ * isn't JSON, and the API token errors
+ * @param {Object} operation - From OPERATIONS
+ * @returns {Object} Responses by status
+ */
+function allResponses(operation) {
+  return {
+    ...(operation.method !== 'get' && { 400: ERROR }),
+    ...operation.responses,
+    401: ERROR,
+    403: ERROR
+  };
+}
+
+/**
+ * Build the OpenAPI document for the REST API
+ *
+ * @param {Object} options - Options
+ * @param {string} options.serverUrl - Where the API is (default: the
+ *   default local server)
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export function buildOpenApiDocument({ serverUrl = 'http://localhost:3001' } = {}) {
+  const names = new Map(Object.entries(SCHEMAS).map(([name, schema]) => [schema, name]));
+  const paths = {};
+
+  for (const operation of OPERATIONS) {
+    const scope = operation.scope || (operation.method === 'get' ? 'read' : 'jobs:write');
+    const parameters = [
+      ...pathParams(operation.path).map(name => ({ name, in: 'path', required: true, schema: PATH_PARAMS[name] || STRING })),
+      ...Object.entries(operation.query || {}).map(([name, schema]) => {
+        const { description, ...rest } = schema;
+        return { name, in: 'query', ...(description && { description }), schema: rest };
+      })
+    ];
+    const responses = allResponses(operation);
+
+    paths[operation.path.replace(/:(\w+)/g, '{$1}')] ??= {};
+    paths[operation.path.replace(/:(\w+)/g, '{$1}')][operation.method] = {
+      operationId: operation.operationId,
+      tags: [operation.tag],
+      summary: operation.summary,
+      ...(parameters.length > 0 && { parameters }),
+      ...(operation.body && {
+        requestBody: { required: true, content: { 'application/json': { schema: withRefs(operation.body, names) } } }
+      }),
+      responses: Object.fromEntries(Object.entries(responses).map(([status, response]) => [status, {
+        description: STATUS_TEXT[status] || 'Response',
+        content: Object.fromEntries(Object.entries(responseContent(response))
+          .map(([mediaType, schema]) => [mediaType, { schema: withRefs(schema, names) }]))
+      }])),
+      security: [
+        { bearerAuth: [scope] },
+        ...(operation.method === 'get' ? [{ accessToken: [scope] }] : []),
+        {}
+      ]
+    };
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'ProwlA API',
+      version: '1.0.0',
+      description: 'The REST API of the ProwlA dashboard server. API tokens are only needed when the server asks for them (see docs/CONFIGURATION.md); each operation lists the scope it needs.'
+    },
+    servers: [{ url: serverUrl }],
+    tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: Object.fromEntries(Object.entries(SCHEMAS).map(([name, schema]) => {
+        const others = new Map([...names].filter(([named]) => named !== schema));
+        return [name, withRefs(schema, others)];
+      })),
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: `An API token (npm run tokens -- create <name>). Scopes: ${API_SCOPES.join(', ')}`
+        },
+        accessToken: {
+          type: 'apiKey',
+          in: 'query',
+          name: 'access_token',
+          description: 'An API token, for GET requests that cannot send headers'
+        }
+      }
+    }
+  };
+}
+
+const matchers = OPERATIONS.map(operation => ({
+  operation,
+  pattern: new RegExp(`^${operation.path.replace(/[.]/g, '\\.').replace(/:\w+/g, '[^/]+')}/?$`)
+}));
+
+/**
+ * Find the operation a request is for
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, without the query string
+ * @returns {Object|null} Operation
+ */
+export function findOperation(method, path) {
+  const lower = method.toLowerCase();
+  return matchers.find(({ operation, pattern }) => operation.method === lower && pattern.test(path))?.operation || null;
+}
+
+/**
+ * Check a JSON response against an operation's description
+ * @param {Object} operation - From OPERATIONS
+ * @param {number} status - Response status
+ * @param {*} body - Response body, as sent
+ * @returns {import('./validation.js').ValidationError[]} Errors (empty if it matches)
+ */
+export function checkResponse(operation, status, body) {
+  const response = allResponses(operation)[status];
+  if (!response) return [{ path: '', message: `is a ${status} response, which is not described` }];
+  const schema = responseContent(response)['application/json'];
+  if (!schema) return [{ path: '', message: `is JSON, but a ${status} response is not` }];
+  return validate(schema, body);
+}
+
+export default {
+  OPENAPI_VERSION,
+  SCHEMAS,
+  OPERATIONS,
+  pathParams,
+  responseContent,
+  buildOpenApiDocument,
+  findOperation,
+  checkResponse
+};
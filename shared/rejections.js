@@ -0,0 +1,371 @@
+/**
+ * Rejections
+ *
+ * Rules that keep unwanted jobs out of the tracker. Stored in the
+ * `rejections` table and used by the Express server, the MCP server and
+ * the job scanner.
+ *
+ * Scopes:
+ * - company - Every job at a company (name match ignoring case, punctuation
+ *   and suffixes like "Inc.")
+ * - role - Jobs whose role matches a pattern, optionally only at one company.
+ *   Patterns may use `*` as a wildcard ("*intern*"); without one, any role
+ *   containing the text matches.
+ * - domain - Jobs whose apply URL is on a domain or one of its subdomains
+ *
+ * A rejection with `expires_at` stops applying once that time has passed.
+ *
+ * @module shared/rejections
+ */
+
+import fs from 'fs';
+import { companyKey } from './companies.js';
+
+/**
+ * Valid rejection scopes
+ * @type {string[]}
+ */
+export const REJECTION_SCOPES = ['company', 'role', 'domain'];
+
+/**
+ * Fields that can be changed with updateRejection
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = ['scope', 'pattern', 'company', 'reason', 'expires_at'];
+
+/**
+ * Normalize a domain or URL to a bare lowercase hostname
+ * @param {string} value - Domain or URL
+ * @returns {string|null} Hostname without "www."
+ */
+export function normalizeDomain(value) {
+  if (!value) return null;
+  let host = String(value).trim().toLowerCase();
+  try {
+    host = new URL(host.includes('://') ? host : `http://${host}`).hostname;
+  } catch (e) {
+    return null;
+  }
+  return host.replace(/^www\./, '') || null;
+}
+
+/**
+ * Work out an expiry timestamp from either field
+ * @param {Object} input - Rejection input
+ * @param {string} input.expires_at - Explicit ISO timestamp
+ * @param {number} input.expires_in_days - Days from now
+ * @returns {string|null|undefined} ISO timestamp, null for "never", undefined if not given
+ */
+function resolveExpiry({ expires_at, expires_in_days }) {
+  if (expires_in_days !== undefined && expires_in_days !== null) {
+    const date = new Date();
+    date.setDate(date.getDate() + Number(expires_in_days));
+    return date.toISOString();
+  }
+  if (expires_at === undefined) return undefined;
+  return expires_at ? new Date(expires_at).toISOString() : null;
+}
+
+/**
+ * Check a rejection's fields
+ * @param {Object} rejection - Rejection fields
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate({ scope, pattern, expires_at, expires_in_days }) {
+  if (!REJECTION_SCOPES.includes(scope)) {
+    return `Invalid scope. Must be one of: ${REJECTION_SCOPES.join(', ')}`;
+  }
+  if (!pattern || !String(pattern).trim()) {
+    return 'pattern is required';
+  }
+  if (scope === 'domain' && !normalizeDomain(pattern)) {
+    return 'pattern is not a valid domain';
+  }
+  if (expires_at && isNaN(new Date(expires_at).getTime())) {
+    return 'expires_at is not a valid date';
+  }
+  if (expires_in_days !== undefined && expires_in_days !== null && !(Number(expires_in_days) > 0)) {
+    return 'expires_in_days must be a positive number';
+  }
+  return null;
+}
+
+/**
+ * Store a pattern in its canonical form for its scope
+ * @param {string} scope - Rejection scope
+ * @param {string} pattern - Raw pattern
+ * @returns {string} Canonical pattern
+ */
+function canonicalPattern(scope, pattern) {
+  if (scope === 'domain') return normalizeDomain(pattern);
+  return String(pattern).trim();
+}
+
+/**
+ * Whether a rejection currently applies
+ * @param {Object} rejection - Rejection row
+ * @param {Date} now - Current time
+ * @returns {boolean} True if not expired
+ */
+export function isActive(rejection, now = new Date()) {
+  return !rejection.expires_at || new Date(rejection.expires_at) > now;
+}
+
+/**
+ * Add `active` to a row for API responses
+ * @param {Object} row - Rejection row
+ * @returns {Object} Row with active flag
+ */
+function present(row) {
+  return row ? { ...row, active: isActive(row) } : row;
+}
+
+/**
+ * Get a rejection by ID
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Rejection ID
+ * @returns {Object|undefined} Rejection
+ */
+export function getRejection(db, id) {
+  return present(db.prepare('SELECT * FROM rejections WHERE id = ?').get(id));
+}
+
+/**
+ * List rejections
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Filter options
+ * @param {string} options.scope - Only this scope
+ * @param {boolean} options.includeExpired - Include expired rejections (default: false)
+ * @returns {Object[]} Rejections, newest first
+ */
+export function listRejections(db, { scope = null, includeExpired = false } = {}) {
+  let query = 'SELECT * FROM rejections WHERE 1=1';
+  const params = [];
+
+  if (scope) {
+    query += ' AND scope = ?';
+    params.push(scope);
+  }
+  if (!includeExpired) {
+    query += ' AND (expires_at IS NULL OR expires_at > ?)';
+    params.push(new Date().toISOString());
+  }
+
+  query += ' ORDER BY id DESC';
+  return db.prepare(query).all(...params).map(present);
+}
+
+/**
+ * Create a rejection
+ *
+ * If an active rejection with the same scope, pattern and company already
+ * exists it is returned instead and `created` is false.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} input - Rejection fields
+ * @param {string} input.scope - company, role or domain (default: company)
+ * @param {string} input.pattern - Company name, role pattern or domain
+ * @param {string} input.company - Limit a role rejection to one company
+ * @param {string} input.reason - Why it was rejected
+ * @param {string} input.expires_at - ISO timestamp when it stops applying
+ * @param {number} input.expires_in_days - Alternative to expires_at
+ * @param {number} input.job_id - Job the rejection came from
+ * @param {string} actor - Who created it
+ * @returns {Object} { rejection, created } or { error }
+ */
+export function createRejection(db, input, actor = 'system') {
+  const fields = { scope: 'company', ...input };
+  const error = validate(fields);
+  if (error) return { error };
+
+  const pattern = canonicalPattern(fields.scope, fields.pattern);
+  const company = fields.scope === 'role' && fields.company ? String(fields.company).trim() : null;
+
+  const existing = db.prepare(`
+    SELECT * FROM rejections
+    WHERE scope = ? AND LOWER(pattern) = LOWER(?) AND LOWER(IFNULL(company, '')) = LOWER(?)
+    ORDER BY id DESC LIMIT 1
+  `).get(fields.scope, pattern, company || '');
+
+  if (existing && isActive(existing)) {
+    return { rejection: present(existing), created: false };
+  }
+
+  const result = db.prepare(`
+    INSERT INTO rejections (scope, pattern, company, reason, job_id, actor, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    fields.scope,
+    pattern,
+    company,
+    fields.reason || null,
+    fields.job_id || null,
+    actor || 'system',
+    resolveExpiry(fields) || null
+  );
+
+  return { rejection: getRejection(db, result.lastInsertRowid), created: true };
+}
+
+/**
+ * Update a rejection
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Rejection ID
+ * @param {Object} updates - Fields to change (scope, pattern, company, reason,
+ *   expires_at, expires_in_days). Pass expires_at: null to make it permanent.
+ * @returns {Object} { rejection } or { error }
+ */
+export function updateRejection(db, id, updates) {
+  const existing = db.prepare('SELECT * FROM rejections WHERE id = ?').get(id);
+  if (!existing) return { error: 'Rejection not found' };
+
+  const merged = { ...existing, ...updates };
+  const error = validate(merged);
+  if (error) return { error };
+
+  const values = {
+    ...updates,
+    pattern: canonicalPattern(merged.scope, merged.pattern)
+  };
+  const expiry = resolveExpiry(updates);
+  if (expiry !== undefined) values.expires_at = expiry;
+  if (merged.scope !== 'role') values.company = null;
+
+  const setters = [];
+  const params = [];
+  for (const field of UPDATABLE_FIELDS) {
+    if (values[field] !== undefined) {
+      setters.push(`${field} = ?`);
+      params.push(values[field]);
+    }
+  }
+
+  setters.push("updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')");
+  db.prepare(`UPDATE rejections SET ${setters.join(', ')} WHERE id = ?`).run(...params, id);
+
+  return { rejection: getRejection(db, id) };
+}
+
+/**
+ * Delete a rejection
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Rejection ID
+ * @returns {Object|null} The deleted rejection, or null if not found
+ */
+export function deleteRejection(db, id) {
+  const rejection = getRejection(db, id);
+  if (!rejection) return null;
+  db.prepare('DELETE FROM rejections WHERE id = ?').run(id);
+  return rejection;
+}
+
+/**
+ * Test a role against a role pattern
+ * @param {string} pattern - Pattern, `*` matches anything
+ * @param {string} role - Job role
+ * @returns {boolean} True if the role matches
+ */
+function roleMatches(pattern, role) {
+  const text = role.toLowerCase();
+  const lower = pattern.toLowerCase();
+  if (!lower.includes('*')) return text.includes(lower);
+
+  const regex = lower.split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${regex}$`).test(text);
+}
+
+/**
+ * Find the first rejection that applies to a job
+ *
+ * Pure function so callers without database access (the scanner) can use
+ * it with rules fetched from the API.
+ *
+ * @param {Object[]} rejections - Rejection rules
+ * @param {Object} job - Job to test
+ * @param {string} job.company - Company name
+ * @param {string} job.role - Role title
+ * @param {string} job.apply_url - Apply URL
+ * @returns {Object|null} Matching rejection
+ */
+export function matchRejection(rejections, { company = '', role = '', apply_url = '' } = {}) {
+  const now = new Date();
+  const companyName = companyKey(company);
+  const domain = normalizeDomain(apply_url);
+
+  for (const rejection of rejections) {
+    if (!isActive(rejection, now)) continue;
+
+    if (rejection.scope === 'company') {
+      if (companyName && companyKey(rejection.pattern) === companyName) return rejection;
+    } else if (rejection.scope === 'role') {
+      if (rejection.company && companyKey(rejection.company) !== companyName) continue;
+      if (role && roleMatches(rejection.pattern, role)) return rejection;
+    } else if (rejection.scope === 'domain') {
+      if (domain && (domain === rejection.pattern || domain.endsWith(`.${rejection.pattern}`))) return rejection;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the active rejection that applies to a job, if any
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} job - Job with company, role and apply_url
+ * @returns {Object|null} Matching rejection
+ */
+export function findRejection(db, job) {
+  return matchRejection(listRejections(db), job);
+}
+
+/**
+ * Import company names from the old data/rejected-companies.json file
+ *
+ * Runs once: after importing, the file is renamed to
+ * rejected-companies.json.imported so it isn't read again.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} filePath - Path to rejected-companies.json
+ * @returns {number} Number of rejections created
+ */
+export function importLegacyRejections(db, filePath) {
+  if (!fs.existsSync(filePath)) return 0;
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  let imported = 0;
+
+  db.transaction(() => {
+    for (const company of data.rejected || []) {
+      const result = createRejection(db, {
+        scope: 'company',
+        pattern: company,
+        reason: 'Imported from rejected-companies.json'
+      }, 'system');
+      if (result.created) imported++;
+    }
+  })();
+
+  fs.renameSync(filePath, `${filePath}.imported`);
+  return imported;
+}
+
+export default {
+  REJECTION_SCOPES,
+  normalizeDomain,
+  isActive,
+  getRejection,
+  listRejections,
+  createRejection,
+  updateRejection,
+  deleteRejection,
+  matchRejection,
+  findRejection,
+  importLegacyRejections
+};
@@ -0,0 +1,484 @@
+/**
+ * Request Schemas
+ *
+ * JSON Schemas for the values the REST API and the MCP tools accept, so
+ * both check the same things (see shared/validation.js). The MCP tools
+ * build their input schemas from these fields and values.
+ *
+ * @module shared/schemas
+ */
+
+import { REJECTION_SCOPES } from './rejections.js';
+import { RELATIONSHIPS, INTERACTION_TYPES } from './contacts.js';
+import { INTERVIEW_TYPES, INTERVIEW_OUTCOMES } from './interviews.js';
+
+/**
+ * Job statuses, in pipeline order
+ * @type {string[]}
+ */
+export const JOB_STATUSES = ['Not Started', 'Researching', 'Ready to Apply', 'Applied', 'Interviewing', 'Done', 'Offer', 'Rejected'];
+
+/**
+ * Job priorities, highest first
+ * @type {string[]}
+ */
+export const JOB_PRIORITIES = ['🔴 High', '🟡 Medium', '🟢 Lower'];
+
+/**
+ * Priority filter values and the job priority each one matches
+ * @type {Object<string, string>}
+ */
+export const PRIORITIES = {
+  high: '🔴 High',
+  medium: '🟡 Medium',
+  lower: '🟢 Lower'
+};
+
+/**
+ * Materials statuses
+ * @type {string[]}
+ */
+export const MATERIALS_STATUSES = ['⬜ None', '🔍 Research', '📝 Materials', '✅ Full'];
+
+/**
+ * Optional text field (null or empty clears it)
+ * @param {string} description - Description
+ * @returns {Object} Schema
+ */
+const text = description => ({ type: ['string', 'null'], description });
+
+/**
+ * Optional date field (null or empty clears it)
+ * @param {string} description - Description
+ * @returns {Object} Schema
+ */
+const date = description => ({ type: ['string', 'null'], format: 'date', description });
+
+/**
+ * Job fields that can be set when creating or updating a job
+ * @type {Object<string, Object>}
+ */
+export const JOB_FIELDS = {
+  company: { type: 'string', minLength: 1, maxLength: 200, description: 'Company name' },
+  role: { type: 'string', minLength: 1, maxLength: 300, description: 'Job role/title' },
+  status: { type: 'string', enum: JOB_STATUSES, description: 'Status' },
+  priority: { type: 'string', enum: JOB_PRIORITIES, description: 'Priority' },
+  materials: { type: 'string', enum: MATERIALS_STATUSES, description: 'Materials status' },
+  score: { type: ['integer', 'null'], minimum: 0, maximum: 100, description: 'How well the job matches the search criteria (0-100)' },
+  type: text('Work type (e.g., "Fractional", "Contract", "Full-time")'),
+  hours_week: text('Hours per week (e.g., "10-20")'),
+  compensation: text('Compensation details (e.g., "$6,000/mo")'),
+  location: text('Location (e.g., "Remote", "San Francisco")'),
+  source: text('Where the job was found (e.g., "LinkedIn", "Cold Outreach")'),
+  apply_url: text('URL to apply for the job'),
+  cover_letter: text('Cover letter file name'),
+  email: text('Outreach email file name'),
+  notes: text('Notes'),
+  applied_date: date('Date applied (YYYY-MM-DD)'),
+  follow_up_date: date('Follow-up date (YYYY-MM-DD)'),
+  cover_letter_content: text('Cover letter text'),
+  email_content: text('Outreach email text'),
+  research_notes: text('Company research notes (markdown)')
+};
+
+/**
+ * Body of POST /api/jobs
+ * @type {Object}
+ */
+export const createJobSchema = {
+  type: 'object',
+  properties: {
+    ...JOB_FIELDS,
+    allow_duplicate: { type: 'boolean', description: 'Create the job even if it looks like a duplicate' }
+  },
+  required: ['company', 'role']
+};
+
+/**
+ * Body of PATCH /api/jobs/:id
+ * @type {Object}
+ */
+export const updateJobSchema = {
+  type: 'object',
+  properties: JOB_FIELDS
+};
+
+/**
+ * Body of POST /api/jobs/:id/reject-company
+ * @type {Object}
+ */
+export const rejectCompanySchema = {
+  type: 'object',
+  properties: {
+    reason: text('Why it was rejected'),
+    expires_at: text('When it stops applying (null: never)'),
+    expires_in_days: { type: ['number', 'null'], description: 'Alternative to expires_at' },
+    trash: { type: 'boolean', description: 'Move the job to the trash (default: true)' }
+  }
+};
+
+const REJECTION_FIELDS = {
+  scope: { type: 'string', enum: REJECTION_SCOPES, description: 'What the pattern matches (default: company)' },
+  pattern: { type: 'string', minLength: 1, maxLength: 300, description: 'Company name, role text or domain' },
+  company: text('Limit a role rejection to one company'),
+  reason: rejectCompanySchema.properties.reason,
+  expires_at: rejectCompanySchema.properties.expires_at,
+  expires_in_days: rejectCompanySchema.properties.expires_in_days,
+  job_id: { type: ['integer', 'null'], description: 'Job the rejection came from' }
+};
+
+/**
+ * Body of POST /api/rejections
+ * @type {Object}
+ */
+export const createRejectionSchema = {
+  type: 'object',
+  properties: REJECTION_FIELDS,
+  required: ['pattern']
+};
+
+/**
+ * Body of PATCH /api/rejections/:id
+ * @type {Object}
+ */
+export const updateRejectionSchema = {
+  type: 'object',
+  properties: REJECTION_FIELDS
+};
+
+/**
+ * Body of POST /api/rejections/check
+ * @type {Object}
+ */
+export const checkRejectionSchema = {
+  type: 'object',
+  properties: {
+    company: text('Company name'),
+    role: text('Job role/title'),
+    apply_url: text('URL to apply for the job')
+  }
+};
+
+const CONTACT_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 200, description: 'Full name' },
+  title: text('Job title'),
+  email: text('Email address'),
+  linkedin_url: text('LinkedIn profile URL'),
+  relationship: { type: 'string', enum: RELATIONSHIPS, description: 'Relationship (default: other)' },
+  notes: text('Notes'),
+  company_id: { type: ['integer', 'null'], description: 'Company ID' },
+  company: text('Company name (instead of company_id)')
+};
+
+/**
+ * Body of POST /api/contacts
+ * @type {Object}
+ */
+export const createContactSchema = {
+  type: 'object',
+  properties: {
+    ...CONTACT_FIELDS,
+    job_id: { type: ['integer', 'null'], description: 'Job to link; its company is used if none is given' }
+  },
+  required: ['name']
+};
+
+/**
+ * Body of PATCH /api/contacts/:id
+ * @type {Object}
+ */
+export const updateContactSchema = {
+  type: 'object',
+  properties: CONTACT_FIELDS
+};
+
+/**
+ * Body of POST /api/contacts/:id/interactions
+ * @type {Object}
+ */
+export const contactInteractionSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: INTERACTION_TYPES, description: 'What happened' },
+    job_id: { type: ['integer', 'null'], description: 'Job it was about' },
+    notes: text('Notes'),
+    occurred_at: text('When it happened (default: now)')
+  },
+  required: ['type']
+};
+
+/**
+ * Body of POST /api/contacts/:id/jobs
+ * @type {Object}
+ */
+export const contactJobSchema = {
+  type: 'object',
+  properties: {
+    job_id: { type: 'integer', description: 'Job to link' }
+  },
+  required: ['job_id']
+};
+
+/**
+ * Body of PATCH /api/companies/:id
+ * @type {Object}
+ */
+export const updateCompanySchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200, description: 'Company name (the old one is kept as an alias)' },
+    website: text('Website'),
+    notes: text('Notes'),
+    research_notes: text('Research shared by the company\'s jobs (markdown)')
+  }
+};
+
+/**
+ * Body of POST /api/companies/:id/aliases
+ * @type {Object}
+ */
+export const companyAliasSchema = {
+  type: 'object',
+  properties: {
+    alias: { type: 'string', minLength: 1, maxLength: 200, description: 'Another name for the company' }
+  },
+  required: ['alias']
+};
+
+/**
+ * Body of POST /api/companies/:id/merge
+ * @type {Object}
+ */
+export const mergeCompanySchema = {
+  type: 'object',
+  properties: {
+    source_id: { type: 'integer', description: 'Company to merge in and delete' }
+  },
+  required: ['source_id']
+};
+
+/**
+ * Interview round fields, shared by scheduling and updating a round
+ * @type {Object}
+ */
+export const INTERVIEW_FIELDS = {
+  round: { type: ['integer', 'null'], minimum: 1, description: 'Round number (default: one after the last)' },
+  type: { type: 'string', enum: INTERVIEW_TYPES, description: 'Kind of interview (default: screen)' },
+  scheduled_at: text('When it takes place'),
+  duration_minutes: { type: ['integer', 'null'], minimum: 1, description: 'Expected length in minutes' },
+  location: text('Video link, phone number or address'),
+  prep_notes: text('What to prepare'),
+  interviewers: {
+    type: 'array',
+    items: {
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            contact_id: { type: ['integer', 'null'] }
+          }
+        }
+      ]
+    },
+    description: 'People interviewing: names, or { name, contact_id }'
+  }
+};
+
+/**
+ * Body of POST /api/jobs/:id/interviews
+ * @type {Object}
+ */
+export const scheduleInterviewSchema = {
+  type: 'object',
+  properties: INTERVIEW_FIELDS
+};
+
+/**
+ * Body of PATCH /api/interviews/:id
+ * @type {Object}
+ */
+export const updateInterviewSchema = {
+  type: 'object',
+  properties: INTERVIEW_FIELDS
+};
+
+/**
+ * Body of POST /api/interviews/:id/outcome
+ * @type {Object}
+ */
+export const interviewOutcomeSchema = {
+  type: 'object',
+  properties: {
+    outcome: { type: 'string', enum: INTERVIEW_OUTCOMES, description: 'How it went' },
+    feedback: text('Our own notes on how it went')
+  },
+  required: ['outcome']
+};
+
+/**
+ * What a CSV import does with a row that matches an existing job
+ * @type {string[]}
+ */
+export const DUPLICATE_ACTIONS = ['skip', 'update', 'create'];
+
+/**
+ * Body of POST /api/import/csv
+ * @type {Object}
+ */
+export const importCsvSchema = {
+  type: 'object',
+  properties: {
+    csv: { type: 'string', minLength: 1, description: 'CSV text; the first row is the header' },
+    mapping: {
+      type: ['object', 'null'],
+      additionalProperties: { type: ['string', 'null'] },
+      description: 'CSV header to job field, or null to ignore it (default: matched by name)'
+    },
+    on_duplicate: { type: 'string', enum: DUPLICATE_ACTIONS, description: 'What to do with rows that match a job (default: skip)' },
+    dry_run: { type: 'boolean', description: 'Preview without saving (default: true)' }
+  },
+  required: ['csv']
+};
+
+/**
+ * Version of the search settings layout; see shared/search-settings.js
+ * for how older files are upgraded
+ * @type {number}
+ */
+export const SEARCH_SETTINGS_VERSION = 1;
+
+/**
+ * Work types the dashboard offers
+ * @type {string[]}
+ */
+export const WORK_TYPES = ['Full-time', 'Contract', 'Fractional', 'Part-time'];
+
+const range = {
+  type: 'object',
+  properties: {
+    min: { type: 'number', minimum: 0 },
+    max: { type: 'number', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+const pay = {
+  type: 'object',
+  properties: {
+    min: { type: 'number', minimum: 0 },
+    max: { type: 'number', minimum: 0 },
+    currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 code (e.g. "USD")' }
+  },
+  additionalProperties: false
+};
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const preferences = description => ({
+  type: 'object',
+  properties: {
+    preferred: stringList,
+    excluded: stringList
+  },
+  additionalProperties: false,
+  description
+});
+
+/**
+ * Search settings (config/search.json), read by the dashboard, the MCP
+ * config tools and the scanner
+ * @type {Object}
+ */
+export const searchSettingsSchema = {
+  type: 'object',
+  properties: {
+    version: { type: 'integer', const: SEARCH_SETTINGS_VERSION, description: 'Settings layout version' },
+    targetRoles: { ...stringList, description: 'Job titles to look for' },
+    keywords: { ...stringList, description: 'Keywords that make a job a better match' },
+    excludeKeywords: { ...stringList, description: 'Keywords in a title that rule a job out' },
+    workTypes: { ...stringList, description: `Acceptable work types (e.g. ${WORK_TYPES.join(', ')})` },
+    hoursPerWeek: { ...range, description: 'Acceptable hours per week' },
+    remote: {
+      type: 'object',
+      properties: {
+        required: { type: 'boolean', description: 'Only remote positions' },
+        preferredTimezones: stringList,
+        hybridOk: { type: 'boolean' },
+        relocationOk: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    compensation: {
+      type: 'object',
+      properties: {
+        salary: { ...pay, description: 'Full-time salary per year' },
+        hourly: { ...pay, description: 'Hourly rate' },
+        fractionalMonthly: { ...pay, description: 'Fractional retainer per month' }
+      },
+      additionalProperties: false
+    },
+    industries: preferences('Industries to prefer and to avoid'),
+    companyStage: preferences('Funding stages to prefer and to avoid (e.g. "Seed", "Series A")'),
+    companySize: { ...range, description: 'Employee count' },
+    autoRejectFullTime: { type: 'boolean', description: 'Reject full-time positions' },
+    noAgencies: { type: 'boolean', description: 'Reject staffing agency listings' },
+    searchFrequency: { type: 'string', pattern: '^\\d{1,2}(,\\d{1,2})*$', description: 'Hours of the day to scan, comma-separated (e.g. "8,16")' },
+    notifyOnNewJobs: { type: 'boolean', description: 'Notify when a scan finds jobs' },
+    autoResearch: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        minPriorityScore: { type: 'number', minimum: 0, maximum: 100 }
+      },
+      additionalProperties: false,
+      description: 'Queue research for jobs scoring at least minPriorityScore'
+    },
+    followUpAfterDays: { type: 'integer', minimum: 1, maximum: 365, description: 'Suggest a follow-up this many days after applying' },
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          url: { type: 'string', format: 'uri' },
+          searchUrl: { type: 'string', format: 'uri' },
+          enabled: { type: 'boolean' }
+        },
+        required: ['name']
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+export default {
+  JOB_STATUSES,
+  JOB_PRIORITIES,
+  PRIORITIES,
+  MATERIALS_STATUSES,
+  JOB_FIELDS,
+  createJobSchema,
+  updateJobSchema,
+  rejectCompanySchema,
+  createRejectionSchema,
+  updateRejectionSchema,
+  checkRejectionSchema,
+  createContactSchema,
+  updateContactSchema,
+  contactInteractionSchema,
+  contactJobSchema,
+  updateCompanySchema,
+  companyAliasSchema,
+  mergeCompanySchema,
+  INTERVIEW_FIELDS,
+  scheduleInterviewSchema,
+  updateInterviewSchema,
+  interviewOutcomeSchema,
+  DUPLICATE_ACTIONS,
+  importCsvSchema,
+  SEARCH_SETTINGS_VERSION,
+  WORK_TYPES,
+  searchSettingsSchema
+};
@@ -0,0 +1,184 @@
+/**
+ * Search Settings
+ *
+ * Reads, upgrades, checks and saves config/search.json for the dashboard
+ * (GET and POST /api/settings), the MCP config tools and the scanner, so
+ * all three see the same layout: searchSettingsSchema in
+ * shared/schemas.js, at SEARCH_SETTINGS_VERSION.
+ *
+ * Files without a `version` are from before the layout was settled: the
+ * dashboard saved `rates`, `companyStages`, a list of `industries`,
+ * `mustBeRemote` and a boolean `autoResearch`, while the scanner read
+ * `compensation`, `companyStage.preferred`, `industries.preferred` and
+ * `remote.required`. Upgrading moves the dashboard's fields to the
+ * scanner's and keeps everything else.
+ *
+ * @module shared/search-settings
+ */
+
+import fs from 'fs';
+import { dirname } from 'path';
+import { validate, describeErrors } from './validation.js';
+import { SEARCH_SETTINGS_VERSION, searchSettingsSchema } from './schemas.js';
+
+/**
+ * Settings used when there is no config/search.json, by the dashboard,
+ * the MCP config tools and the scanner alike
+ * @type {Object}
+ */
+export const DEFAULT_SEARCH_SETTINGS = {
+  version: SEARCH_SETTINGS_VERSION,
+  targetRoles: [],
+  keywords: [],
+  excludeKeywords: [],
+  workTypes: ['Fractional', 'Contract', 'Part-time'],
+  hoursPerWeek: { min: 10, max: 30 },
+  remote: { required: true },
+  compensation: {
+    salary: { min: 140000, max: 180000 },
+    hourly: { min: 110, max: 170 },
+    fractionalMonthly: { min: 5000, max: 8000 }
+  },
+  industries: { preferred: ['EdTech', 'SaaS', 'AI', 'B2B'], excluded: [] },
+  companyStage: { preferred: ['Pre-seed', 'Seed', 'Series A'], excluded: [] },
+  autoRejectFullTime: true,
+  noAgencies: true,
+  searchFrequency: '8,16',
+  notifyOnNewJobs: true,
+  autoResearch: { enabled: false },
+  followUpAfterDays: 7
+};
+
+/**
+ * Upgrade steps, by the version they upgrade from
+ * @type {Object<number, Function>}
+ */
+const UPGRADES = {
+  // The dashboard's unversioned fields to the scanner's; where a file has
+  // both, the scanner's win
+  0: ({ rates, companyStages, mustBeRemote, ...settings }) => {
+    const compensation = { ...settings.compensation };
+    if (rates?.fullTimeSalary && !compensation.salary) compensation.salary = rates.fullTimeSalary;
+    if (rates?.hourly && !compensation.hourly) compensation.hourly = rates.hourly;
+    if (rates?.fractionalMonthly && !compensation.fractionalMonthly) compensation.fractionalMonthly = rates.fractionalMonthly;
+    if (Object.keys(compensation).length > 0) settings.compensation = compensation;
+
+    if (Array.isArray(settings.industries)) settings.industries = { preferred: settings.industries };
+    if (Array.isArray(companyStages) && !settings.companyStage) settings.companyStage = { preferred: companyStages };
+    if (typeof mustBeRemote === 'boolean' && settings.remote?.required === undefined) {
+      settings.remote = { ...settings.remote, required: mustBeRemote };
+    }
+    if (typeof settings.autoResearch === 'boolean') settings.autoResearch = { enabled: settings.autoResearch };
+    return settings;
+  }
+};
+
+/**
+ * Bring settings up to SEARCH_SETTINGS_VERSION
+ *
+ * @param {Object} settings - Settings as stored or sent
+ * @returns {Object} { settings, from } where from is the version they
+ *   had, or { error } if they are from a newer version of ProwlA
+ */
+export function upgradeSearchSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: 'Search settings must be an object' };
+  }
+  const from = Number.isInteger(settings.version) ? settings.version : 0;
+  if (from > SEARCH_SETTINGS_VERSION) {
+    return { error: `Search settings are version ${from}, newer than this version of ProwlA supports (${SEARCH_SETTINGS_VERSION})` };
+  }
+
+  let upgraded = { ...settings };
+  for (let version = from; version < SEARCH_SETTINGS_VERSION; version++) {
+    upgraded = UPGRADES[version](upgraded);
+  }
+  return { settings: { ...upgraded, version: SEARCH_SETTINGS_VERSION }, from };
+}
+
+/**
+ * Check settings against the schema, and that every range's min is at
+ * most its max
+ *
+ * @param {Object} settings - Settings at SEARCH_SETTINGS_VERSION
+ * @returns {import('./validation.js').ValidationError[]} Errors
+ */
+export function validateSearchSettings(settings) {
+  const errors = validate(searchSettingsSchema, settings);
+  const ranges = {
+    hoursPerWeek: settings?.hoursPerWeek,
+    companySize: settings?.companySize,
+    ...Object.fromEntries(Object.entries(settings?.compensation || {}).map(([key, value]) => [`compensation.${key}`, value]))
+  };
+  for (const [path, range] of Object.entries(ranges)) {
+    if (typeof range?.min === 'number' && typeof range?.max === 'number' && range.min > range.max) {
+      errors.push({ path: `${path}.min`, message: 'must not be more than max' });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Read search settings, upgraded to the current version
+ *
+ * @param {string} path - config/search.json
+ * @returns {Object} { settings, exists, from } (DEFAULT_SEARCH_SETTINGS if
+ *   there is no file), or { error }
+ */
+export function readSearchSettings(path) {
+  if (!fs.existsSync(path)) return { settings: DEFAULT_SEARCH_SETTINGS, exists: false, from: SEARCH_SETTINGS_VERSION };
+
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    return { error: `Could not read ${path}: ${error.message}` };
+  }
+  const result = upgradeSearchSettings(stored);
+  return result.error ? result : { ...result, exists: true };
+}
+
+/**
+ * Upgrade, check and write search settings
+ *
+ * @param {string} path - config/search.json
+ * @param {Object} settings - Complete settings, at any version
+ * @returns {Object} { settings } as saved, or { error, errors }
+ */
+export function saveSearchSettings(path, settings) {
+  const upgraded = upgradeSearchSettings(settings);
+  if (upgraded.error) return { error: upgraded.error, errors: [] };
+
+  const errors = validateSearchSettings(upgraded.settings);
+  if (errors.length > 0) return { error: describeErrors(errors), errors };
+
+  fs.mkdirSync(dirname(path), { recursive: true });
+  fs.writeFileSync(path, JSON.stringify(upgraded.settings, null, 2), 'utf8');
+  return { settings: upgraded.settings };
+}
+
+/**
+ * Rewrite an older config/search.json at the current version (runs once;
+ * a file that doesn't pass validation once upgraded is left alone)
+ *
+ * @param {string} path - config/search.json
+ * @returns {Object} { from } if it was upgraded, { error } if it could
+ *   not be, or null if there was nothing to do
+ */
+export function upgradeSearchSettingsFile(path) {
+  const current = readSearchSettings(path);
+  if (current.error) return { error: current.error };
+  if (!current.exists || current.from === SEARCH_SETTINGS_VERSION) return null;
+
+  const saved = saveSearchSettings(path, current.settings);
+  return saved.error ? { error: saved.error } : { from: current.from };
+}
+
+export default {
+  DEFAULT_SEARCH_SETTINGS,
+  upgradeSearchSettings,
+  validateSearchSettings,
+  readSearchSettings,
+  saveSearchSettings,
+  upgradeSearchSettingsFile
+};
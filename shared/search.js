@@ -0,0 +1,294 @@
+/**
+ * Job Search
+ *
+ * Full-text search over jobs using the `jobs_fts` FTS5 index (see
+ * migrations/015-job-search-columns.js). Results are ranked with BM25,
+ * weighting company and role above research notes, and carry a snippet
+ * with the matching words highlighted.
+ *
+ * Query syntax:
+ * - `series`           - Words match by prefix ("series" finds "Series A")
+ * - `"series a"`       - Quoted phrases match exactly
+ * - `-agency`          - Excludes jobs matching a word or phrase
+ * - `company:acme`     - Matches a word in one field (company, role, type,
+ *                        location, source, notes for research notes)
+ * - `status:Applied`   - Filters by status (`status:"Not Started"` or
+ *                        `status:not-started` for two words)
+ * - `priority:high`    - Filters by priority (high, medium, lower)
+ * - `source:LinkedIn`  - Filters by source
+ *
+ * Repeating a filter matches any of its values, and `-status:Rejected`
+ * excludes one.
+ *
+ * @module shared/search
+ */
+
+import { JOB_STATUSES as STATUSES, JOB_PRIORITIES, PRIORITIES } from './schemas.js';
+
+/**
+ * Indexed fields and their BM25 weights, in jobs_fts column order
+ */
+export const SEARCH_FIELDS = {
+  company: 2.0,
+  role: 1.5,
+  type: 0.5,
+  location: 0.5,
+  source: 0.3,
+  research_notes: 0.5
+};
+
+/**
+ * Default snippet highlight markers
+ * @type {string[]}
+ */
+export const DEFAULT_HIGHLIGHT = ['<mark>', '</mark>'];
+
+// `field:` prefixes that search one field; notes searches the research notes
+const FIELD_PREFIXES = {
+  company: ['company'],
+  role: ['role'],
+  type: ['type'],
+  location: ['location'],
+  notes: ['research_notes']
+};
+
+// `field:` prefixes that filter on a column instead of searching it
+const FILTERS = ['status', 'priority', 'source'];
+
+// Words in the snippet around the match
+const SNIPPET_WORDS = 12;
+
+/**
+ * SQL expression ranking jobs by priority, High first and unknown
+ * priorities last
+ * @param {string} column - Priority column (default: j.priority)
+ * @returns {string} CASE expression
+ */
+export function priorityOrder(column = 'j.priority') {
+  const ranks = JOB_PRIORITIES.map((priority, i) => `WHEN '${priority}' THEN ${i + 1}`);
+  return `CASE ${column} ${ranks.join(' ')} ELSE ${JOB_PRIORITIES.length + 1} END`;
+}
+
+/**
+ * Resolve a filter value to the stored value
+ * @param {string} filter - status, priority or source
+ * @param {string} value - Value as typed
+ * @returns {string} Stored value (unknown values are kept as typed)
+ */
+function resolveFilterValue(filter, value) {
+  if (filter === 'status') {
+    const wanted = value.replace(/[-_]/g, ' ').toLowerCase();
+    return STATUSES.find(status => status.toLowerCase() === wanted) || value;
+  }
+  if (filter === 'priority') {
+    const wanted = value.toLowerCase();
+    return PRIORITIES[wanted === 'low' ? 'lower' : wanted] || value;
+  }
+  return value;
+}
+
+/**
+ * Parse a search query
+ *
+ * @param {string} query - Query in the syntax above
+ * @returns {Object} { terms: [{ text, phrase, fields, negated }],
+ *   filters: { status, priority, source }, excluded: { status, priority,
+ *   source } } where each filter is a list of values
+ */
+export function parseQuery(query) {
+  const terms = [];
+  const filters = { status: [], priority: [], source: [] };
+  const excluded = { status: [], priority: [], source: [] };
+  const pattern = /(-)?(?:([a-z_]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+  for (const match of String(query || '').matchAll(pattern)) {
+    const [raw, minus, prefix, quoted, word] = match;
+    const negated = Boolean(minus);
+    const field = prefix?.toLowerCase();
+    const text = quoted ?? word;
+
+    if (FILTERS.includes(field) && text) {
+      (negated ? excluded : filters)[field].push(resolveFilterValue(field, text));
+      continue;
+    }
+
+    const term = field && !FIELD_PREFIXES[field]
+      ? { text: negated ? raw.slice(1) : raw, phrase: true }
+      : { text, phrase: quoted !== undefined, fields: FIELD_PREFIXES[field] };
+
+    // Words of only punctuation have nothing to match
+    if (/[\p{L}\p{N}]/u.test(term.text)) {
+      terms.push({ ...term, fields: term.fields || null, negated });
+    }
+  }
+
+  return { terms, filters, excluded };
+}
+
+/**
+ * Turn a term into an FTS5 query string
+ * @param {Object} term - From parseQuery
+ * @returns {string} FTS5 expression
+ */
+function toMatch(term) {
+  const quoted = `"${term.text.replace(/"/g, '""')}"${term.phrase ? '' : '*'}`;
+  return term.fields ? `{${term.fields.join(' ')}} : ${quoted}` : quoted;
+}
+
+/**
+ * Build the SQL for a search, for queries that add their own clauses
+ *
+ * The clauses refer to the jobs table as `j`. When `match` is set, the
+ * query must join `jobs_fts` and add `jobs_fts MATCH ?` with it.
+ *
+ * @param {string} query - Query in the syntax above
+ * @param {Object} options - Options
+ * @param {string[]} options.fields - Only search these SEARCH_FIELDS
+ *   (default: all)
+ * @param {Object} options.filters - Extra { status, priority, source }
+ *   filters, each a value or a list of values
+ * @returns {Object} { parsed, searched, match, where, params, weights }
+ */
+export function buildSearch(query, { fields = null, filters = {} } = {}) {
+  const parsed = parseQuery(query);
+  let searched = Object.keys(SEARCH_FIELDS).filter(field => !fields?.length || fields.includes(field));
+  // No valid fields: fall back to company and role
+  if (searched.length === 0) searched = ['company', 'role'];
+  const scope = searched.length < Object.keys(SEARCH_FIELDS).length ? `{${searched.join(' ')}} : ` : '';
+
+  const where = [];
+  const params = [];
+
+  for (const filter of FILTERS) {
+    const values = [...parsed.filters[filter], ...[].concat(filters[filter] || []).map(value => resolveFilterValue(filter, value))];
+    const column = filter === 'source' ? 'LOWER(j.source)' : `j.${filter}`;
+    const normalize = value => filter === 'source' ? value.toLowerCase() : value;
+
+    if (values.length > 0) {
+      where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values.map(normalize));
+    }
+    if (parsed.excluded[filter].length > 0) {
+      where.push(`IFNULL(${column}, '') NOT IN (${parsed.excluded[filter].map(() => '?').join(', ')})`);
+      params.push(...parsed.excluded[filter].map(normalize));
+    }
+  }
+
+  const negatives = parsed.terms.filter(term => term.negated).map(toMatch);
+  if (negatives.length > 0) {
+    where.push('j.id NOT IN (SELECT rowid FROM jobs_fts WHERE jobs_fts MATCH ?)');
+    params.push(negatives.join(' OR '));
+  }
+
+  const positives = parsed.terms.filter(term => !term.negated).map(toMatch);
+  return {
+    parsed,
+    searched,
+    match: positives.length > 0 ? `${scope}(${positives.join(' ')})` : null,
+    where,
+    params,
+    // Fields that are not searched get no weight
+    weights: Object.entries(SEARCH_FIELDS).map(([field, weight]) => searched.includes(field) ? weight : 0)
+  };
+}
+
+/**
+ * SQL for a search's rank and snippet columns
+ * @param {Object} search - From buildSearch (with a match)
+ * @returns {string} Result columns `_score` and `_snippet`; the snippet
+ *   markers are two `?` parameters
+ */
+export function rankColumns(search) {
+  return `bm25(jobs_fts, ${search.weights.join(', ')}) AS _score,
+      snippet(jobs_fts, -1, ?, ?, '…', ${SNIPPET_WORDS}) AS _snippet`;
+}
+
+/**
+ * Add `_relevance` (0-100, where the best score is 100) to ranked rows
+ * @param {Object[]} rows - Rows with `_score` (BM25, negative)
+ * @param {number} best - Best score to compare to (default: the first row's)
+ * @returns {Object[]} Rows with `_relevance`
+ */
+export function withRelevance(rows, best = rows[0]?._score) {
+  return rows.map(({ _score, _snippet, ...job }) => ({
+    ...job,
+    _score,
+    _relevance: best ? Math.round((_score / best) * 100) : 100,
+    _snippet
+  }));
+}
+
+/**
+ * Search jobs (the trash is never included)
+ *
+ * A query with only filters and exclusions lists the matching jobs by
+ * priority instead of by rank.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {string} query - Query in the syntax above
+ * @param {Object} options - Options
+ * @param {string[]} options.fields - Only search these SEARCH_FIELDS
+ *   (default: all)
+ * @param {Object} options.filters - Extra { status, priority, source }
+ *   filters, e.g. from the dashboard's dropdowns
+ * @param {number} options.limit - Max results (default: 20)
+ * @param {number} options.offset - Results to skip (default: 0)
+ * @param {string[]} options.highlight - Snippet markers before and after
+ *   each match (default: DEFAULT_HIGHLIGHT)
+ * @returns {Object} { jobs, total, query, fields_searched, filters, excluded }
+ *   where each job has _score (BM25, lower is better), _relevance (0-100,
+ *   relative to the best match) and _snippet
+ */
+export function searchJobs(db, query, { fields = null, filters = {}, limit = 20, offset = 0, highlight = DEFAULT_HIGHLIGHT } = {}) {
+  const search = buildSearch(query, { fields, filters });
+  const where = ['j.deleted_at IS NULL', ...search.where];
+  const params = [...search.params];
+  const result = {
+    query,
+    fields_searched: search.searched,
+    filters: search.parsed.filters,
+    excluded: search.parsed.excluded
+  };
+
+  if (!search.match) {
+    const condition = where.join(' AND ');
+    result.total = db.prepare(`SELECT COUNT(*) AS count FROM jobs j WHERE ${condition}`).get(...params).count;
+    result.jobs = db.prepare(`
+      SELECT j.* FROM jobs j
+      WHERE ${condition}
+      ORDER BY ${priorityOrder()}, j.created_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(job => ({ ...job, _score: null, _relevance: null, _snippet: null }));
+    return result;
+  }
+
+  where.unshift('jobs_fts MATCH ?');
+  params.unshift(search.match);
+  const condition = where.join(' AND ');
+
+  result.total = db.prepare(`
+    SELECT COUNT(*) AS count FROM jobs_fts JOIN jobs j ON j.id = jobs_fts.rowid WHERE ${condition}
+  `).get(...params).count;
+
+  const rows = db.prepare(`
+    SELECT j.*, ${rankColumns(search)}
+    FROM jobs_fts JOIN jobs j ON j.id = jobs_fts.rowid
+    WHERE ${condition}
+    ORDER BY _score, j.id DESC
+    LIMIT ? OFFSET ?
+  `).all(highlight[0], highlight[1], ...params, limit, offset);
+
+  // BM25 scores are negative; the best match on the page is 100
+  result.jobs = withRelevance(rows);
+  return result;
+}
+
+export default {
+  SEARCH_FIELDS,
+  DEFAULT_HIGHLIGHT,
+  parseQuery,
+  buildSearch,
+  rankColumns,
+  withRelevance,
+  searchJobs
+};
@@ -0,0 +1,164 @@
+/**
+ * Job Trash
+ *
+ * Soft delete for jobs. Trashed jobs keep all their research, materials
+ * and history, are hidden from every list, and can be restored until the
+ * retention period runs out. Used by both the Express server and the MCP
+ * server.
+ *
+ * @module shared/trash
+ */
+
+import { recordActivity } from './activity.js';
+
+/**
+ * Days a trashed job is kept before it is purged
+ * Override with PROWLA_TRASH_RETENTION_DAYS.
+ * @type {number}
+ */
+export const TRASH_RETENTION_DAYS = parseInt(process.env.PROWLA_TRASH_RETENTION_DAYS, 10) || 30;
+
+/**
+ * SQL condition selecting jobs that are not in the trash
+ * @type {string}
+ */
+export const NOT_TRASHED = 'deleted_at IS NULL';
+
+/**
+ * Compute when a trashed job will be purged
+ * @param {string} deletedAt - ISO timestamp the job was trashed
+ * @returns {string} ISO timestamp
+ */
+export function purgeDate(deletedAt) {
+  const date = new Date(deletedAt);
+  date.setDate(date.getDate() + TRASH_RETENTION_DAYS);
+  return date.toISOString();
+}
+
+/**
+ * Move a job to the trash
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {string} actor - Who trashed it
+ * @returns {Object} Result with the trashed job, or an error
+ */
+export function trashJob(db, jobId, actor = 'system') {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  if (!job) return { success: false, error: 'Job not found' };
+  if (job.deleted_at) return { success: false, error: 'Job is already in the trash' };
+
+  const deletedAt = new Date().toISOString();
+  db.prepare('UPDATE jobs SET deleted_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(deletedAt, jobId);
+
+  recordActivity(db, {
+    jobId: job.id,
+    type: 'job.trashed',
+    actor,
+    details: { company: job.company, role: job.role }
+  });
+
+  return {
+    success: true,
+    job: { ...job, deleted_at: deletedAt },
+    purge_at: purgeDate(deletedAt)
+  };
+}
+
+/**
+ * Restore a job from the trash
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {string} actor - Who restored it
+ * @returns {Object} Result with the restored job, or an error
+ */
+export function restoreJob(db, jobId, actor = 'system') {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  if (!job) return { success: false, error: 'Job not found' };
+  if (!job.deleted_at) return { success: false, error: 'Job is not in the trash' };
+
+  db.prepare('UPDATE jobs SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(jobId);
+
+  recordActivity(db, {
+    jobId: job.id,
+    type: 'job.restored',
+    actor,
+    details: { company: job.company, role: job.role }
+  });
+
+  return { success: true, job: { ...job, deleted_at: null } };
+}
+
+/**
+ * Permanently delete a trashed job
+ *
+ * Only jobs already in the trash can be purged. The job's activity
+ * history and contact interactions are kept; its contact links and
+ * interviews are not.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {string} actor - Who purged it
+ * @returns {Object} Result with the purged job, or an error
+ */
+export function purgeJob(db, jobId, actor = 'system') {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  if (!job) return { success: false, error: 'Job not found' };
+  if (!job.deleted_at) return { success: false, error: 'Only jobs in the trash can be permanently deleted' };
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM jobs WHERE id = ?').run(jobId);
+    db.prepare('DELETE FROM contact_jobs WHERE job_id = ?').run(jobId);
+    db.prepare('DELETE FROM interview_interviewers WHERE interview_id IN (SELECT id FROM interviews WHERE job_id = ?)').run(jobId);
+    db.prepare('DELETE FROM interviews WHERE job_id = ?').run(jobId);
+  })();
+
+  recordActivity(db, {
+    jobId: job.id,
+    type: 'job.purged',
+    actor,
+    details: { company: job.company, role: job.role }
+  });
+
+  return { success: true, job };
+}
+
+/**
+ * List jobs in the trash
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {Object[]} Trashed jobs (newest first) with purge_at
+ */
+export function listTrash(db) {
+  return db.prepare('SELECT * FROM jobs WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC')
+    .all()
+    .map(job => ({ ...job, purge_at: purgeDate(job.deleted_at) }));
+}
+
+/**
+ * Purge trashed jobs older than the retention period
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {Object[]} Jobs that were purged
+ */
+export function purgeExpiredTrash(db) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - TRASH_RETENTION_DAYS);
+
+  const expired = db.prepare('SELECT id FROM jobs WHERE deleted_at IS NOT NULL AND deleted_at < ?')
+    .all(cutoff.toISOString());
+
+  return expired.map(({ id }) => purgeJob(db, id, 'system').job);
+}
+
+export default {
+  TRASH_RETENTION_DAYS,
+  NOT_TRASHED,
+  purgeDate,
+  trashJob,
+  restoreJob,
+  purgeJob,
+  listTrash,
+  purgeExpiredTrash
+};
@@ -0,0 +1,190 @@
+/**
+ * Request Validation
+ *
+ * Checks values against JSON Schemas: the MCP tools' input schemas and the
+ * REST request schemas in shared/schemas.js. Supports the parts of JSON
+ * Schema those use: type (one or a list), enum, const, required,
+ * properties, additionalProperties, items, oneOf, anyOf, minimum,
+ * maximum, minLength, maxLength, minItems, maxItems, pattern and format
+ * (date, date-time, email, uri).
+ *
+ * Errors name the field they are about with a path such as
+ * `hoursPerWeek.min` or `interviewers[1].name`.
+ *
+ * @module shared/validation
+ */
+
+/**
+ * A validation error
+ * @typedef {Object} ValidationError
+ * @property {string} path - Field path ('' for the value itself)
+ * @property {string} message - What is wrong with it
+ */
+
+const FORMATS = {
+  // A day, optionally with a time; empty clears the date
+  date: value => value === '' || (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) && !Number.isNaN(new Date(value.slice(0, 10)).getTime())),
+  'date-time': value => !Number.isNaN(new Date(value).getTime()) && /^\d{4}-\d{2}-\d{2}/.test(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  }
+};
+
+const FORMAT_NAMES = {
+  date: 'a date (YYYY-MM-DD)',
+  'date-time': 'an ISO timestamp',
+  email: 'an email address',
+  uri: 'a URL'
+};
+
+/**
+ * JSON Schema type of a value
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check whether a value has one of the allowed types
+ * @param {*} value - Value
+ * @param {string[]} types - Allowed types
+ * @returns {boolean} True if it does
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  if (actual === 'number' && !Number.isFinite(value)) return false;
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * Append a key or index to a path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema, collecting errors
+ * @param {Object} schema - Schema
+ * @param {*} value - Value
+ * @param {string} path - Path of the value
+ * @param {Object} options - See validate()
+ * @param {ValidationError[]} errors - Errors so far
+ */
+function check(schema, value, path, options, errors) {
+  if (!schema || typeof schema !== 'object') return;
+  const fail = message => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!matchesType(value, types)) {
+      fail(`must be ${types.map(type => (type === 'integer' ? 'an integer' : type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ')}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+  // null is how optional fields are cleared, so it passes an enum
+  if (schema.enum && value !== null && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.oneOf || schema.anyOf) {
+    const alternatives = schema.oneOf || schema.anyOf;
+    const matching = alternatives.filter(alternative => {
+      const alternativeErrors = [];
+      check(alternative, value, path, options, alternativeErrors);
+      return alternativeErrors.length === 0;
+    }).length;
+    if (matching === 0 || (schema.oneOf && matching > 1)) {
+      fail(schema.oneOf && matching > 1 ? 'matches more than one allowed form' : 'does not match any allowed form');
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(`must match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be ${FORMAT_NAMES[schema.format]}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, index) => check(schema.items, item, childPath(path, index), options, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || (value[key] === null && options.nullable)) {
+        errors.push({ path: childPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[key]) {
+        // Leaving an optional field out and sending null mean the same
+        if (propertyValue === null && options.nullable && !(schema.required || []).includes(key)) continue;
+        check(properties[key], propertyValue, childPath(path, key), options, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: 'is not a known field' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, propertyValue, childPath(path, key), options, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Check a value against a JSON Schema
+ *
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check
+ * @param {Object} options - Options
+ * @param {boolean} options.nullable - Accept null for optional properties
+ *   whatever their type (as many MCP clients send it for "not set")
+ * @returns {ValidationError[]} Errors (empty if the value is valid)
+ */
+export function validate(schema, value, { nullable = false } = {}) {
+  const errors = [];
+  check(schema, value, '', { nullable }, errors);
+  return errors;
+}
+
+/**
+ * Summarise validation errors in one line
+ * @param {ValidationError[]} errors - Errors
+ * @returns {string} e.g. "company is required; status must be one of: ..."
+ */
+export function describeErrors(errors) {
+  return errors.map(({ path, message }) => (path ? `${path} ${message}` : `Value ${message}`)).join('; ');
+}
+
+export default {
+  validate,
+  describeErrors
+};
@@ -0,0 +1,353 @@
+/**
+ * Webhook Deliveries
+ *
+ * Queue and history of webhook POSTs for event subscriptions. Each event a
+ * webhook subscription matches becomes a delivery, which is retried with
+ * exponential backoff until the receiver answers with a 2xx status. After
+ * WEBHOOK_MAX_ATTEMPTS failures the delivery is dead: it is kept in the
+ * history and can be sent again with redeliver().
+ *
+ * processWebhooks() queues new events for every webhook subscription and
+ * sends what is due. Both the Express server and the MCP server run it, so
+ * webhooks keep flowing while no agent is connected; a delivery is claimed
+ * before it is sent, so only one of them sends it.
+ *
+ * Every POST is signed with the subscription's secret. Receivers verify it
+ * by computing HMAC-SHA256 over `<X-Prowla-Timestamp>.<raw body>` and
+ * comparing it to X-Prowla-Signature (`sha256=<hex>`).
+ *
+ * Delivery statuses:
+ * - pending - Waiting for its first attempt or a retry
+ * - delivered - The receiver accepted it
+ * - dead - Gave up after WEBHOOK_MAX_ATTEMPTS failures
+ *
+ * @module shared/webhooks
+ */
+
+import crypto from 'crypto';
+import { getSubscription, listSubscriptions, advanceCursor, pendingEvents } from './event-subscriptions.js';
+
+/**
+ * Delivery statuses
+ * @type {string[]}
+ */
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+/**
+ * Attempts before a delivery is dead
+ * Override with PROWLA_WEBHOOK_MAX_ATTEMPTS.
+ * @type {number}
+ */
+export const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.PROWLA_WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+
+/**
+ * Delay before the first retry; each retry after waits twice as long
+ */
+const RETRY_BASE_MS = 15 * 1000;
+
+/**
+ * Longest delay between retries
+ */
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * How long to wait for a receiver to answer
+ */
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * How long a claimed delivery is left to the process that claimed it
+ */
+const CLAIM_MS = 6 * DELIVERY_TIMEOUT_MS;
+
+/**
+ * Whether this process is already running processWebhooks()
+ */
+let processing = false;
+
+/**
+ * Generate a signing secret for a subscription
+ * @returns {string} 64 hex characters
+ */
+export function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Value of the X-Prowla-Timestamp header
+ * @param {string} body - Raw request body
+ * @returns {string} X-Prowla-Signature value (`sha256=<hex>`)
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+/**
+ * Queue an event for delivery to a webhook (once per subscription)
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} delivery - Delivery
+ * @param {string} delivery.subscriptionId - Subscription ID
+ * @param {string} delivery.url - Webhook URL
+ * @param {Object} delivery.event - Event from shared/events.js
+ * @returns {boolean} Whether it was queued (false if already queued)
+ */
+export function enqueueDelivery(db, { subscriptionId, url, event }) {
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO webhook_deliveries (subscription_id, event_seq, event_type, url, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(subscriptionId, event.seq, event.type, url, new Date().toISOString());
+  return result.changes > 0;
+}
+
+/**
+ * Get a delivery
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Delivery ID
+ * @returns {Object|null} Delivery
+ */
+export function getDelivery(db, id) {
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Deliveries whose next attempt is due, oldest first
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} limit - Max deliveries
+ * @returns {Object[]} Deliveries
+ */
+export function dueDeliveries(db, limit = 20) {
+  return db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= ?
+    ORDER BY next_attempt_at, id
+    LIMIT ?
+  `).all(new Date().toISOString(), limit);
+}
+
+/**
+ * Record the result of an attempt, scheduling a retry or giving up
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} delivery - Delivery before the attempt
+ * @param {Object} result - { responseStatus, error, final } (no error:
+ *   delivered; final: dead without retrying)
+ * @returns {Object} Delivery after the attempt
+ */
+function recordAttempt(db, delivery, { responseStatus = null, error = null, final = false }) {
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  const status = !error ? 'delivered' : final || attempts >= WEBHOOK_MAX_ATTEMPTS ? 'dead' : 'pending';
+
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, last_attempt_at = ?, next_attempt_at = ?,
+        response_status = ?, last_error = ?, delivered_at = ?
+    WHERE id = ?
+  `).run(
+    status,
+    attempts,
+    now.toISOString(),
+    status === 'pending' ? new Date(now.getTime() + retryDelay(attempts)).toISOString() : null,
+    responseStatus,
+    error,
+    status === 'delivered' ? now.toISOString() : null,
+    delivery.id
+  );
+  return getDelivery(db, delivery.id);
+}
+
+/**
+ * Attempt a delivery
+ *
+ * POSTs the event with X-Prowla-Event, X-Prowla-Delivery,
+ * X-Prowla-Timestamp and X-Prowla-Signature headers.
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} delivery - Delivery from dueDeliveries()
+ * @param {string} secret - Subscription secret
+ * @returns {Promise<Object>} Delivery after the attempt
+ */
+export async function attemptDelivery(db, delivery, secret) {
+  const row = db.prepare('SELECT * FROM events WHERE seq = ?').get(delivery.event_seq);
+  if (!row) {
+    // Pruned from the log; there is nothing left to send
+    return recordAttempt(db, delivery, { error: 'Event is no longer in the event log', final: true });
+  }
+
+  const body = JSON.stringify({
+    seq: row.seq,
+    id: row.id,
+    type: row.type,
+    timestamp: row.created_at,
+    source: row.source,
+    payload: row.payload ? JSON.parse(row.payload) : {}
+  });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Prowla-Event': row.type,
+        'X-Prowla-Delivery': String(delivery.id),
+        'X-Prowla-Timestamp': timestamp,
+        'X-Prowla-Signature': signPayload(secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    return recordAttempt(db, delivery, {
+      responseStatus: res.status,
+      error: res.ok ? null : `Receiver responded ${res.status}`
+    });
+  } catch (e) {
+    return recordAttempt(db, delivery, { error: e.message });
+  }
+}
+
+/**
+ * Claim a due delivery for this process by pushing its next attempt back
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} delivery - Delivery from dueDeliveries()
+ * @returns {boolean} Whether this process got it
+ */
+function claimDelivery(db, delivery) {
+  return db.prepare(`
+    UPDATE webhook_deliveries SET next_attempt_at = ?
+    WHERE id = ? AND status = 'pending' AND next_attempt_at = ?
+  `).run(new Date(Date.now() + CLAIM_MS).toISOString(), delivery.id, delivery.next_attempt_at).changes > 0;
+}
+
+/**
+ * Queue events each webhook subscription has not had yet and that meet
+ * its filters
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {number} Deliveries queued
+ */
+function queueNewEvents(db) {
+  let queued = 0;
+  for (const subscription of listSubscriptions(db, { webhooksOnly: true })) {
+    const { events, cursor } = pendingEvents(db, subscription, 500);
+    db.transaction(() => {
+      for (const event of events) {
+        if (enqueueDelivery(db, { subscriptionId: subscription.id, url: subscription.webhook_url, event })) queued++;
+      }
+      advanceCursor(db, subscription.id, cursor);
+    })();
+  }
+  return queued;
+}
+
+/**
+ * Queue new events for webhook subscriptions and send the deliveries that
+ * are due, including retries
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @returns {Promise<Object>} { queued, attempted } where attempted holds
+ *   each delivery after its attempt
+ */
+export async function processWebhooks(db) {
+  // Still sending the last batch
+  if (processing) return { queued: 0, attempted: [] };
+  processing = true;
+
+  try {
+    const queued = queueNewEvents(db);
+    const attempted = [];
+    for (const delivery of dueDeliveries(db)) {
+      if (!claimDelivery(db, delivery)) continue;
+
+      const subscription = getSubscription(db, delivery.subscription_id);
+      attempted.push(subscription
+        ? await attemptDelivery(db, delivery, subscription.secret)
+        : recordAttempt(db, delivery, { error: 'Subscription no longer exists', final: true }));
+    }
+    return { queued, attempted };
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * List deliveries, newest first
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {string} options.subscriptionId - Only this subscription's
+ * @param {string} options.status - Only this status (see DELIVERY_STATUSES)
+ * @param {number} options.limit - Max deliveries (default: 50)
+ * @param {number} options.offset - Deliveries to skip
+ * @returns {Object} { deliveries, total } or { error }
+ */
+export function listDeliveries(db, { subscriptionId = null, status = null, limit = 50, offset = 0 } = {}) {
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` };
+  }
+
+  const where = [];
+  const params = [];
+  if (subscriptionId) {
+    where.push('subscription_id = ?');
+    params.push(subscriptionId);
+  }
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  const condition = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  return {
+    deliveries: db.prepare(`
+      SELECT * FROM webhook_deliveries ${condition}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, Math.min(parseInt(limit, 10) || 50, 500), Math.max(parseInt(offset, 10) || 0, 0)),
+    total: db.prepare(`SELECT COUNT(*) AS count FROM webhook_deliveries ${condition}`).get(...params).count
+  };
+}
+
+/**
+ * Send a delivery again, whatever its status, with a fresh set of attempts
+ *
+ * @param {import('better-sqlite3').Database} db - Database connection
+ * @param {number} id - Delivery ID
+ * @returns {Object} { delivery } or { error }
+ */
+export function redeliver(db, id) {
+  const delivery = getDelivery(db, id);
+  if (!delivery) return { error: 'Delivery not found' };
+
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = ?, delivered_at = NULL
+    WHERE id = ?
+  `).run(new Date().toISOString(), id);
+  return { delivery: getDelivery(db, id) };
+}
+
+export default {
+  DELIVERY_STATUSES,
+  WEBHOOK_MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  retryDelay,
+  enqueueDelivery,
+  getDelivery,
+  dueDeliveries,
+  attemptDelivery,
+  processWebhooks,
+  listDeliveries,
+  redeliver
+};
@@ -0,0 +1,46 @@
+/**
+ * Tests for shared/event-filters.js
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeFilters, matchesFilters } from '../shared/event-filters.js';
+
+// A job.created event as POST /api/jobs emits it for a scanned job
+const jobCreated = (payload) => ({
+  type: 'job.created',
+  payload: { job_id: 1, company: 'Acme', company_id: 1, role: 'Engineer', priority: '🔴 High', source: 'YC', score: 85, ...payload }
+});
+
+test('score gt matches a job.created event with a higher score', () => {
+  const { filters } = normalizeFilters([{ field: 'score', op: 'gt', value: 80 }]);
+  assert.equal(matchesFilters(jobCreated(), filters), true);
+});
+
+test('score gt skips lower scores and jobs without one', () => {
+  const { filters } = normalizeFilters([{ field: 'score', op: 'gt', value: 80 }]);
+  assert.equal(matchesFilters(jobCreated({ score: 80 }), filters), false);
+  assert.equal(matchesFilters(jobCreated({ score: null }), filters), false);
+});
+
+test('numeric values sent as text are compared as numbers', () => {
+  const { filters } = normalizeFilters([{ field: 'score', op: 'gte', value: '85' }]);
+  assert.deepEqual(filters, [{ field: 'score', op: 'gte', value: 85 }]);
+  assert.equal(matchesFilters(jobCreated(), filters), true);
+});
+
+test('every condition must hold', () => {
+  const { filters } = normalizeFilters([
+    { field: 'priority', value: '🔴 High' },
+    { field: 'source', op: 'contains', value: 'yc' },
+    { field: 'score', op: 'gt', value: 80 }
+  ]);
+  assert.equal(matchesFilters(jobCreated(), filters), true);
+  assert.equal(matchesFilters(jobCreated({ source: 'LinkedIn' }), filters), false);
+});
+
+test('numeric operators need a number', () => {
+  assert.match(normalizeFilters([{ field: 'score', op: 'gt', value: 'high' }]).error, /must be a number/);
+});
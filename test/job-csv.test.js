@@ -0,0 +1,54 @@
+/**
+ * Tests for shared/job-csv.js
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { runMigrations } from '../shared/migrate.js';
+import { exportJobsCSV, importJobsCSV, parseCSV } from '../shared/job-csv.js';
+
+// better-sqlite3 is installed with the server
+const Database = createRequire(new URL('../server/package.json', import.meta.url))('better-sqlite3');
+
+// An empty database at the latest schema
+const emptyDb = () => {
+  const db = new Database(':memory:');
+  runMigrations(db, { log: () => {} });
+  return db;
+};
+
+// Text a spreadsheet would run as a formula, as scraped postings can hold
+const FORMULAS = [
+  { company: '=HYPERLINK("http://example.com","Acme")', role: '+1 Engineer' },
+  { company: '-Minus Corp', role: '@Lead' },
+  { company: "'Quoted' Co", role: 'Designer' }
+];
+
+const exportOf = (jobs) => {
+  const db = emptyDb();
+  const insert = db.prepare("INSERT INTO jobs (company, role, priority) VALUES (?, ?, '🟡 Medium')");
+  for (const job of jobs) insert.run(job.company, job.role);
+  return exportJobsCSV(db, { columns: ['company', 'role'] }).csv;
+};
+
+test('export guards cells a spreadsheet would run as formulas', () => {
+  const [, ...rows] = parseCSV(exportOf([...FORMULAS, { company: '\tTabbed', role: '\rReturned' }]));
+  assert.deepEqual(rows, [
+    ['\'=HYPERLINK("http://example.com","Acme")', "'+1 Engineer"],
+    ["'-Minus Corp", "'@Lead"],
+    ["'Quoted' Co", 'Designer'],
+    ["'\tTabbed", "'\rReturned"]
+  ]);
+});
+
+test('importing an export gives back the original text', () => {
+  const db = emptyDb();
+  const result = importJobsCSV(db, exportOf(FORMULAS), { dryRun: false });
+  assert.equal(result.summary.create, FORMULAS.length);
+
+  const jobs = db.prepare('SELECT company, role FROM jobs ORDER BY id').all();
+  assert.deepEqual(jobs, FORMULAS);
+});